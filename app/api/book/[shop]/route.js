@@ -0,0 +1,62 @@
+/**
+ * Public online booking for one shop. GET returns the shop's details and free appointment slots;
+ * POST books a request into a slot. Requests from bots are turned away by a hidden honeypot field
+ * and a per-visitor limit.
+ */
+import { NextResponse } from 'next/server';
+import { getAdminDb } from '../../../../lib/firebaseAdmin';
+import { validateBookingRequest } from '../../../../lib/bookingSlots';
+import { BookingRequestError, createPublicBooking, getBookingPageAvailability, getPublicShopInfo, resolveBookingPage } from '../../../../lib/publicBooking';
+import { checkRateLimit, getClientIp } from '../../../../lib/rateLimit';
+
+export const dynamic = 'force-dynamic';
+
+const VIEW_LIMIT = 120;
+const BOOKING_LIMIT = 5;
+const WINDOW_MS = 60 * 60 * 1000;
+
+const NOT_FOUND = 'This booking page does not exist or is not taking bookings at the moment.';
+
+const tooManyRequests = () => NextResponse.json({ error: 'Too many requests. Please try again later.' }, { status: 429 });
+
+export async function GET(request, { params }) {
+  if (!checkRateLimit(`book-view:${getClientIp(request)}`, VIEW_LIMIT, WINDOW_MS)) return tooManyRequests();
+
+  try {
+    const db = getAdminDb();
+    const page = await resolveBookingPage(db, params.shop);
+    if (!page) return NextResponse.json({ error: NOT_FOUND }, { status: 404 });
+    const days = await getBookingPageAvailability(db, page, new Date());
+    return NextResponse.json({ shop: getPublicShopInfo(page.shopProfile), slotMinutes: page.settings.slotMinutes, days });
+  } catch (e) {
+    console.error('Booking page lookup failed:', e);
+    return NextResponse.json({ error: 'Online booking is unavailable right now.' }, { status: 500 });
+  }
+}
+
+export async function POST(request, { params }) {
+  if (!checkRateLimit(`book-request:${getClientIp(request)}`, BOOKING_LIMIT, WINDOW_MS)) return tooManyRequests();
+
+  const body = await request.json().catch(() => ({}));
+  // A filled-in honeypot is a bot: answer as if it worked and store nothing
+  if (body.website) {
+    return NextResponse.json({ requestNo: null, date: body.date || null, time: body.time || null });
+  }
+
+  const { errors, value } = validateBookingRequest(body);
+  if (Object.keys(errors).length) {
+    return NextResponse.json({ error: 'Please check the highlighted fields.', fields: errors }, { status: 400 });
+  }
+
+  try {
+    const db = getAdminDb();
+    const page = await resolveBookingPage(db, params.shop);
+    if (!page) return NextResponse.json({ error: NOT_FOUND }, { status: 404 });
+    const baseUrl = process.env.APP_BASE_URL || new URL(request.url).origin;
+    return NextResponse.json(await createPublicBooking(db, page, value, new Date(), baseUrl));
+  } catch (e) {
+    if (e instanceof BookingRequestError) return NextResponse.json({ error: e.message }, { status: 409 });
+    console.error('Online booking failed:', e);
+    return NextResponse.json({ error: 'Your booking could not be saved. Please try again or contact the shop.' }, { status: 500 });
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Claims the public booking page address for the signed-in tenant.
+ * Body: { slug }. Returns { slug }, or 409 when another shop already uses it.
+ */
+import { NextResponse } from 'next/server';
+import { getAdminDb, getRequestUserId } from '../../../lib/firebaseAdmin';
+import { BookingRequestError, claimBookingPageSlug } from '../../../lib/publicBooking';
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  const userId = await getRequestUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const { slug } = await request.json().catch(() => ({}));
+  if (!slug) {
+    return NextResponse.json({ error: 'slug is required.' }, { status: 400 });
+  }
+
+  try {
+    return NextResponse.json({ slug: await claimBookingPageSlug(getAdminDb(), userId, String(slug)) });
+  } catch (e) {
+    if (e instanceof BookingRequestError) return NextResponse.json({ error: e.message }, { status: 409 });
+    console.error('Booking page address claim failed:', e);
+    return NextResponse.json({ error: e.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Read-only iCalendar feed of a shop's open repair bookings, for subscribing from a phone or
+ * desktop calendar. The feed name is <userId>.<key>.ics, as shown in the dashboard's calendar view.
+ */
+import { NextResponse } from 'next/server';
+import { getAdminDb } from '../../../../lib/firebaseAdmin';
+import { getCalendarFeed } from '../../../../lib/calendarFeed';
+import { checkRateLimit, getClientIp } from '../../../../lib/rateLimit';
+
+export const dynamic = 'force-dynamic';
+
+// Calendar apps poll every few minutes at most; this only stops key guessing
+const FEED_LIMIT = 60;
+const WINDOW_MS = 15 * 60 * 1000;
+
+export async function GET(request, { params }) {
+  if (!checkRateLimit(`calendar-feed:${getClientIp(request)}`, FEED_LIMIT, WINDOW_MS)) {
+    return NextResponse.json({ error: 'Too many requests.' }, { status: 429 });
+  }
+
+  try {
+    const ics = await getCalendarFeed(getAdminDb(), params.feed, new URL(request.url).hostname);
+    if (!ics) return NextResponse.json({ error: 'Calendar feed not found.' }, { status: 404 });
+    return new NextResponse(ics, {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="bookings.ics"',
+        'Cache-Control': 'private, max-age=300',
+      },
+    });
+  } catch (e) {
+    console.error('Calendar feed failed:', e);
+    return NextResponse.json({ error: 'The calendar feed is unavailable right now.' }, { status: 500 });
+  }
+}
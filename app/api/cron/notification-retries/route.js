@@ -0,0 +1,23 @@
+/**
+ * Retries customer notifications that failed and are due another attempt, triggered by the cron
+ * schedule in vercel.json. Vercel sends CRON_SECRET as a bearer token; requests without it are rejected.
+ */
+import { NextResponse } from 'next/server';
+import { requireCronSecret } from '../../../../lib/cronAuth';
+import { getAdminDb } from '../../../../lib/firebaseAdmin';
+import { runNotificationRetries } from '../../../../lib/notifications';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  const unauthorized = requireCronSecret(request);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const summary = await runNotificationRetries(getAdminDb());
+    return NextResponse.json(summary);
+  } catch (e) {
+    console.error('Notification retry run failed:', e);
+    return NextResponse.json({ error: e.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Local stand-in for a hosted payment page, active only when PAYMENT_GATEWAY=fake. Paying sends
+ * a signed notification to /api/webhooks/payments/fake, so the whole flow from payment link to
+ * recorded payment can be exercised without a gateway account.
+ */
+import { NextResponse } from 'next/server';
+import { signFakeGatewayPayload } from '../../../lib/paymentGateways';
+
+export const dynamic = 'force-dynamic';
+
+const escapeHtml = (text) => String(text || '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const renderPage = (title, body) => new NextResponse(
+  `<!DOCTYPE html><html><head><title>${escapeHtml(title)}</title></head>`
+  + `<body style="font-family: sans-serif; max-width: 420px; margin: 60px auto;"><h1>${escapeHtml(title)}</h1>${body}</body></html>`,
+  { headers: { 'Content-Type': 'text/html; charset=utf-8' } },
+);
+
+const isEnabled = () => process.env.PAYMENT_GATEWAY === 'fake';
+
+// The return link comes from the query string, so only http(s) pages on the app's own origin are followed
+const getSafeReturnUrl = (returnUrl, request) => {
+  const origin = new URL(process.env.APP_BASE_URL || request.url).origin;
+  try {
+    const url = new URL(String(returnUrl || '/'), origin);
+    return ['http:', 'https:'].includes(url.protocol) && url.origin === origin ? url.href : `${origin}/`;
+  } catch (e) {
+    return `${origin}/`;
+  }
+};
+
+export async function GET(request) {
+  if (!isEnabled()) return NextResponse.json({ error: 'Not found' }, { status: 404 });
+
+  const params = new URL(request.url).searchParams;
+  const hidden = ['linkId', 'amount', 'returnUrl']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name))}">`)
+    .join('');
+  return renderPage('Test Gateway', `
+    <p>${escapeHtml(params.get('description'))}</p>
+    <p style="font-size: 24px;"><strong>${escapeHtml(params.get('currency'))} ${escapeHtml(params.get('amount'))}</strong></p>
+    <form method="post">
+      ${hidden}
+      <p><label>Amount to pay: <input name="paidAmount" value="${escapeHtml(params.get('amount'))}"></label></p>
+      <button name="outcome" value="paid">Pay</button>
+      <button name="outcome" value="failed">Decline</button>
+    </form>`);
+}
+
+export async function POST(request) {
+  if (!isEnabled()) return NextResponse.json({ error: 'Not found' }, { status: 404 });
+
+  const form = await request.formData();
+  const rawBody = JSON.stringify({
+    linkId: form.get('linkId'),
+    paymentId: `fake_${Date.now()}`,
+    amount: parseFloat(form.get('paidAmount')),
+    status: form.get('outcome') === 'paid' ? 'paid' : 'failed',
+  });
+
+  const response = await fetch(new URL('/api/webhooks/payments/fake', request.url), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Fake-Signature': signFakeGatewayPayload(rawBody) },
+    body: rawBody,
+  });
+  const outcome = await response.json();
+
+  return renderPage(response.ok ? 'Notification Sent' : 'Notification Failed', `
+    <p>Webhook responded with ${response.status}:</p>
+    <pre>${escapeHtml(JSON.stringify(outcome, null, 2))}</pre>
+    <p><a href="${escapeHtml(getSafeReturnUrl(form.get('returnUrl'), request))}">Return to the shop</a></p>`);
+}
@@ -0,0 +1,28 @@
+/**
+ * Sends a queued or failed customer notification again straight away.
+ * Body: { notificationId }. Returns the entry's new delivery state.
+ */
+import { NextResponse } from 'next/server';
+import { getAdminDb, getRequestUserId } from '../../../../lib/firebaseAdmin';
+import { retryNotification } from '../../../../lib/notifications';
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  const userId = await getRequestUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const { notificationId } = await request.json().catch(() => ({}));
+  if (!notificationId) {
+    return NextResponse.json({ error: 'notificationId is required.' }, { status: 400 });
+  }
+
+  try {
+    return NextResponse.json(await retryNotification(getAdminDb(), userId, notificationId));
+  } catch (e) {
+    console.error('Notification retry failed:', e);
+    return NextResponse.json({ error: e.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Sends the customer the status message for one of the signed-in tenant's repair jobs.
+ * Body: { bookingId, status }. Returns { results } with one delivery log entry per channel.
+ */
+import { NextResponse } from 'next/server';
+import { getAdminDb, getRequestUserId } from '../../../lib/firebaseAdmin';
+import { notifyBookingStatus } from '../../../lib/notifications';
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  const userId = await getRequestUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const { bookingId, status } = await request.json().catch(() => ({}));
+  if (!bookingId || !status) {
+    return NextResponse.json({ error: 'bookingId and status are required.' }, { status: 400 });
+  }
+
+  try {
+    const baseUrl = process.env.APP_BASE_URL || new URL(request.url).origin;
+    const results = await notifyBookingStatus(getAdminDb(), userId, bookingId, status, { baseUrl });
+    return NextResponse.json({ results });
+  } catch (e) {
+    console.error('Customer notification failed:', e);
+    return NextResponse.json({ error: e.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Creates a hosted payment link for one of the signed-in tenant's invoices.
+ * Body: { invoiceId }. Returns the link summary that is also stored on the invoice.
+ */
+import { NextResponse } from 'next/server';
+import { getAdminDb, getRequestUserId } from '../../../lib/firebaseAdmin';
+import { createInvoicePaymentLink } from '../../../lib/paymentLinks';
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  const userId = await getRequestUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const { invoiceId } = await request.json().catch(() => ({}));
+  if (!invoiceId) {
+    return NextResponse.json({ error: 'invoiceId is required.' }, { status: 400 });
+  }
+
+  try {
+    const baseUrl = process.env.APP_BASE_URL || new URL(request.url).origin;
+    const paymentLink = await createInvoicePaymentLink(getAdminDb(), userId, invoiceId, baseUrl);
+    return NextResponse.json(paymentLink);
+  } catch (e) {
+    console.error('Payment link creation failed:', e);
+    return NextResponse.json({ error: e.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Public repair status lookup for the /track page. GET ?t=<signed token> follows a tracking link;
+ * POST { shop, jobNo, phone } looks a job up by number in the shop with that page address. Both
+ * return only the public tracking view and give the same answer for a wrong shop, number or phone.
+ */
+import { NextResponse } from 'next/server';
+import { getAdminDb } from '../../../lib/firebaseAdmin';
+import { resolveShopAddress } from '../../../lib/publicBooking';
+import { checkRateLimit, getClientIp } from '../../../lib/rateLimit';
+import { getTrackingViewByJobNo, getTrackingViewByToken } from '../../../lib/trackingLinks';
+
+export const dynamic = 'force-dynamic';
+
+const NOT_FOUND = 'No repair matches those details. Check the job number on your book-in slip and the phone number you gave us.';
+
+// Job number guesses are limited per visitor; following a link is cheaper to allow
+const LOOKUP_LIMIT = 10;
+const LINK_LIMIT = 60;
+const WINDOW_MS = 15 * 60 * 1000;
+
+const tooManyRequests = () => NextResponse.json({ error: 'Too many attempts. Please try again in a few minutes.' }, { status: 429 });
+
+export async function GET(request) {
+  if (!checkRateLimit(`track-link:${getClientIp(request)}`, LINK_LIMIT, WINDOW_MS)) return tooManyRequests();
+
+  const token = new URL(request.url).searchParams.get('t');
+  try {
+    const view = token ? await getTrackingViewByToken(getAdminDb(), token) : null;
+    return view ? NextResponse.json(view) : NextResponse.json({ error: 'This tracking link is not valid.' }, { status: 404 });
+  } catch (e) {
+    console.error('Tracking link lookup failed:', e);
+    return NextResponse.json({ error: 'Tracking is unavailable right now.' }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  if (!checkRateLimit(`track-lookup:${getClientIp(request)}`, LOOKUP_LIMIT, WINDOW_MS)) return tooManyRequests();
+
+  const { shop, jobNo, phone } = await request.json().catch(() => ({}));
+  if (!String(jobNo || '').trim() || !String(phone || '').trim()) {
+    return NextResponse.json({ error: 'Enter your job number and phone number.' }, { status: 400 });
+  }
+
+  try {
+    const db = getAdminDb();
+    const page = await resolveShopAddress(db, shop);
+    const view = page ? await getTrackingViewByJobNo(db, page.userId, jobNo, phone) : null;
+    return view ? NextResponse.json(view) : NextResponse.json({ error: NOT_FOUND }, { status: 404 });
+  } catch (e) {
+    console.error('Tracking lookup failed:', e);
+    return NextResponse.json({ error: 'Tracking is unavailable right now.' }, { status: 500 });
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Creates the signed /track link for one of the signed-in tenant's repair jobs.
+ * Body: { bookingId }. Returns { url }.
+ */
+import { NextResponse } from 'next/server';
+import { getAdminDb, getRequestUserId, getTenantCollection } from '../../../lib/firebaseAdmin';
+import { getTrackingUrl } from '../../../lib/trackingLinks';
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  const userId = await getRequestUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const { bookingId } = await request.json().catch(() => ({}));
+  if (!bookingId) {
+    return NextResponse.json({ error: 'bookingId is required.' }, { status: 400 });
+  }
+
+  try {
+    const snapshot = await getTenantCollection(getAdminDb(), userId, 'bookings').doc(bookingId).get();
+    if (!snapshot.exists) {
+      return NextResponse.json({ error: 'Repair job not found.' }, { status: 404 });
+    }
+    const baseUrl = process.env.APP_BASE_URL || new URL(request.url).origin;
+    return NextResponse.json({ url: getTrackingUrl(baseUrl, userId, bookingId) });
+  } catch (e) {
+    console.error('Tracking link creation failed:', e);
+    return NextResponse.json({ error: e.message }, { status: 500 });
+  }
+}
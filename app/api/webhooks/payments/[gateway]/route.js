@@ -0,0 +1,38 @@
+/**
+ * Payment notifications from PayFast, Yoco, Stripe or the test gateway. The signature is checked
+ * against the raw body before anything is read from it; the payment is then recorded against the
+ * invoice the payment link was created for.
+ */
+import { NextResponse } from 'next/server';
+import { getAdminDb } from '../../../../../lib/firebaseAdmin';
+import { PAYMENT_GATEWAYS, WebhookVerificationError } from '../../../../../lib/paymentGateways';
+import { recordGatewayPayment } from '../../../../../lib/paymentLinks';
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request, { params }) {
+  // Own keys only, so paths like /constructor do not resolve to inherited properties
+  const gateway = Object.hasOwn(PAYMENT_GATEWAYS, params.gateway) ? PAYMENT_GATEWAYS[params.gateway] : null;
+  // The test gateway only accepts notifications while it is the configured gateway
+  if (!gateway || (params.gateway === 'fake' && process.env.PAYMENT_GATEWAY !== 'fake')) {
+    return NextResponse.json({ error: 'Unknown gateway' }, { status: 404 });
+  }
+
+  const rawBody = await request.text();
+  try {
+    const event = await gateway.parseWebhook(rawBody, request.headers);
+    const outcome = await recordGatewayPayment(getAdminDb(), params.gateway, event);
+    if (outcome.result === 'needs-review') {
+      console.warn(`Payment link ${outcome.linkId} needs review: ${outcome.problem}`);
+    }
+    return NextResponse.json(outcome);
+  } catch (e) {
+    if (e instanceof WebhookVerificationError) {
+      console.warn(`Rejected ${params.gateway} notification:`, e.message);
+      return NextResponse.json({ error: e.message }, { status: 401 });
+    }
+    // A 500 makes the gateway retry the notification later
+    console.error(`Recording ${params.gateway} payment failed:`, e);
+    return NextResponse.json({ error: e.message }, { status: 500 });
+  }
+}
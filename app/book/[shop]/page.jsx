@@ -0,0 +1,185 @@
+'use client';
+
+/**
+ * Public online booking page for one shop. Customers pick a free appointment slot and describe
+ * their repair; everything goes through /api/book/[shop], so the page needs no Firebase session.
+ */
+import React, { useEffect, useState } from 'react';
+
+const formatDate = (isoDate) => new Date(`${isoDate}T00:00:00`).toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+
+const EMPTY_FORM = { customerName: '', customerPhone: '', customerEmail: '', deviceModel: '', deviceIssue: '', comments: '', website: '' };
+
+const Field = ({ label, error, children }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700">{label}</label>
+    {children}
+    {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+  </div>
+);
+
+const BookingConfirmation = ({ shop, confirmation }) => (
+  <div className="bg-white p-6 rounded-xl shadow-lg border space-y-4">
+    <h2 className="text-2xl font-bold text-green-700">Booking Received</h2>
+    <p className="text-gray-700">
+      Thank you. Your appointment with {shop.name || 'us'} is on <span className="font-semibold">{formatDate(confirmation.date)}</span> at <span className="font-semibold">{confirmation.time}</span>.
+    </p>
+    {confirmation.requestNo && (
+      <p className="p-3 rounded-lg bg-indigo-50 border border-indigo-200 text-indigo-900">
+        Your booking number is <span className="font-bold">{confirmation.requestNo}</span>. We have sent it to your phone and will confirm the booking shortly.
+      </p>
+    )}
+    {confirmation.trackingUrl && (
+      <a href={confirmation.trackingUrl} className="inline-block text-indigo-600 hover:text-indigo-800 font-semibold">Follow your repair online</a>
+    )}
+    {shop.contact && <p className="text-xs text-gray-500 border-t pt-3">Need to change your booking? Contact {shop.name || 'us'}: {shop.contact}</p>}
+  </div>
+);
+
+const BookingPage = ({ params }) => {
+  const [page, setPage] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [slot, setSlot] = useState({ date: '', time: '' });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [confirmation, setConfirmation] = useState(null);
+  // Bumped to fetch the free slots again
+  const [availabilityVersion, setAvailabilityVersion] = useState(0);
+
+  useEffect(() => {
+    const loadAvailability = async () => {
+      try {
+        const response = await fetch(`/api/book/${encodeURIComponent(params.shop)}`);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(result.error || 'Online booking is unavailable right now.');
+        setPage(result);
+        setSlot(current => (
+          result.days.some(day => day.date === current.date) ? current : { date: result.days[0]?.date || '', time: '' }
+        ));
+      } catch (e) {
+        setLoadError(e.message);
+      }
+    };
+    loadAvailability();
+  }, [params.shop, availabilityVersion]);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setFieldErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/book/${encodeURIComponent(params.shop)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...form, ...slot }),
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setFieldErrors(result.fields || {});
+        setError(result.error || 'Your booking could not be saved.');
+        // The slot may have been taken in the meantime
+        if (response.status === 409) setAvailabilityVersion(version => version + 1);
+        return;
+      }
+      setConfirmation(result);
+    } catch (err) {
+      setError('Your booking could not be sent. Please check your connection and try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (loadError) {
+    return <div className="max-w-lg mx-auto p-6 pt-12"><div className="p-4 text-red-700 bg-red-100 rounded-lg">{loadError}</div></div>;
+  }
+  if (!page) {
+    return <div className="max-w-lg mx-auto p-6 pt-12 text-gray-500">Loading available times...</div>;
+  }
+
+  const selectedDay = page.days.find(day => day.date === slot.date);
+  const inputClass = (field) => `mt-1 block w-full p-2 border rounded-lg ${fieldErrors[field] ? 'border-red-500' : 'border-gray-300'}`;
+
+  return (
+    <div className="max-w-2xl mx-auto p-6 pt-12">
+      <h1 className="text-3xl font-extrabold text-indigo-800">Book a Repair</h1>
+      <p className="text-gray-600 mb-6">{page.shop.name}{page.shop.address ? ` | ${page.shop.address}` : ''}</p>
+
+      {confirmation ? (
+        <BookingConfirmation shop={page.shop} confirmation={confirmation} />
+      ) : (
+        <form onSubmit={handleSubmit} className="bg-white p-6 rounded-xl shadow-lg border space-y-6">
+          <div>
+            <h2 className="text-lg font-bold text-gray-800 mb-2">1. Choose a time</h2>
+            {page.days.length === 0 ? (
+              <p className="p-3 text-sm text-yellow-800 bg-yellow-100 rounded-lg">
+                There are no free appointments at the moment. {page.shop.contact ? `Please contact us on ${page.shop.contact}.` : 'Please try again later.'}
+              </p>
+            ) : (
+              <>
+                <div className="flex flex-wrap gap-2 mb-3">
+                  {page.days.map(day => (
+                    <button key={day.date} type="button" onClick={() => setSlot({ date: day.date, time: '' })}
+                      className={`px-3 py-2 rounded-lg border text-sm ${slot.date === day.date ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-gray-300 hover:border-indigo-400'}`}>
+                      {formatDate(day.date)}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {selectedDay?.times.map(time => (
+                    <button key={time} type="button" onClick={() => setSlot({ ...slot, time })}
+                      className={`px-3 py-1 rounded-full border text-sm font-mono ${slot.time === time ? 'bg-green-600 border-green-600 text-white' : 'bg-white border-gray-300 hover:border-green-500'}`}>
+                      {time}
+                    </button>
+                  ))}
+                </div>
+                {fieldErrors.slot && <p className="text-xs text-red-600 mt-1">{fieldErrors.slot}</p>}
+              </>
+            )}
+          </div>
+
+          <div className="space-y-4">
+            <h2 className="text-lg font-bold text-gray-800">2. Your details</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Field label="Full Name:" error={fieldErrors.customerName}>
+                <input type="text" value={form.customerName} onChange={(e) => handleChange('customerName', e.target.value)} className={inputClass('customerName')} maxLength={80} required />
+              </Field>
+              <Field label="Phone Number:" error={fieldErrors.customerPhone}>
+                <input type="tel" value={form.customerPhone} onChange={(e) => handleChange('customerPhone', e.target.value)} className={inputClass('customerPhone')} maxLength={30} required />
+              </Field>
+              <Field label="Email (optional):" error={fieldErrors.customerEmail}>
+                <input type="email" value={form.customerEmail} onChange={(e) => handleChange('customerEmail', e.target.value)} className={inputClass('customerEmail')} maxLength={120} />
+              </Field>
+              <Field label="Device Make & Model:" error={fieldErrors.deviceModel}>
+                <input type="text" value={form.deviceModel} onChange={(e) => handleChange('deviceModel', e.target.value)} className={inputClass('deviceModel')} maxLength={80} required />
+              </Field>
+            </div>
+            <Field label="What is wrong with the device?" error={fieldErrors.deviceIssue}>
+              <textarea value={form.deviceIssue} onChange={(e) => handleChange('deviceIssue', e.target.value)} rows="3" className={inputClass('deviceIssue')} maxLength={1000} required />
+            </Field>
+            <Field label="Anything else we should know? (optional)" error={fieldErrors.comments}>
+              <textarea value={form.comments} onChange={(e) => handleChange('comments', e.target.value)} rows="2" className={inputClass('comments')} maxLength={1000} />
+            </Field>
+            {/* Honeypot: hidden from people, filled in by bots */}
+            <div className="hidden" aria-hidden="true">
+              <label>Website <input type="text" tabIndex={-1} autoComplete="off" value={form.website} onChange={(e) => handleChange('website', e.target.value)} /></label>
+            </div>
+          </div>
+
+          {error && <div className="p-3 text-sm text-red-700 bg-red-100 rounded-lg">{error}</div>}
+          <button type="submit" disabled={isSubmitting || !slot.time} className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-4 rounded-lg shadow-md disabled:opacity-50">
+            {isSubmitting ? 'Booking...' : slot.time ? `Book ${formatDate(slot.date)} at ${slot.time}` : 'Choose a time to book'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default BookingPage;
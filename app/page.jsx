@@ -1,8 +1,30 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signOut, updatePassword as firebaseUpdatePassword } from 'firebase/auth';
-import { getFirestore, doc, setDoc, onSnapshot, collection, query, updateDoc, getDoc, addDoc } from 'firebase/firestore';
+import { getFirestore, doc, setDoc, onSnapshot, collection, query, updateDoc, getDoc, addDoc, runTransaction, writeBatch, where } from 'firebase/firestore';
 import { setLogLevel } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator, ref as storageRef, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { DEFAULT_VAT_RATE, TAX_CATEGORIES, calculateDocumentTotals, getStoredTotals, getLineTaxCategory, allocateCents, toCents, fromCents } from '../lib/invoiceCalculator';
+import { AGEING_BUCKETS, buildCustomerStatement, isIssuedInvoice, listStatementCustomers } from '../lib/customerStatement';
+import { ACCOUNT_ROLES, EXPORT_FORMATS, buildAccountingExport, getAccountMapping } from '../lib/accountingExport';
+import { VAT201_FIELDS, VAT_CATEGORIES, DEFAULT_VAT_CATEGORY, buildVatReport, buildVatReportCsv, getFieldDocuments, getVatPeriods } from '../lib/vatReport';
+import { MATCH_TYPES, getOpenInvoices, parseBankStatement, suggestInvoiceMatch } from '../lib/bankStatement';
+import { PAYABLE_INVOICE_STATUSES, getInvoiceBalance, getInvoicePaymentStatus, roundCurrency } from '../lib/invoicePayments';
+import { DOCUMENT_NUMBERING_DEFAULTS, MAX_NUMBER_SKIPS, formatDocumentNumber, getNumberingConfig } from '../lib/documentNumbers';
+import { RECURRING_FREQUENCIES, RECURRING_MODES, getNextRunDate, getRunIndexFrom, getScheduleTemplate } from '../lib/recurringSchedule';
+import { QUOTATION_ACCEPTED_BY, QUOTATION_STATUSES, buildBookingFromQuotation, canAcceptQuotation, getDeductibleSplit, getQuotationInvoiceFields } from '../lib/quotationConversion';
+import { REPAIR_STATUS_NEXT, REPAIR_STATUS_ORDER, REPAIR_STATUS_REQUIREMENTS, canTransition, getAllowedTransitions, getMissingRequirements, getTransitionError } from '../lib/repairStatus';
+import { DOCUMENT_LAYOUTS, DOCUMENT_TERMS, LOGO_MAX_BYTES, LOGO_MAX_HEIGHT, LOGO_MAX_WIDTH, fitWithin, getBranding, getContrastColor, hexToRgb, isHexColor } from '../lib/documentBranding';
+import { CALENDAR_VIEWS, CLOSED_BOOKING_STATUSES, UNASSIGNED_LANE, getBookingCalendarDate, getBookingTechnician, getCalendarDays, getTechnicianLanes, groupBookingsByDate, shiftCalendarAnchor } from '../lib/bookingCalendar';
+import { DEFAULT_STATUS_TEMPLATES, DELIVERY_STATUSES, NOTIFICATION_CHANNELS, NOTIFICATION_PLACEHOLDERS, getNotificationSettings } from '../lib/notificationTemplates';
+import { BOOKING_EVENT_TYPES, buildBookingCreatedEvent, buildBookingEvent, buildTurnaroundMetrics, formatDuration, formatHistoryValue, getStatusPeriods } from '../lib/bookingHistory';
+import { encodeCode128, getQrModules } from '../lib/barcodes';
+import { EMPTY_INTAKE, INTAKE_ACCESSORIES, INTAKE_CHECKS, INTAKE_PASSCODE_OPTIONS, INTAKE_PHOTO_LIMIT, INTAKE_PHOTO_MAX_BYTES, INTAKE_PHOTO_MAX_SIZE, getIntakePhotoName, getIntakeRows, getMissingIntakeChecks } from '../lib/deviceIntake';
+import { findScannedBooking, searchBookings } from '../lib/scanLookup';
+import { getTrackingLookupPath } from '../lib/repairTracking';
+import { ESC_POS_OUTPUTS, LABEL_SIZES, RECEIPT_COLUMNS, SERIAL_BAUD_RATES, SLIP_FORMATS, buildBookInSlipEscPos, buildDeviceLabelEscPos, getBookInSlipRows, getPrintSettings } from '../lib/thermalPrinting';
+import { WEEKDAYS, getBookingPageSettings, isValidSlug, slugify } from '../lib/bookingSlots';
+import { PAYMENT_TERMS, DEFAULT_PAYMENT_TERMS_DAYS, REMINDER_CHANNELS, calculateDueDate, getDaysOverdue, getInvoiceDisplayStatus, getPaymentTermsLabel, getReminderSettings, toIsoDate } from '../lib/paymentTerms';
 
 // --- GLOBAL VARIABLES (Provided by Canvas Environment) ---
 // We use these variables to connect to the secured Firestore instance.
@@ -24,6 +46,19 @@ const CURRENCIES = [
   { code: 'EUR', name: 'Euro', symbol: '€' },
 ];
 
+// Once an invoice reaches one of these statuses it can no longer be edited in place
+const LOCKED_INVOICE_STATUSES = ['Sent', 'Partially Paid', 'Paid', 'Superseded', 'Credited'];
+
+// Credit notes can only be issued against invoices in these statuses
+const CREDITABLE_INVOICE_STATUSES = ['Sent', 'Partially Paid', 'Paid'];
+
+const CREDIT_NOTE_REASONS = ['Failed Repair', 'Warranty Return', 'Pricing Error', 'Goodwill', 'Other'];
+
+const PAYMENT_METHODS = ['Cash', 'Card', 'EFT'];
+
+// Invoice fields compared when recording what changed between revisions
+const INVOICE_REVISION_FIELDS = ['date', 'paymentTermsDays', 'dueDate', 'customerName', 'customerPhone', 'customerEmail', 'customerAddress', 'billTo', 'items', 'pricesIncludeVat', 'invoiceDiscount', 'isVatExempt', 'taxRate', 'subtotal', 'discountTotal', 'taxAmount', 'totalAmount', 'vatBreakdown', 'bankingDetails', 'status'];
+
 // --- UTILITIES ---
 
 const getTenantPath = (userId, collectionName) => {
@@ -43,293 +78,4167 @@ const formatCurrency = (amount, currencyCode) => {
   return `${currency.symbol} ${(amount || 0).toFixed(2)}`;
 };
 
-/**
- * Mocks sending an SMS/WhatsApp status update to the customer.
- */
-const sendStatusNotification = (customerPhone, customerName, invoiceNo, status) => {
-  const message = `Hello ${customerName}, your repair #${invoiceNo} is now in status: ${status}. We will contact you upon completion. (Digital Cafe)`;
-  console.log(`[MOCK NOTIFICATION SENT] To: ${customerPhone} | Message: ${message}`);
-  // Using custom modal instead of alert
-  const notificationBox = document.createElement('div');
-  notificationBox.className = 'fixed top-4 right-4 bg-blue-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-  notificationBox.innerHTML = `
-    <h4 class="font-bold">Status Update Sent!</h4>
-    <p class="text-sm">To: ${customerPhone}</p>
-    <p class="text-xs italic">${message}</p>
-  `;
-  document.body.appendChild(notificationBox);
-  
-  setTimeout(() => {
-    notificationBox.style.opacity = '0';
-    setTimeout(() => notificationBox.remove(), 500);
-  }, 4000);
+// The VAT rate new documents are calculated at; older invoices keep the rate stored on them
+const getShopVatRate = (shopProfile) => {
+  const rate = parseFloat(shopProfile?.vatRate);
+  return Number.isFinite(rate) && rate >= 0 ? rate : DEFAULT_VAT_RATE;
 };
 
-// --- AUTHENTICATION AND INITIALIZATION ---
+const getShopPaymentTermsDays = (shopProfile) => shopProfile?.paymentTermsDays ?? DEFAULT_PAYMENT_TERMS_DAYS;
 
-const AuthLoader = ({ children }) => {
-  const [error, setError] = useState(null);
-  const [appServices, setAppServices] = useState(null);
+// Keeps the due date in step with the invoice date and terms; invoices saved before terms existed have neither
+const withDueDate = (invoice) => (
+  invoice.paymentTermsDays === undefined || !invoice.date
+    ? invoice
+    : { ...invoice, dueDate: calculateDueDate(invoice.date, invoice.paymentTermsDays) }
+);
 
-  useEffect(() => {
-    const initFirebase = async () => {
-      // DEBUG LOG: Confirm configuration state
-      console.log('Firebase Init Check: Config keys:', Object.keys(firebaseConfig).length, 'App ID:', appId, 'Auth Token presence:', !!initialAuthToken);
-      
-      try {
-        if (Object.keys(firebaseConfig).length === 0) {
-          setError("Firebase Config is missing. Cannot initialize app.");
-          return;
-        }
-        
-        const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
-        const authInstance = getAuth(app);
-        setLogLevel('debug');
+const getInvoiceRevisionsRef = (db, userId, invoiceId) => {
+  // Revisions are stored as a subcollection: invoices/{invoiceId}/revisions
+  return collection(db, getTenantPath(userId, 'invoices'), invoiceId, 'revisions');
+};
 
-        const handleAuth = (user) => {
-          let currentUserId = user ? user.uid : null;
-          
-          if (user) {
-            console.log("Auth State Changed: Signed in. User ID:", currentUserId);
-            // Once auth state is set, set the services object
-            setAppServices({ db: firestore, auth: authInstance, userId: currentUserId });
-          } else {
-            console.log("Auth State Changed: Not signed in. Attempting token/anonymous sign-in.");
-            const attemptSignIn = async () => {
-              try {
-                if (initialAuthToken) { 
-                  await signInWithCustomToken(authInstance, initialAuthToken);
-                  // The onAuthStateChanged listener will catch the success case.
-                } else {
-                  await signInAnonymously(authInstance);
-                  // The onAuthStateChanged listener will catch the success case.
-                }
-              } catch (e) {
-                console.error("Authentication attempt failed:", e);
-                // If sign-in fails, proceed with null userId
-                setAppServices({ db: firestore, auth: authInstance, userId: null });
-              }
-            };
-            attemptSignIn();
-          }
-        };
+const getInvoiceChanges = (before, after) => INVOICE_REVISION_FIELDS
+  .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+  .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
 
-        const unsubscribe = onAuthStateChanged(authInstance, handleAuth);
-        
-        // Return cleanup function
-        return function cleanup() {
-          unsubscribe();
-        };
+const getBookingEventsRef = (db, userId) => collection(db, getTenantPath(userId, 'bookingEvents'));
 
-      } catch (e) {
-        console.error("Firebase Initialization Error:", e);
-        setError(`Initialization Error: ${e.message}`);
-      }
-    };
+/**
+ * Saves a change to a repair job together with its history event in one transaction, so the event's
+ * old values are the ones actually replaced. `getUpdate(current)` returns the fields to write and may
+ * throw to stop the save. Returns the event, or null when nothing tracked changed.
+ */
+const updateBookingWithHistory = (db, userId, bookingId, getUpdate, actor, note = '') => runTransaction(db, async (transaction) => {
+  const bookingRef = doc(db, getTenantPath(userId, 'bookings'), bookingId);
+  const snapshot = await transaction.get(bookingRef);
+  if (!snapshot.exists()) throw new Error('Repair job not found.');
+  const current = snapshot.data();
+  const update = getUpdate(current);
+  const now = new Date().toISOString();
+  const event = buildBookingEvent(bookingId, current, update, { actor, at: now, note });
+  transaction.update(bookingRef, { ...update, updatedAt: now });
+  if (event) transaction.set(doc(getBookingEventsRef(db, userId)), event);
+  return event;
+});
 
-    initFirebase();
-  }, []); // Empty dependency array means this runs only once on mount
+/**
+ * Writes a new invoice and its first revision record inside an open transaction. `invoiceNo` must be
+ * allocated in the same transaction. Returns { id, invoice } with the invoice as stored.
+ */
+const writeNewInvoice = (transaction, db, userId, invoiceNo, invoiceData, changedBy, note = '') => {
+  const now = new Date().toISOString();
+  const invoiceRef = doc(collection(db, getTenantPath(userId, 'invoices')));
+  const storedInvoice = {
+    amountPaid: 0,
+    balanceDue: invoiceData.totalAmount,
+    ...invoiceData,
+    invoiceNo,
+    revision: 1,
+    createdAt: now,
+    updatedAt: now,
+  };
 
-  if (error) {
-    return <div className="p-8 text-center text-red-600 bg-red-100 rounded-lg shadow-lg m-8 font-mono">Error: {error}</div>;
-  }
+  transaction.set(invoiceRef, storedInvoice);
+  transaction.set(doc(getInvoiceRevisionsRef(db, userId, invoiceRef.id)), {
+    revision: 1,
+    action: 'Created',
+    changedBy,
+    changedAt: now,
+    note,
+    changes: [],
+    snapshot: storedInvoice,
+  });
+  return { id: invoiceRef.id, invoice: storedInvoice };
+};
 
-  // Check for readiness of the final app services object
-  if (!appServices) {
-    return (
-      <div className="flex items-center justify-center min-h-screen bg-gray-50">
-        <div className="text-xl font-semibold text-gray-700">Loading Secure Dashboard...</div>
-      </div>
-    );
+/**
+ * Numbers and stores a new invoice together with its first revision record in one transaction.
+ * Returns { id, invoiceNo }.
+ */
+const createInvoiceWithRevision = (db, userId, shopProfile, invoiceData, changedBy, note = '') => runTransaction(db, async (transaction) => {
+  const invoiceNo = await allocateDocumentNumber(transaction, db, userId, shopProfile, 'invoice');
+  const { id } = writeNewInvoice(transaction, db, userId, invoiceNo, invoiceData, changedBy, note);
+  return { id, invoiceNo };
+});
+
+/**
+ * Writes one payment inside an open transaction: the payment document, the invoice's running
+ * balance/status and a revision record. `current` is the invoice as read in the same transaction.
+ */
+const writeInvoicePayment = (transaction, db, userId, invoiceId, current, { tenders, date, reference = '', note = '', recordedBy, source = {} }) => {
+  const amount = roundCurrency(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+  if (!PAYABLE_INVOICE_STATUSES.includes(current.status)) {
+    throw new Error(`Payments cannot be recorded against a ${current.status} invoice.`);
+  }
+  const balanceBefore = getInvoiceBalance(current);
+  if (amount > balanceBefore) {
+    throw new Error(`Payment of ${amount.toFixed(2)} exceeds the outstanding balance of ${balanceBefore.toFixed(2)} on ${current.invoiceNo}.`);
   }
 
-  // Pass down the initialized services and the user ID
-  return children(appServices);
+  const now = new Date().toISOString();
+  const amountPaid = roundCurrency((current.amountPaid || 0) + amount);
+  const balanceDue = roundCurrency(balanceBefore - amount);
+  const status = getInvoicePaymentStatus(current.totalAmount, amountPaid, current.amountCredited || 0);
+  const revision = (current.revision || 1) + 1;
+  const paymentRef = doc(collection(db, getTenantPath(userId, 'payments')));
+
+  transaction.set(paymentRef, {
+    type: 'Payment',
+    invoiceId,
+    invoiceNo: current.invoiceNo,
+    customerName: current.customerName,
+    customerPhone: current.customerPhone,
+    amount,
+    tenders,
+    method: tenders.length > 1 ? 'Split' : tenders[0].method,
+    reference,
+    note,
+    date: date || now.substring(0, 10),
+    ...source,
+    recordedBy,
+    recordedAt: now,
+  });
+  transaction.update(doc(db, getTenantPath(userId, 'invoices'), invoiceId), { amountPaid, balanceDue, status, revision, updatedAt: now });
+  transaction.set(doc(getInvoiceRevisionsRef(db, userId, invoiceId)), {
+    revision,
+    action: 'Payment Recorded',
+    changedBy: recordedBy,
+    changedAt: now,
+    note: `${tenders.map(tender => `${tender.method} ${tender.amount.toFixed(2)}`).join(' + ')}${reference ? ` (Ref: ${reference})` : ''}`,
+    changes: getInvoiceChanges(current, { ...current, status }),
+    snapshot: { ...current, amountPaid, balanceDue, status, revision, updatedAt: now },
+  });
+
+  return { paymentId: paymentRef.id, amount, amountPaid, balanceDue, status };
 };
 
-// --- SUBSCRIPTION GATE COMPONENT (MOCK) ---
+/**
+ * Records a payment (one or more tenders, e.g. part cash and part card) against an invoice.
+ * Everything is written in one transaction so the ledger and the invoice can never disagree.
+ */
+const recordInvoicePayment = async (db, userId, invoiceId, { tenders, ...details }) => {
+  const validTenders = tenders
+    .map(tender => ({ method: tender.method, amount: roundCurrency(parseFloat(tender.amount)) }))
+    .filter(tender => tender.amount > 0);
+  if (validTenders.length === 0) throw new Error('Payment amount must be greater than zero.');
+
+  const invoiceRef = doc(db, getTenantPath(userId, 'invoices'), invoiceId);
+
+  return runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(invoiceRef);
+    if (!snapshot.exists()) throw new Error('Invoice not found.');
+    return writeInvoicePayment(transaction, db, userId, invoiceId, snapshot.data(), { tenders: validTenders, ...details });
+  });
+};
 
-const SubscriptionGate = ({ shopProfile, db, userId, onSubscribeSuccess }) => {
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [subError, setSubError] = useState(null);
+/**
+ * Allocates a bank statement credit to one or more invoices, posting an EFT payment to each, and
+ * marks the bank line as matched. All of it happens in one transaction, so a line can never be
+ * allocated twice or left half-posted.
+ */
+const allocateBankTransaction = async (db, userId, bankTransactionId, allocations, { recordedBy, matchType = 'manual' }) => {
+  const validAllocations = allocations
+    .map(allocation => ({ invoiceId: allocation.invoiceId, amount: roundCurrency(parseFloat(allocation.amount)) }))
+    .filter(allocation => allocation.invoiceId && allocation.amount > 0);
+  if (validAllocations.length === 0) throw new Error('Allocate an amount to at least one invoice.');
+  if (new Set(validAllocations.map(allocation => allocation.invoiceId)).size !== validAllocations.length) {
+    throw new Error('Each invoice can only be allocated once per bank line.');
+  }
 
-  const handleSubscribe = async () => {
-    if (!db || !userId) {
-      setSubError("Database or User ID not available.");
-      return;
-    }
-    setIsProcessing(true);
-    setSubError(null);
+  const bankTransactionRef = doc(db, getTenantPath(userId, 'bankTransactions'), bankTransactionId);
 
-    try {
-      // 1. Mock Payment Processing (Simulate Stripe delay)
-      await new Promise(resolve => setTimeout(resolve, 3000));
+  return runTransaction(db, async (transaction) => {
+    const bankSnapshot = await transaction.get(bankTransactionRef);
+    if (!bankSnapshot.exists()) throw new Error('Bank transaction not found.');
+    const bankLine = bankSnapshot.data();
+    if (bankLine.status !== 'Unmatched') throw new Error(`This bank line is already ${bankLine.status}.`);
 
-      // 2. Update Subscription Status in Firestore
-      const docRef = getShopProfileRef(db, userId);
+    const allocatedTotal = roundCurrency(validAllocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+    if (allocatedTotal > bankLine.amount) {
+      throw new Error(`Allocations of ${allocatedTotal.toFixed(2)} exceed the bank credit of ${bankLine.amount.toFixed(2)}.`);
+    }
 
-      await updateDoc(docRef, {
-        subscription_status: 'active',
-        subscription_start: new Date().toISOString(),
-        plan: 'PRO',
+    // Firestore transactions need every read before the first write
+    const invoiceSnapshots = [];
+    for (const allocation of validAllocations) {
+      const snapshot = await transaction.get(doc(db, getTenantPath(userId, 'invoices'), allocation.invoiceId));
+      if (!snapshot.exists()) throw new Error('Invoice not found.');
+      invoiceSnapshots.push(snapshot);
+    }
+
+    const reference = [bankLine.description, bankLine.reference].filter(Boolean).join(' ').substring(0, 100);
+    const postedAllocations = validAllocations.map((allocation, index) => {
+      const current = invoiceSnapshots[index].data();
+      const result = writeInvoicePayment(transaction, db, userId, allocation.invoiceId, current, {
+        tenders: [{ method: 'EFT', amount: allocation.amount }],
+        date: bankLine.date,
+        reference,
+        note: 'Bank statement reconciliation',
+        recordedBy,
+        source: { bankTransactionId },
       });
+      return { invoiceId: allocation.invoiceId, invoiceNo: current.invoiceNo, amount: allocation.amount, paymentId: result.paymentId };
+    });
 
-      // 3. Inform parent component and log
-      onSubscribeSuccess();
-      console.log("Subscription activated successfully in Firestore.");
+    transaction.update(bankTransactionRef, {
+      status: 'Matched',
+      matchType,
+      allocations: postedAllocations,
+      unallocatedAmount: roundCurrency(bankLine.amount - allocatedTotal),
+      matchedBy: recordedBy,
+      matchedAt: new Date().toISOString(),
+    });
+    return postedAllocations;
+  });
+};
 
-    } catch (e) {
-      console.error("Subscription update failed:", e);
-      setSubError(`Payment failed. Please try again. Error: ${e.message}`);
-    } finally {
-      setIsProcessing(false);
-    }
-  };
+/**
+ * POSTs `body` as JSON to one of the app's API routes, signed in as the current user, and returns
+ * the parsed response. Throws with the route's error message when the request fails.
+ */
+const callAuthedApi = async (auth, path, body) => {
+  if (!auth?.currentUser) throw new Error('Not signed in.');
+  const idToken = await auth.currentUser.getIdToken();
+  const response = await fetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${idToken}` },
+    body: JSON.stringify(body),
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(result.error || `Request failed with status ${response.status}.`);
+  return result;
+};
 
-  return (
-    <div className="min-h-screen flex items-center justify-center bg-gray-100">
-      <div className="bg-white p-10 rounded-xl shadow-2xl w-full max-w-lg text-center border-t-8 border-indigo-600">
-        <h2 className="text-3xl font-extrabold text-indigo-800 mb-4">Access Restricted</h2>
-        <p className="text-xl text-gray-700 mb-6">
-          Your shop subscription is currently <span className="font-bold text-red-600">{(shopProfile?.subscription_status || 'LOADING').toUpperCase()}</span>.
-          Please subscribe to unlock the full platform features.
-        </p>
+/**
+ * Asks the server to create a hosted payment link for a sent invoice's outstanding balance. The
+ * server stores the link on the invoice, so open listeners pick it up without a refresh.
+ */
+const requestInvoicePaymentLink = (auth, invoiceId) => callAuthedApi(auth, '/api/payment-links', { invoiceId });
 
-        {subError && (
-          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm font-mono">
-            Error: {subError}
-          </div>
-        )}
+/**
+ * Asks the server for the signed /track link of a repair job, for the customer to follow.
+ */
+const requestTrackingLink = async (auth, bookingId) => (await callAuthedApi(auth, '/api/tracking-links', { bookingId })).url;
+
+// Page addresses are unique across shops, so the server claims them before the profile is saved
+const requestBookingPageSlug = async (auth, slug) => (await callAuthedApi(auth, '/api/booking-page', { slug })).slug;
+
+// Sending must not fail because the gateway is down, so a missing link is reported and can be retried
+const addPaymentLinkToSentInvoice = async (auth, invoiceId, invoiceNo) => {
+  try {
+    await requestInvoicePaymentLink(auth, invoiceId);
+  } catch (e) {
+    console.error("Error creating payment link:", e);
+    showNotification('Payment Link Not Created', `Invoice #${invoiceNo} was saved, but its payment link could not be created: ${e.message}`, 'bg-orange-600');
+  }
+};
 
-        <div className="text-lg text-gray-600 mb-8">
-          Monthly Fee: <span className="font-extrabold text-indigo-600">R 179.00</span> (approx. $10 USD)
-        </div>
+/**
+ * Works out the lines and totals of a credit note against an invoice without writing anything,
+ * so the issue form can preview exactly what issueCreditNote will store.
+ * Credited lines carry the VAT-exclusive value the customer actually paid for them (after line and
+ * invoice discounts) and keep their tax category, so VAT is reversed per category. A credit by
+ * amount is VAT-inclusive and apportioned across the invoice's categories.
+ */
+const buildCreditNoteDocument = (invoice, { mode, lines = [], amount = 0, reason }) => {
+  const calculation = calculateDocumentTotals(invoice);
+  const creditedQuantities = { ...(invoice.creditedQuantities || {}) };
+  let items;
+  let pricesIncludeVat = false;
+
+  if (mode === 'items') {
+    items = lines.filter(line => line.qty > 0).map(line => {
+      const sourceIndex = invoice.items.findIndex(item => String(item.id) === String(line.itemId));
+      if (sourceIndex === -1) throw new Error('A selected line item no longer exists on the invoice.');
+      const sourceItem = invoice.items[sourceIndex];
+      const alreadyCredited = creditedQuantities[sourceItem.id] || 0;
+      if (line.qty > sourceItem.qty - alreadyCredited) {
+        throw new Error(`Only ${sourceItem.qty - alreadyCredited} of "${sourceItem.description}" can still be credited.`);
+      }
+      creditedQuantities[sourceItem.id] = alreadyCredited + line.qty;
+      const exclusiveCents = Math.round((calculation.lines[sourceIndex].exclusiveCents * line.qty) / sourceItem.qty);
+      return {
+        id: sourceItem.id,
+        description: line.qty === 1 ? sourceItem.description : `${sourceItem.description} (x${line.qty})`,
+        qty: 1,
+        creditedQty: line.qty,
+        unitPrice: fromCents(exclusiveCents),
+        discountPercent: 0,
+        taxCategory: calculation.lines[sourceIndex].taxCategory,
+      };
+    });
+  } else {
+    const categories = Object.keys(calculation.vatBreakdown)
+      .filter(category => calculation.vatBreakdown[category].taxable !== 0);
+    const weights = categories.map(category => toCents(calculation.vatBreakdown[category].taxable + calculation.vatBreakdown[category].vat));
+    const shares = allocateCents(toCents(amount), weights);
+    pricesIncludeVat = true;
+    items = categories
+      .map((category, index) => ({
+        id: `${Date.now()}-${category}`,
+        description: categories.length > 1 ? `Credit: ${reason} (${TAX_CATEGORIES[category].label})` : `Credit: ${reason}`,
+        qty: 1,
+        unitPrice: fromCents(shares[index]),
+        discountPercent: 0,
+        taxCategory: category,
+      }))
+      .filter(item => item.unitPrice > 0);
+  }
 
-        <button
-          onClick={handleSubscribe}
-          disabled={isProcessing}
-          className={`w-full py-3 px-6 rounded-lg text-white font-bold transition duration-300 ${isProcessing ? 'bg-indigo-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700 shadow-lg'}`}
-        >
-          {isProcessing ? (
-            <div className="flex items-center justify-center">
-              <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-              </svg>
-              Processing Payment...
-            </div>
-          ) : (
-            'Subscribe Now ($10 USD / month)'
-          )}
-        </button>
-      </div>
-    </div>
-  );
+  const { items: calculatedItems, ...totals } = getStoredTotals({ items, taxRate: invoice.taxRate, pricesIncludeVat });
+  // Amount credits are stored VAT-exclusive like every other credit note line
+  const storedItems = pricesIncludeVat
+    ? calculatedItems.map(item => ({ ...item, unitPrice: totals.vatBreakdown[item.taxCategory].taxable, total: totals.vatBreakdown[item.taxCategory].taxable }))
+    : calculatedItems;
+  return { items: storedItems, creditedQuantities, totals };
 };
 
+/**
+ * Issues a credit note against an invoice, either for selected line items (with quantities)
+ * or for a VAT-inclusive amount. VAT is reversed per tax category at the invoice's own rate. If the credit
+ * exceeds what is still owed, the difference is refunded and logged as a negative payment.
+ * The credit note number is allocated in the same transaction.
+ */
+const issueCreditNote = async (db, userId, shopProfile, invoiceId, { mode, lines = [], amount = 0, reason, date, refund = {}, issuedBy }) => {
+  const invoiceRef = doc(db, getTenantPath(userId, 'invoices'), invoiceId);
+  const creditNoteRef = doc(collection(db, getTenantPath(userId, 'creditNotes')));
+  const refundRef = doc(collection(db, getTenantPath(userId, 'payments')));
+
+  return runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(invoiceRef);
+    if (!snapshot.exists()) throw new Error('Invoice not found.');
+    const current = snapshot.data();
+
+    if (!CREDITABLE_INVOICE_STATUSES.includes(current.status)) {
+      throw new Error(`A credit note cannot be issued against a ${current.status} invoice.`);
+    }
 
-// --- MODULES ---
+    const { items, creditedQuantities, totals } = buildCreditNoteDocument(current, { mode, lines, amount, reason });
+    const { totalAmount } = totals;
+    if (totalAmount <= 0) throw new Error('Select at least one line item or enter an amount to credit.');
 
-const InvoiceHistory = ({ db, userId, shopProfile }) => {
-  const [invoices, setInvoices] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [searchTerm, setSearchTerm] = useState('');
+    const creditable = roundCurrency(current.totalAmount - (current.amountCredited || 0));
+    if (totalAmount > creditable) {
+      throw new Error(`Credit of ${totalAmount.toFixed(2)} exceeds the ${creditable.toFixed(2)} still creditable on this invoice.`);
+    }
 
-  const currentCurrency = shopProfile?.currency || 'ZAR';
+    // Anything beyond the outstanding balance has already been paid and must go back to the customer
+    const refundAmount = roundCurrency(Math.max(0, totalAmount - getInvoiceBalance(current)));
+    if (refundAmount > 0 && !refund.method) throw new Error('Select how the refund will be paid to the customer.');
+
+    const creditNoteNo = await allocateDocumentNumber(transaction, db, userId, shopProfile, 'creditNote');
+    const now = new Date().toISOString();
+    const amountCredited = roundCurrency((current.amountCredited || 0) + totalAmount);
+    const amountPaid = roundCurrency((current.amountPaid || 0) - refundAmount);
+    const balanceDue = roundCurrency(current.totalAmount - amountPaid - amountCredited);
+    const status = getInvoicePaymentStatus(current.totalAmount, amountPaid, amountCredited);
+    const revision = (current.revision || 1) + 1;
+
+    const creditNote = {
+      documentType: 'Credit Note',
+      creditNoteNo,
+      date: date || now.substring(0, 10),
+      invoiceId,
+      invoiceNo: current.invoiceNo,
+      customerName: current.customerName,
+      customerPhone: current.customerPhone,
+      customerAddress: current.customerAddress,
+      billTo: current.billTo,
+      reason,
+      ...totals,
+      items,
+      taxRate: current.taxRate,
+      pricesIncludeVat: false,
+      refund: refundAmount > 0 ? { amount: refundAmount, method: refund.method, reference: refund.reference || '', paymentId: refundRef.id } : null,
+      status: 'Issued',
+      shopProfile: current.shopProfile || null,
+      issuedBy,
+      createdAt: now,
+    };
+    transaction.set(creditNoteRef, creditNote);
+
+    if (refundAmount > 0) {
+      transaction.set(refundRef, {
+        type: 'Refund',
+        invoiceId,
+        invoiceNo: current.invoiceNo,
+        creditNoteId: creditNoteRef.id,
+        creditNoteNo,
+        customerName: current.customerName,
+        customerPhone: current.customerPhone,
+        amount: -refundAmount,
+        tenders: [{ method: refund.method, amount: -refundAmount }],
+        method: refund.method,
+        reference: refund.reference || creditNoteNo,
+        note: reason,
+        date: creditNote.date,
+        recordedBy: issuedBy,
+        recordedAt: now,
+      });
+    }
 
-  useEffect(() => {
-    if (!db || !userId) return;
+    transaction.update(invoiceRef, { amountCredited, amountPaid, balanceDue, status, creditedQuantities, revision, updatedAt: now });
+    transaction.set(doc(getInvoiceRevisionsRef(db, userId, invoiceId)), {
+      revision,
+      action: 'Credit Note Issued',
+      changedBy: issuedBy,
+      changedAt: now,
+      note: `Credit note #${creditNoteNo} for ${totalAmount.toFixed(2)} (${reason})${refundAmount > 0 ? `, refunded ${refundAmount.toFixed(2)} by ${refund.method}` : ''}`,
+      changes: getInvoiceChanges(current, { ...current, status }),
+      snapshot: { ...current, amountCredited, amountPaid, balanceDue, status, creditedQuantities, revision, updatedAt: now },
+    });
 
-    // Use the correctly structured tenant path for collections
-    const invoicesCollectionRef = collection(db, getTenantPath(userId, 'invoices'));
-    const q = query(invoicesCollectionRef);
+    return { creditNoteId: creditNoteRef.id, creditNoteNo, totalAmount, refundAmount, status };
+  });
+};
 
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const invoicesList = [];
-      snapshot.forEach(doc => {
-        invoicesList.push({ id: doc.id, ...doc.data() });
-      });
-      setInvoices(invoicesList.sort((a, b) => new Date(b.date) - new Date(a.date)));
-      setIsLoading(false);
-    }, (e) => {
-      console.error("Error fetching invoices:", e);
-      setError("Failed to load invoice history.");
-      setIsLoading(false);
-    });
+/**
+ * Allocates the next sequential document number (invoice, credit note, repair job, online request,
+ * quotation) inside the transaction that creates the document, so a save that fails never uses up a
+ * number. The counter lives at counters/{type} and every issued number is registered in
+ * documentNumbers/{number}; concurrent allocations retry instead of sharing a number, and a number
+ * that already exists (e.g. after a prefix change) is skipped. It reads before it writes, so callers
+ * must do all of their own reads first.
+ */
+const allocateDocumentNumber = async (transaction, db, userId, shopProfile, type) => {
+  const { prefix, padding } = getNumberingConfig(shopProfile, type);
+  const counterRef = doc(db, getTenantPath(userId, 'counters'), type);
+  const counterSnap = await transaction.get(counterRef);
+  let sequence = counterSnap.exists() ? counterSnap.data().next : 1;
+
+  for (let attempt = 0; attempt < MAX_NUMBER_SKIPS; attempt++) {
+    const number = formatDocumentNumber(prefix, padding, sequence);
+    const registryRef = doc(db, getTenantPath(userId, 'documentNumbers'), number);
+    const registrySnap = await transaction.get(registryRef);
+
+    if (!registrySnap.exists()) {
+      const now = new Date().toISOString();
+      transaction.set(counterRef, { next: sequence + 1, prefix, padding, updatedAt: now }, { merge: true });
+      transaction.set(registryRef, { type, sequence, allocatedAt: now });
+      return number;
+    }
+    sequence++;
+  }
+  throw new Error(`Could not allocate a unique ${type} number after ${MAX_NUMBER_SKIPS} attempts. Check the numbering settings.`);
+};
 
-    return () => unsubscribe();
-  }, [db, userId]);
+/**
+ * Shows a temporary toast in the top-right corner (custom modal instead of alert).
+ * color is a Tailwind background class, e.g. 'bg-green-600'. Title and text are shown as plain
+ * text, never parsed as HTML, since they often hold customer details and server error messages.
+ */
+const showNotification = (title, text, color = 'bg-blue-600') => {
+  const notificationBox = document.createElement('div');
+  notificationBox.className = `fixed top-4 right-4 ${color} text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500`;
+  const heading = document.createElement('h4');
+  heading.className = 'font-bold';
+  heading.textContent = title;
+  const message = document.createElement('p');
+  message.className = 'text-sm';
+  message.textContent = text;
+  notificationBox.append(heading, message);
+  document.body.appendChild(notificationBox);
+  setTimeout(() => {
+    notificationBox.style.opacity = '0';
+    setTimeout(() => notificationBox.remove(), 500);
+  }, 4000);
+};
 
-  const filteredInvoices = useMemo(() => {
-    if (!searchTerm) return invoices;
-    const lowerCaseSearch = searchTerm.toLowerCase();
-    return invoices.filter(invoice =>
-      invoice.invoiceNo.toLowerCase().includes(lowerCaseSearch) ||
-      invoice.customerName.toLowerCase().includes(lowerCaseSearch) ||
-      invoice.customerPhone.toLowerCase().includes(lowerCaseSearch)
-    );
-  }, [invoices, searchTerm]);
+const requestCustomerNotification = async (auth, bookingId, status) => (await callAuthedApi(auth, '/api/notifications', { bookingId, status })).results;
 
-  if (isLoading) return <div className="p-8 text-center text-gray-600">Loading invoice history...</div>;
-  if (error) return <div className="p-8 text-center text-red-600 bg-red-100 rounded-lg">{error}</div>;
+const requestNotificationRetry = (auth, notificationId) => callAuthedApi(auth, '/api/notifications/retry', { notificationId });
 
-  return (
-    <div className="p-6 bg-white rounded-xl shadow-lg">
-      <h2 className="text-2xl font-bold mb-4 text-indigo-800">Invoice History ({invoices.length})</h2>
+// One line per channel for toasts and bulk summaries, e.g. "SMS sent to 082..., Email failed: ..."
+const describeDeliveryResults = (results) => results.map(({ channel, to, status, lastError }) => {
+  const label = NOTIFICATION_CHANNELS[channel] || channel;
+  if (status === 'sent') return `${label} sent to ${to}`;
+  if (status === 'queued') return `${label} will be retried (${lastError})`;
+  return `${label} failed: ${lastError}`;
+}).join('; ');
+
+/**
+ * Sends the customer the message for `status` through the server, which logs the delivery and
+ * retries failures. Never throws: the job has already been saved, so problems are only reported.
+ * Returns the per-channel results, or null when the request itself failed.
+ */
+const sendStatusNotification = async (auth, booking, status) => {
+  try {
+    const results = await requestCustomerNotification(auth, booking.id, status);
+    if (results.length === 0) {
+      showNotification('Customer Not Notified', `No message is set up for ${status}, or all notification channels are turned off.`, 'bg-gray-600');
+    } else if (results.every(result => result.status === 'sent')) {
+      showNotification('Customer Notified', `#${booking.invoiceNo}: ${describeDeliveryResults(results)}`, 'bg-green-600');
+    } else {
+      showNotification('Notification Problem', `#${booking.invoiceNo}: ${describeDeliveryResults(results)}`, 'bg-yellow-600');
+    }
+    return results;
+  } catch (e) {
+    console.error("Error sending customer notification:", e);
+    showNotification('Customer Not Notified', `The status message for #${booking.invoiceNo} could not be sent. Error: ${e.message}`, 'bg-red-600');
+    return null;
+  }
+};
+
+const PDF_MARGIN = 15;
+
+const getPdfImageFormat = (dataUrl) => (dataUrl.startsWith('data:image/png') ? 'PNG' : 'JPEG');
+
+// Draws the logo scaled into a box and returns its size, or null when the shop has no logo
+const drawPdfLogo = (pdf, logoDataUrl, x, y, maxWidth, maxHeight, align = 'left') => {
+  if (!logoDataUrl) return null;
+  const properties = pdf.getImageProperties(logoDataUrl);
+  const size = fitWithin(properties.width, properties.height, maxWidth, maxHeight);
+  const left = align === 'center' ? x - size.width / 2 : x;
+  pdf.addImage(logoDataUrl, getPdfImageFormat(logoDataUrl), left, y, size.width, size.height);
+  return size;
+};
+
+/**
+ * Draws the branded letterhead at the top of a PDF: logo, shop details, the document title and its
+ * detail rows ([label, value]) in the shop's chosen layout. Returns the y position below it.
+ */
+const drawPdfLetterhead = (pdf, shop, branding, title, details) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const right = pageWidth - PDF_MARGIN;
+  const primary = hexToRgb(branding.primaryColor);
+  const detailsLabelX = right - 62;
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  const shopFacts = [
+    shop.registrationNo ? `Reg No: ${shop.registrationNo}` : null,
+    `VAT No: ${shop.vatNo || 'N/A'}`,
+    shop.emailPhone ? `Contact: ${shop.emailPhone}` : null,
+  ].filter(Boolean);
+  const shopLines = [...pdf.splitTextToSize(shop.address || '', Math.min(95, detailsLabelX - PDF_MARGIN - 4)), ...shopFacts];
+
+  const drawShopLines = (y) => {
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    shopLines.forEach(line => {
+      pdf.text(line, PDF_MARGIN, y);
+      y += 4.5;
+    });
+    return y;
+  };
+  const drawDetails = (y) => {
+    pdf.setFontSize(10);
+    details.forEach(([label, value]) => {
+      pdf.setFont('helvetica', 'bold');
+      pdf.text(label, detailsLabelX, y);
+      pdf.setFont('helvetica', 'normal');
+      pdf.text(String(value ?? ''), right, y, { align: 'right' });
+      y += 5;
+    });
+    return y;
+  };
+
+  if (branding.layout === 'banner') {
+    const BAND_HEIGHT = 32;
+    pdf.setFillColor(...primary);
+    pdf.rect(0, 0, pageWidth, BAND_HEIGHT, 'F');
+    const logo = drawPdfLogo(pdf, branding.logoDataUrl, PDF_MARGIN, 6, 40, BAND_HEIGHT - 12);
+    pdf.setTextColor(...hexToRgb(getContrastColor(branding.primaryColor)));
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(16);
+    pdf.text(shop.companyName || 'Company Name', PDF_MARGIN + (logo ? logo.width + 5 : 0), 18);
+    pdf.setFontSize(20);
+    pdf.text(title, right, 19, { align: 'right' });
+    pdf.setTextColor(0, 0, 0);
+    return Math.max(drawShopLines(BAND_HEIGHT + 8), drawDetails(BAND_HEIGHT + 8)) + 2;
+  }
+
+  if (branding.layout === 'centred') {
+    const centre = pageWidth / 2;
+    const logo = drawPdfLogo(pdf, branding.logoDataUrl, centre, 10, 45, 20, 'center');
+    let y = logo ? 10 + logo.height + 6 : 18;
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(16);
+    pdf.text(shop.companyName || 'Company Name', centre, y, { align: 'center' });
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    const infoLines = pdf.splitTextToSize([shop.address, ...shopFacts].filter(Boolean).join('  |  '), right - PDF_MARGIN);
+    y += 5;
+    pdf.text(infoLines, centre, y, { align: 'center' });
+    y += infoLines.length * 4.5 + 4;
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(18);
+    pdf.setTextColor(...primary);
+    pdf.text(title, centre, y, { align: 'center' });
+    pdf.setTextColor(0, 0, 0);
+    y += 6;
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(10);
+    const detailLines = pdf.splitTextToSize(details.map(([label, value]) => `${label} ${value ?? ''}`).join('     '), right - PDF_MARGIN);
+    pdf.text(detailLines, centre, y, { align: 'center' });
+    return y + detailLines.length * 5;
+  }
+
+  // Classic: logo above the shop details on the left, title and details on the right
+  const logo = drawPdfLogo(pdf, branding.logoDataUrl, PDF_MARGIN, 10, 50, 18);
+  let y = logo ? 10 + logo.height + 6 : 22;
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(16);
+  pdf.text(shop.companyName || 'Company Name', PDF_MARGIN, y);
+  y = drawShopLines(y + 6);
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(20);
+  pdf.setTextColor(...primary);
+  pdf.text(title, right, 22, { align: 'right' });
+  pdf.setTextColor(0, 0, 0);
+  return Math.max(y, drawDetails(30));
+};
+
+// Table header band in the accent colour, with text that stays readable on it
+const setPdfTableHeaderStyle = (pdf, branding) => {
+  pdf.setFillColor(...hexToRgb(branding.accentColor));
+  pdf.setTextColor(...hexToRgb(getContrastColor(branding.accentColor)));
+};
+
+/**
+ * Prints the shop's terms for this kind of document after the content, on a new page if needed.
+ * Returns the y position below them.
+ */
+const drawPdfTerms = (pdf, terms, y, pageBottom) => {
+  if (!terms || !terms.trim()) return y;
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  const lines = pdf.splitTextToSize(terms.trim(), pageWidth - PDF_MARGIN * 2);
+  if (y + lines.length * 3.6 + 8 > pageBottom) {
+    pdf.addPage();
+    y = 25;
+  }
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(9);
+  pdf.text('Terms & Conditions', PDF_MARGIN, y);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.text(lines, PDF_MARGIN, y + 4.5);
+  return y + lines.length * 3.6 + 8;
+};
+
+// Footer on every page: the shop's footer text, the document reference and page numbers
+const drawPdfFooters = (pdf, branding, reference) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const pageCount = pdf.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    pdf.setTextColor(120, 120, 120);
+    if (branding.footerText) {
+      pdf.text(pdf.splitTextToSize(branding.footerText, pageWidth - PDF_MARGIN * 2).slice(0, 2), pageWidth / 2, pageHeight - 17, { align: 'center' });
+    }
+    pdf.text(reference, PDF_MARGIN, pageHeight - 10);
+    pdf.text(`Page ${page} of ${pageCount}`, pageWidth - PDF_MARGIN, pageHeight - 10, { align: 'right' });
+  }
+  pdf.setTextColor(0, 0, 0);
+};
+
+/**
+ * Builds an A4 tax invoice (or credit note) PDF from a stored or in-progress document and downloads it.
+ * Shop details saved on the document take precedence over the current shop profile,
+ * so historical documents keep the header they were issued with.
+ */
+const downloadInvoicePdf = async (invoice, shopProfile) => {
+  // jsPDF is browser-only and fairly large, so load it on demand
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+
+  const shop = { ...(shopProfile || {}), ...(invoice.shopProfile || {}) };
+  const branding = getBranding(shopProfile);
+  const currencyCode = shop.currency || 'ZAR';
+  const money = (amount) => formatCurrency(amount, currencyCode);
+  const bankingDetails = invoice.bankingDetails || shop.bankingDetails || '';
+  const isCreditNote = invoice.documentType === 'Credit Note';
+  // Unsaved invoices have no number yet; it is allocated on save
+  const documentNo = (isCreditNote ? invoice.creditNoteNo : invoice.invoiceNo) || 'DRAFT';
+  const documentLabel = isCreditNote ? 'Credit Note' : 'Invoice';
+
+  const PAGE_WIDTH = 210;
+  const PAGE_BOTTOM = 270;
+  const MARGIN = 15;
+  const RIGHT = PAGE_WIDTH - MARGIN;
+  const COL_QTY = 112;
+  const COL_UNIT = 140;
+  const COL_DISCOUNT = 155;
+  const COL_VAT = 163;
+  const COL_TOTALS_LABEL = 160;
+  // Older invoices have no stored breakdown, so derive it from their lines
+  const vatBreakdown = invoice.vatBreakdown || calculateDocumentTotals(invoice).vatBreakdown;
+
+  // --- Letterhead ---
+  // SARS requires the words "Tax Invoice" on invoices issued by a VAT vendor
+  const title = isCreditNote ? 'CREDIT NOTE' : (shop.vatNo ? 'TAX INVOICE' : 'INVOICE');
+  let y = drawPdfLetterhead(pdf, shop, branding, title, [
+    [`${documentLabel} No:`, documentNo],
+    ['Date:', invoice.date ? new Date(invoice.date).toLocaleDateString() : ''],
+    isCreditNote ? ['Against Invoice:', String(invoice.invoiceNo)] : ['Status:', invoice.status || 'Draft'],
+    ...(!isCreditNote && invoice.dueDate
+      ? [['Due Date:', new Date(invoice.dueDate).toLocaleDateString()], ['Terms:', getPaymentTermsLabel(invoice.paymentTermsDays)]]
+      : []),
+  ]);
+
+  // --- Bill To ---
+  y += 4;
+  pdf.setDrawColor(200, 200, 200);
+  pdf.line(MARGIN, y, RIGHT, y);
+  y += 6;
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(11);
+  pdf.text('Bill To:', MARGIN, y);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  y += 5;
+  const billToLines = [
+    invoice.billTo,
+    invoice.customerName,
+    ...pdf.splitTextToSize(invoice.customerAddress || '', 110),
+    invoice.customerPhone ? `Tel: ${invoice.customerPhone}` : null,
+  ].filter(Boolean);
+  billToLines.forEach(line => {
+    pdf.text(line, MARGIN, y);
+    y += 5;
+  });
+  if (isCreditNote && invoice.reason) {
+    y += 2;
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(`Reason for credit: ${invoice.reason}`, MARGIN, y);
+    pdf.setFont('helvetica', 'normal');
+    y += 5;
+  }
+
+  // --- Line items ---
+  const drawItemsHeader = () => {
+    setPdfTableHeaderStyle(pdf, branding);
+    pdf.rect(MARGIN, y - 5, RIGHT - MARGIN, 8, 'F');
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(9);
+    pdf.text('Description', MARGIN + 2, y);
+    pdf.text('Qty', COL_QTY, y, { align: 'right' });
+    pdf.text('Unit Price', COL_UNIT, y, { align: 'right' });
+    pdf.text('Disc', COL_DISCOUNT, y, { align: 'right' });
+    pdf.text('VAT', COL_VAT, y, { align: 'center' });
+    pdf.text('Total', RIGHT - 2, y, { align: 'right' });
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(0, 0, 0);
+    y += 8;
+  };
+
+  y += 6;
+  drawItemsHeader();
+  (invoice.items || []).forEach(item => {
+    const descriptionLines = pdf.splitTextToSize(item.description || '-', 85);
+    const rowHeight = descriptionLines.length * 4.5 + 2;
+    if (y + rowHeight > PAGE_BOTTOM) {
+      pdf.addPage();
+      y = 25;
+      drawItemsHeader();
+    }
+    pdf.text(descriptionLines, MARGIN + 2, y);
+    pdf.text(String(item.qty ?? ''), COL_QTY, y, { align: 'right' });
+    pdf.text(money(item.unitPrice), COL_UNIT, y, { align: 'right' });
+    pdf.text(item.discountPercent ? `${item.discountPercent}%` : '', COL_DISCOUNT, y, { align: 'right' });
+    pdf.text(TAX_CATEGORIES[getLineTaxCategory(item, invoice)].code, COL_VAT, y, { align: 'center' });
+    pdf.text(money(item.total ?? (item.qty * item.unitPrice)), RIGHT - 2, y, { align: 'right' });
+    y += rowHeight;
+    pdf.line(MARGIN, y - 3, RIGHT, y - 3);
+  });
+
+  // --- VAT breakdown and totals ---
+  const deductibleSplit = !isCreditNote && getDeductibleSplit(invoice);
+  if (y + (deductibleSplit ? 66 : 50) > PAGE_BOTTOM) {
+    pdf.addPage();
+    y = 25;
+  }
+  y += 4;
+  pdf.setFontSize(8);
+  pdf.setTextColor(107, 114, 128);
+  pdf.text(
+    `VAT codes: ${Object.values(TAX_CATEGORIES).map(({ code, label }) => `${code} = ${label}`).join(', ')}${invoice.pricesIncludeVat ? '. Prices shown include VAT.' : ''}`,
+    MARGIN,
+    y,
+  );
+  pdf.setTextColor(0, 0, 0);
+  pdf.setFontSize(9);
+  y += 7;
+  const totalsRows = [
+    invoice.discountTotal > 0 ? ['Discounts:', `-${money(invoice.discountTotal)}`] : null,
+    ['Subtotal (excl. VAT):', money(invoice.subtotal)],
+    ...Object.entries(vatBreakdown)
+      .filter(([, category]) => category.taxable !== 0)
+      .map(([category, { rate, taxable, vat }]) => [`${TAX_CATEGORIES[category].label} ${money(taxable)} @ ${rate}%:`, money(vat)]),
+    ['Total VAT:', money(invoice.taxAmount)],
+  ].filter(Boolean);
+  totalsRows.forEach(([label, value]) => {
+    pdf.text(label, COL_TOTALS_LABEL, y, { align: 'right' });
+    pdf.text(value, RIGHT - 2, y, { align: 'right' });
+    y += 6;
+  });
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(12);
+  pdf.line(130, y - 4, RIGHT, y - 4);
+  pdf.text(isCreditNote ? 'TOTAL CREDIT:' : 'TOTAL DUE:', COL_TOTALS_LABEL, y + 1, { align: 'right' });
+  pdf.text(money(invoice.totalAmount), RIGHT - 2, y + 1, { align: 'right' });
+  y += 12;
+
+  if (deductibleSplit) {
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    [
+      ['Customer deductible:', money(deductibleSplit.customerAmount)],
+      [`Due from insurer${invoice.insuranceClaim.reference ? ` (claim ${invoice.insuranceClaim.reference})` : ''}:`, money(deductibleSplit.insurerAmount)],
+    ].forEach(([label, value]) => {
+      pdf.text(label, COL_TOTALS_LABEL, y, { align: 'right' });
+      pdf.text(value, RIGHT - 2, y, { align: 'right' });
+      y += 6;
+    });
+    y += 4;
+  }
+
+  if (isCreditNote && invoice.refund) {
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(10);
+    pdf.text(`Refunded to customer: ${money(invoice.refund.amount)} by ${invoice.refund.method}`, MARGIN, y);
+    y += 8;
+  }
+
+  // --- Banking details ---
+  if (bankingDetails && !isCreditNote) {
+    const bankingLines = pdf.splitTextToSize(bankingDetails, RIGHT - MARGIN - 4);
+    if (y + bankingLines.length * 4.5 + 16 > PAGE_BOTTOM) {
+      pdf.addPage();
+      y = 25;
+    }
+    pdf.setFontSize(10);
+    pdf.text('Banking Details', MARGIN, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    y += 5;
+    pdf.text(bankingLines, MARGIN, y);
+    y += bankingLines.length * 4.5 + 2;
+    pdf.setFont('helvetica', 'italic');
+    pdf.text(`Please use ${documentNo} as your payment reference.`, MARGIN, y);
+    y += 8;
+  }
+
+  // --- Online payment link ---
+  const paymentLink = invoice.paymentLink;
+  if (!isCreditNote && paymentLink?.status === 'Open' && PAYABLE_INVOICE_STATUSES.includes(invoice.status)) {
+    if (y + 12 > PAGE_BOTTOM) {
+      pdf.addPage();
+      y = 25;
+    }
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(10);
+    pdf.text('Pay Online', MARGIN, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    pdf.setTextColor(37, 99, 235);
+    // Gateway URLs can run to hundreds of characters, so the link sits behind a short label
+    pdf.textWithLink(`Click here to pay ${money(paymentLink.amount)} securely online`, MARGIN, y + 5, { url: paymentLink.url });
+    pdf.setTextColor(0, 0, 0);
+    y += 14;
+  }
+
+  drawPdfTerms(pdf, branding.invoiceTerms, y, PAGE_BOTTOM);
+  drawPdfFooters(pdf, branding, `${shop.companyName || ''} | ${documentLabel} ${documentNo}`);
+
+  pdf.save(`${documentNo}.pdf`);
+};
+
+/**
+ * Generates a customer account statement PDF (see buildCustomerStatement) and downloads it.
+ */
+const downloadStatementPdf = async (statement, customer, shopProfile) => {
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+
+  const shop = shopProfile || {};
+  const branding = getBranding(shopProfile);
+  const money = (amount) => formatCurrency(amount, shop.currency || 'ZAR');
+  const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString();
+
+  const PAGE_WIDTH = 210;
+  const PAGE_BOTTOM = 270;
+  const MARGIN = 15;
+  const RIGHT = PAGE_WIDTH - MARGIN;
+  const COL_TYPE = 38;
+  const COL_REFERENCE = 64;
+  const COL_DEBIT = 145;
+  const COL_CREDIT = 170;
+
+  // --- Letterhead ---
+  let y = drawPdfLetterhead(pdf, shop, branding, 'STATEMENT', [
+    ['Period:', `${formatDate(statement.from)} - ${formatDate(statement.to)}`],
+    ['Statement Date:', formatDate(statement.to)],
+  ]);
+
+  // --- Customer ---
+  y += 4;
+  pdf.setDrawColor(200, 200, 200);
+  pdf.line(MARGIN, y, RIGHT, y);
+  y += 6;
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(11);
+  pdf.text('Account:', MARGIN, y);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  y += 5;
+  [
+    customer.billTo,
+    customer.customerName,
+    ...pdf.splitTextToSize(customer.customerAddress || '', 110),
+    customer.customerPhone ? `Tel: ${customer.customerPhone}` : null,
+  ].filter(Boolean).forEach(line => {
+    pdf.text(line, MARGIN, y);
+    y += 5;
+  });
+
+  // --- Transactions ---
+  const drawHeader = () => {
+    setPdfTableHeaderStyle(pdf, branding);
+    pdf.rect(MARGIN, y - 5, RIGHT - MARGIN, 8, 'F');
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(9);
+    pdf.text('Date', MARGIN + 2, y);
+    pdf.text('Type', COL_TYPE, y);
+    pdf.text('Reference', COL_REFERENCE, y);
+    pdf.text('Debit', COL_DEBIT, y, { align: 'right' });
+    pdf.text('Credit', COL_CREDIT, y, { align: 'right' });
+    pdf.text('Balance', RIGHT - 2, y, { align: 'right' });
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(0, 0, 0);
+    y += 7;
+  };
+  const drawRow = (cells) => {
+    if (y + 6 > PAGE_BOTTOM) {
+      pdf.addPage();
+      y = 25;
+      drawHeader();
+    }
+    pdf.text(cells.date, MARGIN + 2, y);
+    pdf.text(cells.type, COL_TYPE, y);
+    pdf.text(pdf.splitTextToSize(cells.reference, 50)[0] || '', COL_REFERENCE, y);
+    pdf.text(cells.debit, COL_DEBIT, y, { align: 'right' });
+    pdf.text(cells.credit, COL_CREDIT, y, { align: 'right' });
+    pdf.text(cells.balance, RIGHT - 2, y, { align: 'right' });
+    y += 6;
+  };
+
+  y += 6;
+  drawHeader();
+  drawRow({ date: formatDate(statement.from), type: 'Opening', reference: 'Balance brought forward', debit: '', credit: '', balance: money(statement.openingBalance) });
+  statement.transactions.forEach(entry => drawRow({
+    date: formatDate(entry.date),
+    type: entry.type,
+    reference: entry.reference || '',
+    debit: entry.debit ? money(entry.debit) : '',
+    credit: entry.credit ? money(entry.credit) : '',
+    balance: money(entry.balance),
+  }));
+
+  pdf.line(MARGIN, y - 3, RIGHT, y - 3);
+  pdf.setFont('helvetica', 'bold');
+  pdf.text(money(statement.totalDebits), COL_DEBIT, y + 1, { align: 'right' });
+  pdf.text(money(statement.totalCredits), COL_CREDIT, y + 1, { align: 'right' });
+  pdf.setFontSize(12);
+  y += 10;
+  pdf.text('CLOSING BALANCE:', COL_CREDIT, y, { align: 'right' });
+  pdf.text(money(statement.closingBalance), RIGHT - 2, y, { align: 'right' });
+
+  // --- Ageing summary ---
+  if (y + 30 > PAGE_BOTTOM) {
+    pdf.addPage();
+    y = 25;
+  }
+  y += 10;
+  const boxWidth = (RIGHT - MARGIN) / AGEING_BUCKETS.length;
+  AGEING_BUCKETS.forEach(({ key, label }, index) => {
+    const x = MARGIN + index * boxWidth;
+    pdf.rect(x, y, boxWidth, 14);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(9);
+    pdf.text(label, x + boxWidth / 2, y + 5, { align: 'center' });
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(money(statement.ageing[key]), x + boxWidth / 2, y + 11, { align: 'center' });
+  });
+  y += 24;
+
+  if (shop.bankingDetails) {
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(10);
+    pdf.text('Banking Details', MARGIN, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    pdf.text(pdf.splitTextToSize(shop.bankingDetails, RIGHT - MARGIN - 4), MARGIN, y + 5);
+  }
+
+  drawPdfFooters(pdf, branding, `${shop.companyName || ''} | Statement for ${customer.customerName}`);
+
+  pdf.save(`Statement-${customer.customerName.replace(/\W+/g, '-')}-${statement.to}.pdf`);
+};
+
+/**
+ * Builds the insurance quotation or BER report PDF. `quote` carries the figures shown on screen;
+ * unsaved documents print as DRAFT until they are given a number.
+ */
+const downloadQuotationPdf = async (quote, shopProfile) => {
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+
+  const shop = { ...(shopProfile || {}), ...(quote.shopProfile || {}) };
+  const branding = getBranding(shopProfile);
+  const money = (amount) => formatCurrency(amount, shop.currency || 'ZAR');
+  const documentNo = quote.quoteNo || 'DRAFT';
+  const title = quote.isBER ? 'BER REPORT' : 'INSURANCE QUOTATION';
+
+  const PAGE_WIDTH = 210;
+  const PAGE_BOTTOM = 270;
+  const RIGHT = PAGE_WIDTH - PDF_MARGIN;
+
+  let y = drawPdfLetterhead(pdf, shop, branding, title, [
+    [quote.isBER ? 'Report No:' : 'Quote No:', documentNo],
+    ['Date:', new Date(quote.generatedDate || Date.now()).toLocaleDateString()],
+  ]);
+
+  y += 4;
+  pdf.setDrawColor(200, 200, 200);
+  pdf.line(PDF_MARGIN, y, RIGHT, y);
+  y += 7;
+  pdf.setFontSize(10);
+  const detailRows = [
+    ['Customer:', quote.customerName],
+    ['Device:', `${quote.deviceType ? `${quote.deviceType} - ` : ''}${quote.deviceModel}`],
+    ['IMEI / Serial:', quote.imei || 'N/A'],
+  ];
+  detailRows.forEach(([label, value]) => {
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(label, PDF_MARGIN, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(String(value || ''), PDF_MARGIN + 32, y);
+    y += 6;
+  });
+  pdf.setFont('helvetica', 'bold');
+  pdf.text('Fault Reported:', PDF_MARGIN, y);
+  pdf.setFont('helvetica', 'normal');
+  const faultLines = pdf.splitTextToSize(quote.faultDescription || '', RIGHT - PDF_MARGIN - 32);
+  pdf.text(faultLines, PDF_MARGIN + 32, y);
+  y += faultLines.length * 5 + 6;
+
+  if (quote.isBER) {
+    const finding = pdf.splitTextToSize(
+      `After a full diagnostic, the estimated cost of repair (${money(quote.repairCostEstimate)} excl. VAT) exceeds the economic value threshold set by the insurer. We recommend that a replacement device be issued.`,
+      RIGHT - PDF_MARGIN - 10,
+    );
+    const boxHeight = finding.length * 5 + 16;
+    pdf.setDrawColor(252, 165, 165);
+    pdf.setFillColor(254, 242, 242);
+    pdf.rect(PDF_MARGIN, y, RIGHT - PDF_MARGIN, boxHeight, 'FD');
+    pdf.setTextColor(185, 28, 28);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(12);
+    pdf.text('DEVICE STATUS: UNREPAIRABLE (BER)', PDF_MARGIN + 5, y + 8);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(10);
+    pdf.text(finding, PDF_MARGIN + 5, y + 15);
+    pdf.setTextColor(0, 0, 0);
+    y += boxHeight + 10;
+  } else {
+    setPdfTableHeaderStyle(pdf, branding);
+    pdf.rect(PDF_MARGIN, y - 5, RIGHT - PDF_MARGIN, 8, 'F');
+    pdf.setFont('helvetica', 'bold');
+    pdf.text('Financial Summary (Insurance Claim)', PDF_MARGIN + 2, y);
+    pdf.setTextColor(0, 0, 0);
+    y += 8;
+    const rows = [
+      ['Estimated Repair Cost (excl. VAT)', money(quote.subtotal)],
+      [`VAT (${quote.taxRate}%)`, money(quote.taxAmount)],
+      ['Estimated Repair Cost (incl. VAT)', money(quote.totalAmount)],
+      ['Insurance Premium Covered', money(quote.calculatedPremium)],
+      ['Total Claimable Amount', money(quote.repairCostEstimate)],
+    ];
+    pdf.setFont('helvetica', 'normal');
+    rows.forEach(([label, value]) => {
+      pdf.text(label, PDF_MARGIN + 2, y);
+      pdf.text(value, RIGHT - 2, y, { align: 'right' });
+      y += 6;
+    });
+    pdf.line(PDF_MARGIN, y - 3, RIGHT, y - 3);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(12);
+    pdf.text('Customer Deductible Due', PDF_MARGIN + 2, y + 3);
+    pdf.text(money(quote.totalCustomerCost), RIGHT - 2, y + 3, { align: 'right' });
+    y += 12;
+    pdf.setFont('helvetica', 'italic');
+    pdf.setFontSize(8);
+    pdf.text('This quotation is valid for 30 days. Final repair cost may vary upon physical inspection and insurer approval.', PDF_MARGIN, y);
+    y += 10;
+  }
+
+  drawPdfTerms(pdf, branding.quotationTerms, y, PAGE_BOTTOM);
+  drawPdfFooters(pdf, branding, `${shop.companyName || ''} | ${quote.isBER ? 'BER Report' : 'Quotation'} ${documentNo}`);
+  pdf.save(`${documentNo === 'DRAFT' ? `${quote.isBER ? 'BER' : 'Quote'}-${quote.customerName.replace(/\W+/g, '-')}` : documentNo}.pdf`);
+};
+
+// Draws a QR code with its top-left corner at (x, y), one filled run of dark modules at a time
+const drawPdfQrCode = (pdf, text, x, y, size) => {
+  const modules = getQrModules(text);
+  const moduleSize = size / modules.length;
+  pdf.setFillColor(0, 0, 0);
+  modules.forEach((row, rowIndex) => {
+    [...row, false].reduce((runStart, dark, column) => {
+      if (dark) return runStart ?? column;
+      if (runStart !== null) pdf.rect(x + runStart * moduleSize, y + rowIndex * moduleSize, (column - runStart) * moduleSize, moduleSize, 'F');
+      return null;
+    }, null);
+  });
+};
+
+// Draws a Code 128 barcode filling the box; leave a few millimetres clear either side for scanners
+const drawPdfBarcode = (pdf, text, x, y, width, height) => {
+  const widths = encodeCode128(text);
+  const moduleWidth = width / widths.reduce((sum, modules) => sum + modules, 0);
+  pdf.setFillColor(0, 0, 0);
+  widths.reduce((left, modules, index) => {
+    if (index % 2 === 0) pdf.rect(left, y, modules * moduleWidth, height, 'F');
+    return left + modules * moduleWidth;
+  }, x);
+};
+
+const RECEIPT_WIDTH = 80;
+const RECEIPT_MARGIN = 4;
+
+/**
+ * Lays out the book-in slip on an 80mm receipt roll and returns the y position below it, so the
+ * caller can measure the slip before cutting the page to length.
+ */
+const drawReceiptBookInSlip = (pdf, booking, shopProfile, trackingUrl) => {
+  const shop = shopProfile || {};
+  const branding = getBranding(shopProfile);
+  const centre = RECEIPT_WIDTH / 2;
+  const right = RECEIPT_WIDTH - RECEIPT_MARGIN;
+  const textWidth = right - RECEIPT_MARGIN;
+
+  const logo = drawPdfLogo(pdf, branding.logoDataUrl, centre, 5, 40, 16, 'center');
+  let y = logo ? 5 + logo.height + 5 : 9;
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(12);
+  pdf.text(shop.companyName || 'Company Name', centre, y, { align: 'center' });
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  const shopLines = pdf.splitTextToSize([shop.address, shop.emailPhone].filter(Boolean).join('\n'), textWidth);
+  pdf.text(shopLines, centre, y + 4.5, { align: 'center' });
+  y += 4.5 + shopLines.length * 3.5 + 2;
+
+  pdf.setDrawColor(0, 0, 0);
+  pdf.line(RECEIPT_MARGIN, y, right, y);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(10);
+  pdf.text('BOOK-IN SLIP', centre, y + 5, { align: 'center' });
+  pdf.setFontSize(16);
+  pdf.text(booking.invoiceNo, centre, y + 12, { align: 'center' });
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.text(new Date(booking.createdAt || Date.now()).toLocaleString(), centre, y + 16.5, { align: 'center' });
+  y += 16.5;
+  if (booking.consultant) {
+    pdf.text(`Consultant: ${booking.consultant}`, centre, y + 3.5, { align: 'center' });
+    y += 3.5;
+  }
+  y += 3;
+  pdf.line(RECEIPT_MARGIN, y, right, y);
+  y += 5;
+
+  getBookInSlipRows(booking, (amount) => formatCurrency(amount, shop.currency || 'ZAR')).forEach(([label, value]) => {
+    const lines = pdf.splitTextToSize(String(value), textWidth - 20);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(label, RECEIPT_MARGIN, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(lines, RECEIPT_MARGIN + 20, y);
+    y += lines.length * 3.5 + 1;
+  });
+
+  if (trackingUrl) {
+    y += 2;
+    pdf.setFont('helvetica', 'bold');
+    pdf.text('Scan to track your repair', centre, y, { align: 'center' });
+    drawPdfQrCode(pdf, trackingUrl, centre - 15, y + 2, 30);
+    y += 37;
+  }
+
+  if (branding.bookInTerms?.trim()) {
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(8);
+    pdf.text('Terms & Conditions', RECEIPT_MARGIN, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(7);
+    const termLines = pdf.splitTextToSize(branding.bookInTerms.trim(), textWidth);
+    pdf.text(termLines, RECEIPT_MARGIN, y + 3.5);
+    y += 3.5 + termLines.length * 3 + 2;
+  }
+
+  y += 10;
+  pdf.line(RECEIPT_MARGIN, y, right, y);
+  pdf.setFontSize(7);
+  pdf.text('Customer signature', RECEIPT_MARGIN, y + 3);
+  return y + 3;
+};
+
+// Photos that fit across an A5 slip, and their height in mm; the rest are on the job in the dashboard
+const SLIP_PHOTO_COUNT = 4;
+const SLIP_PHOTO_HEIGHT = 20;
+
+/**
+ * Loads intake photos from Storage as data URLs for a PDF. Photos the browser may not fetch (a bucket
+ * without a CORS policy, see README) are left out rather than stopping the print.
+ */
+const loadIntakePhotoDataUrls = async (photos) => {
+  const loaded = await Promise.allSettled(photos.map(async (photo) => {
+    const response = await fetch(photo.url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }));
+  loaded.filter(result => result.status === 'rejected').forEach(result => console.error("Intake photo not loaded for the slip:", result.reason));
+  return loaded.filter(result => result.status === 'fulfilled').map(result => result.value);
+};
+
+/**
+ * Builds the book-in slip for a checked-in repair, on A5 or an 80mm receipt roll as set in the
+ * shop's print settings, and opens the print dialog for it. The slip doubles as the customer's
+ * receipt for the device and any deposit taken; its QR code opens `trackingUrl`.
+ */
+const printBookInSlip = async (booking, shopProfile, trackingUrl) => {
+  const { jsPDF } = await import('jspdf');
+
+  if (getPrintSettings(shopProfile).slipFormat === 'receipt80') {
+    // Laid out once to measure it, then again on a page cut to that length
+    const height = drawReceiptBookInSlip(new jsPDF({ unit: 'mm', format: [RECEIPT_WIDTH, 1000] }), booking, shopProfile, trackingUrl) + 8;
+    const receipt = new jsPDF({ unit: 'mm', format: [RECEIPT_WIDTH, height] });
+    drawReceiptBookInSlip(receipt, booking, shopProfile, trackingUrl);
+    receipt.autoPrint();
+    window.open(receipt.output('bloburl'), '_blank');
+    return;
+  }
+
+  const pdf = new jsPDF({ unit: 'mm', format: 'a5' });
+  const shop = shopProfile || {};
+  const branding = getBranding(shopProfile);
+  const PAGE_WIDTH = 148;
+  const PAGE_BOTTOM = 185;
+  const RIGHT = PAGE_WIDTH - PDF_MARGIN;
+
+  let y = drawPdfLetterhead(pdf, shop, branding, 'BOOK-IN SLIP', [
+    ['Job No:', booking.invoiceNo],
+    ['Date:', new Date(booking.createdAt || Date.now()).toLocaleDateString()],
+    ['Consultant:', booking.consultant || '-'],
+  ]);
+
+  y += 4;
+  pdf.setDrawColor(200, 200, 200);
+  pdf.line(PDF_MARGIN, y, RIGHT, y);
+  y += 7;
+  const rows = getBookInSlipRows(booking, (amount) => formatCurrency(amount, shop.currency || 'ZAR'));
+  pdf.setFontSize(9);
+  rows.forEach(([label, value]) => {
+    const lines = pdf.splitTextToSize(String(value), RIGHT - PDF_MARGIN - 28);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(label, PDF_MARGIN, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(lines, PDF_MARGIN + 28, y);
+    y += lines.length * 4.5 + 1.5;
+  });
+
+  const photoDataUrls = await loadIntakePhotoDataUrls((booking.intakePhotos || []).slice(0, SLIP_PHOTO_COUNT));
+  if (photoDataUrls.length) {
+    const cell = (RIGHT - PDF_MARGIN - (SLIP_PHOTO_COUNT - 1) * 3) / SLIP_PHOTO_COUNT;
+    if (y + SLIP_PHOTO_HEIGHT + 2 > PAGE_BOTTOM) {
+      pdf.addPage();
+      y = 25;
+    }
+    photoDataUrls.forEach((dataUrl, index) => {
+      const properties = pdf.getImageProperties(dataUrl);
+      const size = fitWithin(properties.width, properties.height, cell, SLIP_PHOTO_HEIGHT);
+      pdf.addImage(dataUrl, 'JPEG', PDF_MARGIN + index * (cell + 3) + (cell - size.width) / 2, y + (SLIP_PHOTO_HEIGHT - size.height) / 2, size.width, size.height);
+    });
+    y += SLIP_PHOTO_HEIGHT + 2;
+  }
+
+  if (trackingUrl) {
+    if (y + 30 > PAGE_BOTTOM) {
+      pdf.addPage();
+      y = 25;
+    }
+    y += 2;
+    drawPdfQrCode(pdf, trackingUrl, PDF_MARGIN, y, 26);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text('Track your repair', PDF_MARGIN + 31, y + 9);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    pdf.text(pdf.splitTextToSize(`Scan the code for updates on job ${booking.invoiceNo}, or call us with your job number.`, RIGHT - PDF_MARGIN - 31), PDF_MARGIN + 31, y + 14);
+    y += 30;
+  }
+
+  y = drawPdfTerms(pdf, branding.bookInTerms, y + 4, PAGE_BOTTOM);
+  if (y + 14 > PAGE_BOTTOM) {
+    pdf.addPage();
+    y = 25;
+  }
+  y += 10;
+  pdf.setDrawColor(0, 0, 0);
+  pdf.line(PDF_MARGIN, y, PDF_MARGIN + 55, y);
+  pdf.line(RIGHT - 45, y, RIGHT, y);
+  pdf.setFontSize(8);
+  pdf.text('Customer signature', PDF_MARGIN, y + 4);
+  pdf.text('Date', RIGHT - 45, y + 4);
+
+  drawPdfFooters(pdf, branding, `${shop.companyName || ''} | Job ${booking.invoiceNo}`);
+  pdf.autoPrint();
+  window.open(pdf.output('bloburl'), '_blank');
+};
+
+/**
+ * Builds A5 workshop job cards, one page per repair, and opens the print dialog for them.
+ */
+const printJobCards = async (bookings, shopProfile) => {
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({ unit: 'mm', format: 'a5' });
+
+  const shop = shopProfile || {};
+  const branding = getBranding(shopProfile);
+  const PAGE_WIDTH = 148;
+  const PAGE_BOTTOM = 185;
+  const RIGHT = PAGE_WIDTH - PDF_MARGIN;
+
+  bookings.forEach((booking, index) => {
+    if (index > 0) pdf.addPage();
+    const repairDetails = booking.repairDetails || {};
+    let y = drawPdfLetterhead(pdf, shop, branding, 'JOB CARD', [
+      ['Job No:', booking.invoiceNo],
+      ['Booked In:', new Date(booking.createdAt || Date.now()).toLocaleDateString()],
+      ['Status:', booking.status],
+    ]);
+
+    y += 4;
+    pdf.setDrawColor(200, 200, 200);
+    pdf.line(PDF_MARGIN, y, RIGHT, y);
+    y += 7;
+    const rows = [
+      ['Customer:', `${booking.customerName} (${booking.customerPhone})`],
+      ['Device:', booking.deviceModel],
+      ['IMEI:', booking.imei],
+      ['Fault Reported:', booking.deviceIssue],
+      ...getIntakeRows(booking.intake),
+      ['Condition:', booking.comments],
+      ['Quotation:', booking.quoteNo],
+      ['Technician:', repairDetails.technician || '________________________'],
+      ['Final Fault:', repairDetails.finalFault],
+      ['Diagnostics:', repairDetails.diagnosticNotes],
+    ].filter(([, value]) => value);
+    pdf.setFontSize(9);
+    rows.forEach(([label, value]) => {
+      const lines = pdf.splitTextToSize(String(value), RIGHT - PDF_MARGIN - 30);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text(label, PDF_MARGIN, y);
+      pdf.setFont('helvetica', 'normal');
+      pdf.text(lines, PDF_MARGIN + 30, y);
+      y += lines.length * 4.5 + 1.5;
+    });
+
+    // Space for the technician to write up the work by hand
+    y += 4;
+    pdf.setFont('helvetica', 'bold');
+    pdf.text('Work Done / Parts Used:', PDF_MARGIN, y);
+    pdf.setFont('helvetica', 'normal');
+    for (y += 8; y < PAGE_BOTTOM - 14; y += 8) pdf.line(PDF_MARGIN, y, RIGHT, y);
+    pdf.setDrawColor(0, 0, 0);
+    pdf.line(PDF_MARGIN, PAGE_BOTTOM - 4, PDF_MARGIN + 55, PAGE_BOTTOM - 4);
+    pdf.line(RIGHT - 45, PAGE_BOTTOM - 4, RIGHT, PAGE_BOTTOM - 4);
+    pdf.setFontSize(8);
+    pdf.text('Technician sign-off', PDF_MARGIN, PAGE_BOTTOM);
+    pdf.text('QC checked', RIGHT - 45, PAGE_BOTTOM);
+  });
+
+  drawPdfFooters(pdf, branding, `${shop.companyName || ''} | Job cards`);
+  pdf.autoPrint();
+  window.open(pdf.output('bloburl'), '_blank');
+};
+
+/**
+ * Builds device labels, one per job, at the shop's label size and opens the print dialog for the
+ * label printer. Each label carries the job number as text and as a Code 128 barcode.
+ */
+const printDeviceLabels = async (bookings, shopProfile) => {
+  const { jsPDF } = await import('jspdf');
+  const { width, height } = LABEL_SIZES[getPrintSettings(shopProfile).labelSize] || Object.values(LABEL_SIZES)[0];
+  const orientation = width > height ? 'landscape' : 'portrait';
+  const pdf = new jsPDF({ unit: 'mm', format: [width, height], orientation });
+  const MARGIN = 2;
+
+  bookings.forEach((booking, index) => {
+    if (index > 0) pdf.addPage([width, height], orientation);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(12);
+    pdf.text(booking.invoiceNo, MARGIN, MARGIN + 4);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(7);
+    pdf.text(new Date(booking.createdAt || Date.now()).toLocaleDateString(), width - MARGIN, MARGIN + 3.5, { align: 'right' });
+    pdf.text(pdf.splitTextToSize(booking.customerName || '', width - MARGIN * 2)[0] || '', MARGIN, MARGIN + 8);
+    pdf.text(pdf.splitTextToSize(booking.deviceModel || '', width - MARGIN * 2)[0] || '', MARGIN, MARGIN + 11);
+    const barcodeTop = MARGIN + 13;
+    drawPdfBarcode(pdf, booking.invoiceNo, MARGIN + 2, barcodeTop, width - MARGIN * 2 - 4, height - barcodeTop - MARGIN);
+  });
+
+  pdf.autoPrint();
+  window.open(pdf.output('bloburl'), '_blank');
+};
+
+/**
+ * Sends ESC/POS commands to the shop's thermal printer: over Web Serial (Chrome and Edge) when the
+ * printer is set up that way, otherwise as a file to pass to the printer, e.g. with `lp -o raw`.
+ */
+const sendToEscPosPrinter = async (commands, printSettings, fileName) => {
+  if (printSettings.escPosOutput !== 'serial') {
+    downloadTextFile(fileName, commands, 'application/octet-stream');
+    return;
+  }
+  if (!navigator.serial) throw new Error('This browser cannot talk to serial printers. Use Chrome or Edge, or choose to download a print file in Settings.');
+  const port = await navigator.serial.requestPort();
+  await port.open({ baudRate: printSettings.baudRate });
+  try {
+    const writer = port.writable.getWriter();
+    await writer.write(commands);
+    writer.releaseLock();
+  } finally {
+    await port.close();
+  }
+};
+
+// Slips link to the job's signed tracking page, or to the shop's job number lookup when links are not set up
+const getSlipTrackingUrl = async (auth, bookingId, shopProfile) => {
+  try {
+    return await requestTrackingLink(auth, bookingId);
+  } catch (e) {
+    console.error("Error creating tracking link for the slip:", e);
+    return `${window.location.origin}${getTrackingLookupPath(shopProfile)}`;
+  }
+};
+
+/**
+ * Prints a job's book-in slip or device label (`kind` is 'slip' or 'label'): as a PDF through the
+ * browser, or as ESC/POS commands when `thermal` is set.
+ */
+const printRepairDocument = async (auth, kind, booking, shopProfile, { thermal = false, trackingUrl } = {}) => {
+  const printSettings = getPrintSettings(shopProfile);
+  if (kind === 'label') {
+    if (!thermal) return printDeviceLabels([booking], shopProfile);
+    return sendToEscPosPrinter(buildDeviceLabelEscPos(booking, { columns: printSettings.receiptColumns }), printSettings, `Label-${booking.invoiceNo}.bin`);
+  }
+  const slipTrackingUrl = trackingUrl || await getSlipTrackingUrl(auth, booking.id, shopProfile);
+  if (!thermal) return printBookInSlip(booking, shopProfile, slipTrackingUrl);
+  return sendToEscPosPrinter(buildBookInSlipEscPos(booking, shopProfile, {
+    trackingUrl: slipTrackingUrl,
+    terms: getBranding(shopProfile).bookInTerms,
+    formatMoney: (amount) => formatCurrency(amount, shopProfile?.currency || 'ZAR'),
+    columns: printSettings.receiptColumns,
+  }), printSettings, `Slip-${booking.invoiceNo}.bin`);
+};
+
+const downloadVatReportPdf = async (report, periodLabel, shopProfile) => {
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+
+  const shop = shopProfile || {};
+  const money = (amount) => formatCurrency(amount, shop.currency || 'ZAR');
+  const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString();
+
+  const PAGE_WIDTH = 210;
+  const PAGE_BOTTOM = 270;
+  const MARGIN = 15;
+  const RIGHT = PAGE_WIDTH - MARGIN;
+  const COL_FIELD_LABEL = 30;
+  const COL_NUMBER = 40;
+  const COL_CUSTOMER = 66;
+  const COL_STANDARD = 132;
+  const COL_ZERO = 152;
+  const COL_EXEMPT = 170;
+
+  // --- Vendor header (left) and period (right) ---
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(16);
+  pdf.text(shop.companyName || 'Company Name', MARGIN, 22);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  pdf.text(`VAT No: ${shop.vatNo || 'N/A'}`, MARGIN, 28);
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(20);
+  pdf.setTextColor(55, 48, 163);
+  pdf.text('VAT201 REPORT', RIGHT, 22, { align: 'right' });
+  pdf.setTextColor(0, 0, 0);
+  pdf.setFontSize(10);
+  pdf.text('Tax Period:', 125, 30);
+  pdf.setFont('helvetica', 'normal');
+  pdf.text(periodLabel, RIGHT, 30, { align: 'right' });
+  pdf.text(`${formatDate(report.from)} - ${formatDate(report.to)}`, RIGHT, 35, { align: 'right' });
+
+  // --- Return fields ---
+  let y = 46;
+  pdf.setDrawColor(200, 200, 200);
+  pdf.setFillColor(243, 244, 246);
+  pdf.rect(MARGIN, y - 5, RIGHT - MARGIN, 8, 'F');
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(9);
+  pdf.text('Field', MARGIN + 2, y);
+  pdf.text('Description', COL_FIELD_LABEL, y);
+  pdf.text('Amount', RIGHT - 2, y, { align: 'right' });
+  y += 7;
+  VAT201_FIELDS.forEach(({ field, key, label }) => {
+    const isTotal = ['13', '19', '20'].includes(field);
+    pdf.setFont('helvetica', isTotal ? 'bold' : 'normal');
+    pdf.text(field, MARGIN + 2, y);
+    pdf.text(label, COL_FIELD_LABEL, y);
+    pdf.text(money(report.fields[key]), RIGHT - 2, y, { align: 'right' });
+    if (isTotal) pdf.line(MARGIN, y + 2, RIGHT, y + 2);
+    y += 6;
+  });
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.setTextColor(100, 100, 100);
+  pdf.text('Invoice basis. Input tax on purchases is not captured here and must be added before filing.', MARGIN, y + 2);
+  pdf.setTextColor(0, 0, 0);
+  y += 12;
+
+  // --- Contributing documents ---
+  const drawHeader = () => {
+    pdf.setFillColor(243, 244, 246);
+    pdf.rect(MARGIN, y - 5, RIGHT - MARGIN, 8, 'F');
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(8);
+    pdf.text('Date', MARGIN + 2, y);
+    pdf.text('Document', COL_NUMBER, y);
+    pdf.text('Customer', COL_CUSTOMER, y);
+    pdf.text('Standard', COL_STANDARD, y, { align: 'right' });
+    pdf.text('Zero', COL_ZERO, y, { align: 'right' });
+    pdf.text('Exempt', COL_EXEMPT, y, { align: 'right' });
+    pdf.text('VAT', RIGHT - 2, y, { align: 'right' });
+    pdf.setFont('helvetica', 'normal');
+    y += 7;
+  };
+  const drawSection = (title, rows) => {
+    if (y + 20 > PAGE_BOTTOM) {
+      pdf.addPage();
+      y = 25;
+    }
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(11);
+    pdf.text(title, MARGIN, y);
+    y += 8;
+    drawHeader();
+    rows.forEach(row => {
+      if (y + 6 > PAGE_BOTTOM) {
+        pdf.addPage();
+        y = 25;
+        drawHeader();
+      }
+      pdf.text(formatDate(row.date), MARGIN + 2, y);
+      pdf.text(row.number || '', COL_NUMBER, y);
+      pdf.text(pdf.splitTextToSize(row.customerName, 40)[0] || '', COL_CUSTOMER, y);
+      pdf.text(money(row.standard), COL_STANDARD, y, { align: 'right' });
+      pdf.text(money(row.zero), COL_ZERO, y, { align: 'right' });
+      pdf.text(money(row.exempt), COL_EXEMPT, y, { align: 'right' });
+      pdf.text(money(row.vat), RIGHT - 2, y, { align: 'right' });
+      y += 6;
+    });
+    if (rows.length === 0) {
+      pdf.text('None in this period.', MARGIN + 2, y);
+      y += 6;
+    }
+    y += 6;
+  };
+  drawSection(`Invoices (${report.invoices.length})`, report.invoices);
+  drawSection(`Credit Notes (${report.creditNotes.length})`, report.creditNotes);
+
+  const pageCount = pdf.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    pdf.setTextColor(120, 120, 120);
+    pdf.text(`${shop.companyName || ''} | VAT201 ${periodLabel}`, MARGIN, 287);
+    pdf.text(`Page ${page} of ${pageCount}`, RIGHT, 287, { align: 'right' });
+  }
+
+  pdf.save(`VAT201-${report.from}-${report.to}.pdf`);
+};
+
+const downloadTextFile = (filename, content, mimeType = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Records an accounting export and stamps every exported invoice, credit note and payment with it,
+ * so later exports can leave them out. Writes are split across batches to stay under Firestore's limit.
+ */
+const recordAccountingExport = async (db, userId, { format, from, to, documents, exportedBy }) => {
+  const exportRef = doc(collection(db, getTenantPath(userId, 'accountingExports')));
+  const now = new Date().toISOString();
+  const marker = { exportId: exportRef.id, format, exportedAt: now };
+
+  const writes = [
+    (batch) => batch.set(exportRef, {
+      format,
+      from,
+      to,
+      exportedBy,
+      exportedAt: now,
+      counts: Object.keys(documents).reduce((acc, collectionName) => {
+        acc[collectionName] = documents[collectionName].length;
+        return acc;
+      }, {}),
+    }),
+    ...Object.entries(documents).flatMap(([collectionName, list]) => list.map(item => (
+      (batch) => batch.update(doc(db, getTenantPath(userId, collectionName), item.id), { accountingExport: marker })
+    ))),
+  ];
+
+  const BATCH_LIMIT = 450;
+  for (let start = 0; start < writes.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(start, start + BATCH_LIMIT).forEach(write => write(batch));
+    await batch.commit();
+  }
+  return exportRef.id;
+};
+
+/**
+ * Stores the new credits from a parsed bank statement and posts the ones that match an invoice by
+ * both reference and amount. Lines already imported (same bank transaction ID) are skipped, and
+ * debits are ignored because only customer receipts are reconciled here.
+ */
+const importBankStatement = async (db, userId, { fileName, statement, existingIds, invoices, importedBy }) => {
+  const importRef = doc(collection(db, getTenantPath(userId, 'bankImports')));
+  const now = new Date().toISOString();
+  const credits = statement.transactions.filter(line => line.amount > 0);
+  const newCredits = credits.filter(line => !existingIds.has(line.id));
+
+  // Once a line claims an invoice it drops out of the candidates, so two lines never auto-match the same invoice
+  let openInvoices = getOpenInvoices(invoices);
+  const lines = newCredits.map(line => {
+    const suggestion = suggestInvoiceMatch(line, openInvoices);
+    if (suggestion?.automatic) openInvoices = openInvoices.filter(invoice => invoice.id !== suggestion.invoiceId);
+    return { ...line, suggestion };
+  });
+
+  const summary = {
+    lines: statement.transactions.length,
+    imported: lines.length,
+    duplicates: credits.length - newCredits.length,
+    debits: statement.transactions.length - credits.length,
+    autoMatched: 0,
+  };
+
+  const writes = [
+    (batch) => batch.set(importRef, { fileName, format: statement.format, importedBy, importedAt: now, summary }),
+    ...lines.map(({ id, suggestion, ...line }) => (batch) => batch.set(doc(db, getTenantPath(userId, 'bankTransactions'), id), {
+      ...line,
+      status: 'Unmatched',
+      suggestion: suggestion ? { invoiceId: suggestion.invoiceId, invoiceNo: suggestion.invoiceNo, matchType: suggestion.matchType } : null,
+      importId: importRef.id,
+      importedAt: now,
+    })),
+  ];
+  const BATCH_LIMIT = 450;
+  for (let start = 0; start < writes.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(start, start + BATCH_LIMIT).forEach(write => write(batch));
+    await batch.commit();
+  }
+
+  for (const line of lines.filter(candidate => candidate.suggestion?.automatic)) {
+    try {
+      await allocateBankTransaction(db, userId, line.id, [{ invoiceId: line.suggestion.invoiceId, amount: line.amount }], { recordedBy: importedBy, matchType: 'referenceAndAmount' });
+      summary.autoMatched += 1;
+    } catch (e) {
+      // The line stays in the review queue with its suggestion
+      console.error(`Auto-matching bank line ${line.id} failed:`, e);
+    }
+  }
+  await updateDoc(importRef, { summary });
+  return summary;
+};
+
+/**
+ * Reads an uploaded logo and scales it down to fit the document letterhead, returning a data URL
+ * small enough to keep on the shop profile. PNG keeps transparency; large photos fall back to JPEG.
+ */
+const readLogoFile = (file) => new Promise((resolve, reject) => {
+  if (!['image/png', 'image/jpeg'].includes(file.type)) {
+    reject(new Error('The logo must be a PNG or JPEG image.'));
+    return;
+  }
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    const { width, height } = fitWithin(image.width, image.height, LOGO_MAX_WIDTH, LOGO_MAX_HEIGHT);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width);
+    canvas.height = Math.round(height);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const dataUrl = [canvas.toDataURL('image/png'), canvas.toDataURL('image/jpeg', 0.85)]
+      .find(candidate => candidate.length * 0.75 <= LOGO_MAX_BYTES);
+    if (dataUrl) resolve(dataUrl);
+    else reject(new Error('The logo is too detailed to store. Please use a simpler or smaller image.'));
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The image could not be read.'));
+  };
+  image.src = url;
+});
+
+/**
+ * Reads a device photo taken at check-in and scales it down to a JPEG for upload, so phone camera
+ * photos do not fill the Storage bucket.
+ */
+const readIntakePhotoFile = (file) => new Promise((resolve, reject) => {
+  if (!file.type.startsWith('image/')) {
+    reject(new Error(`${file.name} is not an image.`));
+    return;
+  }
+  if (file.size > INTAKE_PHOTO_MAX_BYTES) {
+    reject(new Error(`${file.name} is larger than ${INTAKE_PHOTO_MAX_BYTES / 1024 / 1024} MB.`));
+    return;
+  }
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    const { width, height } = fitWithin(image.width, image.height, INTAKE_PHOTO_MAX_SIZE, INTAKE_PHOTO_MAX_SIZE);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width);
+    canvas.height = Math.round(height);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`${file.name} could not be converted.`))), 'image/jpeg', 0.85);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`${file.name} could not be read.`));
+  };
+  image.src = url;
+});
+
+// Photos sit under the job's tenant path, so Storage rules can mirror the Firestore ones
+const getIntakePhotoPath = (userId, bookingId, name) => `${getTenantPath(userId, 'bookings')}/${bookingId}/intake/${name}`;
+
+const deleteIntakePhotos = (storage, photos) => Promise.allSettled(photos.map(photo => deleteObject(storageRef(storage, photo.path))));
+
+/**
+ * Uploads the check-in photos for a job and returns what the booking stores about them:
+ * [{ path, url, name, uploadedAt }]. If any upload fails, the ones already uploaded are removed.
+ */
+const uploadIntakePhotos = async (storage, userId, bookingId, files) => {
+  const uploaded = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      const blob = await readIntakePhotoFile(file);
+      const path = getIntakePhotoPath(userId, bookingId, getIntakePhotoName(file.name, index));
+      const photoRef = storageRef(storage, path);
+      await uploadBytes(photoRef, blob, { contentType: 'image/jpeg' });
+      uploaded.push({ path, url: await getDownloadURL(photoRef), name: file.name, uploadedAt: new Date().toISOString() });
+    }
+  } catch (e) {
+    await deleteIntakePhotos(storage, uploaded);
+    throw e;
+  }
+  return uploaded;
+};
+
+// --- AUTHENTICATION AND INITIALIZATION ---
+
+const AuthLoader = ({ children }) => {
+  const [error, setError] = useState(null);
+  const [appServices, setAppServices] = useState(null);
+
+  useEffect(() => {
+    const initFirebase = async () => {
+      // DEBUG LOG: Confirm configuration state
+      console.log('Firebase Init Check: Config keys:', Object.keys(firebaseConfig).length, 'App ID:', appId, 'Auth Token presence:', !!initialAuthToken);
+      
+      try {
+        if (Object.keys(firebaseConfig).length === 0) {
+          setError("Firebase Config is missing. Cannot initialize app.");
+          return;
+        }
+        
+        const app = initializeApp(firebaseConfig);
+        const firestore = getFirestore(app);
+        const authInstance = getAuth(app);
+        const storage = getStorage(app);
+        // Intake photos go to the local Storage emulator when this is set, e.g. 127.0.0.1:9199
+        const storageEmulatorHost = process.env.NEXT_PUBLIC_FIREBASE_STORAGE_EMULATOR_HOST;
+        if (storageEmulatorHost) {
+          const [host, port] = storageEmulatorHost.split(':');
+          connectStorageEmulator(storage, host, Number(port));
+        }
+        setLogLevel('debug');
+
+        const handleAuth = (user) => {
+          let currentUserId = user ? user.uid : null;
+          
+          if (user) {
+            console.log("Auth State Changed: Signed in. User ID:", currentUserId);
+            // Once auth state is set, set the services object
+            setAppServices({ db: firestore, auth: authInstance, storage, userId: currentUserId });
+          } else {
+            console.log("Auth State Changed: Not signed in. Attempting token/anonymous sign-in.");
+            const attemptSignIn = async () => {
+              try {
+                if (initialAuthToken) { 
+                  await signInWithCustomToken(authInstance, initialAuthToken);
+                  // The onAuthStateChanged listener will catch the success case.
+                } else {
+                  await signInAnonymously(authInstance);
+                  // The onAuthStateChanged listener will catch the success case.
+                }
+              } catch (e) {
+                console.error("Authentication attempt failed:", e);
+                // If sign-in fails, proceed with null userId
+                setAppServices({ db: firestore, auth: authInstance, storage, userId: null });
+              }
+            };
+            attemptSignIn();
+          }
+        };
+
+        const unsubscribe = onAuthStateChanged(authInstance, handleAuth);
+        
+        // Return cleanup function
+        return function cleanup() {
+          unsubscribe();
+        };
+
+      } catch (e) {
+        console.error("Firebase Initialization Error:", e);
+        setError(`Initialization Error: ${e.message}`);
+      }
+    };
+
+    initFirebase();
+  }, []); // Empty dependency array means this runs only once on mount
+
+  if (error) {
+    return <div className="p-8 text-center text-red-600 bg-red-100 rounded-lg shadow-lg m-8 font-mono">Error: {error}</div>;
+  }
+
+  // Check for readiness of the final app services object
+  if (!appServices) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gray-50">
+        <div className="text-xl font-semibold text-gray-700">Loading Secure Dashboard...</div>
+      </div>
+    );
+  }
+
+  // Pass down the initialized services and the user ID
+  return children(appServices);
+};
+
+// --- SUBSCRIPTION GATE COMPONENT (MOCK) ---
+
+const SubscriptionGate = ({ shopProfile, db, userId, onSubscribeSuccess }) => {
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [subError, setSubError] = useState(null);
+
+  const handleSubscribe = async () => {
+    if (!db || !userId) {
+      setSubError("Database or User ID not available.");
+      return;
+    }
+    setIsProcessing(true);
+    setSubError(null);
+
+    try {
+      // 1. Mock Payment Processing (Simulate Stripe delay)
+      await new Promise(resolve => setTimeout(resolve, 3000));
+
+      // 2. Update Subscription Status in Firestore
+      const docRef = getShopProfileRef(db, userId);
+
+      await updateDoc(docRef, {
+        subscription_status: 'active',
+        subscription_start: new Date().toISOString(),
+        plan: 'PRO',
+      });
+
+      // 3. Inform parent component and log
+      onSubscribeSuccess();
+      console.log("Subscription activated successfully in Firestore.");
+
+    } catch (e) {
+      console.error("Subscription update failed:", e);
+      setSubError(`Payment failed. Please try again. Error: ${e.message}`);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100">
+      <div className="bg-white p-10 rounded-xl shadow-2xl w-full max-w-lg text-center border-t-8 border-indigo-600">
+        <h2 className="text-3xl font-extrabold text-indigo-800 mb-4">Access Restricted</h2>
+        <p className="text-xl text-gray-700 mb-6">
+          Your shop subscription is currently <span className="font-bold text-red-600">{(shopProfile?.subscription_status || 'LOADING').toUpperCase()}</span>.
+          Please subscribe to unlock the full platform features.
+        </p>
+
+        {subError && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm font-mono">
+            Error: {subError}
+          </div>
+        )}
+
+        <div className="text-lg text-gray-600 mb-8">
+          Monthly Fee: <span className="font-extrabold text-indigo-600">R 179.00</span> (approx. $10 USD)
+        </div>
+
+        <button
+          onClick={handleSubscribe}
+          disabled={isProcessing}
+          className={`w-full py-3 px-6 rounded-lg text-white font-bold transition duration-300 ${isProcessing ? 'bg-indigo-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700 shadow-lg'}`}
+        >
+          {isProcessing ? (
+            <div className="flex items-center justify-center">
+              <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+              </svg>
+              Processing Payment...
+            </div>
+          ) : (
+            'Subscribe Now ($10 USD / month)'
+          )}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+
+// --- MODULES ---
+
+const InvoiceHistory = ({ db, userId, shopProfile, onViewInvoice }) => {
+  const [invoices, setInvoices] = useState([]);
+  const [creditNotes, setCreditNotes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showOverdueOnly, setShowOverdueOnly] = useState(false);
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  const currentCurrency = shopProfile?.currency || 'ZAR';
+  const today = toIsoDate(new Date());
+
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    // Use the correctly structured tenant path for collections
+    const invoicesCollectionRef = collection(db, getTenantPath(userId, 'invoices'));
+    const q = query(invoicesCollectionRef);
+
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const invoicesList = [];
+      snapshot.forEach(doc => {
+        invoicesList.push({ id: doc.id, ...doc.data() });
+      });
+      setInvoices(invoicesList.sort((a, b) => new Date(b.date) - new Date(a.date)));
+      setIsLoading(false);
+    }, (e) => {
+      console.error("Error fetching invoices:", e);
+      setError("Failed to load invoice history.");
+      setIsLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId]);
+
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    const creditNotesCollectionRef = collection(db, getTenantPath(userId, 'creditNotes'));
+    const unsubscribe = onSnapshot(query(creditNotesCollectionRef), (snapshot) => {
+      const creditNotesList = [];
+      snapshot.forEach(doc => {
+        creditNotesList.push({ id: doc.id, ...doc.data() });
+      });
+      setCreditNotes(creditNotesList);
+    }, (e) => {
+      console.error("Error fetching credit notes:", e);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId]);
+
+  // Credit notes are listed alongside the invoices they reverse
+  const documents = useMemo(() => (
+    [...invoices, ...creditNotes].sort((a, b) => new Date(b.date) - new Date(a.date))
+  ), [invoices, creditNotes]);
+
+  const overdueCount = useMemo(() => invoices.filter(invoice => getDaysOverdue(invoice, today) > 0).length, [invoices, today]);
+
+  const filteredInvoices = useMemo(() => {
+    const visibleDocuments = showOverdueOnly ? documents.filter(invoice => getDaysOverdue(invoice, today) > 0) : documents;
+    if (!searchTerm) return visibleDocuments;
+    const lowerCaseSearch = searchTerm.toLowerCase();
+    return visibleDocuments.filter(invoice =>
+      invoice.invoiceNo.toLowerCase().includes(lowerCaseSearch) ||
+      (invoice.creditNoteNo || '').toLowerCase().includes(lowerCaseSearch) ||
+      invoice.customerName.toLowerCase().includes(lowerCaseSearch) ||
+      invoice.customerPhone.toLowerCase().includes(lowerCaseSearch)
+    );
+  }, [documents, searchTerm, showOverdueOnly, today]);
+
+  const handleDownloadPdf = async (invoice) => {
+    setDownloadingId(invoice.id);
+    try {
+      await downloadInvoicePdf(invoice, shopProfile);
+    } catch (e) {
+      console.error("Error generating invoice PDF:", e);
+      showNotification('Error', `Failed to generate PDF for #${invoice.creditNoteNo || invoice.invoiceNo}. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  if (isLoading) return <div className="p-8 text-center text-gray-600">Loading invoice history...</div>;
+  if (error) return <div className="p-8 text-center text-red-600 bg-red-100 rounded-lg">{error}</div>;
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-lg">
+      <h2 className="text-2xl font-bold mb-4 text-indigo-800">Invoice History ({invoices.length})</h2>
 
       <input
         type="text"
-        placeholder="Search by Invoice No., Customer Name, or Phone..."
+        placeholder="Search by Invoice/Credit Note No., Customer Name, or Phone..."
         value={searchTerm}
         onChange={(e) => setSearchTerm(e.target.value)}
-        className="w-full p-2 border border-gray-300 rounded-lg mb-6 focus:ring-indigo-500 focus:border-indigo-500"
+        className="w-full p-2 border border-gray-300 rounded-lg mb-3 focus:ring-indigo-500 focus:border-indigo-500"
       />
+      <label className="flex items-center space-x-2 text-sm text-gray-700 mb-6">
+        <input type="checkbox" checked={showOverdueOnly} onChange={(e) => setShowOverdueOnly(e.target.checked)} className="form-checkbox h-4 w-4 text-red-600 rounded" />
+        <span>Show overdue only ({overdueCount})</span>
+      </label>
+
+      {filteredInvoices.length === 0 ? (
+        <div className="text-center py-10 text-gray-500">
+          {searchTerm || showOverdueOnly ? "No matching invoices found." : "No invoices have been saved yet."}
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice No.</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Total Amount</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Due</th>
+                <th className="px-6 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {filteredInvoices.map(invoice => invoice.documentType === 'Credit Note' ? (
+                <tr key={invoice.id} className="bg-purple-50/40">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-purple-700">
+                    {invoice.creditNoteNo} <br />
+                    <span className="text-xs text-gray-500">against {invoice.invoiceNo}</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {invoice.customerName} <br />
+                    <span className="text-gray-500">{invoice.customerPhone}</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-purple-700">{formatCurrency(-invoice.totalAmount, currentCurrency)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">-</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-purple-100 text-purple-800">Credit Note</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(invoice.date).toLocaleDateString()}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">-</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-3">
+                    <button
+                      onClick={() => handleDownloadPdf(invoice)}
+                      disabled={downloadingId === invoice.id}
+                      className="text-green-600 hover:text-green-800 text-xs disabled:opacity-50"
+                    >
+                      {downloadingId === invoice.id ? 'Generating...' : 'PDF'}
+                    </button>
+                    <button onClick={() => onViewInvoice(invoice.invoiceId)} className="text-indigo-600 hover:text-indigo-900 text-xs">View Invoice</button>
+                  </td>
+                </tr>
+              ) : (
+                <tr key={invoice.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-indigo-600">{invoice.invoiceNo}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {invoice.customerName} <br />
+                    <span className="text-gray-500">{invoice.customerPhone}</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">{formatCurrency(invoice.totalAmount, currentCurrency)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{formatCurrency(getInvoiceBalance(invoice), currentCurrency)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                      getInvoiceDisplayStatus(invoice, today) === 'Overdue' ? 'bg-red-200 text-red-900' :
+                      invoice.status === 'Paid' ? 'bg-green-100 text-green-800' :
+                      invoice.status === 'Partially Paid' ? 'bg-orange-100 text-orange-800' :
+                      invoice.status === 'Draft' ? 'bg-yellow-100 text-yellow-800' :
+                      invoice.status === 'Superseded' ? 'bg-gray-100 text-gray-600' :
+                      invoice.status === 'Credited' ? 'bg-purple-100 text-purple-800' :
+                      'bg-red-100 text-red-800'
+                    }`}>
+                      {getInvoiceDisplayStatus(invoice, today)}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(invoice.date).toLocaleDateString()}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {invoice.dueDate ? new Date(invoice.dueDate).toLocaleDateString() : '-'}
+                    {getDaysOverdue(invoice, today) > 0 && <span className="block text-xs text-red-600">{getDaysOverdue(invoice, today)} days overdue</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-3">
+                    <button
+                      onClick={() => handleDownloadPdf(invoice)}
+                      disabled={downloadingId === invoice.id}
+                      className="text-green-600 hover:text-green-800 text-xs disabled:opacity-50"
+                    >
+                      {downloadingId === invoice.id ? 'Generating...' : 'PDF'}
+                    </button>
+                    <button onClick={() => onViewInvoice(invoice.id)} className="text-indigo-600 hover:text-indigo-900 text-xs">View/Edit</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+/**
+ * On-screen letterhead matching the PDFs: logo, shop details and the document title in the shop's
+ * chosen layout and colours. `children` are the document details shown with the title.
+ */
+const BrandedDocumentHeader = ({ shopProfile, title, children }) => {
+  const shop = shopProfile || {};
+  const branding = getBranding(shopProfile);
+  const logo = branding.logoDataUrl && (
+    // Logos are data URLs, which next/image cannot optimise
+    // eslint-disable-next-line @next/next/no-img-element
+    <img src={branding.logoDataUrl} alt={`${shop.companyName || 'Shop'} logo`} className="max-h-16 max-w-[12rem] object-contain" />
+  );
+  const shopFacts = [
+    shop.registrationNo ? `Reg No: ${shop.registrationNo}` : null,
+    `VAT No: ${shop.vatNo || 'N/A'}`,
+    shop.emailPhone ? `Contact: ${shop.emailPhone}` : null,
+  ].filter(Boolean);
+  const companyName = shop.companyName || 'Your Company Name (Set in Settings)';
+
+  if (branding.layout === 'banner') {
+    return (
+      <div className="mb-8">
+        <div className="flex justify-between items-center p-4 rounded-t-lg" style={{ backgroundColor: branding.primaryColor, color: getContrastColor(branding.primaryColor) }}>
+          <div className="flex items-center space-x-4">
+            {logo}
+            <p className="font-bold text-xl">{companyName}</p>
+          </div>
+          <h1 className="text-3xl font-extrabold">{title}</h1>
+        </div>
+        <div className="grid grid-cols-2 gap-x-12 gap-y-2 pt-4 text-sm">
+          <div>
+            <p>{shop.address}</p>
+            {shopFacts.map(fact => <p key={fact}>{fact}</p>)}
+          </div>
+          <div>{children}</div>
+        </div>
+      </div>
+    );
+  }
+
+  if (branding.layout === 'centred') {
+    return (
+      <div className="mb-8 text-center text-sm">
+        {logo && <div className="flex justify-center mb-2">{logo}</div>}
+        <p className="font-bold text-lg">{companyName}</p>
+        <p>{[shop.address, ...shopFacts].filter(Boolean).join('  |  ')}</p>
+        <h1 className="text-3xl font-extrabold mt-4 mb-3" style={{ color: branding.primaryColor }}>{title}</h1>
+        <div className="max-w-md mx-auto text-left">{children}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-2 gap-x-12 gap-y-2 mb-8 text-sm">
+      <div>
+        {logo && <div className="mb-2">{logo}</div>}
+        <p className="font-bold text-lg">{companyName}</p>
+        <p>{shop.address}</p>
+        {shopFacts.map(fact => <p key={fact}>{fact}</p>)}
+      </div>
+      <div>
+        <h1 className="text-3xl font-extrabold text-right mb-3" style={{ color: branding.primaryColor }}>{title}</h1>
+        {children}
+      </div>
+    </div>
+  );
+};
+
+// Terms and footer text as they appear at the end of the printed document
+const BrandedDocumentFooter = ({ shopProfile, terms }) => {
+  const branding = getBranding(shopProfile);
+  const termsText = branding[terms];
+  if (!termsText && !branding.footerText) return null;
+
+  return (
+    <div className="mt-6 pt-4 border-t text-xs text-gray-600 space-y-3">
+      {termsText && (
+        <div>
+          <p className="font-bold text-gray-700">Terms &amp; Conditions</p>
+          <p className="whitespace-pre-line">{termsText}</p>
+        </div>
+      )}
+      {branding.footerText && <p className="text-center text-gray-500">{branding.footerText}</p>}
+    </div>
+  );
+};
+
+const InvoiceLineItemsEditor = ({ items, currency, onChange, readOnly = false }) => {
+  const currencySymbol = formatCurrency(0, currency).replace('0.00', '');
+
+  // Line totals are recalculated by the parent through the shared invoice calculator
+  const handleItemChange = (id, field, value) => {
+    onChange(items.map(item => (item.id === id ? { ...item, [field]: value } : item)));
+  };
+
+  const handleAddItem = () => {
+    onChange([...items, { id: Date.now(), description: '', qty: 1, unitPrice: 0, discountPercent: 0, taxCategory: 'standard', total: 0 }]);
+  };
+
+  const handleRemoveItem = (id) => {
+    onChange(items.filter(item => item.id !== id));
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="grid grid-cols-12 gap-2 bg-gray-100 p-2 font-semibold border-b border-t">
+        <div className="col-span-4">Description</div>
+        <div className="text-center">Qty</div>
+        <div className="col-span-2 text-right">Unit Price ({currencySymbol})</div>
+        <div className="text-center">Disc %</div>
+        <div className="text-center">VAT</div>
+        <div className="col-span-2 text-right">Total</div>
+        <div></div>
+      </div>
+
+      {items.map((item) => (
+        <div key={item.id} className="grid grid-cols-12 gap-2 items-center py-2 border-b">
+          <input
+            type="text"
+            placeholder="Service or part description"
+            value={item.description}
+            onChange={(e) => handleItemChange(item.id, 'description', e.target.value)}
+            disabled={readOnly}
+            className="p-1 border-none focus:ring-0 col-span-4 disabled:bg-transparent"
+          />
+          <input
+            type="number"
+            value={item.qty}
+            onChange={(e) => handleItemChange(item.id, 'qty', parseFloat(e.target.value) || 0)}
+            disabled={readOnly}
+            className="p-1 border rounded text-center disabled:bg-gray-50"
+          />
+          <div className="flex col-span-2">
+            <span className="p-1 text-gray-500">{currencySymbol}</span>
+            <input
+              type="number"
+              value={item.unitPrice}
+              onChange={(e) => handleItemChange(item.id, 'unitPrice', parseFloat(e.target.value) || 0)}
+              disabled={readOnly}
+              className="p-1 border rounded text-right w-full disabled:bg-gray-50"
+            />
+          </div>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={item.discountPercent || 0}
+            onChange={(e) => handleItemChange(item.id, 'discountPercent', Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)))}
+            disabled={readOnly}
+            className="p-1 border rounded text-center disabled:bg-gray-50"
+          />
+          <select
+            value={item.taxCategory || 'standard'}
+            onChange={(e) => handleItemChange(item.id, 'taxCategory', e.target.value)}
+            disabled={readOnly}
+            className="p-1 border rounded bg-white text-sm disabled:bg-gray-50"
+            title="VAT category"
+          >
+            {Object.entries(TAX_CATEGORIES).map(([category, { label }]) => (
+              <option key={category} value={category}>{label}</option>
+            ))}
+          </select>
+          <div className="col-span-2 text-right font-medium">{formatCurrency(item.total, currency)}</div>
+          {!readOnly && (
+            <button
+              onClick={() => handleRemoveItem(item.id)}
+              className="text-red-500 hover:text-red-700 text-sm"
+              title="Remove Item"
+            >
+              &times;
+            </button>
+          )}
+        </div>
+      ))}
+
+      {!readOnly && (
+        <button
+          onClick={handleAddItem}
+          className="mt-3 text-indigo-600 hover:text-indigo-800 font-semibold flex items-center text-sm"
+        >
+          + Add Line Item
+        </button>
+      )}
+    </div>
+  );
+};
+
+
+/**
+ * Totals block shared by the create and detail screens: VAT-inclusive pricing toggle,
+ * invoice-level discount and the VAT breakdown per tax category.
+ */
+const InvoiceTotalsPanel = ({ document, currency, onChange, readOnly = false }) => {
+  const discount = document.invoiceDiscount || { type: 'percent', value: 0 };
+  const breakdown = Object.entries(document.vatBreakdown || {}).filter(([, category]) => category.taxable !== 0);
+
+  return (
+    <div className="space-y-2 text-right text-base">
+      <label className="flex justify-end items-center space-x-2 text-sm text-gray-600">
+        <input type="checkbox" checked={!!document.pricesIncludeVat} disabled={readOnly} onChange={(e) => onChange({ pricesIncludeVat: e.target.checked })} className="form-checkbox h-4 w-4 text-indigo-600 rounded" />
+        <span>Prices include VAT</span>
+      </label>
+      <div className="flex justify-between items-center">
+        <span className="font-medium">Invoice Discount:</span>
+        <div className="flex space-x-1">
+          <input
+            type="number"
+            min="0"
+            value={discount.value}
+            disabled={readOnly}
+            onChange={(e) => onChange({ invoiceDiscount: { ...discount, value: Math.max(0, parseFloat(e.target.value) || 0) } })}
+            className="w-20 p-1 border rounded text-right disabled:bg-gray-50"
+          />
+          <select value={discount.type} disabled={readOnly} onChange={(e) => onChange({ invoiceDiscount: { ...discount, type: e.target.value } })} className="p-1 border rounded bg-white text-sm disabled:bg-gray-50">
+            <option value="percent">%</option>
+            <option value="amount">{formatCurrency(0, currency).replace('0.00', '').trim()}</option>
+          </select>
+        </div>
+      </div>
+      {document.discountTotal > 0 && (
+        <div className="flex justify-between text-sm text-gray-600">
+          <span>Discounts:</span>
+          <span>-{formatCurrency(document.discountTotal, currency)}</span>
+        </div>
+      )}
+      <div className="flex justify-between font-medium pt-2 border-t">
+        <span>Subtotal (excl. VAT):</span>
+        <span>{formatCurrency(document.subtotal, currency)}</span>
+      </div>
+      {breakdown.map(([category, { rate, taxable, vat }]) => (
+        <div key={category} className="flex justify-between text-sm text-gray-600">
+          <span>{TAX_CATEGORIES[category].label} ({formatCurrency(taxable, currency)} @ {rate}%):</span>
+          <span>{formatCurrency(vat, currency)}</span>
+        </div>
+      ))}
+      <div className="flex justify-between font-medium">
+        <span>VAT:</span>
+        <span>{formatCurrency(document.taxAmount, currency)}</span>
+      </div>
+      <div className="flex justify-between font-extrabold text-lg pt-2 border-t-2 border-indigo-200">
+        <span>TOTAL:</span>
+        <span>{formatCurrency(document.totalAmount, currency)}</span>
+      </div>
+    </div>
+  );
+};
+
+const InvoicePayments = ({ db, userId, invoice, currency }) => {
+  const [payments, setPayments] = useState([]);
+  const createBlankPayment = () => ({
+    date: new Date().toISOString().substring(0, 10),
+    reference: '',
+    receivedBy: '',
+    tenders: [{ id: 1, method: 'Cash', amount: '' }],
+  });
+  const [paymentForm, setPaymentForm] = useState(createBlankPayment);
+  const [isRecording, setIsRecording] = useState(false);
+
+  useEffect(() => {
+    if (!db || !userId || !invoice.id) return;
+
+    const paymentsQuery = query(collection(db, getTenantPath(userId, 'payments')), where('invoiceId', '==', invoice.id));
+    const unsubscribe = onSnapshot(paymentsQuery, (snapshot) => {
+      const paymentsList = [];
+      snapshot.forEach(doc => {
+        paymentsList.push({ id: doc.id, ...doc.data() });
+      });
+      setPayments(paymentsList.sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt)));
+    }, (e) => {
+      console.error("Error fetching payments:", e);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId, invoice.id]);
+
+  const amountPaid = invoice.amountPaid || 0;
+  const balanceDue = getInvoiceBalance(invoice);
+  const canRecordPayment = PAYABLE_INVOICE_STATUSES.includes(invoice.status) && balanceDue > 0;
+  const tenderTotal = roundCurrency(paymentForm.tenders.reduce((sum, tender) => sum + (parseFloat(tender.amount) || 0), 0));
+
+  const handleTenderChange = (id, field, value) => {
+    setPaymentForm(prev => ({
+      ...prev,
+      tenders: prev.tenders.map(tender => (tender.id === id ? { ...tender, [field]: value } : tender)),
+    }));
+  };
+
+  const handleRecordPayment = async () => {
+    if (!paymentForm.receivedBy.trim()) {
+      showNotification('Error', 'Please enter who received the payment.', 'bg-red-600');
+      return;
+    }
+    setIsRecording(true);
+    try {
+      const result = await recordInvoicePayment(db, userId, invoice.id, {
+        tenders: paymentForm.tenders,
+        date: paymentForm.date,
+        reference: paymentForm.reference,
+        recordedBy: { uid: userId, name: paymentForm.receivedBy.trim() },
+      });
+      showNotification('Payment Recorded', `Invoice #${invoice.invoiceNo} is now ${result.status}. Balance: ${formatCurrency(result.balanceDue, currency)}.`, 'bg-green-600');
+      setPaymentForm(prev => ({ ...createBlankPayment(), receivedBy: prev.receivedBy }));
+    } catch (e) {
+      console.error("Error recording payment:", e);
+      showNotification('Error', `Failed to record payment. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setIsRecording(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg border">
+      <h3 className="text-xl font-bold mb-4 text-gray-700 border-b pb-2">Payments</h3>
+
+      <div className="grid grid-cols-4 gap-4 mb-6 text-center">
+        <div className="bg-gray-50 p-3 rounded-lg">
+          <span className="text-sm font-medium text-gray-500">Invoice Total</span>
+          <p className="font-bold text-lg">{formatCurrency(invoice.totalAmount, currency)}</p>
+        </div>
+        <div className="bg-purple-50 p-3 rounded-lg">
+          <span className="text-sm font-medium text-gray-500">Credited</span>
+          <p className="font-bold text-lg text-purple-700">{formatCurrency(invoice.amountCredited || 0, currency)}</p>
+        </div>
+        <div className="bg-green-50 p-3 rounded-lg">
+          <span className="text-sm font-medium text-gray-500">Paid</span>
+          <p className="font-bold text-lg text-green-700">{formatCurrency(amountPaid, currency)}</p>
+        </div>
+        <div className="bg-red-50 p-3 rounded-lg">
+          <span className="text-sm font-medium text-gray-500">Outstanding Balance</span>
+          <p className="font-bold text-lg text-red-700">{formatCurrency(balanceDue, currency)}</p>
+        </div>
+      </div>
+
+      {payments.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">No payments recorded yet.</p>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200 mb-6 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Method</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reference</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Received By</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {payments.map(payment => (
+              <tr key={payment.id}>
+                <td className="px-4 py-2">{new Date(payment.date).toLocaleDateString()}</td>
+                <td className="px-4 py-2">
+                  {payment.method}
+                  {payment.tenders?.length > 1 && (
+                    <span className="text-xs text-gray-500"> ({payment.tenders.map(tender => `${tender.method} ${formatCurrency(tender.amount, currency)}`).join(' + ')})</span>
+                  )}
+                </td>
+                <td className="px-4 py-2">{payment.reference || '-'}</td>
+                <td className="px-4 py-2">{payment.recordedBy?.name || '-'}</td>
+                <td className="px-4 py-2 text-right font-semibold">{formatCurrency(payment.amount, currency)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {canRecordPayment ? (
+        <div className="border-t pt-4 space-y-3">
+          <h4 className="font-semibold text-gray-700">Record a Payment</h4>
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Payment Date:</label>
+              <input type="date" value={paymentForm.date} onChange={(e) => setPaymentForm({ ...paymentForm, date: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Reference:</label>
+              <input type="text" value={paymentForm.reference} onChange={(e) => setPaymentForm({ ...paymentForm, reference: e.target.value })} placeholder="e.g., EFT ref or card slip no." className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Received By:</label>
+              <input type="text" value={paymentForm.receivedBy} onChange={(e) => setPaymentForm({ ...paymentForm, receivedBy: e.target.value })} placeholder="Staff Member Name" className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+            </div>
+          </div>
+
+          {paymentForm.tenders.map(tender => (
+            <div key={tender.id} className="flex space-x-2 items-center">
+              <select value={tender.method} onChange={(e) => handleTenderChange(tender.id, 'method', e.target.value)} className="p-2 border rounded-lg bg-white">
+                {PAYMENT_METHODS.map(method => (
+                  <option key={method} value={method}>{method}</option>
+                ))}
+              </select>
+              <input type="number" value={tender.amount} onChange={(e) => handleTenderChange(tender.id, 'amount', e.target.value)} placeholder="Amount" className="p-2 border rounded-lg text-right w-40" />
+              {paymentForm.tenders.length > 1 && (
+                <button onClick={() => setPaymentForm(prev => ({ ...prev, tenders: prev.tenders.filter(t => t.id !== tender.id) }))} className="text-red-500 hover:text-red-700 text-lg">&times;</button>
+              )}
+            </div>
+          ))}
+          <div className="flex justify-between items-center">
+            <div className="space-x-4">
+              <button onClick={() => setPaymentForm(prev => ({ ...prev, tenders: [...prev.tenders, { id: Date.now(), method: 'Card', amount: '' }] }))} className="text-indigo-600 hover:text-indigo-800 font-semibold text-sm">
+                + Split Tender
+              </button>
+              <button onClick={() => setPaymentForm(prev => ({ ...prev, tenders: prev.tenders.length === 1 ? [{ ...prev.tenders[0], amount: String(balanceDue) }] : prev.tenders }))} className="text-gray-600 hover:text-gray-800 text-sm">
+                Pay Full Balance
+              </button>
+            </div>
+            <button
+              onClick={handleRecordPayment}
+              disabled={isRecording || tenderTotal <= 0}
+              className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-6 rounded-lg shadow-md disabled:opacity-50"
+            >
+              {isRecording ? 'Recording...' : `Record Payment (${formatCurrency(tenderTotal, currency)})`}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 border-t pt-4">
+          {invoice.status === 'Draft' ? 'Send this invoice before recording payments against it.' : `No further payments can be recorded (${invoice.status}).`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+
+const PAYMENT_LINK_STATUS_STYLES = {
+  Open: 'bg-blue-100 text-blue-800',
+  Paid: 'bg-green-100 text-green-800',
+  'Needs Review': 'bg-red-100 text-red-800',
+};
+
+/**
+ * The invoice's hosted payment link. Payments made through it are recorded by the gateway webhook.
+ */
+const InvoicePaymentLink = ({ auth, invoice, shopProfile, currency }) => {
+  const [isCreating, setIsCreating] = useState(false);
+  const link = invoice.paymentLink;
+  const balanceDue = getInvoiceBalance(invoice);
+  const canCreateLink = shopProfile?.onlinePayments?.enabled && PAYABLE_INVOICE_STATUSES.includes(invoice.status) && balanceDue > 0;
+  // A link is for a fixed amount, so it goes stale once the balance changes some other way
+  const isStale = link?.status === 'Open' && roundCurrency(link.amount) !== balanceDue;
+
+  if (!link && !canCreateLink) return null;
+
+  const handleCreateLink = async () => {
+    setIsCreating(true);
+    try {
+      const created = await requestInvoicePaymentLink(auth, invoice.id);
+      showNotification('Payment Link Created', `Customers can now pay ${formatCurrency(created.amount, currency)} online.`, 'bg-green-600');
+    } catch (e) {
+      console.error("Error creating payment link:", e);
+      showNotification('Error', `Could not create the payment link. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      showNotification('Copied', 'Payment link copied to the clipboard.', 'bg-blue-600');
+    } catch (e) {
+      showNotification('Error', 'Could not copy the link. Select it and copy it manually.', 'bg-red-600');
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg border">
+      <div className="flex justify-between items-center mb-4 border-b pb-2">
+        <h3 className="text-xl font-bold text-gray-700">Online Payment Link</h3>
+        {canCreateLink && (
+          <button
+            onClick={handleCreateLink}
+            disabled={isCreating}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-200 disabled:opacity-50"
+          >
+            {isCreating ? 'Creating...' : (link ? 'Create New Link' : 'Create Payment Link')}
+          </button>
+        )}
+      </div>
+
+      {link ? (
+        <div className="space-y-3 text-sm">
+          <div className="flex items-center space-x-3">
+            <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${PAYMENT_LINK_STATUS_STYLES[link.status] || 'bg-gray-100 text-gray-800'}`}>{link.status}</span>
+            <span>{formatCurrency(link.amount, currency)} via {link.gateway}</span>
+            <span className="text-gray-500">Created {new Date(link.createdAt).toLocaleString()}</span>
+            {link.paidAt && <span className="text-gray-500">Paid {new Date(link.paidAt).toLocaleString()} (Ref: {link.gatewayPaymentId})</span>}
+          </div>
+          {link.status === 'Open' && (
+            <div className="flex space-x-2">
+              <input type="text" value={link.url} readOnly className="flex-1 p-2 border rounded-lg bg-gray-50 text-gray-600" />
+              <button onClick={handleCopyLink} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg">Copy</button>
+            </div>
+          )}
+          {isStale && (
+            <p className="text-orange-700 bg-orange-50 border border-orange-200 rounded-lg p-2">
+              This link is for {formatCurrency(link.amount, currency)} but the balance is now {formatCurrency(balanceDue, currency)}. Create a new link before sending it again.
+            </p>
+          )}
+          {link.status === 'Needs Review' && (
+            <p className="text-red-700 bg-red-50 border border-red-200 rounded-lg p-2">
+              {formatCurrency(link.paidAmount, currency)} was paid online but not recorded: {link.problem} Check the gateway and refund or record the payment manually.
+            </p>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No payment link has been created for this invoice.</p>
+      )}
+    </div>
+  );
+};
+
+const InvoiceCreditNotes = ({ db, userId, invoice, shopProfile, currency }) => {
+  const [creditNotes, setCreditNotes] = useState([]);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const createBlankCreditNote = () => ({
+    mode: 'items',
+    quantities: {},
+    amount: '',
+    reason: CREDIT_NOTE_REASONS[0],
+    reasonDetail: '',
+    refundMethod: 'Cash',
+    refundReference: '',
+    issuedBy: '',
+  });
+  const [form, setForm] = useState(createBlankCreditNote);
+  const [isIssuing, setIsIssuing] = useState(false);
+
+  useEffect(() => {
+    if (!db || !userId || !invoice.id) return;
+
+    const creditNotesQuery = query(collection(db, getTenantPath(userId, 'creditNotes')), where('invoiceId', '==', invoice.id));
+    const unsubscribe = onSnapshot(creditNotesQuery, (snapshot) => {
+      const creditNotesList = [];
+      snapshot.forEach(doc => {
+        creditNotesList.push({ id: doc.id, ...doc.data() });
+      });
+      setCreditNotes(creditNotesList.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)));
+    }, (e) => {
+      console.error("Error fetching credit notes:", e);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId, invoice.id]);
+
+  const canIssue = CREDITABLE_INVOICE_STATUSES.includes(invoice.status);
+  const creditedQuantities = invoice.creditedQuantities || {};
+
+  // Live preview of the credit total so staff can see whether a refund will be due
+  const previewTotal = useMemo(() => {
+    try {
+      return buildCreditNoteDocument(invoice, {
+        mode: form.mode,
+        lines: Object.entries(form.quantities).map(([itemId, qty]) => ({ itemId, qty })),
+        amount: form.amount,
+        reason: form.reason,
+      }).totals.totalAmount;
+    } catch (e) {
+      return 0;
+    }
+  }, [form, invoice]);
+  const refundDue = roundCurrency(Math.max(0, previewTotal - getInvoiceBalance(invoice)));
+
+  const handleIssue = async () => {
+    if (!form.issuedBy.trim()) {
+      showNotification('Error', 'Please enter who is issuing the credit note.', 'bg-red-600');
+      return;
+    }
+    if (previewTotal <= 0) {
+      showNotification('Error', 'Select at least one line item or enter an amount to credit.', 'bg-red-600');
+      return;
+    }
+    setIsIssuing(true);
+    try {
+      const result = await issueCreditNote(db, userId, shopProfile, invoice.id, {
+        mode: form.mode,
+        lines: Object.entries(form.quantities).map(([itemId, qty]) => ({ itemId, qty })),
+        amount: form.amount,
+        reason: form.reasonDetail ? `${form.reason} - ${form.reasonDetail}` : form.reason,
+        refund: { method: form.refundMethod, reference: form.refundReference },
+        issuedBy: { uid: userId, name: form.issuedBy.trim() },
+      });
+      showNotification('Credit Note Issued', `Credit note #${result.creditNoteNo} for ${formatCurrency(result.totalAmount, currency)} issued.${result.refundAmount > 0 ? ` Refund ${formatCurrency(result.refundAmount, currency)} to the customer.` : ''}`, 'bg-green-600');
+      setForm(prev => ({ ...createBlankCreditNote(), issuedBy: prev.issuedBy }));
+      setIsFormOpen(false);
+    } catch (e) {
+      console.error("Error issuing credit note:", e);
+      showNotification('Error', `Failed to issue credit note. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setIsIssuing(false);
+    }
+  };
+
+  const handleDownload = async (creditNote) => {
+    try {
+      await downloadInvoicePdf(creditNote, shopProfile);
+    } catch (e) {
+      console.error("Error generating credit note PDF:", e);
+      showNotification('Error', `Failed to generate credit note PDF. Error: ${e.message}`, 'bg-red-600');
+    }
+  };
+
+  if (!canIssue && creditNotes.length === 0) return null;
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg border">
+      <div className="flex justify-between items-center mb-4 border-b pb-2">
+        <h3 className="text-xl font-bold text-gray-700">Credit Notes ({creditNotes.length})</h3>
+        {canIssue && !isFormOpen && (
+          <button onClick={() => setIsFormOpen(true)} className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-1 px-4 rounded-lg shadow-md text-sm">
+            Issue Credit Note
+          </button>
+        )}
+      </div>
+
+      {creditNotes.length > 0 && (
+        <table className="min-w-full divide-y divide-gray-200 mb-6 text-sm">
+          <tbody className="divide-y divide-gray-200">
+            {creditNotes.map(creditNote => (
+              <tr key={creditNote.id}>
+                <td className="px-4 py-2 font-medium text-purple-700">{creditNote.creditNoteNo}</td>
+                <td className="px-4 py-2">{new Date(creditNote.date).toLocaleDateString()}</td>
+                <td className="px-4 py-2">{creditNote.reason}</td>
+                <td className="px-4 py-2 text-gray-500">{creditNote.refund ? `Refunded ${formatCurrency(creditNote.refund.amount, currency)} (${creditNote.refund.method})` : 'Reduced balance'}</td>
+                <td className="px-4 py-2 text-right font-semibold">{formatCurrency(-creditNote.totalAmount, currency)}</td>
+                <td className="px-4 py-2 text-right">
+                  <button onClick={() => handleDownload(creditNote)} className="text-green-600 hover:text-green-800 text-xs">PDF</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {isFormOpen && (
+        <div className="space-y-4 border-t pt-4">
+          <div className="flex space-x-6 text-sm">
+            <label className="flex items-center space-x-2">
+              <input type="radio" checked={form.mode === 'items'} onChange={() => setForm({ ...form, mode: 'items' })} />
+              <span>Credit selected line items</span>
+            </label>
+            <label className="flex items-center space-x-2">
+              <input type="radio" checked={form.mode === 'amount'} onChange={() => setForm({ ...form, mode: 'amount' })} />
+              <span>Credit an amount (VAT inclusive)</span>
+            </label>
+          </div>
+
+          {form.mode === 'items' ? (
+            <div className="space-y-2">
+              {invoice.items.map(item => {
+                const remainingQty = item.qty - (creditedQuantities[item.id] || 0);
+                return (
+                  <div key={item.id} className="grid grid-cols-6 gap-2 items-center text-sm">
+                    <span className="col-span-3">{item.description}</span>
+                    <span className="text-gray-500">{formatCurrency(item.unitPrice, currency)} each</span>
+                    <span className="text-gray-500">{remainingQty} creditable</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max={remainingQty}
+                      value={form.quantities[item.id] || 0}
+                      disabled={remainingQty <= 0}
+                      onChange={(e) => setForm({ ...form, quantities: { ...form.quantities, [item.id]: Math.min(remainingQty, Math.max(0, parseFloat(e.target.value) || 0)) } })}
+                      className="p-1 border rounded text-center disabled:bg-gray-50"
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Amount to Credit (incl. VAT):</label>
+              <input type="number" value={form.amount} onChange={(e) => setForm({ ...form, amount: e.target.value })} className="mt-1 block w-48 p-2 border border-gray-300 rounded-lg text-right" />
+            </div>
+          )}
+
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Reason:</label>
+              <select value={form.reason} onChange={(e) => setForm({ ...form, reason: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg bg-white">
+                {CREDIT_NOTE_REASONS.map(reason => (
+                  <option key={reason} value={reason}>{reason}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Details:</label>
+              <input type="text" value={form.reasonDetail} onChange={(e) => setForm({ ...form, reasonDetail: e.target.value })} placeholder="e.g., Screen failed within warranty" className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Issued By:</label>
+              <input type="text" value={form.issuedBy} onChange={(e) => setForm({ ...form, issuedBy: e.target.value })} placeholder="Staff Member Name" className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+            </div>
+          </div>
+
+          {refundDue > 0 && (
+            <div className="grid grid-cols-3 gap-4 bg-orange-50 border border-orange-200 p-3 rounded-lg">
+              <p className="text-sm text-orange-800 col-span-3">
+                {formatCurrency(refundDue, currency)} of this credit has already been paid and will be refunded to the customer.
+              </p>
+              <select value={form.refundMethod} onChange={(e) => setForm({ ...form, refundMethod: e.target.value })} className="p-2 border rounded-lg bg-white">
+                {PAYMENT_METHODS.map(method => (
+                  <option key={method} value={method}>Refund by {method}</option>
+                ))}
+              </select>
+              <input type="text" value={form.refundReference} onChange={(e) => setForm({ ...form, refundReference: e.target.value })} placeholder="Refund reference" className="p-2 border rounded-lg col-span-2" />
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button onClick={() => setIsFormOpen(false)} className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg shadow-md">Cancel</button>
+            <button onClick={handleIssue} disabled={isIssuing} className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-6 rounded-lg shadow-md disabled:opacity-50">
+              {isIssuing ? 'Issuing...' : `Issue Credit Note (${formatCurrency(previewTotal, currency)})`}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+/**
+ * Overdue reminders sent by the daily reminder job for one invoice, including failed attempts.
+ */
+const InvoiceReminderLog = ({ db, userId, invoice, currency }) => {
+  const [reminders, setReminders] = useState([]);
+
+  useEffect(() => {
+    if (!db || !userId || !invoice.id) return;
+
+    const remindersQuery = query(collection(db, getTenantPath(userId, 'invoiceReminders')), where('invoiceId', '==', invoice.id));
+    const unsubscribe = onSnapshot(remindersQuery, (snapshot) => {
+      const remindersList = [];
+      snapshot.forEach(doc => {
+        remindersList.push({ id: doc.id, ...doc.data() });
+      });
+      setReminders(remindersList.sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt)));
+    }, (e) => {
+      console.error("Error fetching invoice reminders:", e);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId, invoice.id]);
+
+  if (reminders.length === 0) return null;
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg border">
+      <h3 className="text-xl font-bold mb-4 text-gray-700 border-b pb-2">Payment Reminders ({reminders.length})</h3>
+      <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <tbody className="divide-y divide-gray-200">
+          {reminders.map(reminder => (
+            <tr key={reminder.id}>
+              <td className="px-4 py-2">{new Date(reminder.sentAt).toLocaleString()}</td>
+              <td className="px-4 py-2">{reminder.stage} days overdue</td>
+              <td className="px-4 py-2">{REMINDER_CHANNELS[reminder.channel]}{reminder.to ? ` to ${reminder.to}` : ''}</td>
+              <td className="px-4 py-2 text-right">{formatCurrency(reminder.balanceDue, currency)}</td>
+              <td className="px-4 py-2">
+                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${reminder.status === 'Sent' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                  {reminder.status}
+                </span>
+                {reminder.error && <span className="block text-xs text-red-600">{reminder.error}</span>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const InvoiceDetail = ({ db, auth, userId, shopProfile, invoiceId, onBack, onOpenInvoice }) => {
+  const [invoice, setInvoice] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editorName, setEditorName] = useState('');
+  const [changeNote, setChangeNote] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const currentCurrency = invoice?.shopProfile?.currency || shopProfile?.currency || 'ZAR';
+  const isLocked = invoice ? LOCKED_INVOICE_STATUSES.includes(invoice.status) : true;
+  const daysOverdue = invoice ? getDaysOverdue(invoice, toIsoDate(new Date())) : 0;
+
+  useEffect(() => {
+    if (!db || !userId || !invoiceId) return;
+
+    const invoiceRef = doc(db, getTenantPath(userId, 'invoices'), invoiceId);
+    const unsubscribe = onSnapshot(invoiceRef, (snapshot) => {
+      if (snapshot.exists()) {
+        const storedInvoice = { id: snapshot.id, ...snapshot.data() };
+        setInvoice(storedInvoice);
+        // Reset the editable copy only when a new revision arrives, so unsaved edits survive other updates
+        setDraft(prev => (!prev || prev.revision !== storedInvoice.revision ? storedInvoice : prev));
+      } else {
+        setError("This invoice no longer exists.");
+      }
+      setIsLoading(false);
+    }, (e) => {
+      console.error("Error fetching invoice:", e);
+      setError("Failed to load invoice.");
+      setIsLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId, invoiceId]);
+
+  useEffect(() => {
+    if (!db || !userId || !invoiceId) return;
+
+    const unsubscribe = onSnapshot(query(getInvoiceRevisionsRef(db, userId, invoiceId)), (snapshot) => {
+      const revisionsList = [];
+      snapshot.forEach(doc => {
+        revisionsList.push({ id: doc.id, ...doc.data() });
+      });
+      setRevisions(revisionsList.sort((a, b) => b.revision - a.revision));
+    }, (e) => {
+      console.error("Error fetching invoice revisions:", e);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId, invoiceId]);
+
+  const updateDraft = (changes) => {
+    setDraft(prev => {
+      const next = withDueDate({ ...prev, ...changes });
+      return { ...next, ...getStoredTotals(next) };
+    });
+  };
+
+  const handleSaveDraft = async (newStatus) => {
+    if (!editorName.trim()) {
+      showNotification('Error', 'Please enter your name so the change can be attributed.', 'bg-red-600');
+      return;
+    }
+    setIsSaving(true);
+
+    try {
+      const invoiceRef = doc(db, getTenantPath(userId, 'invoices'), invoiceId);
+      const savedRevision = await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(invoiceRef);
+        const current = snapshot.data();
+        // Re-check the lock against the stored document, not the local copy
+        if (LOCKED_INVOICE_STATUSES.includes(current.status)) {
+          throw new Error(`Invoice is ${current.status} and can no longer be edited.`);
+        }
+
+        const updated = INVOICE_REVISION_FIELDS.reduce((acc, field) => {
+          if (draft[field] !== undefined) acc[field] = draft[field];
+          return acc;
+        }, {});
+        updated.status = newStatus;
+
+        const changes = getInvoiceChanges(current, updated);
+        if (changes.length === 0) return null;
+
+        const now = new Date().toISOString();
+        const revision = (current.revision || 1) + 1;
+        const balanceDue = roundCurrency(updated.totalAmount - (current.amountPaid || 0));
+        transaction.update(invoiceRef, { ...updated, balanceDue, revision, updatedAt: now });
+        transaction.set(doc(getInvoiceRevisionsRef(db, userId, invoiceId)), {
+          revision,
+          action: newStatus !== current.status ? `Marked ${newStatus}` : 'Edited',
+          changedBy: { uid: userId, name: editorName.trim() },
+          changedAt: now,
+          note: changeNote,
+          changes,
+          snapshot: { ...current, ...updated, balanceDue, revision, updatedAt: now },
+        });
+        return revision;
+      });
+
+      if (savedRevision) {
+        showNotification('Success', `Invoice #${invoice.invoiceNo} saved as revision ${savedRevision}.`, 'bg-green-600');
+        setChangeNote('');
+        if (newStatus === 'Sent' && shopProfile?.onlinePayments?.enabled) {
+          await addPaymentLinkToSentInvoice(auth, invoiceId, invoice.invoiceNo);
+        }
+      } else {
+        showNotification('No Changes', 'Nothing was changed, so no revision was recorded.', 'bg-blue-600');
+      }
+    } catch (e) {
+      console.error("Error saving invoice changes:", e);
+      showNotification('Error', `Failed to save invoice. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCreateRevision = async () => {
+    if (!editorName.trim() || !changeNote.trim()) {
+      showNotification('Error', 'Please enter your name and a reason for the new revision.', 'bg-red-600');
+      return;
+    }
+    setIsSaving(true);
+
+    try {
+      const invoicesRef = collection(db, getTenantPath(userId, 'invoices'));
+      const originalRef = doc(invoicesRef, invoiceId);
+      const newInvoiceRef = doc(invoicesRef);
+      const changedBy = { uid: userId, name: editorName.trim() };
+
+      const newInvoiceNo = await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(originalRef);
+        const original = snapshot.data();
+        if (original.status === 'Superseded') {
+          throw new Error(`Invoice is already superseded by #${original.supersededBy?.invoiceNo}.`);
+        }
+        if ((original.amountPaid || 0) > 0 || (original.amountCredited || 0) > 0) {
+          throw new Error('Payments or credit notes exist against this invoice. Issue a credit note instead.');
+        }
+        if (original.accountingExport) {
+          throw new Error('This invoice has already been exported to the accounting system. Issue a credit note instead.');
+        }
+
+        const newInvoiceNo = await allocateDocumentNumber(transaction, db, userId, shopProfile, 'invoice');
+        const now = new Date().toISOString();
+        const newInvoice = withDueDate({
+          ...original,
+          invoiceNo: newInvoiceNo,
+          date: now.substring(0, 10),
+          status: 'Draft',
+          amountPaid: 0,
+          balanceDue: original.totalAmount,
+          remindersSent: [],
+          supersededBy: null,
+          revisionOf: { id: invoiceId, invoiceNo: original.invoiceNo },
+          revision: 1,
+          createdAt: now,
+          updatedAt: now,
+        });
+        transaction.set(newInvoiceRef, newInvoice);
+        transaction.set(doc(getInvoiceRevisionsRef(db, userId, newInvoiceRef.id)), {
+          revision: 1,
+          action: 'Created',
+          changedBy,
+          changedAt: now,
+          note: `Revision of #${original.invoiceNo}: ${changeNote}`,
+          changes: [],
+          snapshot: newInvoice,
+        });
+
+        const supersededRevision = (original.revision || 1) + 1;
+        const supersededBy = { id: newInvoiceRef.id, invoiceNo: newInvoiceNo };
+        transaction.update(originalRef, { status: 'Superseded', supersededBy, revision: supersededRevision, updatedAt: now });
+        transaction.set(doc(getInvoiceRevisionsRef(db, userId, invoiceId)), {
+          revision: supersededRevision,
+          action: 'Superseded',
+          changedBy,
+          changedAt: now,
+          note: changeNote,
+          changes: getInvoiceChanges(original, { ...original, status: 'Superseded' }),
+          snapshot: { ...original, status: 'Superseded', supersededBy, revision: supersededRevision, updatedAt: now },
+        });
+        return newInvoiceNo;
+      });
+
+      showNotification('Revision Created', `Draft #${newInvoiceNo} replaces #${invoice.invoiceNo}.`, 'bg-green-600');
+      setChangeNote('');
+      onOpenInvoice(newInvoiceRef.id);
+    } catch (e) {
+      console.error("Error creating invoice revision:", e);
+      showNotification('Error', `Failed to create revision. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      await downloadInvoicePdf(isLocked ? invoice : draft, shopProfile);
+    } catch (e) {
+      console.error("Error generating invoice PDF:", e);
+      showNotification('Error', `Failed to generate invoice PDF. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  if (isLoading) return <div className="p-8 text-center text-gray-600">Loading invoice...</div>;
+  if (error) return <div className="p-8 text-center text-red-600 bg-red-100 rounded-lg">{error}</div>;
+  if (!draft) return null;
+
+  const deductibleSplit = getDeductibleSplit(draft);
+
+  const formatChangeValue = (field, value) => {
+    if (field === 'items') return `${(value || []).length} line item(s)`;
+    if (['subtotal', 'taxAmount', 'totalAmount'].includes(field)) return formatCurrency(value, currentCurrency);
+    if (value === null || value === '') return '(empty)';
+    return String(value);
+  };
+
+  return (
+    <div className="space-y-6">
+      <button onClick={onBack} className="text-indigo-600 hover:text-indigo-800 font-semibold text-sm">&larr; Back to Invoice History</button>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg border">
+        <div className="flex justify-between items-start mb-6 border-b pb-4">
+          <div>
+            <h1 className="text-3xl font-extrabold text-indigo-800">INVOICE #{invoice.invoiceNo}</h1>
+            <p className="text-sm text-gray-500 mt-1">
+              Status: <span className="font-semibold">{invoice.status}</span> | Revision {invoice.revision || 1}
+              {invoice.dueDate && <> | Due {new Date(invoice.dueDate).toLocaleDateString()}</>}
+              {daysOverdue > 0 && <span className="ml-2 px-2 rounded-full bg-red-200 text-red-900 font-semibold">Overdue by {daysOverdue} days</span>}
+              {invoice.revisionOf && <> | Replaces <button onClick={() => onOpenInvoice(invoice.revisionOf.id)} className="text-indigo-600 underline">#{invoice.revisionOf.invoiceNo}</button></>}
+              {invoice.supersededBy && <> | Superseded by <button onClick={() => onOpenInvoice(invoice.supersededBy.id)} className="text-indigo-600 underline">#{invoice.supersededBy.invoiceNo}</button></>}
+              {invoice.relatedJobNo && <> | Repair job #{invoice.relatedJobNo}</>}
+              {invoice.quoteNo && <> | Quotation #{invoice.quoteNo}</>}
+            </p>
+          </div>
+          <button
+            onClick={handleDownload}
+            disabled={isDownloading}
+            className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-200 disabled:opacity-50"
+          >
+            {isDownloading ? 'Generating...' : 'Download PDF'}
+          </button>
+        </div>
+
+        {isLocked && (
+          <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded-lg mb-6 text-sm">
+            This invoice is <span className="font-bold">{invoice.status}</span> and is locked. To change it, issue a credit note or create a new revision (a new draft invoice that supersedes this one).
+          </div>
+        )}
+
+        {/* Customer Details */}
+        <div className="grid grid-cols-2 gap-4 mb-6">
+          <input type="date" value={draft.date} disabled={isLocked} onChange={(e) => updateDraft({ date: e.target.value })} className="p-2 border rounded-lg disabled:bg-gray-50" />
+          <input type="text" placeholder="Customer Name" value={draft.customerName} disabled={isLocked} onChange={(e) => updateDraft({ customerName: e.target.value })} className="p-2 border rounded-lg disabled:bg-gray-50" />
+          <input type="text" placeholder="Customer Phone" value={draft.customerPhone} disabled={isLocked} onChange={(e) => updateDraft({ customerPhone: e.target.value })} className="p-2 border rounded-lg disabled:bg-gray-50" />
+          <input type="text" placeholder="Bill To (Optional)" value={draft.billTo} disabled={isLocked} onChange={(e) => updateDraft({ billTo: e.target.value })} className="p-2 border rounded-lg disabled:bg-gray-50" />
+          <input type="email" placeholder="Customer Email (for reminders)" value={draft.customerEmail || ''} disabled={isLocked} onChange={(e) => updateDraft({ customerEmail: e.target.value })} className="p-2 border rounded-lg disabled:bg-gray-50" />
+          <select value={draft.paymentTermsDays ?? ''} disabled={isLocked} onChange={(e) => updateDraft({ paymentTermsDays: parseInt(e.target.value, 10) })} className="p-2 border rounded-lg bg-white disabled:bg-gray-50">
+            {draft.paymentTermsDays === undefined && <option value="" disabled>No payment terms</option>}
+            {PAYMENT_TERMS.map(terms => (
+              <option key={terms.days} value={terms.days}>Terms: {terms.label}{draft.date ? ` (due ${calculateDueDate(draft.date, terms.days)})` : ''}</option>
+            ))}
+          </select>
+          <input type="text" placeholder="Customer Address" value={draft.customerAddress} disabled={isLocked} onChange={(e) => updateDraft({ customerAddress: e.target.value })} className="p-2 border rounded-lg col-span-2 disabled:bg-gray-50" />
+        </div>
+
+        <InvoiceLineItemsEditor items={draft.items} currency={currentCurrency} readOnly={isLocked} onChange={(items) => updateDraft({ items })} />
+
+        <div className="grid grid-cols-3 gap-6">
+          <div className="col-span-2">
+            <h3 className="text-lg font-bold mb-2">Banking Details:</h3>
+            <textarea rows="3" value={draft.bankingDetails} disabled={isLocked} onChange={(e) => updateDraft({ bankingDetails: e.target.value })} className="w-full p-2 border rounded-lg disabled:bg-gray-50" />
+          </div>
+          <div className="col-span-1">
+            <InvoiceTotalsPanel document={draft} currency={currentCurrency} readOnly={isLocked} onChange={updateDraft} />
+            {deductibleSplit && (
+              <div className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm space-y-1">
+                <div className="flex justify-between"><span>Customer deductible:</span><span className="font-semibold">{formatCurrency(deductibleSplit.customerAmount, currentCurrency)}</span></div>
+                <div className="flex justify-between"><span>Due from insurer:</span><span className="font-semibold">{formatCurrency(deductibleSplit.insurerAmount, currentCurrency)}</span></div>
+                {draft.insuranceClaim.reference && <div className="text-xs text-gray-600">Claim ref: {draft.insuranceClaim.reference}</div>}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {invoice.status !== 'Superseded' && (
+          <div className="mt-8 pt-4 border-t grid grid-cols-3 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Your Name:</label>
+              <input type="text" value={editorName} onChange={(e) => setEditorName(e.target.value)} placeholder="Staff Member Name" className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">{isLocked ? 'Reason for Revision:' : 'Change Note (Optional):'}</label>
+              <input type="text" value={changeNote} onChange={(e) => setChangeNote(e.target.value)} placeholder="e.g., Corrected customer address" className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+            </div>
+            <div className="flex justify-end space-x-3">
+              {isLocked ? (
+                <button onClick={handleCreateRevision} disabled={isSaving} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50">
+                  {isSaving ? 'Creating...' : 'Create New Revision'}
+                </button>
+              ) : (
+                <>
+                  <button onClick={() => handleSaveDraft('Draft')} disabled={isSaving} className="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50">
+                    Save Draft
+                  </button>
+                  <button onClick={() => handleSaveDraft('Sent')} disabled={isSaving} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50">
+                    {isSaving ? 'Saving...' : 'Save & Send'}
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {invoice.status !== 'Draft' && <InvoicePayments db={db} userId={userId} invoice={invoice} currency={currentCurrency} />}
+
+      {invoice.status !== 'Draft' && <InvoicePaymentLink auth={auth} invoice={invoice} shopProfile={shopProfile} currency={currentCurrency} />}
+
+      {invoice.status !== 'Draft' && <InvoiceCreditNotes db={db} userId={userId} invoice={invoice} shopProfile={shopProfile} currency={currentCurrency} />}
+
+      {invoice.dueDate && <InvoiceReminderLog db={db} userId={userId} invoice={invoice} currency={currentCurrency} />}
+
+      {/* Revision History */}
+      <div className="bg-white p-6 rounded-xl shadow-lg border">
+        <h3 className="text-xl font-bold mb-4 text-gray-700 border-b pb-2">Revision History ({revisions.length})</h3>
+        {revisions.length === 0 ? (
+          <p className="text-sm text-gray-500">No revisions recorded for this invoice.</p>
+        ) : (
+          <ul className="space-y-4">
+            {revisions.map(revision => (
+              <li key={revision.id} className="border-l-4 border-indigo-300 pl-4">
+                <div className="text-sm">
+                  <span className="font-bold">Revision {revision.revision}: {revision.action}</span>
+                  <span className="text-gray-500"> &mdash; {new Date(revision.changedAt).toLocaleString()} by {revision.changedBy?.name || revision.changedBy?.uid || 'Unknown'}</span>
+                </div>
+                {revision.note && <p className="text-sm italic text-gray-600">{revision.note}</p>}
+                {revision.changes?.length > 0 && (
+                  <ul className="text-xs text-gray-600 mt-1 space-y-0.5">
+                    {revision.changes.map(change => (
+                      <li key={change.field}>
+                        <span className="font-mono">{change.field}</span>: {formatChangeValue(change.field, change.from)} &rarr; {formatChangeValue(change.field, change.to)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+
+const NO_DOCUMENTS = [];
+
+/**
+ * Live copies of whole tenant collections for reports, e.g.
+ * const { invoices, payments, isLoading } = useTenantCollections(db, userId, ['invoices', 'payments']);
+ */
+const useTenantCollections = (db, userId, collectionNames) => {
+  const [documentsByCollection, setDocumentsByCollection] = useState({});
+  const collectionsKey = collectionNames.join(',');
+
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    const unsubscribes = collectionsKey.split(',').map(collectionName => (
+      onSnapshot(query(collection(db, getTenantPath(userId, collectionName))), (snapshot) => {
+        const documentsList = [];
+        snapshot.forEach(doc => {
+          documentsList.push({ id: doc.id, ...doc.data() });
+        });
+        setDocumentsByCollection(prev => ({ ...prev, [collectionName]: documentsList }));
+      }, (e) => {
+        console.error(`Error fetching ${collectionName}:`, e);
+        setDocumentsByCollection(prev => ({ ...prev, [collectionName]: prev[collectionName] || NO_DOCUMENTS }));
+      })
+    ));
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [db, userId, collectionsKey]);
+
+  return collectionNames.reduce((acc, collectionName) => {
+    acc[collectionName] = documentsByCollection[collectionName] || NO_DOCUMENTS;
+    return acc;
+  }, { isLoading: collectionNames.some(collectionName => !documentsByCollection[collectionName]) });
+};
+
+/**
+ * Account statements for customers with several invoices: opening balance, transactions in the
+ * period, closing balance and ageing, with a PDF download.
+ */
+const CustomerStatements = ({ db, userId, shopProfile }) => {
+  const { invoices, payments, creditNotes, isLoading } = useTenantCollections(db, userId, ['invoices', 'payments', 'creditNotes']);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [customerKey, setCustomerKey] = useState(null);
+  const [period, setPeriod] = useState(() => {
+    const today = new Date();
+    // Default to the current month and the two before it
+    const from = new Date(Date.UTC(today.getFullYear(), today.getMonth() - 2, 1));
+    return { from: toIsoDate(from), to: toIsoDate(today) };
+  });
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const currentCurrency = shopProfile?.currency || 'ZAR';
+
+  const customers = useMemo(() => listStatementCustomers(invoices), [invoices]);
+
+  const filteredCustomers = useMemo(() => {
+    if (!searchTerm) return customers;
+    const lowerCaseSearch = searchTerm.toLowerCase();
+    return customers.filter(customer =>
+      (customer.customerName || '').toLowerCase().includes(lowerCaseSearch) ||
+      (customer.customerPhone || '').toLowerCase().includes(lowerCaseSearch) ||
+      (customer.billTo || '').toLowerCase().includes(lowerCaseSearch)
+    );
+  }, [customers, searchTerm]);
+
+  const selectedCustomer = customers.find(customer => customer.key === customerKey);
+
+  const statement = useMemo(() => {
+    if (!selectedCustomer || !period.from || !period.to || period.from > period.to) return null;
+    return buildCustomerStatement({ customerKey: selectedCustomer.key, invoices, payments, creditNotes, from: period.from, to: period.to });
+  }, [selectedCustomer, invoices, payments, creditNotes, period]);
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      await downloadStatementPdf(statement, selectedCustomer, shopProfile);
+    } catch (e) {
+      console.error("Error generating statement PDF:", e);
+      showNotification('Error', `Failed to generate statement PDF. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  if (isLoading) return <div className="p-8 text-center text-gray-600">Loading customers...</div>;
+
+  return (
+    <div className="grid grid-cols-3 gap-6">
+      <div className="bg-white p-4 rounded-xl shadow-lg border">
+        <h2 className="text-lg font-bold mb-3 text-indigo-800">Customers ({customers.length})</h2>
+        <input
+          type="text"
+          placeholder="Search name, phone or company..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-lg mb-3 text-sm"
+        />
+        <ul className="divide-y divide-gray-100 max-h-[32rem] overflow-y-auto">
+          {filteredCustomers.map(customer => (
+            <li key={customer.key}>
+              <button
+                onClick={() => setCustomerKey(customer.key)}
+                className={`w-full text-left px-2 py-2 text-sm rounded ${customer.key === customerKey ? 'bg-indigo-50 text-indigo-800' : 'hover:bg-gray-50'}`}
+              >
+                <span className="font-medium">{customer.customerName}</span>
+                <span className="block text-xs text-gray-500">{customer.customerPhone} &middot; {customer.invoiceCount} invoice{customer.invoiceCount === 1 ? '' : 's'}</span>
+              </button>
+            </li>
+          ))}
+          {filteredCustomers.length === 0 && <li className="py-4 text-sm text-center text-gray-500">No customers found.</li>}
+        </ul>
+      </div>
+
+      <div className="col-span-2 bg-white p-6 rounded-xl shadow-lg border">
+        {!selectedCustomer ? (
+          <p className="text-center py-10 text-gray-500">Select a customer to generate their statement.</p>
+        ) : (
+          <>
+            <div className="flex justify-between items-start mb-4 border-b pb-4">
+              <div>
+                <h2 className="text-2xl font-bold text-indigo-800">Statement: {selectedCustomer.customerName}</h2>
+                <p className="text-sm text-gray-500">{selectedCustomer.customerPhone}{selectedCustomer.billTo ? ` | ${selectedCustomer.billTo}` : ''}</p>
+              </div>
+              <button
+                onClick={handleDownload}
+                disabled={!statement || isDownloading}
+                className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-200 disabled:opacity-50"
+              >
+                {isDownloading ? 'Generating...' : 'Download PDF'}
+              </button>
+            </div>
+
+            <div className="flex space-x-4 mb-4 text-sm items-center">
+              <label className="font-medium text-gray-700">From:</label>
+              <input type="date" value={period.from} onChange={(e) => setPeriod({ ...period, from: e.target.value })} className="p-1 border rounded" />
+              <label className="font-medium text-gray-700">To:</label>
+              <input type="date" value={period.to} onChange={(e) => setPeriod({ ...period, to: e.target.value })} className="p-1 border rounded" />
+            </div>
+
+            {!statement ? (
+              <p className="text-sm text-red-600">Choose a valid date range.</p>
+            ) : (
+              <>
+                <table className="min-w-full divide-y divide-gray-200 text-sm mb-6">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reference</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Debit</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Credit</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    <tr className="bg-gray-50/60">
+                      <td className="px-3 py-2">{new Date(statement.from).toLocaleDateString()}</td>
+                      <td className="px-3 py-2 font-medium" colSpan="4">Opening balance</td>
+                      <td className="px-3 py-2 text-right font-medium">{formatCurrency(statement.openingBalance, currentCurrency)}</td>
+                    </tr>
+                    {statement.transactions.map((entry, index) => (
+                      <tr key={`${entry.type}-${entry.reference}-${index}`}>
+                        <td className="px-3 py-2">{new Date(entry.date).toLocaleDateString()}</td>
+                        <td className="px-3 py-2">{entry.type}</td>
+                        <td className="px-3 py-2">
+                          {entry.reference}
+                          {entry.description && <span className="block text-xs text-gray-500">{entry.description}</span>}
+                        </td>
+                        <td className="px-3 py-2 text-right">{entry.debit ? formatCurrency(entry.debit, currentCurrency) : ''}</td>
+                        <td className="px-3 py-2 text-right">{entry.credit ? formatCurrency(entry.credit, currentCurrency) : ''}</td>
+                        <td className="px-3 py-2 text-right">{formatCurrency(entry.balance, currentCurrency)}</td>
+                      </tr>
+                    ))}
+                    <tr className="font-bold border-t-2 border-indigo-200">
+                      <td className="px-3 py-2" colSpan="3">Closing balance</td>
+                      <td className="px-3 py-2 text-right">{formatCurrency(statement.totalDebits, currentCurrency)}</td>
+                      <td className="px-3 py-2 text-right">{formatCurrency(statement.totalCredits, currentCurrency)}</td>
+                      <td className="px-3 py-2 text-right">{formatCurrency(statement.closingBalance, currentCurrency)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+
+                <div className="grid grid-cols-4 gap-4">
+                  {AGEING_BUCKETS.map(({ key, label }) => (
+                    <div key={key} className={`p-3 rounded-lg border text-center ${key !== 'current' && statement.ageing[key] > 0 ? 'bg-red-50 border-red-200' : 'bg-gray-50'}`}>
+                      <p className="text-xs font-medium text-gray-500 uppercase">{label}</p>
+                      <p className="text-lg font-bold">{formatCurrency(statement.ageing[key], currentCurrency)}</p>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Recurring invoice schedules. A schedule keeps a template of the invoice (customer, line items,
+ * terms) and the daily recurring-invoices job creates a normally numbered invoice from it on each
+ * run date, either sent to the customer or saved as a draft. Each schedule lists its runs.
+ */
+const RecurringInvoices = ({ db, userId, shopProfile, onOpenInvoice }) => {
+  const { recurringInvoices, isLoading } = useTenantCollections(db, userId, ['recurringInvoices']);
+  const today = toIsoDate(new Date());
+  const createBlankSchedule = () => {
+    const blankSchedule = {
+      name: '',
+      frequency: 'monthly',
+      startDate: today,
+      endDate: '',
+      mode: 'draft',
+      paymentTermsDays: getShopPaymentTermsDays(shopProfile),
+      customerName: '',
+      customerAddress: '',
+      customerPhone: '',
+      customerEmail: '',
+      billTo: '',
+      items: [{ id: 1, description: '', qty: 1, unitPrice: 0, discountPercent: 0, taxCategory: 'standard', total: 0 }],
+      taxRate: getShopVatRate(shopProfile),
+      pricesIncludeVat: false,
+      invoiceDiscount: { type: 'percent', value: 0 },
+      bankingDetails: shopProfile?.bankingDetails || '',
+      preparedBy: '',
+    };
+    return { ...blankSchedule, ...getStoredTotals(blankSchedule) };
+  };
+  const [form, setForm] = useState(null);
+  const [selectedScheduleId, setSelectedScheduleId] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const currentCurrency = shopProfile?.currency || 'ZAR';
+  const sortedSchedules = useMemo(() => (
+    [...recurringInvoices].sort((a, b) => (a.status === b.status ? a.name.localeCompare(b.name) : a.status.localeCompare(b.status)))
+  ), [recurringInvoices]);
+  const selectedSchedule = recurringInvoices.find(schedule => schedule.id === selectedScheduleId);
+  // The run dates can only change until the schedule has created its first invoice
+  const canChangeDates = !form?.id || !form.runCount;
+
+  useEffect(() => {
+    if (!db || !userId || !selectedScheduleId) return;
+
+    const runsRef = collection(db, getTenantPath(userId, 'recurringInvoices'), selectedScheduleId, 'runs');
+    const unsubscribe = onSnapshot(query(runsRef), (snapshot) => {
+      const runsList = [];
+      snapshot.forEach(doc => {
+        runsList.push({ id: doc.id, ...doc.data() });
+      });
+      setRuns(runsList.sort((a, b) => b.index - a.index));
+    }, (e) => {
+      console.error("Error fetching schedule runs:", e);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId, selectedScheduleId]);
+
+  const updateForm = (changes) => {
+    setForm(prev => {
+      const next = { ...prev, ...changes };
+      return { ...next, ...getStoredTotals(next) };
+    });
+  };
+
+  const handleEdit = (schedule) => {
+    setSelectedScheduleId(null);
+    setForm({ ...schedule, endDate: schedule.endDate || '' });
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim() || !form.customerName.trim()) {
+      showNotification('Error', 'A schedule name and customer name are required.', 'bg-red-600');
+      return;
+    }
+    if (!form.items.some(item => item.description.trim())) {
+      showNotification('Error', 'Add at least one line item.', 'bg-red-600');
+      return;
+    }
+    if (canChangeDates && form.startDate < today) {
+      showNotification('Error', 'The start date cannot be in the past.', 'bg-red-600');
+      return;
+    }
+    if (form.endDate && form.endDate < form.startDate) {
+      showNotification('Error', 'The end date must be after the start date.', 'bg-red-600');
+      return;
+    }
+    if (form.mode === 'send' && !form.customerEmail.trim() && !form.customerPhone.trim()) {
+      showNotification('Error', 'Sent invoices need a customer email address or phone number.', 'bg-red-600');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const now = new Date().toISOString();
+      const nextRunIndex = canChangeDates ? 0 : form.nextRunIndex;
+      const scheduleFields = {
+        ...getScheduleTemplate(form),
+        ...getStoredTotals(form),
+        name: form.name.trim(),
+        frequency: form.frequency,
+        startDate: form.startDate,
+        endDate: form.endDate || null,
+        mode: form.mode,
+        nextRunIndex,
+      };
+      const nextRunDate = getNextRunDate(scheduleFields);
+      // A paused schedule stays paused; changing the end date can end or revive an active one
+      const status = form.status === 'Paused' ? 'Paused' : (nextRunDate ? 'Active' : 'Ended');
+
+      if (form.id) {
+        await updateDoc(doc(db, getTenantPath(userId, 'recurringInvoices'), form.id), { ...scheduleFields, nextRunDate, status, updatedAt: now });
+      } else {
+        await addDoc(collection(db, getTenantPath(userId, 'recurringInvoices')), {
+          ...scheduleFields,
+          nextRunDate,
+          status,
+          runCount: 0,
+          createdAt: now,
+          updatedAt: now,
+        });
+      }
+      showNotification('Schedule Saved', nextRunDate ? `"${scheduleFields.name}" next runs on ${nextRunDate}.` : `"${scheduleFields.name}" has no runs left.`, 'bg-green-600');
+      setForm(null);
+    } catch (e) {
+      console.error("Error saving recurring schedule:", e);
+      showNotification('Error', `Failed to save schedule. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSetStatus = async (schedule, action) => {
+    const scheduleRef = doc(db, getTenantPath(userId, 'recurringInvoices'), schedule.id);
+    const now = new Date().toISOString();
+    try {
+      if (action === 'pause') {
+        await updateDoc(scheduleRef, { status: 'Paused', updatedAt: now });
+      } else if (action === 'end') {
+        await updateDoc(scheduleRef, { status: 'Ended', nextRunDate: null, updatedAt: now });
+      } else {
+        // Runs missed while paused are skipped, not backfilled
+        const nextRunIndex = getRunIndexFrom(schedule, today);
+        const nextRunDate = getNextRunDate({ ...schedule, nextRunIndex });
+        await updateDoc(scheduleRef, { status: nextRunDate ? 'Active' : 'Ended', nextRunIndex, nextRunDate, updatedAt: now });
+      }
+    } catch (e) {
+      console.error("Error updating recurring schedule:", e);
+      showNotification('Error', `Failed to update schedule. Error: ${e.message}`, 'bg-red-600');
+    }
+  };
+
+  const statusColours = {
+    Active: 'bg-green-100 text-green-800',
+    Paused: 'bg-yellow-100 text-yellow-800',
+    Ended: 'bg-gray-200 text-gray-700',
+  };
+
+  if (form) {
+    return (
+      <div className="bg-white p-6 rounded-xl shadow-lg border">
+        <h2 className="text-2xl font-bold text-gray-800 mb-6">{form.id ? `Edit Schedule: ${form.name}` : 'New Recurring Invoice'}</h2>
+
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-6 text-sm">
+          <label className="block">
+            <span className="font-medium text-gray-700">Schedule Name</span>
+            <input type="text" value={form.name} placeholder="E.g., Monthly IT support - Acme" onChange={(e) => updateForm({ name: e.target.value })} className="mt-1 w-full p-2 border rounded-lg" />
+          </label>
+          <label className="block">
+            <span className="font-medium text-gray-700">Frequency</span>
+            <select value={form.frequency} disabled={!canChangeDates} onChange={(e) => updateForm({ frequency: e.target.value })} className="mt-1 w-full p-2 border rounded-lg bg-white disabled:bg-gray-100">
+              {Object.entries(RECURRING_FREQUENCIES).map(([id, frequency]) => (
+                <option key={id} value={id}>{frequency.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="font-medium text-gray-700">Payment Terms</span>
+            <select value={form.paymentTermsDays} onChange={(e) => updateForm({ paymentTermsDays: parseInt(e.target.value, 10) })} className="mt-1 w-full p-2 border rounded-lg bg-white">
+              {PAYMENT_TERMS.map(terms => (
+                <option key={terms.days} value={terms.days}>{terms.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="font-medium text-gray-700">First Invoice Date</span>
+            <input type="date" value={form.startDate} min={canChangeDates ? today : undefined} disabled={!canChangeDates} onChange={(e) => updateForm({ startDate: e.target.value })} className="mt-1 w-full p-2 border rounded-lg disabled:bg-gray-100" />
+          </label>
+          <label className="block">
+            <span className="font-medium text-gray-700">End Date (optional)</span>
+            <input type="date" value={form.endDate} min={form.startDate} onChange={(e) => updateForm({ endDate: e.target.value })} className="mt-1 w-full p-2 border rounded-lg" />
+          </label>
+          <label className="block">
+            <span className="font-medium text-gray-700">Prepared By</span>
+            <input type="text" value={form.preparedBy} placeholder="Staff Member Name" onChange={(e) => updateForm({ preparedBy: e.target.value })} className="mt-1 w-full p-2 border rounded-lg" />
+          </label>
+        </div>
+
+        <div className="mb-6 text-sm">
+          <span className="font-medium text-gray-700">Each run:</span>
+          <div className="flex flex-wrap gap-6 mt-2">
+            {Object.entries(RECURRING_MODES).map(([mode, label]) => (
+              <label key={mode} className="flex items-center space-x-2">
+                <input type="radio" name="recurringMode" checked={form.mode === mode} onChange={() => updateForm({ mode })} className="form-radio h-4 w-4 text-indigo-600" />
+                <span>{label}</span>
+              </label>
+            ))}
+          </div>
+          {form.mode === 'send' && (
+            <p className="text-xs text-gray-500 mt-1">The invoice is emailed to the customer, or sent by SMS when there is no email address.</p>
+          )}
+        </div>
+
+        <div className="mb-6 border-t pt-4">
+          <h3 className="text-lg font-bold mb-3">Bill To:</h3>
+          <div className="grid grid-cols-2 gap-4">
+            <input type="text" placeholder="Customer Name (Required)" value={form.customerName} onChange={(e) => updateForm({ customerName: e.target.value })} className="p-2 border rounded-lg" />
+            <input type="text" placeholder="Customer Phone" value={form.customerPhone} onChange={(e) => updateForm({ customerPhone: e.target.value })} className="p-2 border rounded-lg" />
+            <input type="email" placeholder="Customer Email" value={form.customerEmail} onChange={(e) => updateForm({ customerEmail: e.target.value })} className="p-2 border rounded-lg col-span-2" />
+            <input type="text" placeholder="Customer Address" value={form.customerAddress} onChange={(e) => updateForm({ customerAddress: e.target.value })} className="p-2 border rounded-lg col-span-2" />
+            <input type="text" placeholder="Bill To (Optional - E.g., Company Name)" value={form.billTo} onChange={(e) => updateForm({ billTo: e.target.value })} className="p-2 border rounded-lg col-span-2" />
+          </div>
+        </div>
+
+        <InvoiceLineItemsEditor items={form.items} currency={currentCurrency} onChange={(items) => updateForm({ items })} />
+
+        <div className="grid grid-cols-3 gap-6">
+          <div className="col-span-2">
+            <h3 className="text-lg font-bold mb-2">Banking Details (optional):</h3>
+            <textarea rows="4" value={form.bankingDetails} onChange={(e) => updateForm({ bankingDetails: e.target.value })} className="w-full p-2 border rounded-lg" />
+          </div>
+          <div className="col-span-1">
+            <InvoiceTotalsPanel document={form} currency={currentCurrency} onChange={updateForm} />
+          </div>
+        </div>
+
+        <div className="mt-8 pt-4 border-t flex justify-end space-x-4">
+          <button onClick={() => setForm(null)} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-6 rounded-lg">
+            Cancel
+          </button>
+          <button onClick={handleSave} disabled={isSaving} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-lg shadow-md disabled:opacity-50">
+            {isSaving ? 'Saving...' : 'Save Schedule'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <p className="text-sm text-gray-600">Invoices are created early each morning on their run date.</p>
+        <button onClick={() => setForm(createBlankSchedule())} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md">
+          New Schedule
+        </button>
+      </div>
+
+      {isLoading ? (
+        <p className="text-gray-500">Loading schedules...</p>
+      ) : sortedSchedules.length === 0 ? (
+        <p className="text-gray-500">No recurring invoices yet.</p>
+      ) : (
+        <div className="overflow-x-auto bg-white rounded-xl shadow border">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-600">
+              <tr>
+                <th className="p-3">Schedule</th>
+                <th className="p-3">Customer</th>
+                <th className="p-3">Frequency</th>
+                <th className="p-3">Each Run</th>
+                <th className="p-3">Next Run</th>
+                <th className="p-3 text-right">Amount</th>
+                <th className="p-3">Status</th>
+                <th className="p-3"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortedSchedules.map(schedule => (
+                <tr key={schedule.id} className={`border-t ${schedule.id === selectedScheduleId ? 'bg-indigo-50' : ''}`}>
+                  <td className="p-3 font-medium">
+                    <button onClick={() => setSelectedScheduleId(schedule.id === selectedScheduleId ? null : schedule.id)} className="text-indigo-600 hover:underline text-left">
+                      {schedule.name}
+                    </button>
+                  </td>
+                  <td className="p-3">{schedule.customerName}</td>
+                  <td className="p-3">{RECURRING_FREQUENCIES[schedule.frequency]?.label}</td>
+                  <td className="p-3">{schedule.mode === 'send' ? 'Send' : 'Draft'}</td>
+                  <td className="p-3">{schedule.status === 'Active' ? schedule.nextRunDate : '-'}</td>
+                  <td className="p-3 text-right">{formatCurrency(schedule.totalAmount, currentCurrency)}</td>
+                  <td className="p-3">
+                    <span className={`px-2 py-1 rounded-full text-xs font-semibold ${statusColours[schedule.status]}`}>{schedule.status}</span>
+                  </td>
+                  <td className="p-3 space-x-3 whitespace-nowrap text-right">
+                    {schedule.status !== 'Ended' && (
+                      <button onClick={() => handleEdit(schedule)} className="text-indigo-600 hover:underline">Edit</button>
+                    )}
+                    {schedule.status === 'Active' && (
+                      <button onClick={() => handleSetStatus(schedule, 'pause')} className="text-yellow-700 hover:underline">Pause</button>
+                    )}
+                    {schedule.status === 'Paused' && (
+                      <button onClick={() => handleSetStatus(schedule, 'resume')} className="text-green-700 hover:underline">Resume</button>
+                    )}
+                    {schedule.status !== 'Ended' && (
+                      <button onClick={() => handleSetStatus(schedule, 'end')} className="text-red-600 hover:underline">End</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selectedSchedule && (
+        <div className="bg-white p-6 rounded-xl shadow border">
+          <h3 className="text-lg font-bold mb-1">Run History: {selectedSchedule.name}</h3>
+          <p className="text-sm text-gray-600 mb-4">
+            {RECURRING_FREQUENCIES[selectedSchedule.frequency]?.label} from {selectedSchedule.startDate}
+            {selectedSchedule.endDate ? ` to ${selectedSchedule.endDate}` : ''} &middot; {selectedSchedule.runCount || 0} invoices created
+          </p>
+          {runs.length === 0 ? (
+            <p className="text-gray-500 text-sm">No runs yet.</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead className="text-left text-gray-600 border-b">
+                <tr>
+                  <th className="py-2">Run Date</th>
+                  <th className="py-2">Invoice</th>
+                  <th className="py-2 text-right">Amount</th>
+                  <th className="py-2 pl-4">Result</th>
+                  <th className="py-2">Delivery</th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map(run => (
+                  <tr key={run.id} className="border-b last:border-0">
+                    <td className="py-2">{run.runDate}</td>
+                    <td className="py-2">
+                      {run.invoiceId ? (
+                        <button onClick={() => onOpenInvoice(run.invoiceId)} className="text-indigo-600 hover:underline font-mono">{run.invoiceNo}</button>
+                      ) : '-'}
+                    </td>
+                    <td className="py-2 text-right">{run.totalAmount !== undefined ? formatCurrency(run.totalAmount, currentCurrency) : '-'}</td>
+                    <td className="py-2 pl-4">
+                      {run.status === 'Created' ? `Created (${run.invoiceStatus})` : (
+                        <span className="text-red-600">Failed{run.attempts > 1 ? ` x${run.attempts}` : ''}: {run.error}</span>
+                      )}
+                    </td>
+                    <td className="py-2">
+                      {!run.delivery ? '-' : run.delivery.status === 'Sent' ? `Sent to ${run.delivery.to}` : (
+                        <span className="text-red-600">Not sent: {run.delivery.error}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const InvoiceManager = ({ db, auth, userId, shopProfile }) => {
+  const [tab, setTab] = useState('create');
+  const [selectedInvoiceId, setSelectedInvoiceId] = useState(null);
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const createBlankInvoice = () => {
+    const blankInvoice = {
+      invoiceNo: '', // Allocated from the tenant's invoice sequence on save
+      date: new Date().toISOString().substring(0, 10),
+      paymentTermsDays: getShopPaymentTermsDays(shopProfile),
+      customerName: '',
+      customerAddress: '',
+      customerPhone: '',
+      customerEmail: '',
+      billTo: '',
+      items: [{ id: 1, description: '', qty: 1, unitPrice: 0, discountPercent: 0, taxCategory: 'standard', total: 0 }],
+      taxRate: getShopVatRate(shopProfile),
+      pricesIncludeVat: false,
+      invoiceDiscount: { type: 'percent', value: 0 },
+      bankingDetails: shopProfile?.bankingDetails || '',
+      preparedBy: '',
+      status: 'Draft',
+    };
+    return withDueDate({ ...blankInvoice, ...getStoredTotals(blankInvoice) });
+  };
+  const [invoice, setInvoice] = useState(createBlankInvoice);
+
+  const shopDetails = shopProfile || {};
+
+  // Every change that affects the totals goes through the shared calculator
+  const updateInvoice = (changes) => {
+    setInvoice(prev => {
+      const next = withDueDate({ ...prev, ...changes });
+      return { ...next, ...getStoredTotals(next) };
+    });
+  };
+
+  const handleItemsChange = (items) => {
+    updateInvoice({ items });
+  };
+
+  const openInvoice = (invoiceId) => {
+    setSelectedInvoiceId(invoiceId);
+    setTab('detail');
+  };
+
+  const handleSaveInvoice = async (status = 'Draft') => {
+    if (!db || !userId) {
+      showNotification('Error', 'Database connection not established.', 'bg-red-600');
+      return;
+    }
+
+    if (isSaving) return;
+    setIsSaving(true);
+
+    try {
+      const { id: invoiceId, invoiceNo } = await createInvoiceWithRevision(db, userId, shopDetails, {
+        ...invoice,
+        status: status,
+        shopProfile: {
+          companyName: shopDetails.companyName,
+          address: shopDetails.address,
+          currency: shopDetails.currency,
+          registrationNo: shopDetails.registrationNo,
+          vatNo: shopDetails.vatNo,
+          emailPhone: shopDetails.emailPhone,
+        }
+      }, { uid: userId, name: invoice.preparedBy || 'Staff' });
+      console.log("Invoice saved successfully!");
+      if (status === 'Sent' && shopDetails.onlinePayments?.enabled) {
+        await addPaymentLinkToSentInvoice(auth, invoiceId, invoiceNo);
+      }
+      showNotification('Success', `Invoice #${invoiceNo} saved successfully!`, 'bg-green-600');
+      // Reset the form so the next invoice gets its own number, then show history
+      setInvoice(createBlankInvoice());
+      setTab('history');
+    } catch (e) {
+      console.error("Error saving invoice:", e);
+      showNotification('Error', `Failed to save invoice. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDownloadInvoice = async () => {
+    setIsDownloading(true);
+    try {
+      await downloadInvoicePdf(invoice, shopDetails);
+    } catch (e) {
+      console.error("Error generating invoice PDF:", e);
+      showNotification('Error', `Failed to generate invoice PDF. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  const currentCurrency = shopDetails.currency || 'ZAR';
+
+  return (
+    <div className="p-6">
+      <div className="flex space-x-4 mb-6 border-b border-gray-200">
+        <button
+          onClick={() => setTab('create')}
+          className={`pb-2 font-semibold ${tab === 'create' ? 'text-indigo-600 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-indigo-600'}`}
+        >
+          Create New Invoice
+        </button>
+        <button
+          onClick={() => setTab('history')}
+          className={`pb-2 font-semibold ${tab === 'history' || tab === 'detail' ? 'text-indigo-600 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-indigo-600'}`}
+        >
+          Invoice History
+        </button>
+        <button
+          onClick={() => setTab('statements')}
+          className={`pb-2 font-semibold ${tab === 'statements' ? 'text-indigo-600 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-indigo-600'}`}
+        >
+          Customer Statements
+        </button>
+        <button
+          onClick={() => setTab('recurring')}
+          className={`pb-2 font-semibold ${tab === 'recurring' ? 'text-indigo-600 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-indigo-600'}`}
+        >
+          Recurring
+        </button>
+      </div>
+
+      {tab === 'history' && <InvoiceHistory db={db} userId={userId} shopProfile={shopProfile} onViewInvoice={openInvoice} />}
+
+      {tab === 'statements' && <CustomerStatements db={db} userId={userId} shopProfile={shopProfile} />}
+
+      {tab === 'recurring' && <RecurringInvoices db={db} userId={userId} shopProfile={shopProfile} onOpenInvoice={openInvoice} />}
+
+      {tab === 'detail' && selectedInvoiceId && (
+        <InvoiceDetail
+          key={selectedInvoiceId}
+          db={db}
+          auth={auth}
+          userId={userId}
+          shopProfile={shopProfile}
+          invoiceId={selectedInvoiceId}
+          onBack={() => setTab('history')}
+          onOpenInvoice={openInvoice}
+        />
+      )}
+
+      {tab === 'create' && (
+        <div className="bg-white p-6 rounded-xl shadow-lg border">
+          <div className="flex justify-end mb-6 border-b pb-4">
+            <button
+              onClick={handleDownloadInvoice}
+              disabled={isDownloading}
+              className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-200 disabled:opacity-50 flex items-center"
+            >
+              {isDownloading ? 'Generating...' : 'Download Invoice'}
+            </button>
+          </div>
 
-      {filteredInvoices.length === 0 ? (
-        <div className="text-center py-10 text-gray-500">
-          {searchTerm ? "No matching invoices found." : "No invoices have been saved yet."}
-        </div>
-      ) : (
-        <div className="overflow-x-auto">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice No.</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Total Amount</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
-                <th className="px-6 py-3"></th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {filteredInvoices.map(invoice => (
-                <tr key={invoice.id}>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-indigo-600">{invoice.invoiceNo}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                    {invoice.customerName} <br />
-                    <span className="text-gray-500">{invoice.customerPhone}</span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">{formatCurrency(invoice.totalAmount, currentCurrency)}</td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                      invoice.status === 'Paid' ? 'bg-green-100 text-green-800' :
-                      invoice.status === 'Draft' ? 'bg-yellow-100 text-yellow-800' :
-                      'bg-red-100 text-red-800'
-                    }`}>
-                      {invoice.status}
-                    </span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(invoice.date).toLocaleDateString()}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    <button className="text-indigo-600 hover:text-indigo-900 text-xs">View/Edit</button>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
+          {/* Shop letterhead from Settings */}
+          <BrandedDocumentHeader shopProfile={shopDetails} title={shopDetails.vatNo ? 'TAX INVOICE' : 'INVOICE'}>
+            <div className="space-y-1">
+              <div className="grid grid-cols-2">
+                <span className="font-medium">Invoice No:</span>
+                <input
+                  type="text"
+                  value={invoice.invoiceNo}
+                  placeholder="Assigned on save"
+                  readOnly
+                  className="p-1 border rounded text-right bg-gray-100 text-gray-500"
+                />
+              </div>
+              <div className="grid grid-cols-2">
+                <span className="font-medium">Date:</span>
+                <input
+                  type="date"
+                  value={invoice.date}
+                  onChange={(e) => updateInvoice({ date: e.target.value })}
+                  className="p-1 border rounded text-right"
+                />
+              </div>
+              <div className="grid grid-cols-2">
+                <span className="font-medium">Payment Terms:</span>
+                <select
+                  value={invoice.paymentTermsDays}
+                  onChange={(e) => updateInvoice({ paymentTermsDays: parseInt(e.target.value, 10) })}
+                  className="p-1 border rounded text-right bg-white"
+                >
+                  {PAYMENT_TERMS.map(terms => (
+                    <option key={terms.days} value={terms.days}>{terms.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid grid-cols-2">
+                <span className="font-medium">Due Date:</span>
+                <input type="date" value={invoice.dueDate} readOnly className="p-1 border rounded text-right bg-gray-100 text-gray-500" />
+              </div>
+              <div className="grid grid-cols-2">
+                <span className="font-medium">Prepared By:</span>
+                <input
+                  type="text"
+                  value={invoice.preparedBy}
+                  placeholder="Staff Member Name"
+                  onChange={(e) => setInvoice({ ...invoice, preparedBy: e.target.value })}
+                  className="p-1 border rounded text-right"
+                />
+              </div>
+            </div>
+          </BrandedDocumentHeader>
+
+          {/* Customer Details */}
+          <div className="mb-8 border-t pt-4">
+            <h3 className="text-lg font-bold mb-3">Bill To:</h3>
+            <div className="grid grid-cols-2 gap-4">
+              <input
+                type="text"
+                placeholder="Customer Name (Required)"
+                value={invoice.customerName}
+                onChange={(e) => setInvoice({ ...invoice, customerName: e.target.value })}
+                className="p-2 border rounded-lg"
+                required
+              />
+              <input
+                type="text"
+                placeholder="Customer Phone (Required)"
+                value={invoice.customerPhone}
+                onChange={(e) => setInvoice({ ...invoice, customerPhone: e.target.value })}
+                className="p-2 border rounded-lg"
+                required
+              />
+              <input
+                type="email"
+                placeholder="Customer Email (for reminders)"
+                value={invoice.customerEmail}
+                onChange={(e) => setInvoice({ ...invoice, customerEmail: e.target.value })}
+                className="p-2 border rounded-lg col-span-2"
+              />
+              <input
+                type="text"
+                placeholder="Customer Address (Required)"
+                value={invoice.customerAddress}
+                onChange={(e) => setInvoice({ ...invoice, customerAddress: e.target.value })}
+                className="p-2 border rounded-lg col-span-2"
+                required
+              />
+              <input
+                type="text"
+                placeholder="Bill To (Optional - E.g., Company Name)"
+                value={invoice.billTo}
+                onChange={(e) => setInvoice({ ...invoice, billTo: e.target.value })}
+                className="p-2 border rounded-lg col-span-2"
+              />
+            </div>
+          </div>
+
+          {/* Line Items Table */}
+          <InvoiceLineItemsEditor items={invoice.items} currency={currentCurrency} onChange={handleItemsChange} />
+
+          {/* Totals and Banking */}
+          <div className="grid grid-cols-3 gap-6">
+            <div className="col-span-2">
+              <h3 className="text-lg font-bold mb-2">Banking Details (optional):</h3>
+              <textarea
+                placeholder="Bank Name, Account Number, Branch Code, etc."
+                rows="4"
+                value={invoice.bankingDetails}
+                onChange={(e) => setInvoice(prev => ({ ...prev, bankingDetails: e.target.value }))}
+                className="w-full p-2 border rounded-lg"
+              />
+            </div>
+
+            {/* Totals Column */}
+            <div className="col-span-1">
+              <InvoiceTotalsPanel document={invoice} currency={currentCurrency} onChange={updateInvoice} />
+            </div>
+          </div>
+
+          <BrandedDocumentFooter shopProfile={shopDetails} terms="invoiceTerms" />
+
+          {/* Action Buttons */}
+          <div className="mt-8 pt-4 border-t flex justify-end space-x-4">
+            <button
+              onClick={() => handleSaveInvoice('Draft')}
+              disabled={isSaving}
+              className="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-6 rounded-lg shadow-md transition duration-200 disabled:opacity-50"
+            >
+              Save Invoice (Draft)
+            </button>
+            <button
+              onClick={() => handleSaveInvoice('Sent')}
+              disabled={isSaving}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-lg shadow-md transition duration-200 disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Save & Send Invoice'}
+            </button>
+          </div>
         </div>
       )}
     </div>
@@ -337,365 +4246,851 @@ const InvoiceHistory = ({ db, userId, shopProfile }) => {
 };
 
 
-const InvoiceManager = ({ db, userId, shopProfile }) => {
-  const [tab, setTab] = useState('create');
-  const [isDownloading, setIsDownloading] = useState(false);
-  const [invoice, setInvoice] = useState({
-    invoiceNo: 'INV-' + Math.floor(Math.random() * 10000),
-    date: new Date().toISOString().substring(0, 10),
-    customerName: '',
-    customerAddress: '',
-    customerPhone: '',
-    billTo: '',
-    items: [{ id: 1, description: '', qty: 1, unitPrice: 0, total: 0 }],
-    subtotal: 0,
-    taxRate: 15, // Default SA VAT rate
-    taxAmount: 0,
-    isVatExempt: false,
-    totalAmount: 0,
-    bankingDetails: '',
-    status: 'Draft',
+const DELIVERY_STATUS_STYLES = { queued: 'bg-yellow-100 text-yellow-800', sent: 'bg-green-100 text-green-800', failed: 'bg-red-100 text-red-800' };
+
+/**
+ * The delivery log of customer notifications for one job, newest first, with a retry for messages
+ * that have not gone out.
+ */
+const NotificationLog = ({ db, auth, userId, bookingId }) => {
+  const [entries, setEntries] = useState([]);
+  const [retryingId, setRetryingId] = useState(null);
+
+  useEffect(() => {
+    if (!db || !userId || !bookingId) return;
+    const q = query(collection(db, getTenantPath(userId, 'notifications')), where('bookingId', '==', bookingId));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setEntries(snapshot.docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() })).sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+    }, (e) => {
+      console.error("Error fetching notifications:", e);
+    });
+    return () => unsubscribe();
+  }, [db, userId, bookingId]);
+
+  const handleRetry = async (entry) => {
+    setRetryingId(entry.id);
+    try {
+      const result = await requestNotificationRetry(auth, entry.id);
+      showNotification(result.status === 'sent' ? 'Message Sent' : 'Message Not Sent', describeDeliveryResults([result]), result.status === 'sent' ? 'bg-green-600' : 'bg-yellow-600');
+    } catch (e) {
+      console.error("Error retrying notification:", e);
+      showNotification('Error', `Failed to resend the message. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  if (entries.length === 0) return <p className="text-sm text-gray-500">No messages have been sent for this job yet.</p>;
+
+  return (
+    <ul className="divide-y text-sm">
+      {entries.map(entry => (
+        <li key={entry.id} className="py-2 flex items-start justify-between">
+          <div className="pr-4">
+            <div className="font-medium text-gray-800">
+              {entry.event} by {NOTIFICATION_CHANNELS[entry.channel] || entry.channel}{entry.to ? ` to ${entry.to}` : ''}
+            </div>
+            <div className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString()} | {entry.attempts} attempt{entry.attempts === 1 ? '' : 's'}</div>
+            {entry.lastError && <div className="text-xs text-red-700">{entry.lastError}</div>}
+          </div>
+          <div className="flex items-center space-x-2 shrink-0">
+            <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${DELIVERY_STATUS_STYLES[entry.status]}`}>{DELIVERY_STATUSES[entry.status]}</span>
+            {entry.status !== 'sent' && entry.to && (
+              <button onClick={() => handleRetry(entry)} disabled={retryingId === entry.id} className="text-indigo-600 hover:text-indigo-800 font-semibold text-xs disabled:opacity-50">
+                {retryingId === entry.id ? 'Sending...' : 'Retry'}
+              </button>
+            )}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// A QR code as crisp SVG squares, for on-screen previews of printed slips
+const QrCode = ({ value, size = 112 }) => {
+  const modules = useMemo(() => getQrModules(value), [value]);
+  const path = modules.flatMap((row, y) => row.map((dark, x) => (dark ? `M${x} ${y}h1v1h-1z` : ''))).join('');
+  return (
+    <svg width={size} height={size} viewBox={`-2 -2 ${modules.length + 4} ${modules.length + 4}`} shapeRendering="crispEdges">
+      <rect x="-2" y="-2" width={modules.length + 4} height={modules.length + 4} fill="#fff" />
+      <path d={path} fill="#000" />
+    </svg>
+  );
+};
+
+/**
+ * The book-in slip shown after a walk-in check-in, with the QR code of the job's tracking link and
+ * buttons to print the slip and the device label, through the browser or to a thermal printer.
+ */
+const BookInSlipPreview = ({ auth, booking, shopProfile, onClose }) => {
+  const [trackingUrl, setTrackingUrl] = useState(null);
+  const printSettings = getPrintSettings(shopProfile);
+
+  useEffect(() => {
+    let isCurrent = true;
+    getSlipTrackingUrl(auth, booking.id, shopProfile).then(url => {
+      if (isCurrent) setTrackingUrl(url);
+    });
+    return () => { isCurrent = false; };
+  }, [auth, booking.id, shopProfile]);
+
+  const handlePrint = async (kind, thermal = false) => {
+    try {
+      await printRepairDocument(auth, kind, booking, shopProfile, { thermal, trackingUrl });
+    } catch (e) {
+      console.error("Error printing book-in slip:", e);
+      showNotification('Error', `Failed to print the ${kind === 'label' ? 'device label' : 'book-in slip'}. Error: ${e.message}`, 'bg-red-600');
+    }
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-2xl w-full max-w-2xl mx-auto max-h-[90vh] overflow-y-auto">
+      <h3 className="text-xl font-bold mb-4 text-indigo-800">Repair Book-in Slip Preview</h3>
+      <div className="border p-4 bg-white rounded-lg">
+        <BrandedDocumentHeader shopProfile={shopProfile} title="BOOK-IN SLIP">
+          <div className="space-y-1 text-right">
+            <p><span className="font-semibold">Job No:</span> {booking.invoiceNo}</p>
+            <p><span className="font-semibold">Date:</span> {new Date(booking.createdAt).toLocaleDateString()}</p>
+            {booking.consultant && <p><span className="font-semibold">Consultant:</span> {booking.consultant}</p>}
+          </div>
+        </BrandedDocumentHeader>
+        <div className="flex justify-between space-x-4">
+          <div className="space-y-2">
+            {getBookInSlipRows(booking, (amount) => formatCurrency(amount, shopProfile?.currency || 'ZAR')).map(([label, value]) => (
+              <p key={label}><span className="font-semibold">{label}</span> {value}</p>
+            ))}
+          </div>
+          {trackingUrl && (
+            <div className="text-center text-xs text-gray-600 shrink-0">
+              <QrCode value={trackingUrl} />
+              <p>Scan to track the repair</p>
+            </div>
+          )}
+        </div>
+        {booking.intakePhotos?.length > 0 && (
+          <div className="flex flex-wrap gap-2 pt-2 border-t mt-2">
+            {booking.intakePhotos.map(photo => (
+              // eslint-disable-next-line @next/next/no-img-element
+              <img key={photo.path} src={photo.url} alt={photo.name} className="w-16 h-16 object-cover rounded border" />
+            ))}
+          </div>
+        )}
+        <p className="text-sm pt-2 border-t mt-2">
+          <span className="font-semibold">Next Steps:</span> Repair will be assigned to a technician. You have been notified via SMS/WhatsApp.
+        </p>
+        <BrandedDocumentFooter shopProfile={shopProfile} terms="bookInTerms" />
+      </div>
+      <div className="mt-4 flex flex-wrap gap-2">
+        <button onClick={() => handlePrint('slip')} disabled={!trackingUrl} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50">
+          Print Book-in Slip ({SLIP_FORMATS[printSettings.slipFormat]})
+        </button>
+        <button onClick={() => handlePrint('label')} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md">
+          Print Device Label
+        </button>
+        {printSettings.escPosOutput !== 'off' && (
+          <>
+            <button onClick={() => handlePrint('slip', true)} disabled={!trackingUrl} className="bg-gray-700 hover:bg-gray-800 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50">
+              Slip to Thermal Printer
+            </button>
+            <button onClick={() => handlePrint('label', true)} className="bg-gray-700 hover:bg-gray-800 text-white font-bold py-2 px-4 rounded-lg shadow-md">
+              Label to Thermal Printer
+            </button>
+          </>
+        )}
+        <button onClick={onClose} className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg shadow-md ml-auto">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// A picked photo before it is uploaded; the preview URL is released when it is removed
+const PendingPhotoThumbnail = ({ file, onRemove }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  return (
+    <div className="relative">
+      {url && (
+        // eslint-disable-next-line @next/next/no-img-element
+        <img src={url} alt={file.name} className="w-20 h-20 object-cover rounded-lg border" />
+      )}
+      <button onClick={onRemove} className="absolute -top-2 -right-2 bg-red-600 text-white rounded-full w-5 h-5 text-xs font-bold" title="Remove photo">&times;</button>
+    </div>
+  );
+};
+
+/**
+ * The intake checklist and photo picker for checking in a device. Controlled: `intake` has the
+ * shape of EMPTY_INTAKE and `photos` is the list of picked Files, uploaded when the job is saved.
+ */
+const DeviceIntakeFields = ({ intake, onIntakeChange, photos, onPhotosChange }) => {
+  const setCheck = (key, value) => onIntakeChange({ ...intake, checks: { ...intake.checks, [key]: value } });
+  const toggleAccessory = (accessory) => onIntakeChange({
+    ...intake,
+    accessories: intake.accessories.includes(accessory) ? intake.accessories.filter(item => item !== accessory) : [...intake.accessories, accessory],
   });
 
-  const shopDetails = shopProfile || {};
+  const handlePhotosPicked = (e) => {
+    const picked = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (photos.length + picked.length > INTAKE_PHOTO_LIMIT) {
+      showNotification('Too Many Photos', `Up to ${INTAKE_PHOTO_LIMIT} photos can be kept for a job.`, 'bg-yellow-600');
+    }
+    onPhotosChange([...photos, ...picked].slice(0, INTAKE_PHOTO_LIMIT));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        {INTAKE_CHECKS.map(({ key, label, options }) => (
+          <div key={key}>
+            <label className="block text-sm font-medium text-gray-700">{label}:</label>
+            <select
+              value={intake.checks[key]}
+              onChange={(e) => setCheck(key, e.target.value)}
+              className={`mt-1 block w-full p-2 border rounded-lg bg-white ${intake.checks[key] ? 'border-gray-300' : 'border-yellow-500'}`}
+            >
+              <option value="">Select...</option>
+              {options.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+          </div>
+        ))}
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Passcode:</label>
+          <select
+            value={intake.passcodeProvided}
+            onChange={(e) => onIntakeChange({ ...intake, passcodeProvided: e.target.value })}
+            className={`mt-1 block w-full p-2 border rounded-lg bg-white ${intake.passcodeProvided ? 'border-gray-300' : 'border-yellow-500'}`}
+          >
+            <option value="">Select...</option>
+            {Object.entries(INTAKE_PASSCODE_OPTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <span className="block text-sm font-medium text-gray-700">Accessories Left With the Device:</span>
+        <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1">
+          {INTAKE_ACCESSORIES.map(accessory => (
+            <label key={accessory} className="flex items-center text-sm">
+              <input type="checkbox" checked={intake.accessories.includes(accessory)} onChange={() => toggleAccessory(accessory)} className="mr-1" />
+              {accessory}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <span className="block text-sm font-medium text-gray-700">Photos of the Device ({photos.length}/{INTAKE_PHOTO_LIMIT}):</span>
+        <div className="mt-2 flex flex-wrap gap-3 items-center">
+          {photos.map((file, index) => (
+            <PendingPhotoThumbnail key={`${file.name}-${file.lastModified}-${index}`} file={file} onRemove={() => onPhotosChange(photos.filter((_, i) => i !== index))} />
+          ))}
+          {photos.length < INTAKE_PHOTO_LIMIT && (
+            <label className="w-20 h-20 flex items-center justify-center text-center text-xs text-indigo-700 font-semibold border-2 border-dashed border-indigo-300 rounded-lg cursor-pointer hover:bg-indigo-50">
+              + Add Photos
+              <input type="file" accept="image/*" capture="environment" multiple onChange={handlePhotosPicked} className="hidden" />
+            </label>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * What was recorded about the device at check-in: the checklist, condition notes and the photos,
+ * which open full size.
+ */
+const IntakeDetails = ({ booking }) => {
+  const rows = getIntakeRows(booking.intake);
+  const photos = booking.intakePhotos || [];
+  if (rows.length === 0 && photos.length === 0 && !booking.comments) {
+    return <p className="text-sm text-gray-500">No condition was recorded when this device was booked in.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {(rows.length > 0 || booking.comments) && (
+        <div className="grid grid-cols-2 gap-x-6 gap-y-1 text-sm">
+          {rows.map(([label, value]) => (
+            <p key={label}><span className="font-semibold">{label}</span> {value}</p>
+          ))}
+          {booking.comments && <p className="col-span-2"><span className="font-semibold">Notes:</span> {booking.comments}</p>}
+        </div>
+      )}
+      {photos.length > 0 && (
+        <div className="flex flex-wrap gap-3">
+          {photos.map(photo => (
+            <a key={photo.path} href={photo.url} target="_blank" rel="noopener noreferrer" title={photo.name}>
+              {/* eslint-disable-next-line @next/next/no-img-element */}
+              <img src={photo.url} alt={photo.name} className="w-24 h-24 object-cover rounded-lg border hover:opacity-80" />
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
 
-  const calculateTotals = useCallback((currentItems, isVatExempt, taxRate) => {
-    const newSubtotal = currentItems.reduce((sum, item) => sum + (item.qty * item.unitPrice), 0);
-    const calculatedTax = isVatExempt ? 0 : newSubtotal * (taxRate / 100);
-    const newTotal = newSubtotal + calculatedTax;
+// The same label stays in front of the camera for a while; it is read once until it has been away this long
+const CAMERA_RESCAN_MS = 2000;
 
-    setInvoice(prev => ({
-      ...prev,
-      items: currentItems,
-      subtotal: newSubtotal,
-      taxAmount: calculatedTax,
-      totalAmount: newTotal,
-      isVatExempt: isVatExempt,
-    }));
-  }, []);
+/**
+ * The device camera as a barcode scanner, reading the QR codes on book-in slips and the Code 128
+ * barcodes on device labels. Uses the browser's BarcodeDetector, which Chromium browsers on Android,
+ * ChromeOS and macOS provide.
+ */
+const CameraScanner = ({ onScan, onClose }) => {
+  const videoRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  const [error, setError] = useState(null);
+  onScanRef.current = onScan;
 
   useEffect(() => {
-    calculateTotals(invoice.items, invoice.isVatExempt, invoice.taxRate);
-  }, [invoice.items, invoice.isVatExempt, invoice.taxRate, calculateTotals]);
-
-  const handleItemChange = (id, field, value) => {
-    const newItems = invoice.items.map(item => {
-      if (item.id === id) {
-        const updatedItem = { ...item, [field]: value };
-        updatedItem.total = updatedItem.qty * updatedItem.unitPrice;
-        return updatedItem;
+    if (typeof window.BarcodeDetector === 'undefined' || !navigator.mediaDevices?.getUserMedia) {
+      setError('This browser cannot read barcodes from the camera. Use Chrome or Edge on a tablet or phone, or a USB scanner.');
+      return;
+    }
+    const detector = new window.BarcodeDetector({ formats: ['qr_code', 'code_128'] });
+    let isCurrent = true;
+    let stream = null;
+    let timer = null;
+    let isDetecting = false;
+    let last = { code: null, at: 0 };
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } }).then(cameraStream => {
+      stream = cameraStream;
+      if (!isCurrent) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
       }
-      return item;
+      videoRef.current.srcObject = stream;
+      videoRef.current.play();
+      timer = setInterval(async () => {
+        const video = videoRef.current;
+        if (isDetecting || !video || video.readyState < 2) return;
+        isDetecting = true;
+        try {
+          const [barcode] = await detector.detect(video);
+          const now = Date.now();
+          if (barcode && isCurrent) {
+            if (barcode.rawValue !== last.code || now - last.at > CAMERA_RESCAN_MS) onScanRef.current(barcode.rawValue);
+            last = { code: barcode.rawValue, at: now };
+          }
+        } catch (e) {
+          // A frame the detector cannot read; the next one usually can
+        }
+        isDetecting = false;
+      }, 250);
+    }).catch(e => {
+      console.error("Error starting the camera:", e);
+      if (isCurrent) setError(`The camera could not be started. ${e.message}`);
     });
-    calculateTotals(newItems, invoice.isVatExempt, invoice.taxRate);
-  };
 
-  const handleAddItem = () => {
-    const newItem = { id: Date.now(), description: '', qty: 1, unitPrice: 0, total: 0 };
-    setInvoice(prev => ({ ...prev, items: [...prev.items, newItem] }));
-  };
+    return () => {
+      isCurrent = false;
+      clearInterval(timer);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, []);
 
-  const handleRemoveItem = (id) => {
-    const newItems = invoice.items.filter(item => item.id !== id);
-    calculateTotals(newItems, invoice.isVatExempt, invoice.taxRate);
-  };
+  return (
+    <div className="mt-3 border rounded-lg p-3 bg-gray-50">
+      {error
+        ? <p className="text-sm text-red-700">{error}</p>
+        : <video ref={videoRef} muted playsInline className="w-full max-h-72 bg-black rounded-lg object-cover" />}
+      <button onClick={onClose} className="mt-2 text-sm text-gray-600 hover:text-gray-800 font-semibold">Close camera</button>
+    </div>
+  );
+};
 
-  const handleSaveInvoice = async (status = 'Draft') => {
-    if (!db || !userId) {
-      // Using custom modal instead of alert
-      const notificationBox = document.createElement('div');
-      notificationBox.className = 'fixed top-4 right-4 bg-red-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-      notificationBox.innerHTML = `<h4 class="font-bold">Error</h4><p class="text-sm">Database connection not established.</p>`;
-      document.body.appendChild(notificationBox);
-      setTimeout(() => {
-        notificationBox.style.opacity = '0';
-        setTimeout(() => notificationBox.remove(), 500);
-      }, 4000);
+/**
+ * Scan-first job lookup. A USB scanner types the code into the focused box and presses Enter; the
+ * camera reads it instead on a tablet. "Open job" opens the scanned job's repair form. "Rapid status
+ * update" queues each scanned job and moves them all to the chosen status at once with onMove(jobs, status),
+ * which resolves to the jobs it moved.
+ */
+const ScanPanel = ({ bookings, onOpen, onMove, isRunning }) => {
+  const inputRef = useRef(null);
+  const [mode, setMode] = useState('open');
+  const [code, setCode] = useState('');
+  const [targetStatus, setTargetStatus] = useState('Ready for Collection');
+  const [queuedIds, setQueuedIds] = useState([]);
+  const [lastScan, setLastScan] = useState(null); // { ok, text } about the most recent scan
+  const [isCameraOpen, setIsCameraOpen] = useState(false);
+
+  // Looked up on every render, so the queue shows each job's current status
+  const queue = queuedIds.map(id => bookings.find(booking => booking.id === id)).filter(Boolean);
+  const getQueueError = (booking) => (booking.status === targetStatus ? `Already ${targetStatus}` : getTransitionError(booking, targetStatus));
+  const movable = queue.filter(booking => !getQueueError(booking));
+
+  const handleScan = (raw) => {
+    const booking = raw.trim() ? findScannedBooking(bookings, raw) : null;
+    setCode('');
+    inputRef.current?.focus();
+    if (!booking) {
+      if (raw.trim()) setLastScan({ ok: false, text: `No job found for "${raw.trim()}".` });
       return;
     }
-
-    try {
-      const docRef = collection(db, getTenantPath(userId, 'invoices'));
-      await addDoc(docRef, {
-        ...invoice,
-        status: status,
-        shopProfile: {
-          companyName: shopDetails.companyName,
-          address: shopDetails.address,
-          currency: shopDetails.currency,
-          registrationNo: shopDetails.registrationNo,
-          vatNo: shopDetails.vatNo,
-          emailPhone: shopDetails.emailPhone,
-        }
-      });
-      console.log("Invoice saved successfully!");
-      // Using custom modal instead of alert
-      const notificationBox = document.createElement('div');
-      notificationBox.className = 'fixed top-4 right-4 bg-green-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-      notificationBox.innerHTML = `<h4 class="font-bold">Success</h4><p class="text-sm">Invoice saved successfully!</p>`;
-      document.body.appendChild(notificationBox);
-      setTimeout(() => {
-        notificationBox.style.opacity = '0';
-        setTimeout(() => notificationBox.remove(), 500);
-      }, 4000);
-      // Reset form or navigate to history
-      setTab('history');
-    } catch (e) {
-      console.error("Error saving invoice:", e);
-      // Using custom modal instead of alert
-      const notificationBox = document.createElement('div');
-      notificationBox.className = 'fixed top-4 right-4 bg-red-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-      notificationBox.innerHTML = `<h4 class="font-bold">Error</h4><p class="text-sm">Failed to save invoice. Error: ${e.message}</p>`;
-      document.body.appendChild(notificationBox);
-      setTimeout(() => {
-        notificationBox.style.opacity = '0';
-        setTimeout(() => notificationBox.remove(), 500);
-      }, 4000);
+    if (mode === 'open') {
+      setLastScan({ ok: true, text: `Opened #${booking.invoiceNo}.` });
+      setIsCameraOpen(false);
+      onOpen(booking);
+      return;
+    }
+    if (queuedIds.includes(booking.id)) {
+      setLastScan({ ok: false, text: `#${booking.invoiceNo} is already in the list.` });
+      return;
     }
+    setQueuedIds(prev => [...prev, booking.id]);
+    setLastScan({ ok: true, text: `Added #${booking.invoiceNo} (${booking.customerName}).` });
   };
 
-  const handleDownloadInvoice = () => {
-    setIsDownloading(true);
-    // Using custom modal instead of alert
-    const notificationBox = document.createElement('div');
-    notificationBox.className = 'fixed top-4 right-4 bg-blue-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-    notificationBox.innerHTML = `<h4 class="font-bold">Mock Download</h4><p class="text-sm">Simulating download of Invoice #${invoice.invoiceNo} as PDF. (Requires server-side PDF generation.)</p>`;
-    document.body.appendChild(notificationBox);
-    setTimeout(() => {
-      notificationBox.style.opacity = '0';
-      setTimeout(() => notificationBox.remove(), 500);
-      setIsDownloading(false);
-    }, 1500);
+  const handleMove = async () => {
+    const moved = await onMove(movable, targetStatus);
+    if (moved) setQueuedIds(prev => prev.filter(id => !moved.some(booking => booking.id === id)));
   };
 
-  const currentCurrency = shopDetails.currency || 'ZAR';
-
   return (
-    <div className="p-6">
-      <div className="flex space-x-4 mb-6 border-b border-gray-200">
-        <button
-          onClick={() => setTab('create')}
-          className={`pb-2 font-semibold ${tab === 'create' ? 'text-indigo-600 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-indigo-600'}`}
-        >
-          Create New Invoice
+    <div className="bg-white p-6 rounded-xl shadow-lg border mb-8">
+      <div className="flex flex-wrap justify-between items-center border-b pb-2 mb-4 gap-2">
+        <h3 className="text-xl font-bold text-gray-700">Scan Job</h3>
+        <div className="flex rounded-lg border overflow-hidden text-sm">
+          {[['open', 'Open job'], ['rapid', 'Rapid status update']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => { setMode(value); inputRef.current?.focus(); }}
+              className={`py-1 px-3 font-semibold ${mode === value ? 'bg-indigo-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 items-end">
+        <div className="flex-1 min-w-[16rem]">
+          <label className="block text-sm font-medium text-gray-700">Scan a slip QR code or device label, or type a job number or IMEI:</label>
+          <input
+            ref={inputRef}
+            type="text"
+            autoFocus
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key !== 'Enter') return;
+              e.preventDefault();
+              handleScan(code);
+            }}
+            className="mt-1 block w-full p-2 border border-gray-300 rounded-lg"
+          />
+        </div>
+        {mode === 'rapid' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Move to:</label>
+            <select value={targetStatus} onChange={(e) => setTargetStatus(e.target.value)} className="mt-1 block p-2 border border-gray-300 rounded-lg bg-white">
+              {REPAIR_STATUS_ORDER.filter(status => status !== 'New Request').map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <button onClick={() => handleScan(code)} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md">
+          {mode === 'open' ? 'Open' : 'Add'}
         </button>
-        <button
-          onClick={() => setTab('history')}
-          className={`pb-2 font-semibold ${tab === 'history' ? 'text-indigo-600 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-indigo-600'}`}
-        >
-          Invoice History
+        <button onClick={() => setIsCameraOpen(open => !open)} className="bg-gray-700 hover:bg-gray-800 text-white font-bold py-2 px-4 rounded-lg shadow-md">
+          {isCameraOpen ? 'Stop Camera' : 'Use Camera'}
         </button>
       </div>
+      {lastScan && <p className={`mt-2 text-sm ${lastScan.ok ? 'text-green-700' : 'text-red-700'}`}>{lastScan.text}</p>}
+      {isCameraOpen && <CameraScanner onScan={handleScan} onClose={() => setIsCameraOpen(false)} />}
 
-      {tab === 'history' && <InvoiceHistory db={db} userId={userId} shopProfile={shopProfile} />}
+      {mode === 'rapid' && (
+        <div className="mt-4">
+          {queue.length === 0 ? (
+            <p className="text-sm text-gray-500">Scan each device to add it to the list, then move them all to {targetStatus}.</p>
+          ) : (
+            <>
+              <ul className="divide-y text-sm border rounded-lg">
+                {queue.map(booking => {
+                  const error = getQueueError(booking);
+                  return (
+                    <li key={booking.id} className="py-2 px-3 flex justify-between items-center gap-2">
+                      <span className="font-medium">#{booking.invoiceNo} {booking.customerName} <span className="text-gray-500 font-normal">&mdash; {booking.deviceModel}, {booking.status}</span></span>
+                      <span className="flex items-center gap-3">
+                        <span className={error ? 'text-red-700' : 'text-green-700'}>{error || 'Ready to move'}</span>
+                        <button onClick={() => setQueuedIds(prev => prev.filter(id => id !== booking.id))} className="text-gray-500 hover:text-red-700 font-bold" title="Remove from list">&times;</button>
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+              <div className="mt-3 flex justify-end space-x-3">
+                <button onClick={() => setQueuedIds([])} className="text-gray-600 hover:text-gray-800 font-semibold py-2 px-4">Clear</button>
+                <button
+                  onClick={handleMove}
+                  disabled={isRunning || movable.length === 0}
+                  className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50"
+                >
+                  Move {movable.length} to {targetStatus}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
 
-      {tab === 'create' && (
-        <div className="bg-white p-6 rounded-xl shadow-lg border">
-          <div className="flex justify-between items-start mb-8 border-b pb-4">
-            <h1 className="text-3xl font-extrabold text-indigo-800">INVOICE</h1>
-            <button
-              onClick={handleDownloadInvoice}
-              disabled={isDownloading}
-              className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-200 disabled:opacity-50 flex items-center"
-            >
-              {isDownloading ? 'Generating...' : 'Download Invoice'}
-            </button>
-          </div>
+/**
+ * A job's history, oldest first, with how long it has spent in each status. Events are only ever
+ * added, never edited, so this is the audit trail of who changed what.
+ */
+const BookingHistory = ({ db, userId, bookingId }) => {
+  const [events, setEvents] = useState([]);
 
-          {/* Shop Details from Settings */}
-          <div className="grid grid-cols-2 gap-x-12 gap-y-2 mb-8 text-sm">
-            <div>
-              <p className="font-bold text-lg">{shopDetails.companyName || 'Your Company Name (Set in Settings)'}</p>
-              <p>{shopDetails.address}</p>
-              <p>Reg No: {shopDetails.registrationNo}</p>
-              <p>VAT No: {shopDetails.vatNo || 'N/A'}</p>
-              <p>Contact: {shopDetails.emailPhone}</p>
-            </div>
+  useEffect(() => {
+    if (!db || !userId || !bookingId) return;
+    const q = query(getBookingEventsRef(db, userId), where('bookingId', '==', bookingId));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setEvents(snapshot.docs.map(eventDoc => ({ id: eventDoc.id, ...eventDoc.data() })).sort((a, b) => a.at.localeCompare(b.at)));
+    }, (e) => {
+      console.error("Error fetching job history:", e);
+    });
+    return () => unsubscribe();
+  }, [db, userId, bookingId]);
 
-            <div className="space-y-1">
-              <div className="grid grid-cols-2">
-                <span className="font-medium">Invoice No:</span>
-                <input
-                  type="text"
-                  value={invoice.invoiceNo}
-                  onChange={(e) => setInvoice({ ...invoice, invoiceNo: e.target.value })}
-                  className="p-1 border rounded text-right"
-                />
-              </div>
-              <div className="grid grid-cols-2">
-                <span className="font-medium">Date:</span>
-                <input
-                  type="date"
-                  value={invoice.date}
-                  onChange={(e) => setInvoice({ ...invoice, date: e.target.value })}
-                  className="p-1 border rounded text-right"
-                />
-              </div>
-            </div>
-          </div>
+  if (events.length === 0) return <p className="text-sm text-gray-500">No changes have been recorded for this job yet.</p>;
 
-          {/* Customer Details */}
-          <div className="mb-8 border-t pt-4">
-            <h3 className="text-lg font-bold mb-3">Bill To:</h3>
-            <div className="grid grid-cols-2 gap-4">
-              <input
-                type="text"
-                placeholder="Customer Name (Required)"
-                value={invoice.customerName}
-                onChange={(e) => setInvoice({ ...invoice, customerName: e.target.value })}
-                className="p-2 border rounded-lg"
-                required
-              />
-              <input
-                type="text"
-                placeholder="Customer Phone (Required)"
-                value={invoice.customerPhone}
-                onChange={(e) => setInvoice({ ...invoice, customerPhone: e.target.value })}
-                className="p-2 border rounded-lg"
-                required
-              />
-              <input
-                type="text"
-                placeholder="Customer Address (Required)"
-                value={invoice.customerAddress}
-                onChange={(e) => setInvoice({ ...invoice, customerAddress: e.target.value })}
-                className="p-2 border rounded-lg col-span-2"
-                required
-              />
-              <input
-                type="text"
-                placeholder="Bill To (Optional - E.g., Company Name)"
-                value={invoice.billTo}
-                onChange={(e) => setInvoice({ ...invoice, billTo: e.target.value })}
-                className="p-2 border rounded-lg col-span-2"
-              />
-            </div>
-          </div>
+  const periods = getStatusPeriods(events);
 
-          {/* Line Items Table */}
-          <div className="mb-6">
-            <div className="grid grid-cols-8 gap-2 bg-gray-100 p-2 font-semibold border-b border-t">
-              <div className="col-span-4">Description</div>
-              <div className="text-center">Qty</div>
-              <div className="col-span-2 text-right">Unit Price ({formatCurrency(0, currentCurrency).replace('0.00', '')})</div>
-              <div className="text-right">Total</div>
-              <div></div>
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2 text-xs">
+        {periods.map(period => (
+          <span key={period.from} className={`px-2 py-1 rounded-full ${period.to ? 'bg-gray-100 text-gray-700' : 'bg-indigo-100 text-indigo-800 font-semibold'}`}>
+            {period.status}: {formatDuration(period.ms)}{period.to ? '' : ' so far'}
+          </span>
+        ))}
+      </div>
+      <ul className="space-y-3">
+        {events.map(event => (
+          <li key={event.id} className="border-l-4 border-indigo-300 pl-4">
+            <div className="text-sm">
+              <span className="font-bold">
+                {event.type === 'status' ? `${event.fromStatus} \u2192 ${event.toStatus}` : BOOKING_EVENT_TYPES[event.type]}
+                {event.type === 'created' && ` as ${event.toStatus}`}
+              </span>
+              <span className="text-gray-500"> &mdash; {new Date(event.at).toLocaleString()} by {event.actor?.name || event.actor?.uid || 'Unknown'}</span>
             </div>
+            {event.note && <p className="text-sm italic text-gray-600">{event.note}</p>}
+            {event.changes?.length > 0 && (
+              <ul className="text-xs text-gray-600 mt-1 space-y-0.5">
+                {event.changes.map(change => (
+                  <li key={change.field}>
+                    <span className="font-semibold">{change.label}</span>: {formatHistoryValue(change.field, change.from)} &rarr; {formatHistoryValue(change.field, change.to)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
 
-            {invoice.items.map((item) => (
-              <div key={item.id} className="grid grid-cols-8 gap-2 items-center py-2 border-b">
-                <input
-                  type="text"
-                  placeholder="Service or part description"
-                  value={item.description}
-                  onChange={(e) => handleItemChange(item.id, 'description', e.target.value)}
-                  className="p-1 border-none focus:ring-0 col-span-4"
-                />
-                <input
-                  type="number"
-                  value={item.qty}
-                  onChange={(e) => handleItemChange(item.id, 'qty', parseFloat(e.target.value) || 0)}
-                  className="p-1 border rounded text-center"
-                />
-                <div className="flex col-span-2">
-                  <span className="p-1 text-gray-500">{formatCurrency(0, currentCurrency).replace('0.00', '')}</span>
-                  <input
-                    type="number"
-                    value={item.unitPrice}
-                    onChange={(e) => handleItemChange(item.id, 'unitPrice', parseFloat(e.target.value) || 0)}
-                    className="p-1 border rounded text-right w-full"
-                  />
-                </div>
-                <div className="text-right font-medium">{formatCurrency(item.total, currentCurrency)}</div>
-                <button
-                  onClick={() => handleRemoveItem(item.id)}
-                  className="text-red-500 hover:text-red-700 text-sm"
-                  title="Remove Item"
-                >
-                  &times;
-                </button>
-              </div>
-            ))}
+const TURNAROUND_PERIODS = [
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 365, label: 'Last 12 months' },
+];
 
-            <button
-              onClick={handleAddItem}
-              className="mt-3 text-indigo-600 hover:text-indigo-800 font-semibold flex items-center text-sm"
-            >
-              + Add Line Item
-            </button>
+/**
+ * Average time jobs spend in each status and from booking in to ready and collected, worked out from
+ * the job history events recorded in the chosen period.
+ */
+const TurnaroundMetrics = ({ db, userId }) => {
+  const [days, setDays] = useState(TURNAROUND_PERIODS[0].days);
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    if (!db || !userId) return;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const q = query(getBookingEventsRef(db, userId), where('at', '>=', since));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setEvents(snapshot.docs.map(eventDoc => eventDoc.data()));
+    }, (e) => {
+      console.error("Error fetching job history:", e);
+    });
+    return () => unsubscribe();
+  }, [db, userId, days]);
+
+  const metrics = useMemo(() => buildTurnaroundMetrics(events), [events]);
+  const formatAverage = (summary) => (summary.count ? formatDuration(summary.averageMs) : '-');
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">Turnaround</h2>
+          <p className="text-sm text-gray-500">From the job history of {metrics.jobs} job{metrics.jobs === 1 ? '' : 's'} changed in this period. Jobs booked in before the period started are left out of the turnaround times.</p>
+        </div>
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="p-2 border rounded-lg bg-white">
+          {TURNAROUND_PERIODS.map(period => (
+            <option key={period.days} value={period.days}>{period.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        {metrics.turnaround.map(summary => (
+          <div key={summary.status} className="bg-white p-4 rounded-xl shadow-lg border">
+            <div className="text-sm text-gray-500">Booked in to {summary.status}</div>
+            <div className="text-2xl font-bold text-indigo-800">{formatAverage(summary)}</div>
+            <div className="text-xs text-gray-500">Average over {summary.count} job{summary.count === 1 ? '' : 's'}{summary.count ? `, longest ${formatDuration(summary.longestMs)}` : ''}</div>
           </div>
+        ))}
+      </div>
 
-          {/* Totals and Banking */}
-          <div className="grid grid-cols-3 gap-6">
-            <div className="col-span-2">
-              <h3 className="text-lg font-bold mb-2">Banking Details (optional):</h3>
-              <textarea
-                placeholder="Bank Name, Account Number, Branch Code, etc."
-                rows="4"
-                value={shopDetails.bankingDetails}
-                onChange={(e) => setInvoice(prev => ({ ...prev, bankingDetails: e.target.value }))}
-                className="w-full p-2 border rounded-lg"
-              />
-            </div>
+      <div className="bg-white p-6 rounded-xl shadow-lg border">
+        <h3 className="text-xl font-bold mb-4 text-gray-700 border-b pb-2">Time in Each Status</h3>
+        {metrics.statuses.length === 0 ? (
+          <p className="text-sm text-gray-500">No jobs have moved out of a status in this period.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Status</th>
+                <th className="py-2 text-right">Jobs</th>
+                <th className="py-2 text-right">Average</th>
+                <th className="py-2 text-right">Longest</th>
+              </tr>
+            </thead>
+            <tbody>
+              {metrics.statuses.map(summary => (
+                <tr key={summary.status} className="border-b last:border-0">
+                  <td className="py-2 font-medium">{summary.status}</td>
+                  <td className="py-2 text-right">{summary.count}</td>
+                  <td className="py-2 text-right">{formatDuration(summary.averageMs)}</td>
+                  <td className="py-2 text-right">{formatDuration(summary.longestMs)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
 
-            {/* Totals Column */}
-            <div className="col-span-1 space-y-2 text-right text-base">
-              <div className="flex justify-between font-medium">
-                <span>Subtotal:</span>
-                <span>{formatCurrency(invoice.subtotal, currentCurrency)}</span>
-              </div>
+/**
+ * Day, week and month calendar of bookings. Dragging a booking to another day (or technician lane)
+ * reschedules it through onReschedule; finished jobs are shown but cannot be moved.
+ */
+const BookingCalendar = ({ db, userId, shopProfile, bookings, statusMap, onOpenBooking, onReschedule }) => {
+  const [view, setView] = useState('week');
+  const [anchorDate, setAnchorDate] = useState(() => new Date().toISOString().substring(0, 10));
+  const [showLanes, setShowLanes] = useState(false);
+  const [draggedBooking, setDraggedBooking] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // 'date|lane' under the pointer while dragging
+
+  const today = new Date().toISOString().substring(0, 10);
+  const days = getCalendarDays(view, anchorDate);
+  const bookingsByDate = useMemo(() => groupBookingsByDate(bookings), [bookings]);
+  const visibleBookings = days.flatMap(date => bookingsByDate[date] || []);
+  // The day view always splits by technician; the week view can; the month view has no room for lanes
+  const lanes = view === 'day' || (view === 'week' && showLanes) ? getTechnicianLanes(visibleBookings) : [null];
+
+  const feedKey = shopProfile?.calendarFeed?.key;
+  const feedUrl = feedKey ? `${window.location.origin}/api/calendar/${userId}.${feedKey}.ics` : null;
+
+  // A new key invalidates the old feed URL, so resetting it also revokes existing subscriptions
+  const handleResetFeedKey = async () => {
+    if (feedKey && !window.confirm('Reset the feed link? Calendars subscribed with the current link will stop updating.')) return;
+    try {
+      const key = crypto.randomUUID().replace(/-/g, '');
+      await updateDoc(getShopProfileRef(db, userId), { calendarFeed: { key, createdAt: new Date().toISOString() } });
+      showNotification('Calendar Feed Ready', 'Copy the feed link into your phone or desktop calendar.', 'bg-green-600');
+    } catch (e) {
+      console.error("Error creating calendar feed:", e);
+      showNotification('Error', `Failed to create the calendar feed. Error: ${e.message}`, 'bg-red-600');
+    }
+  };
+
+  const handleCopyFeedUrl = async () => {
+    await navigator.clipboard.writeText(feedUrl);
+    showNotification('Feed Link Copied', 'Add it as a subscribed calendar (by URL) on your phone.', 'bg-green-600');
+  };
+
+  const handleDrop = (date, lane) => {
+    const booking = draggedBooking;
+    setDraggedBooking(null);
+    setDropTarget(null);
+    if (booking) onReschedule(booking, date, lane);
+  };
+
+  const dayEvents = (date, lane) => (bookingsByDate[date] || []).filter(booking => lane === null || getBookingTechnician(booking) === lane);
+
+  const renderEvent = (booking) => {
+    const isClosed = CLOSED_BOOKING_STATUSES.includes(booking.status);
+    return (
+      <div
+        key={booking.id}
+        draggable={!isClosed}
+        onDragStart={(e) => {
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('text/plain', booking.id);
+          setDraggedBooking(booking);
+        }}
+        onDragEnd={() => { setDraggedBooking(null); setDropTarget(null); }}
+        onClick={() => onOpenBooking(booking)}
+        title={`${booking.status}${booking.deviceIssue ? ` | ${booking.deviceIssue}` : ''}`}
+        className={`mb-1 p-1 rounded bg-white shadow-sm border-l-4 text-xs truncate ${statusMap[booking.status]?.color?.replace('bg', 'border')} ${isClosed ? 'opacity-50 cursor-pointer' : 'cursor-grab'}`}
+      >
+        {booking.appointmentTime && <span className="font-mono font-semibold mr-1">{booking.appointmentTime}</span>}
+        <span className="text-indigo-600 font-medium">#{booking.invoiceNo}</span> {booking.deviceModel || booking.customerName}
+        {booking.urgency && booking.urgency !== 'Standard' && <span className="ml-1 px-1 rounded bg-red-100 text-red-700">{booking.urgency}</span>}
+      </div>
+    );
+  };
 
-              <div className="flex justify-between items-center pt-2 border-t">
-                <div className="flex items-center space-x-2">
-                  <span className="font-medium">VAT ({invoice.taxRate}%):</span>
-                  <input
-                    type="checkbox"
-                    checked={invoice.isVatExempt}
-                    onChange={(e) => setInvoice(prev => ({ ...prev, isVatExempt: e.target.checked }))}
-                    className="form-checkbox h-4 w-4 text-indigo-600 rounded"
-                  />
-                  <span className="text-sm text-gray-500">Exempt</span>
-                </div>
-                <span>{formatCurrency(invoice.taxAmount, currentCurrency)}</span>
-              </div>
+  const renderCell = (date, lane, { limit = Infinity, className = '' } = {}) => {
+    const events = dayEvents(date, lane);
+    const targetKey = `${date}|${lane}`;
+    return (
+      <div
+        key={targetKey}
+        onDragOver={(e) => { if (draggedBooking) { e.preventDefault(); setDropTarget(targetKey); } }}
+        onDragLeave={() => setDropTarget(current => (current === targetKey ? null : current))}
+        onDrop={(e) => { e.preventDefault(); handleDrop(date, lane); }}
+        className={`p-1 border rounded-lg min-h-[80px] ${date === today ? 'bg-indigo-50' : 'bg-gray-50'} ${dropTarget === targetKey ? 'ring-4 ring-indigo-400' : ''} ${className}`}
+      >
+        {events.slice(0, limit).map(renderEvent)}
+        {events.length > limit && (
+          <button onClick={() => { setView('day'); setAnchorDate(date); }} className="text-xs text-indigo-600 hover:text-indigo-800 font-semibold">
+            +{events.length - limit} more
+          </button>
+        )}
+      </div>
+    );
+  };
 
-              <div className="flex justify-between font-extrabold text-lg pt-2 border-t-2 border-indigo-200">
-                <span>TOTAL:</span>
-                <span>{formatCurrency(invoice.totalAmount, currentCurrency)}</span>
-              </div>
-            </div>
-          </div>
+  const formatDayHeading = (date, options) => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, options);
+  const title = view === 'month'
+    ? formatDayHeading(anchorDate, { month: 'long', year: 'numeric' })
+    : view === 'week'
+      ? `${formatDayHeading(days[0], { day: 'numeric', month: 'short' })} - ${formatDayHeading(days[6], { day: 'numeric', month: 'short', year: 'numeric' })}`
+      : formatDayHeading(anchorDate, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
 
-          {/* Action Buttons */}
-          <div className="mt-8 pt-4 border-t flex justify-end space-x-4">
-            <button
-              onClick={() => handleSaveInvoice('Draft')}
-              className="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-6 rounded-lg shadow-md transition duration-200"
-            >
-              Save Invoice (Draft)
-            </button>
-            <button
-              onClick={() => handleSaveInvoice('Sent')}
-              className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-lg shadow-md transition duration-200"
-            >
-              Save & Send Invoice
-            </button>
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg border">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center space-x-2">
+          <button onClick={() => setAnchorDate(shiftCalendarAnchor(view, anchorDate, -1))} className="px-3 py-1 border rounded-lg hover:bg-gray-100">&larr;</button>
+          <button onClick={() => setAnchorDate(today)} className="px-3 py-1 border rounded-lg hover:bg-gray-100 text-sm">Today</button>
+          <button onClick={() => setAnchorDate(shiftCalendarAnchor(view, anchorDate, 1))} className="px-3 py-1 border rounded-lg hover:bg-gray-100">&rarr;</button>
+          <h3 className="text-lg font-bold text-gray-800 ml-2">{title}</h3>
+        </div>
+        <div className="flex items-center space-x-3">
+          {view === 'week' && (
+            <label className="flex items-center space-x-1 text-sm text-gray-700">
+              <input type="checkbox" checked={showLanes} onChange={(e) => setShowLanes(e.target.checked)} className="h-4 w-4" />
+              <span>Technician lanes</span>
+            </label>
+          )}
+          <div className="flex rounded-lg border overflow-hidden">
+            {Object.entries(CALENDAR_VIEWS).map(([key, label]) => (
+              <button key={key} onClick={() => setView(key)} className={`px-3 py-1 text-sm ${view === key ? 'bg-indigo-600 text-white' : 'bg-white hover:bg-gray-100'}`}>{label}</button>
+            ))}
           </div>
         </div>
+      </div>
+
+      {view === 'day' && (
+        <div className="grid gap-2" style={{ gridTemplateColumns: `repeat(${lanes.length}, minmax(160px, 1fr))` }}>
+          {lanes.map(lane => <div key={lane} className="text-sm font-semibold text-gray-700 px-1">{lane}</div>)}
+          {lanes.map(lane => renderCell(anchorDate, lane, { className: 'min-h-[240px]' }))}
+        </div>
+      )}
+
+      {view === 'week' && (
+        <div className="grid gap-2" style={{ gridTemplateColumns: `${lanes[0] === null ? '' : '120px '}repeat(7, minmax(110px, 1fr))` }}>
+          {lanes[0] !== null && <div />}
+          {days.map(date => (
+            <div key={date} className={`text-sm font-semibold px-1 ${date === today ? 'text-indigo-700' : 'text-gray-700'}`}>{formatDayHeading(date, { weekday: 'short', day: 'numeric' })}</div>
+          ))}
+          {lanes.map(lane => (
+            <React.Fragment key={lane ?? 'all'}>
+              {lane !== null && <div className="text-sm font-medium text-gray-600 pt-1 truncate">{lane}</div>}
+              {days.map(date => renderCell(date, lane, { className: lane === null ? 'min-h-[240px]' : '' }))}
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+
+      {view === 'month' && (
+        <div className="grid grid-cols-7 gap-1">
+          {days.slice(0, 7).map(date => (
+            <div key={date} className="text-xs font-semibold text-gray-500 uppercase px-1">{formatDayHeading(date, { weekday: 'short' })}</div>
+          ))}
+          {days.map(date => (
+            <div key={date} className={date.substring(0, 7) === anchorDate.substring(0, 7) ? '' : 'opacity-50'}>
+              <button onClick={() => { setView('day'); setAnchorDate(date); }} className="text-xs font-semibold text-gray-600 hover:text-indigo-700 px-1">{Number(date.substring(8))}</button>
+              {renderCell(date, null, { limit: 3 })}
+            </div>
+          ))}
+        </div>
       )}
+
+      <p className="text-xs text-gray-500 mt-3">
+        Bookings appear on their appointment date, or the preferred date for requests without one. Drag a booking to another day to reschedule it{view === 'month' ? '' : ", or to another technician's lane to reassign it"}.
+      </p>
+
+      <div className="mt-4 p-3 border rounded-lg bg-gray-50 text-sm">
+        <div className="font-semibold text-gray-700 mb-1">Subscribe on your phone</div>
+        {feedUrl ? (
+          <div className="flex items-center space-x-2">
+            <input type="text" readOnly value={feedUrl} className="flex-1 p-1 border rounded-lg font-mono text-xs bg-white" />
+            <button onClick={handleCopyFeedUrl} className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-1 px-3 rounded-lg">Copy</button>
+            <button onClick={handleResetFeedKey} className="text-red-600 hover:text-red-800 font-semibold py-1 px-2">Reset Link</button>
+          </div>
+        ) : (
+          <button onClick={handleResetFeedKey} className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-1 px-3 rounded-lg">Create Calendar Feed</button>
+        )}
+        <p className="text-xs text-gray-500 mt-1">A read-only iCalendar feed of open bookings. Anyone with the link can see them, so share it with staff only.</p>
+      </div>
     </div>
   );
 };
 
-
-const BookingSystem = ({ db, userId, shopProfile }) => {
+const BookingSystem = ({ db, auth, storage, userId, shopProfile }) => {
   const [activeView, setActiveView] = useState('board');
   const [isFormOpen, setIsFormOpen] = useState(false);
   const [isWalkIn, setIsWalkIn] = useState(false);
   const [currentBooking, setCurrentBooking] = useState(null);
   const [bookings, setBookings] = useState([]);
   const [searchQuery, setSearchQuery] = useState({ field: 'invoiceNo', value: '' });
+  const [searchResults, setSearchResults] = useState(null); // jobs matching the last admin search
   const [updateStatusData, setUpdateStatusData] = useState({ invoiceNo: '', status: 'Confirmed' });
+  const [draggedBooking, setDraggedBooking] = useState(null);
+  const [pendingMove, setPendingMove] = useState(null); // { booking, status, details } while a guard asks for details
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkTechnicians, setBulkTechnicians] = useState({}); // technician name typed into each column's bulk bar
+  const [bulkResult, setBulkResult] = useState(null); // { title, results: [{ booking, ok, message }] }
+  const [isBulkRunning, setIsBulkRunning] = useState(false);
+  const [staffName, setStaffName] = useState(''); // recorded as the actor on every change to a job
+  const [checkedInBooking, setCheckedInBooking] = useState(null); // walk-in whose book-in slip is showing
 
   const statusMap = {
     'New Request': { color: 'bg-yellow-500', icon: (props) => <svg {...props} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="8" x2="12" y2="12"></line><line x1="12" y1="16" x2="12.01" y2="16"></line></svg> },
@@ -710,7 +5105,7 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
     'Total Repairs': { color: 'bg-gray-700', icon: (props) => <svg {...props} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path></svg> },
   };
 
-  const statusOrder = ['New Request', 'Confirmed', 'In Progress', 'Awaiting Parts', 'Testing', 'Ready for Collection', 'Collected', 'Unable To Repair'];
+  const statusOrder = REPAIR_STATUS_ORDER;
 
   useEffect(() => {
     if (!db || !userId) return;
@@ -731,20 +5126,200 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
     return () => unsubscribe();
   }, [db, userId]);
 
-  const updateBookingStatus = async (id, newStatus) => {
+  const requireStaffName = () => {
+    if (staffName.trim()) return { uid: userId, name: staffName.trim() };
+    showNotification('Error', 'Please enter your name first so the change can be recorded in the job history.', 'bg-red-600');
+    return null;
+  };
+
+  /**
+   * Moves a job to a new status along the repair workflow (see lib/repairStatus) and records it in
+   * the job's history. `details` are repairDetails fields gathered for the transition's guards.
+   * Throws when the move is not allowed.
+   */
+  const updateBookingStatus = async (booking, newStatus, details = {}, actor, note = '') => {
     if (!db || !userId) return;
+    let repairDetails;
+    await updateBookingWithHistory(db, userId, booking.id, (current) => {
+      repairDetails = { ...(current.repairDetails || {}), ...details };
+      const error = getTransitionError({ ...current, repairDetails }, newStatus);
+      if (error) throw new Error(error);
+      return { status: newStatus, repairDetails };
+    }, actor, note);
+    if (currentBooking && currentBooking.id === booking.id) {
+      setCurrentBooking(prev => ({ ...prev, status: newStatus, repairDetails }));
+    }
+  };
+
+  // Moves a job and tells the customer, or asks for the details the move's guards need first. Returns true once moved.
+  const moveBooking = async (booking, newStatus, details = {}) => {
+    if (booking.status === newStatus) return false;
+    const actor = requireStaffName();
+    if (!actor) return false;
+    const missing = getMissingRequirements({ ...booking, repairDetails: { ...(booking.repairDetails || {}), ...details } }, newStatus);
+    if (missing.length && canTransition(booking.status, newStatus)) {
+      setPendingMove({ booking, status: newStatus, details: { ...details, ...missing.reduce((acc, { field }) => ({ ...acc, [field]: '' }), {}) } });
+      return false;
+    }
     try {
-      const docRef = doc(db, getTenantPath(userId, 'bookings'), id);
-      await updateDoc(docRef, {
-        status: newStatus,
-        updatedAt: new Date().toISOString()
-      });
-      console.log(`Booking ${id} status updated to ${newStatus}`);
-      if (currentBooking && currentBooking.id === id) {
-        setCurrentBooking(prev => ({ ...prev, status: newStatus }));
-      }
+      await updateBookingStatus(booking, newStatus, details, actor);
+      sendStatusNotification(auth, booking, newStatus);
+      setPendingMove(null);
+      return true;
     } catch (e) {
       console.error("Error updating booking status:", e);
+      showNotification('Status Not Changed', e.message, 'bg-red-600');
+      return false;
+    }
+  };
+
+  const toggleSelected = (bookingId) => {
+    setSelectedIds(prev => (prev.includes(bookingId) ? prev.filter(id => id !== bookingId) : [...prev, bookingId]));
+  };
+
+  const toggleColumnSelected = (status) => {
+    const columnIds = (groupedBookings[status] || []).map(booking => booking.id);
+    const allSelected = columnIds.length > 0 && columnIds.every(id => selectedIds.includes(id));
+    setSelectedIds(prev => (allSelected ? prev.filter(id => !columnIds.includes(id)) : [...new Set([...prev, ...columnIds])]));
+  };
+
+  /**
+   * Applies a bulk action to `selected` jobs as a single batched write.
+   * getUpdate(booking) returns { update, message } for a job it applies to or { error } to skip it;
+   * afterCommit runs once the batch is saved. Every job gets a line in the result summary and, when a
+   * tracked field changes, an event in its history. Resolves to the jobs updated, or null when it did not run.
+   */
+  const applyBulkUpdate = async (selected, title, getUpdate, afterCommit) => {
+    if (selected.length === 0) return null;
+    const actor = requireStaffName();
+    if (!actor) return null;
+    setIsBulkRunning(true);
+    const now = new Date().toISOString();
+    const batch = writeBatch(db);
+    let results = selected.map(booking => {
+      const { update, message, error } = getUpdate(booking);
+      if (error) return { booking, ok: false, message: error };
+      batch.update(doc(db, getTenantPath(userId, 'bookings'), booking.id), { ...update, updatedAt: now });
+      const event = buildBookingEvent(booking.id, booking, update, { actor, at: now, note: title });
+      if (event) batch.set(doc(getBookingEventsRef(db, userId)), event);
+      return { booking, ok: true, message };
+    });
+
+    const applied = results.filter(result => result.ok).map(result => result.booking);
+    try {
+      if (applied.length > 0) await batch.commit();
+    } catch (e) {
+      console.error(`Error running bulk action "${title}":`, e);
+      results = results.map(result => (result.ok ? { ...result, ok: false, message: `Not saved: ${e.message}` } : result));
+    }
+    if (afterCommit && results.some(result => result.ok)) {
+      try {
+        await afterCommit(applied);
+      } catch (e) {
+        console.error(`Error running bulk action "${title}":`, e);
+        showNotification('Error', `${title} failed. Error: ${e.message}`, 'bg-red-600');
+      }
+    }
+    setSelectedIds(prev => prev.filter(id => !selected.some(booking => booking.id === id)));
+    setBulkResult({ title, results });
+    setIsBulkRunning(false);
+    return results.filter(result => result.ok).map(result => result.booking);
+  };
+
+  // Bulk actions on the board apply to the jobs selected in one column
+  const runBulkAction = (status, title, getUpdate, afterCommit) => applyBulkUpdate(
+    (groupedBookings[status] || []).filter(booking => selectedIds.includes(booking.id)), title, getUpdate, afterCommit,
+  );
+
+  // Rapid-scan moves, like bulk advance, leave customer messages to "Send status update" on the board
+  const handleScanMove = (jobs, status) => applyBulkUpdate(jobs, `Move to ${status}`, (booking) => {
+    const error = booking.status === status ? `Already ${status}` : getTransitionError(booking, status);
+    return error ? { error } : { update: { status }, message: `Moved to ${status}` };
+  });
+
+  const handleBulkAdvance = (status) => {
+    const nextStatus = REPAIR_STATUS_NEXT[status];
+    runBulkAction(status, `Advance to ${nextStatus}`, (booking) => {
+      const error = getTransitionError(booking, nextStatus);
+      return error ? { error } : { update: { status: nextStatus }, message: `Moved to ${nextStatus}` };
+    });
+  };
+
+  const handleBulkAssignTechnician = (status) => {
+    const technician = (bulkTechnicians[status] || '').trim();
+    if (!technician) {
+      showNotification('Error', 'Enter the technician to assign.', 'bg-red-600');
+      return;
+    }
+    runBulkAction(status, `Assign ${technician}`, (booking) => (
+      booking.repairDetails?.technician === technician
+        ? { error: `Already assigned to ${technician}` }
+        : { update: { 'repairDetails.technician': technician }, message: `Assigned to ${technician}` }
+    ));
+    setBulkTechnicians(prev => ({ ...prev, [status]: '' }));
+  };
+
+  // Messages go through the notification service one by one, so the summary shows what was actually delivered
+  const handleBulkNotify = async (status) => {
+    const selected = (groupedBookings[status] || []).filter(booking => selectedIds.includes(booking.id));
+    if (selected.length === 0) return;
+    setIsBulkRunning(true);
+    const results = [];
+    for (const booking of selected) {
+      try {
+        const deliveries = await requestCustomerNotification(auth, booking.id, booking.status);
+        results.push(deliveries.length
+          ? { booking, ok: deliveries.some(delivery => delivery.status === 'sent'), message: describeDeliveryResults(deliveries) }
+          : { booking, ok: false, message: 'No message is set up for this status' });
+      } catch (e) {
+        results.push({ booking, ok: false, message: `Not sent: ${e.message}` });
+      }
+    }
+    setSelectedIds(prev => prev.filter(id => !selected.some(booking => booking.id === id)));
+    setBulkResult({ title: 'Send status update', results });
+    setIsBulkRunning(false);
+  };
+
+  const handleBulkPrint = (status) => {
+    runBulkAction(status, 'Print job cards', () => (
+      { update: { jobCardPrintedAt: new Date().toISOString() }, message: 'Job card printed' }
+    ), (applied) => printJobCards(applied, shopProfile));
+  };
+
+  // Labels change nothing on the jobs, so they print straight away without a result summary
+  const handleBulkLabels = async (status) => {
+    const selected = (groupedBookings[status] || []).filter(booking => selectedIds.includes(booking.id));
+    if (selected.length === 0) return;
+    try {
+      await printDeviceLabels(selected, shopProfile);
+    } catch (e) {
+      console.error("Error printing device labels:", e);
+      showNotification('Error', `Failed to print the device labels. Error: ${e.message}`, 'bg-red-600');
+    }
+  };
+
+  const handleDrop = (status) => {
+    const booking = draggedBooking;
+    setDraggedBooking(null);
+    if (booking) moveBooking(booking, status);
+  };
+
+  // Reschedules a booking dropped on the calendar; dropping on a technician lane also reassigns it
+  const rescheduleBooking = async (booking, date, lane) => {
+    const changes = {};
+    if (date !== getBookingCalendarDate(booking)) changes.appointmentDate = date;
+    if (lane && lane !== getBookingTechnician(booking)) changes['repairDetails.technician'] = lane === UNASSIGNED_LANE ? '' : lane;
+    if (!Object.keys(changes).length) return;
+    const actor = requireStaffName();
+    if (!actor) return;
+
+    try {
+      await updateBookingWithHistory(db, userId, booking.id, () => changes, actor);
+      const moved = [changes.appointmentDate && `to ${date}`, 'repairDetails.technician' in changes && `to ${lane}`].filter(Boolean).join(' and ');
+      showNotification('Booking Rescheduled', `Job #${booking.invoiceNo} moved ${moved}.`, 'bg-green-600');
+    } catch (e) {
+      console.error("Error rescheduling booking:", e);
+      showNotification('Error', `Failed to reschedule job #${booking.invoiceNo}. Error: ${e.message}`, 'bg-red-600');
     }
   };
 
@@ -773,72 +5348,64 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
     setCurrentBooking(booking);
   };
 
+  // A scanned or exact job number or IMEI opens the job; anything else lists the jobs that match
   const handleSearch = () => {
-    // In a real app, this would query the DB. Here we filter in memory for simplicity.
-    const results = bookings.filter(b => b[searchQuery.field]?.toLowerCase().includes(searchQuery.value.toLowerCase()));
-    if (results.length > 0) {
-      // Using custom modal instead of alert
-      const notificationBox = document.createElement('div');
-      notificationBox.className = 'fixed top-4 right-4 bg-green-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-      notificationBox.innerHTML = `<h4 class="font-bold">Search Complete</h4><p class="text-sm">Found ${results.length} result(s) for ${searchQuery.field} '${searchQuery.value}'</p>`;
-      document.body.appendChild(notificationBox);
-      setTimeout(() => {
-        notificationBox.style.opacity = '0';
-        setTimeout(() => notificationBox.remove(), 500);
-      }, 4000);
-    } else {
-      // Using custom modal instead of alert
-      const notificationBox = document.createElement('div');
-      notificationBox.className = 'fixed top-4 right-4 bg-yellow-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-      notificationBox.innerHTML = `<h4 class="font-bold">Search Complete</h4><p class="text-sm">No results found for ${searchQuery.field} '${searchQuery.value}'</p>`;
-      document.body.appendChild(notificationBox);
-      setTimeout(() => {
-        notificationBox.style.opacity = '0';
-        setTimeout(() => notificationBox.remove(), 500);
-      }, 4000);
+    const exact = searchQuery.field !== 'customerPhone' ? findScannedBooking(bookings, searchQuery.value) : null;
+    if (exact) {
+      setSearchResults(null);
+      openRepairForm(exact);
+      return;
     }
+    const results = searchBookings(bookings, searchQuery.field, searchQuery.value);
+    setSearchResults(results);
+    if (results.length === 0) showNotification('Search Complete', `No results found for ${searchQuery.field} '${searchQuery.value}'`, 'bg-yellow-600');
   };
 
   const handleUpdateStatusTool = async () => {
-    if (!updateStatusData.invoiceNo) {
-      // Using custom modal instead of alert
-      const notificationBox = document.createElement('div');
-      notificationBox.className = 'fixed top-4 right-4 bg-red-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-      notificationBox.innerHTML = `<h4 class="font-bold">Error</h4><p class="text-sm">Please enter an Invoice Number.</p>`;
-      document.body.appendChild(notificationBox);
-      setTimeout(() => {
-        notificationBox.style.opacity = '0';
-        setTimeout(() => notificationBox.remove(), 500);
-      }, 4000);
+    if (!updateStatusData.invoiceNo.trim()) {
+      showNotification('Error', 'Please enter or scan an Invoice Number.', 'bg-red-600');
       return;
     }
-    const bookingToUpdate = bookings.find(b => b.invoiceNo === updateStatusData.invoiceNo);
+    const bookingToUpdate = findScannedBooking(bookings, updateStatusData.invoiceNo);
     if (!bookingToUpdate) {
-      // Using custom modal instead of alert
-      const notificationBox = document.createElement('div');
-      notificationBox.className = 'fixed top-4 right-4 bg-red-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-      notificationBox.innerHTML = `<h4 class="font-bold">Error</h4><p class="text-sm">No repair found with Invoice Number: ${updateStatusData.invoiceNo}</p>`;
-      document.body.appendChild(notificationBox);
-      setTimeout(() => {
-        notificationBox.style.opacity = '0';
-        setTimeout(() => notificationBox.remove(), 500);
-      }, 4000);
+      showNotification('Error', `No repair found for: ${updateStatusData.invoiceNo}`, 'bg-red-600');
       return;
     }
-    await updateBookingStatus(bookingToUpdate.id, updateStatusData.status);
-    // Send notification after successful manual status update
-    sendStatusNotification(bookingToUpdate.customerPhone, bookingToUpdate.customerName, bookingToUpdate.invoiceNo, updateStatusData.status);
-    setUpdateStatusData({ invoiceNo: '', status: 'Confirmed' });
+    // The customer is notified once the move succeeds
+    if (await moveBooking(bookingToUpdate, updateStatusData.status)) {
+      setUpdateStatusData({ invoiceNo: '', status: updateStatusData.status });
+    }
   };
 
-  const BookingCard = ({ booking }) => (
+  // A render function rather than a component, so re-rendering mid-drag does not remount the card being dragged
+  const renderBookingCard = (booking) => (
     <div
+      key={booking.id}
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', booking.id);
+        setDraggedBooking(booking);
+      }}
+      onDragEnd={() => setDraggedBooking(null)}
       onClick={() => openRepairForm(booking)}
-      className={`bg-white p-4 rounded-lg shadow-md mb-3 cursor-pointer border-l-4 ${statusMap[booking.status]?.color?.replace('bg', 'border')}`}
+      className={`bg-white p-4 rounded-lg shadow-md mb-3 cursor-grab border-l-4 ${statusMap[booking.status]?.color?.replace('bg', 'border')}`}
     >
-      <div className="font-bold text-sm text-gray-800 truncate">{booking.customerName}</div>
+      <div className="flex justify-between items-start">
+        <div className="font-bold text-sm text-gray-800 truncate">{booking.customerName}</div>
+        <input
+          type="checkbox"
+          checked={selectedIds.includes(booking.id)}
+          onClick={(e) => e.stopPropagation()}
+          onChange={() => toggleSelected(booking.id)}
+          className="h-4 w-4 ml-2"
+        />
+      </div>
       <div className="text-xs text-gray-600">IMEI: {booking.imei}</div>
       <div className="text-xs text-gray-500">Fault: {booking.deviceIssue}</div>
+      {booking.appointmentDate && <div className="text-xs font-semibold text-indigo-700">Appointment: {booking.appointmentDate} {booking.appointmentTime}</div>}
+      {booking.quoteNo && <div className="text-xs text-gray-500">Quotation #{booking.quoteNo}</div>}
+      {booking.generatedInvoice && <div className="text-xs text-gray-500">Invoice #{booking.generatedInvoice.invoiceNo}</div>}
       <div className="mt-2 flex justify-between items-center text-xs">
         <span className={`px-2 py-0.5 rounded-full text-white ${statusMap[booking.status]?.color}`}>{booking.status}</span>
         <span className="text-indigo-600 font-medium">#{booking.invoiceNo}</span>
@@ -848,7 +5415,7 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
 
   const WalkInCheckInForm = () => {
     const [formData, setFormData] = useState({
-      invoiceNo: 'INV-' + Math.floor(Math.random() * 10000),
+      invoiceNo: '', // Allocated from the tenant's repair job sequence on check-in
       consultant: '',
       customerName: '',
       customerPhone: '',
@@ -857,9 +5424,12 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
       deviceIssue: '',
       imei: '',
       amount: 0,
+      depositMethod: 'Cash',
       comments: '',
     });
-    const [slipVisible, setSlipVisible] = useState(false);
+    const [intake, setIntake] = useState(EMPTY_INTAKE);
+    const [photos, setPhotos] = useState([]); // Files uploaded to Storage on check-in
+    const [isCheckingIn, setIsCheckingIn] = useState(false);
 
     const handleChange = (e) => {
       setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -867,90 +5437,64 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
 
     const handleCheckIn = async () => {
       if (!formData.customerName || !formData.customerPhone || !formData.deviceModel) {
-        // Using custom modal instead of alert
-        const notificationBox = document.createElement('div');
-        notificationBox.className = 'fixed top-4 right-4 bg-red-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-        notificationBox.innerHTML = `<h4 class="font-bold">Error</h4><p class="text-sm">Please fill in required customer name, phone, and device model.</p>`;
-        document.body.appendChild(notificationBox);
-        setTimeout(() => {
-          notificationBox.style.opacity = '0';
-          setTimeout(() => notificationBox.remove(), 500);
-        }, 4000);
+        showNotification('Error', 'Please fill in required customer name, phone, and device model.', 'bg-red-600');
+        return;
+      }
+      const missingChecks = getMissingIntakeChecks(intake);
+      if (missingChecks.length) {
+        showNotification('Error', `Please complete the intake checklist: ${missingChecks.join(', ')}.`, 'bg-red-600');
         return;
       }
 
+      setIsCheckingIn(true);
+      // The job's ID is chosen first so its photos can be uploaded under it before the job is saved
+      const bookingRef = doc(collection(db, getTenantPath(userId, 'bookings')));
+      let intakePhotos = [];
       try {
-        const docRef = collection(db, getTenantPath(userId, 'bookings'));
-        const newBooking = {
-          ...formData,
-          createdAt: new Date().toISOString(),
-          status: 'Confirmed', // Walk-ins are confirmed immediately
-          bookingType: 'Walk-in',
-          repairDetails: {},
-        };
-        await addDoc(docRef, newBooking);
+        intakePhotos = await uploadIntakePhotos(storage, userId, bookingRef.id, photos);
+        const newBooking = await runTransaction(db, async (transaction) => {
+          const jobNo = await allocateDocumentNumber(transaction, db, userId, shopProfile, 'repairJob');
+          const booking = {
+            ...formData,
+            invoiceNo: jobNo,
+            amount: parseFloat(formData.amount) || 0,
+            createdAt: new Date().toISOString(),
+            status: 'Confirmed', // Walk-ins are confirmed immediately
+            bookingType: 'Walk-in',
+            intake,
+            intakePhotos,
+            repairDetails: {},
+          };
+          transaction.set(bookingRef, booking);
+          transaction.set(doc(getBookingEventsRef(db, userId)), buildBookingCreatedEvent(bookingRef.id, booking, {
+            actor: { uid: userId, name: formData.consultant.trim() || staffName.trim() || 'Staff' },
+            at: booking.createdAt,
+          }));
+          return booking;
+        });
         
         // Send notification for initial check-in
-        sendStatusNotification(newBooking.customerPhone, newBooking.customerName, newBooking.invoiceNo, newBooking.status);
+        sendStatusNotification(auth, { id: bookingRef.id, ...newBooking }, newBooking.status);
 
-        setSlipVisible(true);
+        // The slip is shown by the dashboard, so it stays up when the new job arrives on the board
+        setCheckedInBooking({ id: bookingRef.id, ...newBooking });
+        setIsFormOpen(false);
       } catch (e) {
         console.error("Error creating walk-in booking:", e);
-        // Using custom modal instead of alert
-        const notificationBox = document.createElement('div');
-        notificationBox.className = 'fixed top-4 right-4 bg-red-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-        notificationBox.innerHTML = `<h4 class="font-bold">Error</h4><p class="text-sm">Failed to create check-in. Error: ${e.message}</p>`;
-        document.body.appendChild(notificationBox);
-        setTimeout(() => {
-          notificationBox.style.opacity = '0';
-          setTimeout(() => notificationBox.remove(), 500);
-        }, 4000);
+        deleteIntakePhotos(storage, intakePhotos);
+        setIsCheckingIn(false);
+        showNotification('Error', `Failed to create check-in. Error: ${e.message}`, 'bg-red-600');
       }
     };
 
-    const handlePrintAndNotify = () => {
-      // Using custom modal instead of alert
-      const notificationBox = document.createElement('div');
-      notificationBox.className = 'fixed top-4 right-4 bg-blue-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-      notificationBox.innerHTML = `<h4 class="font-bold">Mock Print</h4><p class="text-sm">Simulating printing of Repair Slip. Job placed in Confirmed queue.</p>`;
-      document.body.appendChild(notificationBox);
-      setTimeout(() => {
-        notificationBox.style.opacity = '0';
-        setTimeout(() => notificationBox.remove(), 500);
-      }, 4000);
-
-      setSlipVisible(false);
-      setIsFormOpen(false); // Close the form
-    };
-
-    if (slipVisible) {
-      return (
-        <div className="p-6 bg-gray-50 rounded-lg shadow-inner mt-4">
-          <h3 className="text-xl font-bold mb-4 text-indigo-800">Repair Book-in Slip Preview</h3>
-          <div className="border p-4 bg-white rounded-lg space-y-2">
-            <p><span className="font-semibold">Shop:</span> {shopProfile.companyName}</p>
-            <p><span className="font-semibold">Invoice No:</span> {formData.invoiceNo}</p>
-            <p><span className="font-semibold">Customer:</span> {formData.customerName} ({formData.customerPhone})</p>
-            <p><span className="font-semibold">Device:</span> {formData.deviceModel} (IMEI: {formData.imei})</p>
-            <p className="text-sm pt-2 border-t mt-2">
-              <span className="font-semibold">Next Steps:</span> Repair will be assigned to a technician. You have been notified via SMS/WhatsApp.
-            </p>
-          </div>
-          <button onClick={handlePrintAndNotify} className="mt-4 bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md">
-            Print Book-in Slip & Close
-          </button>
-        </div>
-      );
-    }
-
     return (
-      <div className="p-6 bg-white rounded-xl shadow-2xl w-full max-w-2xl mx-auto">
+      <div className="p-6 bg-white rounded-xl shadow-2xl w-full max-w-2xl mx-auto max-h-[90vh] overflow-y-auto">
         <h2 className="text-2xl font-bold mb-6 text-indigo-800">Book a Repair (Walk-in Check-in)</h2>
         <div className="grid grid-cols-2 gap-4">
           {/* First Row: Invoice No & Consultant */}
           <div>
-            <label className="block text-sm font-medium text-gray-700">Invoice Number:</label>
-            <input type="text" name="invoiceNo" value={formData.invoiceNo} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" required />
+            <label className="block text-sm font-medium text-gray-700">Job Number:</label>
+            <input type="text" name="invoiceNo" value={formData.invoiceNo} placeholder="Assigned on check-in" readOnly className="mt-1 block w-full p-2 border border-gray-300 rounded-lg bg-gray-100 text-gray-500" />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700">Consultant:</label>
@@ -973,8 +5517,15 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
             <input type="email" name="customerEmail" value={formData.customerEmail} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
           </div>
           <div>
-            <label className="block text-sm font-medium text-gray-700">Amount (Deposit/Estimate):</label>
-            <input type="number" name="amount" value={formData.amount} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+            <label className="block text-sm font-medium text-gray-700">Deposit Paid (Applied to final invoice):</label>
+            <div className="mt-1 flex space-x-2">
+              <input type="number" name="amount" value={formData.amount} onChange={handleChange} className="block w-full p-2 border border-gray-300 rounded-lg" />
+              <select name="depositMethod" value={formData.depositMethod} onChange={handleChange} className="p-2 border border-gray-300 rounded-lg bg-white">
+                {PAYMENT_METHODS.map(method => (
+                  <option key={method} value={method}>{method}</option>
+                ))}
+              </select>
+            </div>
           </div>
 
           {/* Fourth Row: Device Model & Issue */}
@@ -993,17 +5544,23 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
             <input type="text" name="imei" value={formData.imei} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
           </div>
 
+          {/* Intake checklist and photos, printed on the book-in slip */}
+          <div className="col-span-2 border-t pt-4">
+            <h3 className="font-bold text-gray-700 mb-2">Device Condition at Intake</h3>
+            <DeviceIntakeFields intake={intake} onIntakeChange={setIntake} photos={photos} onPhotosChange={setPhotos} />
+          </div>
+
           {/* Last Row: Comments */}
           <div className="col-span-2">
-            <label className="block text-sm font-medium text-gray-700">Comments about Device (Condition, Accessories):</label>
+            <label className="block text-sm font-medium text-gray-700">Other Notes on Condition:</label>
             <textarea name="comments" value={formData.comments} onChange={handleChange} rows="3" className="mt-1 block w-full p-2 border border-gray-300 rounded-lg"></textarea>
           </div>
         </div>
 
         {/* Buttons */}
         <div className="mt-6 flex justify-between">
-          <button onClick={handleCheckIn} className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-lg shadow-md">
-            Check In Device & Generate Slip
+          <button onClick={handleCheckIn} disabled={isCheckingIn} className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-lg shadow-md disabled:opacity-50">
+            {isCheckingIn ? (photos.length ? 'Uploading Photos...' : 'Checking In...') : 'Check In Device & Generate Slip'}
           </button>
           <button onClick={() => setIsFormOpen(false)} className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-6 rounded-lg shadow-md">
             Cancel
@@ -1031,55 +5588,39 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
 
     const handleBooking = async () => {
       if (!formData.customerName || !formData.customerPhone || !formData.deviceModel) {
-        // Using custom modal instead of alert
-        const notificationBox = document.createElement('div');
-        notificationBox.className = 'fixed top-4 right-4 bg-red-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-        notificationBox.innerHTML = `<h4 class="font-bold">Error</h4><p class="text-sm">Please fill in required customer name, phone, and device model.</p>`;
-        document.body.appendChild(notificationBox);
-        setTimeout(() => {
-          notificationBox.style.opacity = '0';
-          setTimeout(() => notificationBox.remove(), 500);
-        }, 4000);
+        showNotification('Error', 'Please fill in required customer name, phone, and device model.', 'bg-red-600');
         return;
       }
 
       try {
-        const docRef = collection(db, getTenantPath(userId, 'bookings'));
-        const newBooking = {
-          ...formData,
-          invoiceNo: 'REQ-' + Math.floor(Math.random() * 10000),
-          createdAt: new Date().toISOString(),
-          status: 'New Request', // Online bookings require confirmation
-          bookingType: 'Online',
-          repairDetails: {},
-        };
-        await addDoc(docRef, newBooking);
+        const bookingRef = doc(collection(db, getTenantPath(userId, 'bookings')));
+        const newBooking = await runTransaction(db, async (transaction) => {
+          const requestNo = await allocateDocumentNumber(transaction, db, userId, shopProfile, 'onlineRequest');
+          const booking = {
+            ...formData,
+            invoiceNo: requestNo,
+            createdAt: new Date().toISOString(),
+            status: 'New Request', // Online bookings require confirmation
+            bookingType: 'Online',
+            repairDetails: {},
+          };
+          transaction.set(bookingRef, booking);
+          transaction.set(doc(getBookingEventsRef(db, userId)), buildBookingCreatedEvent(bookingRef.id, booking, {
+            actor: { uid: userId, name: staffName.trim() || 'Staff' },
+            at: booking.createdAt,
+          }));
+          return booking;
+        });
         
         // Send notification for initial request
-        sendStatusNotification(newBooking.customerPhone, newBooking.customerName, newBooking.invoiceNo, newBooking.status);
-
-        // Using custom modal instead of alert
-        const notificationBox = document.createElement('div');
-        notificationBox.className = 'fixed top-4 right-4 bg-green-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-        notificationBox.innerHTML = `<h4 class="font-bold">Success</h4><p class="text-sm">Online booking request submitted successfully! Shop will confirm soon.</p>`;
-        document.body.appendChild(notificationBox);
-        setTimeout(() => {
-          notificationBox.style.opacity = '0';
-          setTimeout(() => notificationBox.remove(), 500);
-        }, 4000);
+        sendStatusNotification(auth, { id: bookingRef.id, ...newBooking }, newBooking.status);
+
+        showNotification('Success', 'Online booking request submitted successfully! Shop will confirm soon.', 'bg-green-600');
 
         setIsFormOpen(false);
       } catch (e) {
         console.error("Error creating online booking:", e);
-        // Using custom modal instead of alert
-        const notificationBox = document.createElement('div');
-        notificationBox.className = 'fixed top-4 right-4 bg-red-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-        notificationBox.innerHTML = `<h4 class="font-bold">Error</h4><p class="text-sm">Failed to submit booking. Error: ${e.message}</p>`;
-        document.body.appendChild(notificationBox);
-        setTimeout(() => {
-          notificationBox.style.opacity = '0';
-          setTimeout(() => notificationBox.remove(), 500);
-        }, 4000);
+        showNotification('Error', `Failed to submit booking. Error: ${e.message}`, 'bg-red-600');
       }
     };
 
@@ -1128,7 +5669,7 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
     );
   };
 
-  const RepairFormModal = ({ booking, onClose, onUpdate, shopProfile, db, userId, updateBookingStatus }) => {
+  const RepairFormModal = ({ booking, onClose, shopProfile, db, userId, updateBookingStatus }) => {
     const [repairData, setRepairData] = useState(booking.repairDetails || {
       finalFault: '',
       diagnosticNotes: '',
@@ -1140,6 +5681,14 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
     const [isSaving, setIsSaving] = useState(false);
     const [isGeneratingInvoice, setIsGeneratingInvoice] = useState(false);
     const [isNotifying, setIsNotifying] = useState(false); // New state for notification
+    const [editorName, setEditorName] = useState(staffName);
+    const [changeNote, setChangeNote] = useState('');
+
+    const requireEditor = () => {
+      if (editorName.trim()) return { uid: userId, name: editorName.trim() };
+      showNotification('Error', 'Please enter your name so the change can be recorded in the job history.', 'bg-red-600');
+      return null;
+    };
 
     const handlePartChange = (id, field, value) => {
       const newParts = repairData.partsUsed.map(part => {
@@ -1160,30 +5709,23 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
     };
 
     const handleUpdateRepair = async () => {
+      const actor = requireEditor();
+      if (!actor) return;
       setIsSaving(true);
       try {
-        const docRef = doc(db, getTenantPath(userId, 'bookings'), booking.id);
         const newStatus = repairData.finalStatus;
-        await updateDoc(docRef, {
-          repairDetails: repairData,
-          status: newStatus,
-          updatedAt: new Date().toISOString(),
-        });
+        await updateBookingWithHistory(db, userId, booking.id, (current) => {
+          const transitionError = getTransitionError({ ...current, repairDetails: repairData }, newStatus);
+          if (transitionError) throw new Error(transitionError);
+          return { repairDetails: repairData, status: newStatus };
+        }, actor, changeNote);
+        setStaffName(actor.name);
         
         // Only send notification if status changed or user explicitly clicks notify button later
-        onUpdate(newStatus); 
         onClose();
       } catch (e) {
         console.error("Error updating repair details:", e);
-        // Using custom modal instead of alert
-        const notificationBox = document.createElement('div');
-        notificationBox.className = 'fixed top-4 right-4 bg-red-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-        notificationBox.innerHTML = `<h4 class="font-bold">Error</h4><p class="text-sm">Failed to save repair details. Error: ${e.message}</p>`;
-        document.body.appendChild(notificationBox);
-        setTimeout(() => {
-          notificationBox.style.opacity = '0';
-          setTimeout(() => notificationBox.remove(), 500);
-        }, 4000);
+        showNotification('Error', `Failed to save repair details. Error: ${e.message}`, 'bg-red-600');
       } finally {
         setIsSaving(false);
       }
@@ -1191,16 +5733,34 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
     
     const handleGenerateInvoice = async () => {
       if (!db || !userId || !shopProfile) return;
+      // Invoicing hands the device back, so the job must be able to move to Collected
+      const collectError = getTransitionError({ ...booking, repairDetails: repairData }, 'Collected');
+      if (collectError) {
+        showNotification('Cannot Invoice Yet', collectError, 'bg-red-600');
+        return;
+      }
+      if (booking.generatedInvoice) {
+        showNotification('Already Invoiced', `This job was invoiced on #${booking.generatedInvoice.invoiceNo}.`, 'bg-red-600');
+        return;
+      }
+      const actor = requireEditor();
+      if (!actor) return;
       
       setIsGeneratingInvoice(true);
       
       try {
+        // Accepted quotations are invoiced as quoted; the labour and parts on this form are the shop's own costs
+        const quotationSnap = booking.quotationId ? await getDoc(doc(db, getTenantPath(userId, 'quotations'), booking.quotationId)) : null;
+        const quote = quotationSnap?.exists() ? { id: quotationSnap.id, ...quotationSnap.data() } : null;
+        if (booking.quotationId && !quote) throw new Error(`Quotation #${booking.quoteNo} no longer exists.`);
+
         const partsCostItems = repairData.partsUsed.filter(p => p.cost > 0 && p.name).map(p => ({
           id: Date.now() + Math.random(),
           description: `Part: ${p.name}`,
           qty: 1,
           unitPrice: parseFloat(p.cost) || 0,
-          total: parseFloat(p.cost) || 0,
+          discountPercent: 0,
+          taxCategory: 'standard',
         }));
 
         const laborItem = {
@@ -1208,28 +5768,28 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
           description: `Labor: ${repairData.finalFault || booking.deviceIssue}`,
           qty: 1,
           unitPrice: parseFloat(repairData.laborCost) || 0,
-          total: parseFloat(repairData.laborCost) || 0,
+          discountPercent: 0,
+          taxCategory: 'standard',
         };
         
-        const invoiceItems = [laborItem, ...partsCostItems];
-        const subtotal = invoiceItems.reduce((sum, item) => sum + item.total, 0);
-        const taxRate = 15; // Standard VAT
-        const taxAmount = subtotal * (taxRate / 100);
-        const totalAmount = subtotal + taxAmount;
+        const lineFields = quote
+          ? { ...getQuotationInvoiceFields(quote), taxRate: quote.taxRate ?? getShopVatRate(shopProfile) }
+          : { items: [laborItem, ...partsCostItems], taxRate: getShopVatRate(shopProfile) };
+        const totals = getStoredTotals(lineFields);
         
         const newInvoice = {
-          invoiceNo: `INV-REP-${booking.invoiceNo}`, // Link back to booking number
+          relatedJobNo: booking.invoiceNo, // Link back to booking number
           date: new Date().toISOString().substring(0, 10),
+          paymentTermsDays: getShopPaymentTermsDays(shopProfile),
           customerName: booking.customerName,
           customerAddress: booking.customerAddress || 'N/A',
           customerPhone: booking.customerPhone,
+          customerEmail: booking.customerEmail || '',
           billTo: booking.deviceModel, // Use device model for bill-to
-          items: invoiceItems,
-          subtotal: subtotal,
-          taxRate: taxRate, 
-          taxAmount: taxAmount,
-          isVatExempt: false,
-          totalAmount: totalAmount,
+          ...lineFields,
+          ...totals,
+          pricesIncludeVat: false,
+          invoiceDiscount: { type: 'percent', value: 0 },
           bankingDetails: shopProfile.bankingDetails,
           status: 'Sent', // Auto-set to sent
           relatedBookingId: booking.id,
@@ -1243,46 +5803,87 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
           }
         };
         
-        const docRef = collection(db, getTenantPath(userId, 'invoices'));
-        await addDoc(docRef, newInvoice);
+        // The invoice, the deposit payment and the links back to it are written together, so a failure
+        // leaves nothing behind and a second attempt finds the job already invoiced
+        const bookingRef = doc(db, getTenantPath(userId, 'bookings'), booking.id);
+        const quoteRef = quote && doc(db, getTenantPath(userId, 'quotations'), quote.id);
+        const invoiceNo = await runTransaction(db, async (transaction) => {
+          const bookingSnap = await transaction.get(bookingRef);
+          if (!bookingSnap.exists()) throw new Error('Repair job not found.');
+          const current = bookingSnap.data();
+          if (current.generatedInvoice) throw new Error(`This job was already invoiced on #${current.generatedInvoice.invoiceNo}.`);
+          const currentQuote = quoteRef && (await transaction.get(quoteRef)).data();
+          if (currentQuote?.invoiceNo) throw new Error(`Quotation #${currentQuote.quoteNo} has already been invoiced on #${currentQuote.invoiceNo}.`);
+
+          const number = await allocateDocumentNumber(transaction, db, userId, shopProfile, 'invoice');
+          const { id: invoiceId, invoice } = writeNewInvoice(transaction, db, userId, number, withDueDate(newInvoice), actor, `Generated from repair job #${booking.invoiceNo}`);
+          const bookingUpdate = { generatedInvoice: { id: invoiceId, invoiceNo: number } };
+
+          // The walk-in deposit becomes the first payment on the repair invoice (capped at the invoice total)
+          const deposit = roundCurrency(Math.min(parseFloat(current.amount) || 0, invoice.totalAmount));
+          if (deposit > 0 && !current.depositAppliedTo) {
+            writeInvoicePayment(transaction, db, userId, invoiceId, invoice, {
+              tenders: [{ method: current.depositMethod || 'Cash', amount: deposit }],
+              date: (current.createdAt || new Date().toISOString()).substring(0, 10),
+              reference: `Deposit - Job #${booking.invoiceNo}`,
+              recordedBy: { uid: userId, name: current.consultant || actor.name },
+            });
+            bookingUpdate.depositAppliedTo = { id: invoiceId, invoiceNo: number };
+          }
+
+          transaction.update(bookingRef, bookingUpdate);
+          if (quoteRef) {
+            transaction.update(quoteRef, {
+              status: QUOTATION_STATUSES.invoiced,
+              invoiceId,
+              invoiceNo: number,
+              updatedAt: new Date().toISOString(),
+            });
+          }
+          return number;
+        });
         
         // Update booking status to collected and notify
-        await updateBookingStatus(booking.id, 'Collected');
+        await updateBookingStatus(booking, 'Collected', repairData, actor, changeNote.trim() || `Invoiced on #${invoiceNo}`);
         
-        sendStatusNotification(booking.customerPhone, booking.customerName, booking.invoiceNo, 'Collected (Invoice Sent)');
-
-        // Using custom modal instead of alert
-        const notificationBox = document.createElement('div');
-        notificationBox.className = 'fixed top-4 right-4 bg-green-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-        notificationBox.innerHTML = `<h4 class="font-bold">Invoice & Status Update Sent!</h4><p class="text-sm">Invoice #${newInvoice.invoiceNo} generated and customer notified.</p>`;
-        document.body.appendChild(notificationBox);
-        setTimeout(() => {
-          notificationBox.style.opacity = '0';
-          setTimeout(() => notificationBox.remove(), 500);
-        }, 5000);
+        sendStatusNotification(auth, booking, 'Collected');
+
+        showNotification('Invoice Generated', `Invoice #${invoiceNo} generated and the job marked as Collected.`, 'bg-green-600');
 
         onClose();
         
       } catch (e) {
         console.error("Error generating invoice:", e);
-        // Using custom modal instead of alert
-        const notificationBox = document.createElement('div');
-        notificationBox.className = 'fixed top-4 right-4 bg-red-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-        notificationBox.innerHTML = `<h4 class="font-bold">Error</h4><p class="text-sm">Failed to generate invoice. Error: ${e.message}</p>`;
-        document.body.appendChild(notificationBox);
-        setTimeout(() => {
-          notificationBox.style.opacity = '0';
-          setTimeout(() => notificationBox.remove(), 500);
-        }, 4000);
+        showNotification('Error', `Failed to generate invoice. Error: ${e.message}`, 'bg-red-600');
       } finally {
         setIsGeneratingInvoice(false);
       }
     };
     
-    const handleNotifyCustomer = () => {
+    const handleCopyTrackingLink = async () => {
+      try {
+        const url = await requestTrackingLink(auth, booking.id);
+        await navigator.clipboard.writeText(url);
+        showNotification('Tracking Link Copied', `Send it to ${booking.customerName} so they can follow job #${booking.invoiceNo}.`, 'bg-green-600');
+      } catch (e) {
+        console.error("Error creating tracking link:", e);
+        showNotification('Error', `Failed to create the tracking link. Error: ${e.message}`, 'bg-red-600');
+      }
+    };
+
+    const handlePrintDocument = async (kind, thermal = false) => {
+      try {
+        await printRepairDocument(auth, kind, booking, shopProfile, { thermal });
+      } catch (e) {
+        console.error("Error printing repair document:", e);
+        showNotification('Error', `Failed to print the ${kind === 'label' ? 'device label' : 'book-in slip'}. Error: ${e.message}`, 'bg-red-600');
+      }
+    };
+
+    const handleNotifyCustomer = async () => {
       setIsNotifying(true);
-      sendStatusNotification(booking.customerPhone, booking.customerName, booking.invoiceNo, repairData.finalStatus);
-      setTimeout(() => setIsNotifying(false), 2000);
+      await sendStatusNotification(auth, booking, repairData.finalStatus);
+      setIsNotifying(false);
     };
 
 
@@ -1290,6 +5891,8 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
     const totalLaborCost = parseFloat(repairData.laborCost) || 0;
     const totalEstimatedCost = totalPartsCost + totalLaborCost;
     const currentCurrency = shopProfile?.currency || 'ZAR';
+    // Reprints go to the thermal printer when the shop has one set up
+    const isThermal = getPrintSettings(shopProfile).escPosOutput !== 'off';
 
     return (
       <div className="fixed inset-0 bg-gray-900 bg-opacity-75 z-50 flex items-center justify-center p-4">
@@ -1311,6 +5914,21 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
             </div>
           </div>
 
+          {booking.quotationId && (
+            <div className="bg-blue-50 border border-blue-200 text-blue-900 px-4 py-3 rounded-lg mb-6 text-sm">
+              Booked in from quotation <span className="font-bold">#{booking.quoteNo}</span>
+              {booking.insuranceClaim?.acceptedBy && <>, accepted by the {booking.insuranceClaim.acceptedBy.toLowerCase()}</>}
+              {booking.insuranceClaim?.reference && <> (ref {booking.insuranceClaim.reference})</>}.
+              {' '}The invoice will use the quoted lines, with a {formatCurrency(booking.insuranceClaim?.deductible || 0, currentCurrency)} deductible due from the customer and the rest from the insurer.
+              {booking.generatedInvoice && <> Invoiced on <span className="font-bold">#{booking.generatedInvoice.invoiceNo}</span>.</>}
+            </div>
+          )}
+
+          <div className="mb-6">
+            <h4 className="font-bold text-gray-700 mb-2">Condition at Intake</h4>
+            <IntakeDetails booking={booking} />
+          </div>
+
           <div className="grid grid-cols-2 gap-6">
             {/* Left Column: Notes & Technician */}
             <div className="space-y-4">
@@ -1334,6 +5952,15 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
                   placeholder="e.g., Damaged Charging Port FPC"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Estimated Ready Date: (Shown on the tracking page)</label>
+                <input
+                  type="date"
+                  value={repairData.estimatedReadyDate || ''}
+                  onChange={(e) => setRepairData({ ...repairData, estimatedReadyDate: e.target.value })}
+                  className="mt-1 block w-full p-2 border border-gray-300 rounded-lg"
+                />
+              </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700">Technician Assigned:</label>
                 <input
@@ -1396,6 +6023,27 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
             </div>
           </div>
 
+          <div className="mt-6">
+            <h4 className="font-bold text-gray-700 mb-2">Job History</h4>
+            <BookingHistory db={db} userId={userId} bookingId={booking.id} />
+          </div>
+
+          <div className="mt-6">
+            <h4 className="font-bold text-gray-700 mb-2">Customer Notifications</h4>
+            <NotificationLog db={db} auth={auth} userId={userId} bookingId={booking.id} />
+          </div>
+
+          <div className="mt-6 grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Your Name: (Recorded in the job history)</label>
+              <input type="text" value={editorName} onChange={(e) => setEditorName(e.target.value)} placeholder="Staff Member Name" className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+            </div>
+            <div className="col-span-2">
+              <label className="block text-sm font-medium text-gray-700">Change Note: (Optional)</label>
+              <input type="text" value={changeNote} onChange={(e) => setChangeNote(e.target.value)} placeholder="e.g., Waiting on screen from supplier" className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+            </div>
+          </div>
+
           {/* Status and Action Footer */}
           <div className="mt-8 pt-4 border-t flex justify-between items-center">
             <div className="flex items-center space-x-4">
@@ -1405,10 +6053,19 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
                 onChange={(e) => setRepairData({ ...repairData, finalStatus: e.target.value })}
                 className="p-2 border rounded-lg bg-white"
               >
-                {statusOrder.map(status => (
+                {[booking.status, ...getAllowedTransitions(booking.status)].map(status => (
                   <option key={status} value={status}>{status}</option>
                 ))}
               </select>
+              {repairData.finalStatus === 'Unable To Repair' && (
+                <input
+                  type="text"
+                  value={repairData.unableToRepairReason || ''}
+                  onChange={(e) => setRepairData({ ...repairData, unableToRepairReason: e.target.value })}
+                  className="p-2 border rounded-lg"
+                  placeholder="Reason it cannot be repaired"
+                />
+              )}
               
               <button
                 onClick={handleNotifyCustomer}
@@ -1418,12 +6075,21 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
                 <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.86 9.86 0 01-3.69-1.392L2 22l1.392-4.69A9.957 9.957 0 013 12c0-4.418 4.03-8 9-8s9 3.582 9 8z"></path></svg>
                 {isNotifying ? 'Notifying...' : 'Notify Customer'}
               </button>
+              <button onClick={handleCopyTrackingLink} className="text-indigo-600 hover:text-indigo-800 font-semibold text-sm">
+                Copy Tracking Link
+              </button>
+              <button onClick={() => handlePrintDocument('slip', isThermal)} className="text-indigo-600 hover:text-indigo-800 font-semibold text-sm">
+                Print Slip
+              </button>
+              <button onClick={() => handlePrintDocument('label', isThermal)} className="text-indigo-600 hover:text-indigo-800 font-semibold text-sm">
+                Print Label
+              </button>
             </div>
 
             <div className="flex space-x-3">
               <button
                 onClick={handleGenerateInvoice}
-                disabled={isGeneratingInvoice || totalEstimatedCost === 0}
+                disabled={isGeneratingInvoice || booking.generatedInvoice || (totalEstimatedCost === 0 && !booking.quotationId)}
                 className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-6 rounded-lg shadow-md transition duration-200 disabled:opacity-50"
               >
                 {isGeneratingInvoice ? 'Generating...' : 'Generate Invoice & Finish'}
@@ -1463,6 +6129,13 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
             <svg className="w-5 h-5 mr-2" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="8" x2="12" y2="16"></line><line x1="8" y1="12" x2="16" y2="12"></line></svg>
             Book a Repair (Online)
           </button>
+          <input
+            type="text"
+            value={staffName}
+            onChange={(e) => setStaffName(e.target.value)}
+            placeholder="Your name (for job history)"
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+          />
         </div>
 
         {/* Status Quick Views */}
@@ -1486,6 +6159,8 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
         </div>
       </div>
 
+      <ScanPanel bookings={bookings} onOpen={openRepairForm} onMove={handleScanMove} isRunning={isBulkRunning} />
+
       {/* Tracking and Update Sections */}
       <div className="grid grid-cols-2 gap-8 mb-8">
         {/* Track Repair (Admin) */}
@@ -1507,22 +6182,37 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
             type="text"
             value={searchQuery.value}
             onChange={(e) => setSearchQuery({ ...searchQuery, value: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
             className="mt-1 block w-full p-2 border border-gray-300 rounded-lg"
           />
 
           <button onClick={handleSearch} className="mt-4 bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md">
             Track Repair
           </button>
+
+          {searchResults?.length > 0 && (
+            <ul className="mt-4 divide-y text-sm border rounded-lg max-h-60 overflow-y-auto">
+              {searchResults.map(booking => (
+                <li key={booking.id}>
+                  <button onClick={() => openRepairForm(booking)} className="w-full text-left py-2 px-3 hover:bg-indigo-50 flex justify-between">
+                    <span className="font-medium">#{booking.invoiceNo} {booking.customerName}</span>
+                    <span className="text-gray-500">{booking.deviceModel} &mdash; {booking.status}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
 
         {/* Update Repair Status */}
         <div className="bg-white p-6 rounded-xl shadow-lg border">
           <h3 className="text-xl font-bold mb-4 text-gray-700 border-b pb-2">Update Repair Status</h3>
-          <label className="block text-sm font-medium text-gray-700">Invoice Number:</label>
+          <label className="block text-sm font-medium text-gray-700">Invoice Number (or scan):</label>
           <input
             type="text"
             value={updateStatusData.invoiceNo}
             onChange={(e) => setUpdateStatusData({ ...updateStatusData, invoiceNo: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && handleUpdateStatusTool()}
             className="mt-1 block w-full p-2 border border-gray-300 rounded-lg"
           />
 
@@ -1543,52 +6233,109 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
         </div>
       </div>
 
+      <div className="mt-8 flex space-x-2 border-b">
+        {[['board', 'Kanban Board'], ['calendar', 'Calendar'], ['turnaround', 'Turnaround']].map(([view, label]) => (
+          <button
+            key={view}
+            onClick={() => setActiveView(view)}
+            className={`py-2 px-4 font-semibold -mb-px border-b-2 ${activeView === view ? 'border-indigo-600 text-indigo-700' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {activeView === 'calendar' && (
+        <div className="mt-6">
+          <BookingCalendar
+            db={db}
+            userId={userId}
+            shopProfile={shopProfile}
+            bookings={bookings}
+            statusMap={statusMap}
+            onOpenBooking={openRepairForm}
+            onReschedule={rescheduleBooking}
+          />
+        </div>
+      )}
+
+      {activeView === 'turnaround' && (
+        <div className="mt-6">
+          <TurnaroundMetrics db={db} userId={userId} />
+        </div>
+      )}
+
       {/* Kanban Board */}
-      <div className="mt-8">
-        <h2 className="text-2xl font-bold text-gray-800 mb-4">Repair Queue Kanban Board</h2>
-        <div className="grid grid-cols-4 gap-4 overflow-x-auto">
-          {statusOrder.filter(status => status !== 'Collected' && status !== 'Unable To Repair').map((status) => {
-            const IconComponent = statusMap[status]?.icon; // Safely get the icon component
+      {activeView === 'board' && (
+        <div className="mt-6">
+          <h2 className="text-2xl font-bold text-gray-800 mb-1">Repair Queue Kanban Board</h2>
+          <p className="text-sm text-gray-500 mb-4">Drag a card to another column to change its status. While dragging, only the columns the job can move to stay highlighted.</p>
+          <div className="grid grid-cols-4 gap-4 overflow-x-auto">
+            {statusOrder.map((status) => {
+              const IconComponent = statusMap[status]?.icon; // Safely get the icon component
             
-            // Safety Check: Ensure the status and icon exist before rendering
-            if (!IconComponent) return null;
-
-            return (
-            <div key={status} className={`p-4 rounded-xl shadow-inner ${statusMap[status]?.color?.replace('500', '100')}`}>
-              <div className={`font-bold text-lg mb-3 flex items-center text-white p-2 rounded-lg ${statusMap[status]?.color}`}>
-                <IconComponent className="w-5 h-5 mr-2" />
-                {status} ({groupedBookings[status]?.length || 0})
-              </div>
-              <div className="min-h-[100px]">
-                {groupedBookings[status]?.map(booking => (
-                  <BookingCard key={booking.id} booking={booking} />
-                ))}
-              </div>
-              {status !== 'New Request' && status !== 'Ready for Collection' && groupedBookings[status]?.length > 0 && (
-                <div className="mt-3 text-center">
-                  <button
-                    onClick={() => {
-                      // Mock next step action for the entire column
-                      // Using custom modal instead of alert
-                      const notificationBox = document.createElement('div');
-                      notificationBox.className = 'fixed top-4 right-4 bg-blue-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-                      notificationBox.innerHTML = `<h4 class="font-bold">Bulk Action Mock</h4><p class="text-sm">Mock: Moving all ${status} jobs to the next step...</p>`;
-                      document.body.appendChild(notificationBox);
-                      setTimeout(() => {
-                        notificationBox.style.opacity = '0';
-                        setTimeout(() => notificationBox.remove(), 500);
-                      }, 4000);
-                    }}
-                    className="text-sm text-white font-semibold bg-gray-600 px-3 py-1 rounded-full hover:bg-gray-700"
-                  >
-                    Bulk Action
-                  </button>
+              // Safety Check: Ensure the status and icon exist before rendering
+              if (!IconComponent) return null;
+
+              const isDropTarget = draggedBooking && canTransition(draggedBooking.status, status);
+              const columnBookings = groupedBookings[status] || [];
+              const columnSelectedCount = columnBookings.filter(booking => selectedIds.includes(booking.id)).length;
+              const dragClass = draggedBooking && draggedBooking.status !== status ? (isDropTarget ? 'ring-4 ring-indigo-400' : 'opacity-40') : '';
+
+              return (
+              <div
+                key={status}
+                onDragOver={(e) => { if (isDropTarget) e.preventDefault(); }}
+                onDrop={(e) => { e.preventDefault(); handleDrop(status); }}
+                className={`p-4 rounded-xl shadow-inner transition ${statusMap[status]?.color?.replace(/\d00$/, '100')} ${dragClass}`}
+              >
+                <div className={`font-bold text-lg mb-3 flex items-center text-white p-2 rounded-lg ${statusMap[status]?.color}`}>
+                  <IconComponent className="w-5 h-5 mr-2" />
+                  <span className="flex-1">{status} ({columnBookings.length})</span>
+                  {status !== 'Collected' && columnBookings.length > 0 && (
+                    <input
+                      type="checkbox"
+                      title="Select all in this column"
+                      checked={columnSelectedCount === columnBookings.length}
+                      onChange={() => toggleColumnSelected(status)}
+                      className="h-4 w-4"
+                    />
+                  )}
                 </div>
-              )}
-            </div>
-          );})}
+                <div className="min-h-[100px]">
+                  {/* Collected jobs are finished, so the column is only a drop target */}
+                  {status === 'Collected'
+                    ? <p className="text-sm text-gray-500 text-center pt-6">Drop a job here when the customer collects it.</p>
+                    : groupedBookings[status]?.map(renderBookingCard)}
+                </div>
+                {status !== 'Collected' && columnSelectedCount > 0 && (
+                  <div className="mt-3 p-2 bg-white rounded-lg shadow space-y-2 text-sm">
+                    <div className="font-semibold text-gray-700">{columnSelectedCount} selected</div>
+                    <button onClick={() => handleBulkAdvance(status)} disabled={isBulkRunning} className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-1 px-2 rounded-lg disabled:opacity-50">
+                      Advance to {REPAIR_STATUS_NEXT[status]}
+                    </button>
+                    <div className="flex space-x-1">
+                      <input
+                        type="text"
+                        value={bulkTechnicians[status] || ''}
+                        onChange={(e) => setBulkTechnicians(prev => ({ ...prev, [status]: e.target.value }))}
+                        placeholder="Technician"
+                        className="min-w-0 flex-1 p-1 border rounded-lg"
+                      />
+                      <button onClick={() => handleBulkAssignTechnician(status)} disabled={isBulkRunning} className="bg-gray-600 hover:bg-gray-700 text-white font-semibold py-1 px-2 rounded-lg disabled:opacity-50">Assign</button>
+                    </div>
+                    <div className="flex space-x-1">
+                      <button onClick={() => handleBulkNotify(status)} disabled={isBulkRunning} className="flex-1 bg-cyan-600 hover:bg-cyan-700 text-white font-semibold py-1 px-2 rounded-lg disabled:opacity-50">Notify</button>
+                      <button onClick={() => handleBulkPrint(status)} disabled={isBulkRunning} className="flex-1 bg-green-600 hover:bg-green-700 text-white font-semibold py-1 px-2 rounded-lg disabled:opacity-50">Job Cards</button>
+                      <button onClick={() => handleBulkLabels(status)} disabled={isBulkRunning} className="flex-1 bg-green-600 hover:bg-green-700 text-white font-semibold py-1 px-2 rounded-lg disabled:opacity-50">Labels</button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );})}
+          </div>
         </div>
-      </div>
+      )}
 
       {/* Modals */}
       {isFormOpen && (
@@ -1597,24 +6344,86 @@ const BookingSystem = ({ db, userId, shopProfile }) => {
         </div>
       )}
 
+      {checkedInBooking && (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 z-50 flex items-center justify-center p-4">
+          <BookInSlipPreview auth={auth} booking={checkedInBooking} shopProfile={shopProfile} onClose={() => setCheckedInBooking(null)} />
+        </div>
+      )}
+
       {currentBooking && (
         <BookingRepairFormModal
           booking={currentBooking}
           onClose={() => setCurrentBooking(null)}
-          onUpdate={(newStatus) => updateBookingStatus(currentBooking.id, newStatus)}
         />
       )}
+
+      {bulkResult && (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 z-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-[80vh] overflow-y-auto p-6">
+            <h3 className="text-xl font-bold mb-1 text-indigo-800">{bulkResult.title}</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {bulkResult.results.filter(result => result.ok).length} done, {bulkResult.results.filter(result => !result.ok).length} skipped.
+            </p>
+            <ul className="divide-y text-sm">
+              {bulkResult.results.map(({ booking, ok, message }) => (
+                <li key={booking.id} className="py-2 flex justify-between">
+                  <span className="font-medium">#{booking.invoiceNo} {booking.customerName}</span>
+                  <span className={ok ? 'text-green-700' : 'text-red-700'}>{message}</span>
+                </li>
+              ))}
+            </ul>
+            <div className="mt-6 flex justify-end">
+              <button onClick={() => setBulkResult(null)} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md">Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {pendingMove && (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 z-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6">
+            <h3 className="text-xl font-bold mb-1 text-indigo-800">Move #{pendingMove.booking.invoiceNo} to {pendingMove.status}</h3>
+            <p className="text-sm text-gray-600 mb-4">These details are required before a job can move to {pendingMove.status}.</p>
+            <div className="space-y-3">
+              {REPAIR_STATUS_REQUIREMENTS[pendingMove.status].filter(({ field }) => field in pendingMove.details).map(({ field, label }) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700">{label}:</label>
+                  <input
+                    type="text"
+                    value={pendingMove.details[field]}
+                    onChange={(e) => setPendingMove({ ...pendingMove, details: { ...pendingMove.details, [field]: e.target.value } })}
+                    className="mt-1 block w-full p-2 border border-gray-300 rounded-lg"
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="mt-6 flex justify-end space-x-3">
+              <button onClick={() => setPendingMove(null)} className="text-gray-600 hover:text-gray-800 font-semibold py-2 px-4">Cancel</button>
+              <button
+                onClick={() => moveBooking(pendingMove.booking, pendingMove.status, pendingMove.details)}
+                disabled={Object.values(pendingMove.details).some(value => !value.trim())}
+                className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50"
+              >
+                Move Job
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
 
 
 // --- New Quotation History Component ---
-const QuotationHistory = ({ db, userId, shopProfile }) => {
+const QuotationHistory = ({ db, auth, userId, shopProfile }) => {
   const [quotations, setQuotations] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [acceptingQuote, setAcceptingQuote] = useState(null);
+  const [acceptance, setAcceptance] = useState({ acceptedBy: QUOTATION_ACCEPTED_BY[0], reference: '', customerPhone: '', staffName: '' });
+  const [isAccepting, setIsAccepting] = useState(false);
 
   const currentCurrency = shopProfile?.currency || 'ZAR';
 
@@ -1645,12 +6454,85 @@ const QuotationHistory = ({ db, userId, shopProfile }) => {
     if (!searchTerm) return quotations;
     const lowerCaseSearch = searchTerm.toLowerCase();
     return quotations.filter(quote =>
+      (quote.quoteNo || '').toLowerCase().includes(lowerCaseSearch) ||
       quote.customerName.toLowerCase().includes(lowerCaseSearch) ||
       quote.deviceModel.toLowerCase().includes(lowerCaseSearch) ||
       quote.imei.toLowerCase().includes(lowerCaseSearch)
     );
   }, [quotations, searchTerm]);
 
+  const handleDownload = async (quote) => {
+    try {
+      await downloadQuotationPdf(quote, shopProfile);
+    } catch (e) {
+      console.error("Error generating quotation PDF:", e);
+      showNotification('Error', `Failed to generate the PDF. Error: ${e.message}`, 'bg-red-600');
+    }
+  };
+
+  const openAcceptance = (quote) => {
+    setAcceptingQuote(quote);
+    setAcceptance({ acceptedBy: QUOTATION_ACCEPTED_BY[0], reference: '', customerPhone: quote.customerPhone || '', staffName: '' });
+  };
+
+  // Books the device in as a repair job; the transaction stops two staff accepting the same quotation twice
+  const handleAccept = async () => {
+    if (!acceptance.customerPhone.trim() || !acceptance.staffName.trim()) {
+      showNotification('Error', 'Please enter the customer phone number and your name.', 'bg-red-600');
+      return;
+    }
+    setIsAccepting(true);
+    try {
+      const quoteRef = doc(db, getTenantPath(userId, 'quotations'), acceptingQuote.id);
+      const bookingRef = doc(collection(db, getTenantPath(userId, 'bookings')));
+      const now = new Date().toISOString();
+
+      const booking = await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(quoteRef);
+        const current = { id: snapshot.id, ...snapshot.data() };
+        if (current.bookingNo) throw new Error(`Quotation #${current.quoteNo} is already booked in as repair job #${current.bookingNo}.`);
+        if (!canAcceptQuotation(current)) throw new Error(`A ${current.status} cannot be accepted.`);
+
+        const jobNo = await allocateDocumentNumber(transaction, db, userId, shopProfile, 'repairJob');
+        const accepted = {
+          ...current,
+          customerPhone: acceptance.customerPhone.trim(),
+          acceptance: {
+            acceptedBy: acceptance.acceptedBy,
+            reference: acceptance.reference.trim(),
+            acceptedAt: now,
+            recordedBy: { uid: userId, name: acceptance.staffName.trim() },
+          },
+        };
+        const newBooking = buildBookingFromQuotation(accepted, jobNo, now);
+        transaction.set(bookingRef, newBooking);
+        transaction.set(doc(getBookingEventsRef(db, userId)), buildBookingCreatedEvent(bookingRef.id, newBooking, {
+          actor: accepted.acceptance.recordedBy,
+          at: now,
+          note: `Accepted quotation #${current.quoteNo}`,
+        }));
+        transaction.update(quoteRef, {
+          status: QUOTATION_STATUSES.accepted,
+          customerPhone: accepted.customerPhone,
+          acceptance: accepted.acceptance,
+          bookingId: bookingRef.id,
+          bookingNo: jobNo,
+          updatedAt: now,
+        });
+        return newBooking;
+      });
+
+      sendStatusNotification(auth, { id: bookingRef.id, ...booking }, booking.status);
+      showNotification('Quotation Accepted', `Quotation #${booking.quoteNo} is booked in as repair job #${booking.invoiceNo}.`, 'bg-green-600');
+      setAcceptingQuote(null);
+    } catch (e) {
+      console.error("Error accepting quotation:", e);
+      showNotification('Error', `Failed to accept the quotation. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setIsAccepting(false);
+    }
+  };
+
   if (isLoading) return <div className="p-8 text-center text-gray-600">Loading quotation history...</div>;
   if (error) return <div className="p-8 text-center text-red-600 bg-red-100 rounded-lg">{error}</div>;
 
@@ -1660,12 +6542,36 @@ const QuotationHistory = ({ db, userId, shopProfile }) => {
 
       <input
         type="text"
-        placeholder="Search by Customer Name, Device Model, or IMEI..."
+        placeholder="Search by Quote No., Customer Name, Device Model, or IMEI..."
         value={searchTerm}
         onChange={(e) => setSearchTerm(e.target.value)}
         className="w-full p-2 border border-gray-300 rounded-lg mb-6 focus:ring-indigo-500 focus:border-indigo-500"
       />
 
+      {acceptingQuote && (
+        <div className="mb-6 p-4 border border-green-300 bg-green-50 rounded-lg">
+          <h3 className="font-bold text-green-800 mb-1">Accept Quotation #{acceptingQuote.quoteNo}</h3>
+          <p className="text-sm text-gray-600 mb-3">
+            Books {acceptingQuote.customerName}&apos;s {acceptingQuote.deviceModel} in as a repair job. When the job is finished, its invoice uses the quoted lines
+            with the {formatCurrency(acceptingQuote.totalCustomerCost, currentCurrency)} deductible due from the customer and the rest from the insurer.
+          </p>
+          <div className="grid grid-cols-4 gap-3">
+            <select value={acceptance.acceptedBy} onChange={(e) => setAcceptance({ ...acceptance, acceptedBy: e.target.value })} className="p-2 border rounded-lg bg-white">
+              {QUOTATION_ACCEPTED_BY.map(party => <option key={party} value={party}>Accepted by {party}</option>)}
+            </select>
+            <input type="text" placeholder="Claim / Authorisation No. (Optional)" value={acceptance.reference} onChange={(e) => setAcceptance({ ...acceptance, reference: e.target.value })} className="p-2 border rounded-lg" />
+            <input type="tel" placeholder="Customer Phone" value={acceptance.customerPhone} onChange={(e) => setAcceptance({ ...acceptance, customerPhone: e.target.value })} className="p-2 border rounded-lg" />
+            <input type="text" placeholder="Your Name" value={acceptance.staffName} onChange={(e) => setAcceptance({ ...acceptance, staffName: e.target.value })} className="p-2 border rounded-lg" />
+          </div>
+          <div className="mt-3 flex justify-end space-x-3">
+            <button onClick={() => setAcceptingQuote(null)} className="text-gray-600 hover:text-gray-800 font-semibold py-2 px-4">Cancel</button>
+            <button onClick={handleAccept} disabled={isAccepting} className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50">
+              {isAccepting ? 'Booking In...' : 'Accept & Create Booking'}
+            </button>
+          </div>
+        </div>
+      )}
+
       {filteredQuotations.length === 0 ? (
         <div className="text-center py-10 text-gray-500">
           {searchTerm ? "No matching quotes found." : "No quotations or BER reports have been saved yet."}
@@ -1675,18 +6581,21 @@ const QuotationHistory = ({ db, userId, shopProfile }) => {
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quote No.</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer Name</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Device Model</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IMEI</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cost Estimate</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
                 <th className="px-6 py-3"></th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {filteredQuotations.map(quote => (
                 <tr key={quote.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-indigo-600">{quote.quoteNo || '-'}</td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
                       quote.isBER ? 'bg-red-100 text-red-800' : 'bg-blue-100 text-blue-800'
@@ -1699,8 +6608,17 @@ const QuotationHistory = ({ db, userId, shopProfile }) => {
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{quote.imei}</td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">{formatCurrency(quote.repairCostEstimate, currentCurrency)}</td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(quote.generatedDate).toLocaleDateString()}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    <div>{quote.status}</div>
+                    {quote.bookingNo && <div className="text-xs">Repair job #{quote.bookingNo}</div>}
+                    {quote.invoiceNo && <div className="text-xs">Invoice #{quote.invoiceNo}</div>}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    {canAcceptQuotation(quote) && (
+                      <button onClick={() => openAcceptance(quote)} className="mr-3 text-green-700 hover:text-green-900 text-xs font-bold">Accept & Book In</button>
+                    )}
                     <button className="text-indigo-600 hover:text-indigo-900 text-xs">View/Edit</button>
+                    <button onClick={() => handleDownload(quote)} className="ml-3 text-green-600 hover:text-green-800 text-xs">Download PDF</button>
                   </td>
                 </tr>
               ))}
@@ -1712,12 +6630,13 @@ const QuotationHistory = ({ db, userId, shopProfile }) => {
   );
 };
 
-const QuotationTemplates = ({ db, userId, shopProfile }) => {
+const QuotationTemplates = ({ db, auth, userId, shopProfile }) => {
   const [tab, setTab] = useState('create'); // State for switching between create and history
   const [quote, setQuote] = useState({
     deviceType: 'Smartphone',
     deviceModel: '',
     customerName: '',
+    customerPhone: '',
     customerEmail: '',
     imei: '',
     faultDescription: '',
@@ -1737,17 +6656,15 @@ const QuotationTemplates = ({ db, userId, shopProfile }) => {
   const calculatedPremium = quote.repairCostEstimate * PREMIUM_RATE;
   const totalCustomerCost = DEDUCTIBLE_FLAT; // Customer only pays the deductible
 
+  // The estimate is a single standard-rated line so its VAT matches the invoice it later becomes
+  const quoteTotals = useMemo(() => getStoredTotals({
+    items: [{ id: 'repair', description: `Repair: ${quote.deviceModel}`, qty: 1, unitPrice: quote.repairCostEstimate, discountPercent: 0, taxCategory: 'standard' }],
+    taxRate: getShopVatRate(shopProfile),
+  }), [quote.deviceModel, quote.repairCostEstimate, shopProfile]);
+
   const handleGenerateQuote = () => {
     if (!quote.deviceModel || !quote.customerName || !quote.faultDescription) {
-      // Using custom modal instead of alert
-      const notificationBox = document.createElement('div');
-      notificationBox.className = 'fixed top-4 right-4 bg-red-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-      notificationBox.innerHTML = `<h4 class="font-bold">Error</h4><p class="text-sm">Please fill in Device Model, Customer Name, and Fault Description to generate a quote.</p>`;
-      document.body.appendChild(notificationBox);
-      setTimeout(() => {
-        notificationBox.style.opacity = '0';
-        setTimeout(() => notificationBox.remove(), 500);
-      }, 4000);
+      showNotification('Error', 'Please fill in Device Model, Customer Name, and Fault Description to generate a quote.', 'bg-red-600');
       return;
     }
     setQuotationVisible(true);
@@ -1757,57 +6674,51 @@ const QuotationTemplates = ({ db, userId, shopProfile }) => {
     if (!quotationVisible || isSaving) return;
     setIsSaving(true);
     try {
-      const docRef = collection(db, getTenantPath(userId, 'quotations'));
-      await addDoc(docRef, {
-        ...quote,
-        calculatedPremium: calculatedPremium,
-        totalCustomerCost: totalCustomerCost,
-        generatedDate: new Date().toISOString(),
-        status: quote.isBER ? 'BER Report' : 'Quote Draft',
-        shopProfile: {
-          companyName: shopDetails.companyName,
-          address: shopDetails.address,
-          currency: shopDetails.currency,
-          registrationNo: shopDetails.registrationNo,
-          emailPhone: shopDetails.emailPhone,
-        }
+      const quoteRef = doc(collection(db, getTenantPath(userId, 'quotations')));
+      const quoteNo = await runTransaction(db, async (transaction) => {
+        const number = await allocateDocumentNumber(transaction, db, userId, shopDetails, 'quotation');
+        transaction.set(quoteRef, {
+          ...quote,
+          quoteNo: number,
+          ...quoteTotals,
+          taxRate: getShopVatRate(shopDetails),
+          calculatedPremium: calculatedPremium,
+          totalCustomerCost: totalCustomerCost,
+          generatedDate: new Date().toISOString(),
+          status: quote.isBER ? QUOTATION_STATUSES.ber : QUOTATION_STATUSES.draft,
+          shopProfile: {
+            companyName: shopDetails.companyName,
+            address: shopDetails.address,
+            currency: shopDetails.currency,
+            registrationNo: shopDetails.registrationNo,
+            emailPhone: shopDetails.emailPhone,
+          }
+        });
+        return number;
       });
-      // Using custom modal instead of alert
-      const notificationBox = document.createElement('div');
-      notificationBox.className = 'fixed top-4 right-4 bg-green-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-      notificationBox.innerHTML = `<h4 class="font-bold">Success</h4><p class="text-sm">Quote/Report saved successfully! Status: ${quote.isBER ? 'BER Report' : 'Quote Draft'}</p>`;
-      document.body.appendChild(notificationBox);
-      setTimeout(() => {
-        notificationBox.style.opacity = '0';
-        setTimeout(() => notificationBox.remove(), 500);
-      }, 4000);
+      showNotification('Success', `Quote/Report #${quoteNo} saved successfully! Status: ${quote.isBER ? 'BER Report' : 'Quote Draft'}`, 'bg-green-600');
       setTab('history'); // Switch to history view after saving
     } catch (e) {
       console.error("Error saving quote/report:", e);
-      // Using custom modal instead of alert
-      const notificationBox = document.createElement('div');
-      notificationBox.className = 'fixed top-4 right-4 bg-red-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-      notificationBox.innerHTML = `<h4 class="font-bold">Error</h4><p class="text-sm">Failed to save quote/report. Error: ${e.message}</p>`;
-      document.body.appendChild(notificationBox);
-      setTimeout(() => {
-        notificationBox.style.opacity = '0';
-        setTimeout(() => notificationBox.remove(), 500);
-      }, 4000);
+      showNotification('Error', `Failed to save quote/report. Error: ${e.message}`, 'bg-red-600');
     } finally {
       setIsSaving(false);
     }
   };
 
-  const handlePrintQuote = () => {
-    // Using custom modal instead of alert
-    const notificationBox = document.createElement('div');
-    notificationBox.className = 'fixed top-4 right-4 bg-blue-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-    notificationBox.innerHTML = `<h4 class="font-bold">Mock Print</h4><p class="text-sm">Simulating print/download of ${quote.isBER ? 'BER Report' : 'Insurance Quotation'} for ${quote.customerName}.</p>`;
-    document.body.appendChild(notificationBox);
-    setTimeout(() => {
-      notificationBox.style.opacity = '0';
-      setTimeout(() => notificationBox.remove(), 500);
-    }, 4000);
+  const handlePrintQuote = async () => {
+    try {
+      await downloadQuotationPdf({
+        ...quote,
+        ...quoteTotals,
+        taxRate: getShopVatRate(shopDetails),
+        calculatedPremium,
+        totalCustomerCost,
+      }, shopDetails);
+    } catch (e) {
+      console.error("Error generating quotation PDF:", e);
+      showNotification('Error', `Failed to generate the PDF. Error: ${e.message}`, 'bg-red-600');
+    }
   };
 
   return (
@@ -1829,7 +6740,7 @@ const QuotationTemplates = ({ db, userId, shopProfile }) => {
         </button>
       </div>
 
-      {tab === 'history' && <QuotationHistory db={db} userId={userId} shopProfile={shopProfile} />}
+      {tab === 'history' && <QuotationHistory db={db} auth={auth} userId={userId} shopProfile={shopProfile} />}
 
       {tab === 'create' && (
         <div className="grid grid-cols-2 gap-8">
@@ -1841,6 +6752,10 @@ const QuotationTemplates = ({ db, userId, shopProfile }) => {
                 <label className="block text-sm font-medium text-gray-700">Customer Name:</label>
                 <input type="text" value={quote.customerName} onChange={(e) => setQuote({ ...quote, customerName: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" required />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Customer Phone: (Needed to book the repair in)</label>
+                <input type="tel" value={quote.customerPhone} onChange={(e) => setQuote({ ...quote, customerPhone: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+              </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700">Device Model:</label>
                 <input type="text" value={quote.deviceModel} onChange={(e) => setQuote({ ...quote, deviceModel: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" required />
@@ -1877,18 +6792,10 @@ const QuotationTemplates = ({ db, userId, shopProfile }) => {
               <div className="text-center py-10 text-gray-500 bg-gray-50 rounded-lg">Fill the form and click 'Generate' to see the document.</div>
             ) : (
               <div className="border border-gray-300 p-6 rounded-lg shadow-inner">
-                <div className="flex justify-between items-center mb-4">
-                  <h4 className="text-2xl font-bold text-indigo-800">{quote.isBER ? 'BEYOND ECONOMICAL REPAIR REPORT' : 'INSURANCE REPAIR QUOTATION'}</h4>
-                  <div className="text-sm">Date: {new Date().toLocaleDateString()}</div>
-                </div>
-
                 {/* Shop Header */}
-                <div className="mb-6 pb-4 border-b">
-                  <p className="font-bold">{shopDetails.companyName}</p>
-                  <p className="text-sm">{shopDetails.address}</p>
-                  <p className="text-sm">Contact: {shopDetails.emailPhone}</p>
-                  <p className="text-xs">Reg No: {shopDetails.registrationNo} | VAT No: {shopDetails.vatNo || 'N/A'}</p>
-                </div>
+                <BrandedDocumentHeader shopProfile={shopDetails} title={quote.isBER ? 'BER REPORT' : 'INSURANCE QUOTATION'}>
+                  <div className="text-sm text-right">Date: {new Date().toLocaleDateString()}</div>
+                </BrandedDocumentHeader>
 
                 {/* BER Report Details */}
                 {quote.isBER ? (
@@ -1908,46 +6815,680 @@ const QuotationTemplates = ({ db, userId, shopProfile }) => {
                       <div className="col-span-2"><span className="font-semibold">Fault Reported:</span> {quote.faultDescription}</div>
                     </div>
 
-                    <div className="pt-4 border-t">
-                      <h5 className="font-bold mb-2">Financial Summary (Insurance Claim)</h5>
-                      <table className="w-full text-sm">
-                        <tbody>
-                          <tr><td className="w-3/4">Estimated Repair Cost (Excl. VAT):</td><td className="text-right">{formatCurrency(quote.repairCostEstimate, currentCurrency)}</td></tr>
-                          <tr><td>Insurance Premium Covered (Mock):</td><td className="text-right">{formatCurrency(calculatedPremium, currentCurrency)}</td></tr>
-                          <tr><td>**Total Claimable Amount:**</td><td className="text-right font-bold text-lg">{formatCurrency(quote.repairCostEstimate, currentCurrency)}</td></tr>
-                          <tr><td className="pt-2 border-t">**Customer Deductible Due:**</td><td className="text-right pt-2 border-t font-extrabold text-red-600">{formatCurrency(DEDUCTIBLE_FLAT, currentCurrency)}</td></tr>
-                        </tbody>
-                      </table>
-                      <p className="mt-4 text-xs italic">
-                        *This quotation is valid for 30 days. Final repair cost may vary upon physical inspection and insurer approval.
-                      </p>
+                    <div className="pt-4 border-t">
+                      <h5 className="font-bold mb-2">Financial Summary (Insurance Claim)</h5>
+                      <table className="w-full text-sm">
+                        <tbody>
+                          <tr><td className="w-3/4">Estimated Repair Cost (Excl. VAT):</td><td className="text-right">{formatCurrency(quoteTotals.subtotal, currentCurrency)}</td></tr>
+                          <tr><td>VAT ({getShopVatRate(shopDetails)}%):</td><td className="text-right">{formatCurrency(quoteTotals.taxAmount, currentCurrency)}</td></tr>
+                          <tr><td>Estimated Repair Cost (Incl. VAT):</td><td className="text-right">{formatCurrency(quoteTotals.totalAmount, currentCurrency)}</td></tr>
+                          <tr><td>Insurance Premium Covered (Mock):</td><td className="text-right">{formatCurrency(calculatedPremium, currentCurrency)}</td></tr>
+                          <tr><td>**Total Claimable Amount:**</td><td className="text-right font-bold text-lg">{formatCurrency(quote.repairCostEstimate, currentCurrency)}</td></tr>
+                          <tr><td className="pt-2 border-t">**Customer Deductible Due:**</td><td className="text-right pt-2 border-t font-extrabold text-red-600">{formatCurrency(DEDUCTIBLE_FLAT, currentCurrency)}</td></tr>
+                        </tbody>
+                      </table>
+                      <p className="mt-4 text-xs italic">
+                        *This quotation is valid for 30 days. Final repair cost may vary upon physical inspection and insurer approval.
+                      </p>
+                    </div>
+                  </div>
+                )}
+
+                <BrandedDocumentFooter shopProfile={shopDetails} terms="quotationTerms" />
+
+                <div className="mt-6 flex justify-end space-x-3">
+                  <button
+                    onClick={handleSaveQuote}
+                    disabled={isSaving}
+                    className="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50"
+                  >
+                    {isSaving ? 'Saving...' : 'Save Quote/Report (Draft)'}
+                  </button>
+                  <button onClick={handlePrintQuote} className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg shadow-md">
+                    Download/Print
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+/**
+ * Exports invoices, credit notes and payments for a period to Sage, Xero or QuickBooks. Documents
+ * are stamped when exported so the next export only picks up what has not been posted yet.
+ */
+const AccountingExport = ({ db, userId, shopProfile }) => {
+  const { invoices, creditNotes, payments, accountingExports, isLoading } = useTenantCollections(db, userId, ['invoices', 'creditNotes', 'payments', 'accountingExports']);
+  const [format, setFormat] = useState('sage');
+  const [period, setPeriod] = useState(() => {
+    // Default to the previous calendar month
+    const today = new Date();
+    return {
+      from: toIsoDate(new Date(Date.UTC(today.getFullYear(), today.getMonth() - 1, 1))),
+      to: toIsoDate(new Date(Date.UTC(today.getFullYear(), today.getMonth(), 0))),
+    };
+  });
+  const [includeExported, setIncludeExported] = useState(false);
+  const [exportedBy, setExportedBy] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+
+  const currentCurrency = shopProfile?.currency || 'ZAR';
+
+  const inPeriod = useCallback((item) => item.date >= period.from && item.date <= period.to, [period]);
+
+  const selection = useMemo(() => {
+    const isSelected = (item) => inPeriod(item) && (includeExported || !item.accountingExport);
+    const byDate = (a, b) => a.date.localeCompare(b.date);
+    return {
+      invoices: invoices.filter(invoice => isIssuedInvoice(invoice) && isSelected(invoice)).sort(byDate),
+      creditNotes: creditNotes.filter(isSelected).sort(byDate),
+      payments: payments.filter(isSelected).sort(byDate),
+    };
+  }, [invoices, creditNotes, payments, inPeriod, includeExported]);
+
+  const previouslyExportedCount = useMemo(() => (
+    [...invoices.filter(isIssuedInvoice), ...creditNotes, ...payments].filter(item => inPeriod(item) && item.accountingExport).length
+  ), [invoices, creditNotes, payments, inPeriod]);
+
+  const selectedRows = [
+    ...selection.invoices.map(invoice => ({ id: invoice.id, type: 'Invoice', number: invoice.invoiceNo, date: invoice.date, customerName: invoice.customerName, amount: invoice.totalAmount, exported: invoice.accountingExport })),
+    ...selection.creditNotes.map(creditNote => ({ id: creditNote.id, type: 'Credit Note', number: creditNote.creditNoteNo, date: creditNote.date, customerName: creditNote.customerName, amount: -creditNote.totalAmount, exported: creditNote.accountingExport })),
+    ...selection.payments.map(payment => ({ id: payment.id, type: payment.type === 'Refund' ? 'Refund' : 'Payment', number: payment.invoiceNo, date: payment.date, customerName: payment.customerName, amount: payment.amount, exported: payment.accountingExport })),
+  ].sort((a, b) => a.date.localeCompare(b.date));
+
+  const handleExport = async () => {
+    if (!exportedBy.trim()) {
+      showNotification('Error', 'Please enter your name so the export can be attributed.', 'bg-red-600');
+      return;
+    }
+    if (selectedRows.length === 0) {
+      showNotification('Nothing to Export', 'There are no unexported documents in this period.', 'bg-blue-600');
+      return;
+    }
+    setIsExporting(true);
+    try {
+      const files = buildAccountingExport(format, selection, getAccountMapping(shopProfile, format));
+      files.forEach(file => downloadTextFile(`${period.from}_${period.to}_${file.filename}`, file.content, file.mimeType));
+      await recordAccountingExport(db, userId, {
+        format,
+        from: period.from,
+        to: period.to,
+        documents: selection,
+        exportedBy: { uid: userId, name: exportedBy.trim() },
+      });
+      showNotification('Export Complete', `${selectedRows.length} documents exported for ${EXPORT_FORMATS[format].label} and marked as exported.`, 'bg-green-600');
+    } catch (e) {
+      console.error("Error exporting to accounting:", e);
+      showNotification('Error', `Export failed. Error: ${e.message}`, 'bg-red-600');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  if (isLoading) return <div className="p-8 text-center text-gray-600">Loading documents...</div>;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-6 rounded-xl shadow-lg border">
+        <h2 className="text-2xl font-bold mb-4 text-indigo-800">Accounting Export</h2>
+        <div className="grid grid-cols-4 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Export For:</label>
+            <select value={format} onChange={(e) => setFormat(e.target.value)} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg bg-white">
+              {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">From:</label>
+            <input type="date" value={period.from} onChange={(e) => setPeriod({ ...period, from: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">To:</label>
+            <input type="date" value={period.to} onChange={(e) => setPeriod({ ...period, to: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Exported By:</label>
+            <input type="text" value={exportedBy} onChange={(e) => setExportedBy(e.target.value)} placeholder="Staff Member Name" className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+          </div>
+        </div>
+        <div className="flex justify-between items-center mt-4">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input type="checkbox" checked={includeExported} onChange={(e) => setIncludeExported(e.target.checked)} className="form-checkbox h-4 w-4 text-indigo-600 rounded" />
+            <span>Include {previouslyExportedCount} previously exported document{previouslyExportedCount === 1 ? '' : 's'} (re-export)</span>
+          </label>
+          <button
+            onClick={handleExport}
+            disabled={isExporting}
+            className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-6 rounded-lg shadow-md transition duration-200 disabled:opacity-50"
+          >
+            {isExporting ? 'Exporting...' : `Export ${selectedRows.length} Documents`}
+          </button>
+        </div>
+        {includeExported && previouslyExportedCount > 0 && (
+          <p className="mt-2 text-sm text-orange-700 bg-orange-50 border border-orange-200 rounded-lg p-2">
+            Previously exported documents will be posted again if this file is imported. Only re-export after removing them from the accounting system.
+          </p>
+        )}
+        <p className="text-xs text-gray-500 mt-2">Account codes and tax codes are set per package under Settings &gt; Accounting Export.</p>
+
+        <div className="overflow-x-auto mt-6">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Number</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {selectedRows.map(row => (
+                <tr key={`${row.type}-${row.id}`}>
+                  <td className="px-4 py-2">{new Date(row.date).toLocaleDateString()}</td>
+                  <td className="px-4 py-2">{row.type}</td>
+                  <td className="px-4 py-2 font-medium">{row.number}</td>
+                  <td className="px-4 py-2">{row.customerName}</td>
+                  <td className="px-4 py-2 text-right">{formatCurrency(row.amount, currentCurrency)}</td>
+                  <td className="px-4 py-2 text-xs text-orange-700">{row.exported ? `Exported ${new Date(row.exported.exportedAt).toLocaleDateString()}` : ''}</td>
+                </tr>
+              ))}
+              {selectedRows.length === 0 && (
+                <tr><td colSpan="6" className="px-4 py-6 text-center text-gray-500">No documents to export in this period.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg border">
+        <h3 className="text-xl font-bold mb-4 text-gray-700 border-b pb-2">Export History</h3>
+        {accountingExports.length === 0 ? (
+          <p className="text-sm text-gray-500">Nothing has been exported yet.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <tbody className="divide-y divide-gray-200">
+              {[...accountingExports].sort((a, b) => b.exportedAt.localeCompare(a.exportedAt)).map(exportRecord => (
+                <tr key={exportRecord.id}>
+                  <td className="px-4 py-2">{new Date(exportRecord.exportedAt).toLocaleString()}</td>
+                  <td className="px-4 py-2">{EXPORT_FORMATS[exportRecord.format]?.label || exportRecord.format}</td>
+                  <td className="px-4 py-2">{new Date(exportRecord.from).toLocaleDateString()} - {new Date(exportRecord.to).toLocaleDateString()}</td>
+                  <td className="px-4 py-2 text-gray-600">
+                    {exportRecord.counts?.invoices || 0} invoices, {exportRecord.counts?.creditNotes || 0} credit notes, {exportRecord.counts?.payments || 0} payments
+                  </td>
+                  <td className="px-4 py-2 text-gray-500">{exportRecord.exportedBy?.name}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * VAT201 figures for a two-month tax period. Selecting a field lists the invoices or credit notes
+ * that make it up.
+ */
+const VatReport = ({ db, userId, shopProfile }) => {
+  const { invoices, creditNotes, isLoading } = useTenantCollections(db, userId, ['invoices', 'creditNotes']);
+  const vatCategory = shopProfile?.vatCategory || DEFAULT_VAT_CATEGORY;
+  const periods = useMemo(() => getVatPeriods(vatCategory), [vatCategory]);
+  // The most recently completed period is the one due for filing
+  const [periodIndex, setPeriodIndex] = useState(1);
+  const [selectedField, setSelectedField] = useState(null);
+
+  const currentCurrency = shopProfile?.currency || 'ZAR';
+  const period = periods[periodIndex];
+
+  const report = useMemo(() => (
+    buildVatReport({ invoices, creditNotes, from: period.from, to: period.to })
+  ), [invoices, creditNotes, period]);
+
+  const documentRows = selectedField ? getFieldDocuments(report, selectedField) : [...report.invoices, ...report.creditNotes];
+  const selectedFieldInfo = VAT201_FIELDS.find(field => field.key === selectedField);
+
+  const handleExportCsv = () => {
+    downloadTextFile(`VAT201-${report.from}-${report.to}.csv`, buildVatReportCsv(report, shopProfile), 'text/csv');
+  };
+
+  const handleDownloadPdf = async () => {
+    try {
+      await downloadVatReportPdf(report, period.label, shopProfile);
+    } catch (e) {
+      console.error("Error generating VAT report PDF:", e);
+      showNotification('Error', `Could not generate the PDF. Error: ${e.message}`, 'bg-red-600');
+    }
+  };
+
+  if (isLoading) return <div className="p-8 text-center text-gray-600">Loading documents...</div>;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-6 rounded-xl shadow-lg border">
+        <div className="flex justify-between items-end mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-indigo-800">VAT201 Report</h2>
+            <p className="text-sm text-gray-500">VAT No: {shopProfile?.vatNo || 'N/A'} | {VAT_CATEGORIES[vatCategory]?.label}</p>
+          </div>
+          <div className="flex items-end space-x-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Tax Period:</label>
+              <select
+                value={periodIndex}
+                onChange={(e) => { setPeriodIndex(parseInt(e.target.value, 10)); setSelectedField(null); }}
+                className="mt-1 block p-2 border border-gray-300 rounded-lg bg-white"
+              >
+                {periods.map((option, index) => (
+                  <option key={option.from} value={index}>{option.label}{index === 0 ? ' (current)' : ''}</option>
+                ))}
+              </select>
+            </div>
+            <button onClick={handleExportCsv} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-200">
+              Export CSV
+            </button>
+            <button onClick={handleDownloadPdf} className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-200">
+              Download PDF
+            </button>
+          </div>
+        </div>
+
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase w-16">Field</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {VAT201_FIELDS.map(({ field, key, label }) => (
+              <tr
+                key={key}
+                onClick={() => setSelectedField(selectedField === key ? null : key)}
+                className={`cursor-pointer ${selectedField === key ? 'bg-indigo-50' : 'hover:bg-gray-50'} ${['13', '19', '20'].includes(field) ? 'font-bold' : ''}`}
+              >
+                <td className="px-4 py-2 font-mono">{field}</td>
+                <td className="px-4 py-2">{label}</td>
+                <td className="px-4 py-2 text-right">{formatCurrency(report.fields[key], currentCurrency)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-500 mt-2">
+          Invoice basis, from issued invoices and credit notes dated in the period. Credit notes issued total {formatCurrency(report.creditNoteSupplies.standard, currentCurrency)} standard-rated,
+          {' '}{formatCurrency(report.creditNoteSupplies.zero, currentCurrency)} zero-rated and {formatCurrency(report.creditNoteSupplies.exempt, currentCurrency)} exempt.
+          Input tax on purchases is not captured here and must be added before filing.
+        </p>
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg border">
+        <div className="flex justify-between items-center mb-4 border-b pb-2">
+          <h3 className="text-xl font-bold text-gray-700">
+            {selectedFieldInfo ? `Field ${selectedFieldInfo.field}: ${selectedFieldInfo.label}` : 'Contributing Documents'} ({documentRows.length})
+          </h3>
+          {selectedField && (
+            <button onClick={() => setSelectedField(null)} className="text-sm text-indigo-600 hover:text-indigo-800">Show all documents</button>
+          )}
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Number</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Standard (incl.)</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Zero</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Exempt</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">VAT</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {documentRows.map(row => (
+                <tr key={`${row.type}-${row.id}`}>
+                  <td className="px-4 py-2">{new Date(row.date).toLocaleDateString()}</td>
+                  <td className={`px-4 py-2 ${row.type === 'Credit Note' ? 'text-red-600' : ''}`}>{row.type}</td>
+                  <td className="px-4 py-2 font-medium">
+                    {row.number}
+                    {row.invoiceNo && <span className="text-xs text-gray-500"> (against {row.invoiceNo})</span>}
+                  </td>
+                  <td className="px-4 py-2">{row.customerName}</td>
+                  <td className="px-4 py-2 text-right">{formatCurrency(row.standard, currentCurrency)}</td>
+                  <td className="px-4 py-2 text-right">{formatCurrency(row.zero, currentCurrency)}</td>
+                  <td className="px-4 py-2 text-right">{formatCurrency(row.exempt, currentCurrency)}</td>
+                  <td className="px-4 py-2 text-right">{formatCurrency(row.vat, currentCurrency)}</td>
+                </tr>
+              ))}
+              {documentRows.length === 0 && (
+                <tr><td colSpan="8" className="px-4 py-6 text-center text-gray-500">No documents in this period.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Imports bank statements and reconciles EFT receipts against open invoices. Lines matched by both
+ * reference and amount are posted on import; the rest wait in the review queue for staff to
+ * allocate to one or more invoices, or to ignore when they are not customer payments.
+ */
+const BankReconciliation = ({ db, userId, shopProfile }) => {
+  const { invoices, bankTransactions, bankImports, isLoading } = useTenantCollections(db, userId, ['invoices', 'bankTransactions', 'bankImports']);
+  const [staffName, setStaffName] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+  const [activeLineId, setActiveLineId] = useState(null);
+  const [allocationRows, setAllocationRows] = useState([]);
+  const [isPosting, setIsPosting] = useState(false);
+
+  const currentCurrency = shopProfile?.currency || 'ZAR';
+  const openInvoices = useMemo(() => (
+    getOpenInvoices(invoices).sort((a, b) => a.invoiceNo.localeCompare(b.invoiceNo))
+  ), [invoices]);
+  const linesByStatus = useMemo(() => {
+    const byDate = (a, b) => b.date.localeCompare(a.date);
+    return {
+      Unmatched: bankTransactions.filter(line => line.status === 'Unmatched').sort(byDate),
+      Matched: bankTransactions.filter(line => line.status === 'Matched').sort(byDate),
+      Ignored: bankTransactions.filter(line => line.status === 'Ignored').sort(byDate),
+    };
+  }, [bankTransactions]);
+  const lastImport = useMemo(() => [...bankImports].sort((a, b) => b.importedAt.localeCompare(a.importedAt))[0], [bankImports]);
+
+  const requireStaffName = () => {
+    if (staffName.trim()) return { uid: userId, name: staffName.trim() };
+    showNotification('Error', 'Please enter your name first so postings can be attributed.', 'bg-red-600');
+    return null;
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const importedBy = requireStaffName();
+    if (!importedBy) return;
+
+    setIsImporting(true);
+    try {
+      const statement = parseBankStatement(await file.text());
+      if (statement.transactions.length === 0) throw new Error('No transactions were found in the file.');
+      const summary = await importBankStatement(db, userId, {
+        fileName: file.name,
+        statement,
+        existingIds: new Set(bankTransactions.map(line => line.id)),
+        invoices,
+        importedBy,
+      });
+      showNotification(
+        'Statement Imported',
+        `${statement.format}: ${summary.imported} new credits, ${summary.autoMatched} matched automatically, ${summary.duplicates} already imported, ${summary.debits} debits skipped.`,
+        'bg-green-600',
+      );
+    } catch (err) {
+      console.error("Error importing bank statement:", err);
+      showNotification('Error', `Import failed. Error: ${err.message}`, 'bg-red-600');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const openAllocation = (line) => {
+    const suggested = line.suggestion && openInvoices.find(invoice => invoice.id === line.suggestion.invoiceId);
+    setActiveLineId(line.id);
+    setAllocationRows([{
+      invoiceId: suggested ? suggested.id : '',
+      amount: String(suggested ? Math.min(line.amount, getInvoiceBalance(suggested)) : line.amount),
+    }]);
+  };
+
+  const handleAllocationChange = (index, field, value) => {
+    setAllocationRows(prev => prev.map((row, rowIndex) => {
+      if (rowIndex !== index) return row;
+      if (field !== 'invoiceId') return { ...row, [field]: value };
+      // Default the amount to what the invoice still owes
+      const invoice = openInvoices.find(candidate => candidate.id === value);
+      return { ...row, invoiceId: value, amount: invoice && !row.amount ? String(getInvoiceBalance(invoice)) : row.amount };
+    }));
+  };
+
+  const handlePostAllocation = async (line, allocations, matchType = 'manual') => {
+    const recordedBy = requireStaffName();
+    if (!recordedBy) return;
+    setIsPosting(true);
+    try {
+      const posted = await allocateBankTransaction(db, userId, line.id, allocations, { recordedBy, matchType });
+      showNotification('Payment Posted', `${formatCurrency(line.amount, currentCurrency)} allocated to ${posted.map(allocation => allocation.invoiceNo).join(', ')}.`, 'bg-green-600');
+      setActiveLineId(null);
+    } catch (err) {
+      console.error("Error allocating bank line:", err);
+      showNotification('Error', `Allocation failed. Error: ${err.message}`, 'bg-red-600');
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  const handleSetIgnored = async (line, ignored) => {
+    const changedBy = requireStaffName();
+    if (!changedBy) return;
+    try {
+      await updateDoc(doc(db, getTenantPath(userId, 'bankTransactions'), line.id), ignored
+        ? { status: 'Ignored', ignoredBy: changedBy, ignoredAt: new Date().toISOString() }
+        : { status: 'Unmatched', ignoredBy: null, ignoredAt: null });
+      if (activeLineId === line.id) setActiveLineId(null);
+    } catch (err) {
+      console.error("Error updating bank line:", err);
+      showNotification('Error', `Could not update the bank line. Error: ${err.message}`, 'bg-red-600');
+    }
+  };
+
+  if (isLoading) return <div className="p-8 text-center text-gray-600">Loading bank transactions...</div>;
+
+  const allocatedTotal = roundCurrency(allocationRows.reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-6 rounded-xl shadow-lg border">
+        <h2 className="text-2xl font-bold mb-4 text-indigo-800">Bank Reconciliation</h2>
+        <div className="grid grid-cols-3 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Your Name:</label>
+            <input type="text" value={staffName} onChange={(e) => setStaffName(e.target.value)} placeholder="Staff Member Name" className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+          </div>
+          <div className="col-span-2">
+            <label className="block text-sm font-medium text-gray-700">Import Statement (OFX or bank CSV):</label>
+            <input type="file" accept=".ofx,.qfx,.csv,text/csv" onChange={handleImportFile} disabled={isImporting} className="mt-1 block w-full text-sm" />
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          Supports OFX and the CSV exports of FNB, Absa, Standard Bank, Nedbank and Capitec. Credits quoting an invoice number for its exact balance are posted automatically.
+        </p>
+        {isImporting && <p className="text-sm text-indigo-600 mt-2">Importing and matching...</p>}
+        {lastImport && (
+          <p className="text-sm text-gray-600 mt-2">
+            Last import: {lastImport.fileName} ({lastImport.format}) on {new Date(lastImport.importedAt).toLocaleString()} by {lastImport.importedBy?.name}: {lastImport.summary?.imported} new, {lastImport.summary?.autoMatched} matched automatically.
+          </p>
+        )}
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg border">
+        <h3 className="text-xl font-bold mb-4 text-gray-700 border-b pb-2">Review Queue ({linesByStatus.Unmatched.length})</h3>
+        {linesByStatus.Unmatched.length === 0 ? (
+          <p className="text-sm text-gray-500">Every imported credit has been allocated or ignored.</p>
+        ) : (
+          <div className="space-y-3">
+            {linesByStatus.Unmatched.map(line => {
+              // A suggested invoice may have been settled since the import
+              const suggestedInvoice = line.suggestion && openInvoices.find(invoice => invoice.id === line.suggestion.invoiceId);
+              return (
+                <div key={line.id} className={`border rounded-lg p-3 ${activeLineId === line.id ? 'border-indigo-400 bg-indigo-50/40' : ''}`}>
+                  <div className="flex justify-between items-center text-sm">
+                    <div>
+                      <span className="font-medium">{new Date(line.date).toLocaleDateString()}</span>
+                      <span className="ml-3">{line.description}</span>
+                      {line.reference && <span className="ml-2 text-gray-500">Ref: {line.reference}</span>}
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      <span className="font-bold text-green-700">{formatCurrency(line.amount, currentCurrency)}</span>
+                      {suggestedInvoice && (
+                        <button
+                          onClick={() => handlePostAllocation(line, [{ invoiceId: suggestedInvoice.id, amount: Math.min(line.amount, getInvoiceBalance(suggestedInvoice)) }], line.suggestion.matchType)}
+                          disabled={isPosting}
+                          className="bg-green-600 hover:bg-green-700 text-white font-bold py-1 px-3 rounded-lg text-xs disabled:opacity-50"
+                          title={MATCH_TYPES[line.suggestion.matchType]}
+                        >
+                          Accept {line.suggestion.invoiceNo}
+                        </button>
+                      )}
+                      <button onClick={() => (activeLineId === line.id ? setActiveLineId(null) : openAllocation(line))} className="text-indigo-600 hover:text-indigo-800 text-xs font-semibold">
+                        {activeLineId === line.id ? 'Close' : 'Allocate'}
+                      </button>
+                      <button onClick={() => handleSetIgnored(line, true)} className="text-gray-500 hover:text-gray-700 text-xs">Ignore</button>
                     </div>
                   </div>
-                )}
-
-                <div className="mt-6 flex justify-end space-x-3">
-                  <button
-                    onClick={handleSaveQuote}
-                    disabled={isSaving}
-                    className="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50"
-                  >
-                    {isSaving ? 'Saving...' : 'Save Quote/Report (Draft)'}
-                  </button>
-                  <button onClick={handlePrintQuote} className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg shadow-md">
-                    Download/Print
-                  </button>
+                  {line.suggestion && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Suggested: {line.suggestion.invoiceNo} ({MATCH_TYPES[line.suggestion.matchType]})
+                      {suggestedInvoice ? `, owes ${formatCurrency(getInvoiceBalance(suggestedInvoice), currentCurrency)}` : ', no longer open'}
+                    </p>
+                  )}
+
+                  {activeLineId === line.id && (
+                    <div className="mt-3 space-y-2">
+                      {allocationRows.map((row, index) => (
+                        <div key={index} className="flex space-x-2 items-center">
+                          <select value={row.invoiceId} onChange={(e) => handleAllocationChange(index, 'invoiceId', e.target.value)} className="flex-1 p-2 border rounded-lg bg-white text-sm">
+                            <option value="">Select an open invoice...</option>
+                            {openInvoices.map(invoice => (
+                              <option key={invoice.id} value={invoice.id}>
+                                {invoice.invoiceNo} - {invoice.customerName} - owes {formatCurrency(getInvoiceBalance(invoice), currentCurrency)}
+                              </option>
+                            ))}
+                          </select>
+                          <input type="number" min="0" step="0.01" value={row.amount} onChange={(e) => handleAllocationChange(index, 'amount', e.target.value)} className="w-32 p-2 border rounded-lg text-right text-sm" />
+                          {allocationRows.length > 1 && (
+                            <button onClick={() => setAllocationRows(prev => prev.filter((_, rowIndex) => rowIndex !== index))} className="text-red-500 hover:text-red-700 text-sm">Remove</button>
+                          )}
+                        </div>
+                      ))}
+                      <div className="flex justify-between items-center">
+                        <button onClick={() => setAllocationRows(prev => [...prev, { invoiceId: '', amount: '' }])} className="text-indigo-600 hover:text-indigo-800 text-sm">+ Split across another invoice</button>
+                        <div className="flex items-center space-x-3 text-sm">
+                          <span className={allocatedTotal > line.amount ? 'text-red-600 font-bold' : 'text-gray-600'}>
+                            Allocated {formatCurrency(allocatedTotal, currentCurrency)} of {formatCurrency(line.amount, currentCurrency)}
+                          </span>
+                          <button
+                            onClick={() => handlePostAllocation(line, allocationRows)}
+                            disabled={isPosting || allocatedTotal <= 0 || allocatedTotal > line.amount}
+                            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50"
+                          >
+                            {isPosting ? 'Posting...' : 'Post Payments'}
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  )}
                 </div>
-              </div>
-            )}
+              );
+            })}
           </div>
+        )}
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg border">
+        <h3 className="text-xl font-bold mb-4 text-gray-700 border-b pb-2">Matched ({linesByStatus.Matched.length})</h3>
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <tbody className="divide-y divide-gray-200">
+            {linesByStatus.Matched.slice(0, 50).map(line => (
+              <tr key={line.id}>
+                <td className="px-4 py-2">{new Date(line.date).toLocaleDateString()}</td>
+                <td className="px-4 py-2">{line.description}</td>
+                <td className="px-4 py-2 text-right">{formatCurrency(line.amount, currentCurrency)}</td>
+                <td className="px-4 py-2">
+                  {(line.allocations || []).map(allocation => `${allocation.invoiceNo} (${formatCurrency(allocation.amount, currentCurrency)})`).join(', ')}
+                  {line.unallocatedAmount > 0 && <span className="text-orange-600"> + {formatCurrency(line.unallocatedAmount, currentCurrency)} unallocated</span>}
+                </td>
+                <td className="px-4 py-2 text-gray-500">{line.matchType === 'manual' ? 'Manual' : MATCH_TYPES[line.matchType]}</td>
+                <td className="px-4 py-2 text-gray-500">{line.matchedBy?.name}</td>
+              </tr>
+            ))}
+            {linesByStatus.Matched.length === 0 && (
+              <tr><td className="px-4 py-6 text-center text-gray-500">No bank lines have been matched yet.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {linesByStatus.Ignored.length > 0 && (
+        <div className="bg-white p-6 rounded-xl shadow-lg border">
+          <h3 className="text-xl font-bold mb-4 text-gray-700 border-b pb-2">Ignored ({linesByStatus.Ignored.length})</h3>
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <tbody className="divide-y divide-gray-200">
+              {linesByStatus.Ignored.map(line => (
+                <tr key={line.id}>
+                  <td className="px-4 py-2">{new Date(line.date).toLocaleDateString()}</td>
+                  <td className="px-4 py-2">{line.description}</td>
+                  <td className="px-4 py-2 text-right">{formatCurrency(line.amount, currentCurrency)}</td>
+                  <td className="px-4 py-2 text-gray-500">{line.ignoredBy?.name}</td>
+                  <td className="px-4 py-2 text-right">
+                    <button onClick={() => handleSetIgnored(line, false)} className="text-indigo-600 hover:text-indigo-800 text-xs">Return to queue</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </div>
       )}
     </div>
   );
 };
 
+const AccountingReports = ({ db, userId, shopProfile }) => {
+  const [tab, setTab] = useState('export');
+
+  return (
+    <div className="p-6">
+      <div className="flex space-x-4 mb-6 border-b border-gray-200">
+        <button
+          onClick={() => setTab('export')}
+          className={`pb-2 font-semibold ${tab === 'export' ? 'text-indigo-600 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-indigo-600'}`}
+        >
+          Accounting Export
+        </button>
+        <button
+          onClick={() => setTab('vat')}
+          className={`pb-2 font-semibold ${tab === 'vat' ? 'text-indigo-600 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-indigo-600'}`}
+        >
+          VAT201 Report
+        </button>
+        <button
+          onClick={() => setTab('bank')}
+          className={`pb-2 font-semibold ${tab === 'bank' ? 'text-indigo-600 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-indigo-600'}`}
+        >
+          Bank Reconciliation
+        </button>
+      </div>
+
+      {tab === 'export' && <AccountingExport db={db} userId={userId} shopProfile={shopProfile} />}
+      {tab === 'vat' && <VatReport db={db} userId={userId} shopProfile={shopProfile} />}
+      {tab === 'bank' && <BankReconciliation db={db} userId={userId} shopProfile={shopProfile} />}
+    </div>
+  );
+};
 
-const SettingsManager = ({ db, userId, shopProfile, onProfileUpdate }) => {
+const SettingsManager = ({ db, auth, userId, shopProfile, onProfileUpdate }) => {
   const [profile, setProfile] = useState({
     companyName: shopProfile?.companyName || '',
     address: shopProfile?.address || '',
@@ -1956,21 +7497,142 @@ const SettingsManager = ({ db, userId, shopProfile, onProfileUpdate }) => {
     emailPhone: shopProfile?.emailPhone || '',
     bankingDetails: shopProfile?.bankingDetails || '',
     currency: shopProfile?.currency || 'ZAR',
+    vatRate: getShopVatRate(shopProfile),
+    vatCategory: shopProfile?.vatCategory || DEFAULT_VAT_CATEGORY,
+    paymentTermsDays: getShopPaymentTermsDays(shopProfile),
+    invoiceReminders: getReminderSettings(shopProfile),
+    onlinePayments: { enabled: !!shopProfile?.onlinePayments?.enabled },
+    notifications: getNotificationSettings(shopProfile),
+    bookingPage: {
+      ...getBookingPageSettings(shopProfile),
+      slug: getBookingPageSettings(shopProfile).slug || slugify(shopProfile?.companyName),
+    },
+    branding: getBranding(shopProfile),
+    printing: getPrintSettings(shopProfile),
+    accountingExport: Object.keys(EXPORT_FORMATS).reduce((acc, format) => {
+      acc[format] = getAccountMapping(shopProfile, format);
+      return acc;
+    }, {}),
+    numbering: Object.keys(DOCUMENT_NUMBERING_DEFAULTS).reduce((acc, type) => {
+      acc[type] = getNumberingConfig(shopProfile, type);
+      return acc;
+    }, {}),
   });
+  const [reminderDays, setReminderDays] = useState(getReminderSettings(shopProfile).daysOverdue.join(', '));
   const [passwordData, setPasswordData] = useState({ current: '', new: '', confirm: '' });
   const [isSaving, setIsSaving] = useState(false);
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState('success');
 
+  const handleAccountMappingChange = (format, role, value) => {
+    setProfile(prev => ({
+      ...prev,
+      accountingExport: { ...prev.accountingExport, [format]: { ...prev.accountingExport[format], [role]: value } },
+    }));
+  };
+
+  const handleBrandingChange = (changes) => {
+    setProfile(prev => ({ ...prev, branding: { ...prev.branding, ...changes } }));
+  };
+
+  const handleLogoUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      handleBrandingChange({ logoDataUrl: await readLogoFile(file) });
+    } catch (err) {
+      setMessage(err.message);
+      setMessageType('error');
+    }
+  };
+
+  const handleNotificationsChange = (changes) => {
+    setProfile(prev => ({ ...prev, notifications: { ...prev.notifications, ...changes } }));
+  };
+
+  const handlePrintingChange = (changes) => {
+    setProfile(prev => ({ ...prev, printing: { ...prev.printing, ...changes } }));
+  };
+
+  const handleBookingPageChange = (changes) => {
+    setProfile(prev => ({ ...prev, bookingPage: { ...prev.bookingPage, ...changes } }));
+  };
+
+  const handleOpeningHoursChange = (day, hours) => {
+    setProfile(prev => ({
+      ...prev,
+      bookingPage: { ...prev.bookingPage, openingHours: { ...prev.bookingPage.openingHours, [day]: hours } },
+    }));
+  };
+
+  const handleNumberingChange = (type, field, value) => {
+    setProfile(prev => ({
+      ...prev,
+      numbering: { ...prev.numbering, [type]: { ...prev.numbering[type], [field]: value } },
+    }));
+  };
+
   const handleProfileSave = async () => {
     if (!db || !userId) return;
     setIsSaving(true);
     setMessage('');
 
+    // Issued numbers double as document IDs in the uniqueness registry, so '/' is not allowed
+    const invalidType = Object.keys(profile.numbering).find(type => profile.numbering[type].prefix.includes('/'));
+    if (invalidType) {
+      setMessage(`The ${DOCUMENT_NUMBERING_DEFAULTS[invalidType].label} prefix cannot contain '/'.`);
+      setMessageType('error');
+      setIsSaving(false);
+      return;
+    }
+    if (!Number.isFinite(profile.vatRate) || profile.vatRate < 0 || profile.vatRate >= 100) {
+      setMessage('The VAT rate must be a percentage between 0 and 100.');
+      setMessageType('error');
+      setIsSaving(false);
+      return;
+    }
+    if (!isHexColor(profile.branding.primaryColor) || !isHexColor(profile.branding.accentColor)) {
+      setMessage('Brand colours must be hex colours such as #3730a3.');
+      setMessageType('error');
+      setIsSaving(false);
+      return;
+    }
+    const daysOverdue = reminderDays.split(',').map(day => day.trim()).filter(Boolean).map(Number);
+    if (daysOverdue.some(day => !Number.isInteger(day) || day <= 0)) {
+      setMessage('Reminder days must be whole numbers of days overdue, e.g. 3, 7, 14.');
+      setMessageType('error');
+      setIsSaving(false);
+      return;
+    }
+    const { bookingPage } = profile;
+    if (bookingPage.enabled) {
+      const invalidHours = WEEKDAYS.find(({ key }) => bookingPage.openingHours[key] && !(bookingPage.openingHours[key].open < bookingPage.openingHours[key].close));
+      let bookingPageError = null;
+      if (!isValidSlug(bookingPage.slug)) bookingPageError = 'The booking page address may only use lower-case letters, numbers and hyphens (3 to 40 characters).';
+      else if (invalidHours) bookingPageError = `${invalidHours.label} closes before it opens.`;
+      else if (![bookingPage.slotMinutes, bookingPage.slotCapacity, bookingPage.dailyCapacity, bookingPage.daysAhead].every(value => Number.isInteger(value) && value > 0)) {
+        bookingPageError = 'Slot length, capacities and days ahead must be whole numbers above zero.';
+      }
+      if (bookingPageError) {
+        setMessage(bookingPageError);
+        setMessageType('error');
+        setIsSaving(false);
+        return;
+      }
+    }
+    const updatedProfile = {
+      ...profile,
+      invoiceReminders: { ...profile.invoiceReminders, daysOverdue: [...new Set(daysOverdue)].sort((a, b) => a - b) },
+    };
+
     try {
+      if (bookingPage.enabled) {
+        await requestBookingPageSlug(auth, bookingPage.slug);
+      }
       const docRef = getShopProfileRef(db, userId);
-      await updateDoc(docRef, profile);
-      onProfileUpdate(profile);
+      await updateDoc(docRef, updatedProfile);
+      onProfileUpdate(updatedProfile);
       setMessage('Shop profile saved successfully!');
       setMessageType('success');
     } catch (e) {
@@ -1999,15 +7661,7 @@ const SettingsManager = ({ db, userId, shopProfile, onProfileUpdate }) => {
     // with the old password before calling 'updatePassword'. Since we are in an
     // isolated environment, this is just a mock confirmation.
 
-    // Using custom modal instead of alert
-    const notificationBox = document.createElement('div');
-    notificationBox.className = 'fixed top-4 right-4 bg-blue-600 text-white p-4 rounded-lg shadow-xl z-[100] transition-opacity duration-500';
-    notificationBox.innerHTML = `<h4 class="font-bold">Mock Password Change</h4><p class="text-sm">Password change simulated! In a real app, this requires re-authentication.</p>`;
-    document.body.appendChild(notificationBox);
-    setTimeout(() => {
-      notificationBox.style.opacity = '0';
-      setTimeout(() => notificationBox.remove(), 500);
-    }, 4000);
+    showNotification('Mock Password Change', 'Password change simulated! In a real app, this requires re-authentication.', 'bg-blue-600');
 
     setMessage('Password change process initiated successfully. (Requires re-authentication in real app)');
     setMessageType('success');
@@ -2048,7 +7702,7 @@ const SettingsManager = ({ db, userId, shopProfile, onProfileUpdate }) => {
             <label className="block text-sm font-medium text-gray-700">Email / Phone:</label>
             <input type="text" value={profile.emailPhone} onChange={(e) => setProfile({ ...profile, emailPhone: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
           </div>
-          <div className="col-span-2">
+          <div>
             <label className="block text-sm font-medium text-gray-700">Default Currency:</label>
             <select value={profile.currency} onChange={(e) => setProfile({ ...profile, currency: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg bg-white">
               {CURRENCIES.map(c => (
@@ -2056,6 +7710,20 @@ const SettingsManager = ({ db, userId, shopProfile, onProfileUpdate }) => {
               ))}
             </select>
           </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Standard VAT Rate (%):</label>
+            <input type="number" min="0" step="0.01" value={profile.vatRate} onChange={(e) => setProfile({ ...profile, vatRate: parseFloat(e.target.value) })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+            <p className="text-xs text-gray-500 mt-1">Applies to new documents. Existing invoices keep the rate they were issued at.</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">VAT Period Category:</label>
+            <select value={profile.vatCategory} onChange={(e) => setProfile({ ...profile, vatCategory: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg bg-white">
+              {Object.entries(VAT_CATEGORIES).map(([category, { label }]) => (
+                <option key={category} value={category}>{label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Sets the two-month periods used by the VAT201 report.</p>
+          </div>
         </div>
 
         <h3 className="text-xl font-bold mt-6 mb-4 text-gray-700 border-b pb-2">Invoice Banking Details</h3>
@@ -2067,6 +7735,345 @@ const SettingsManager = ({ db, userId, shopProfile, onProfileUpdate }) => {
           placeholder="Bank Name, Account Holder, Account Number, Branch Code, etc."
         />
 
+        <h3 className="text-xl font-bold mt-6 mb-4 text-gray-700 border-b pb-2">Branding &amp; Document Templates</h3>
+        <p className="text-sm text-gray-500 mb-3">Applies to invoices, credit notes, statements, quotations, BER reports and book-in slips, on screen and in print.</p>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Logo (PNG or JPEG):</label>
+            <div className="mt-1 flex items-center space-x-4">
+              {profile.branding.logoDataUrl ? (
+                // eslint-disable-next-line @next/next/no-img-element
+                <img src={profile.branding.logoDataUrl} alt="Shop logo" className="max-h-16 max-w-[12rem] object-contain border rounded p-1" />
+              ) : (
+                <span className="text-sm text-gray-400">No logo uploaded</span>
+              )}
+              <input type="file" accept="image/png,image/jpeg" onChange={handleLogoUpload} className="text-sm" />
+              {profile.branding.logoDataUrl && (
+                <button onClick={() => handleBrandingChange({ logoDataUrl: '' })} className="text-sm text-red-600 hover:underline">Remove</button>
+              )}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Layout:</label>
+            <select value={profile.branding.layout} onChange={(e) => handleBrandingChange({ layout: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg bg-white">
+              {Object.entries(DOCUMENT_LAYOUTS).map(([layout, { label, description }]) => (
+                <option key={layout} value={layout}>{label}: {description}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Brand Colour (titles and banner):</label>
+            <div className="mt-1 flex items-center space-x-2">
+              <input type="color" value={profile.branding.primaryColor} onChange={(e) => handleBrandingChange({ primaryColor: e.target.value })} className="h-10 w-14 border rounded" />
+              <input type="text" value={profile.branding.primaryColor} onChange={(e) => handleBrandingChange({ primaryColor: e.target.value })} className="p-2 border border-gray-300 rounded-lg font-mono w-28" />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Accent Colour (table headings):</label>
+            <div className="mt-1 flex items-center space-x-2">
+              <input type="color" value={profile.branding.accentColor} onChange={(e) => handleBrandingChange({ accentColor: e.target.value })} className="h-10 w-14 border rounded" />
+              <input type="text" value={profile.branding.accentColor} onChange={(e) => handleBrandingChange({ accentColor: e.target.value })} className="p-2 border border-gray-300 rounded-lg font-mono w-28" />
+            </div>
+          </div>
+          <div className="col-span-2">
+            <label className="block text-sm font-medium text-gray-700">Footer Text (every page):</label>
+            <input type="text" value={profile.branding.footerText} onChange={(e) => handleBrandingChange({ footerText: e.target.value })} placeholder="E.g., Thank you for your business! www.example.co.za" className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+          </div>
+          {Object.entries(DOCUMENT_TERMS).map(([key, label]) => (
+            <div key={key}>
+              <label className="block text-sm font-medium text-gray-700">Terms &amp; Conditions: {label}</label>
+              <textarea rows="3" value={profile.branding[key]} onChange={(e) => handleBrandingChange({ [key]: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg text-sm" />
+            </div>
+          ))}
+        </div>
+        <div className="mt-4 p-4 border rounded-lg bg-gray-50">
+          <p className="text-xs font-medium text-gray-500 uppercase mb-3">Preview</p>
+          <div className="bg-white p-4 rounded shadow-sm">
+            <BrandedDocumentHeader shopProfile={profile} title={profile.vatNo ? 'TAX INVOICE' : 'INVOICE'}>
+              <p className="text-sm text-right">Invoice No: {formatDocumentNumber(profile.numbering.invoice.prefix, profile.numbering.invoice.padding, 1)}</p>
+            </BrandedDocumentHeader>
+            <div className="p-2 text-sm font-semibold rounded" style={{ backgroundColor: profile.branding.accentColor, color: isHexColor(profile.branding.accentColor) ? getContrastColor(profile.branding.accentColor) : undefined }}>Description</div>
+            <BrandedDocumentFooter shopProfile={profile} terms="invoiceTerms" />
+          </div>
+        </div>
+
+        <h3 className="text-xl font-bold mt-6 mb-4 text-gray-700 border-b pb-2">Payment Terms &amp; Reminders</h3>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Default Payment Terms:</label>
+            <select value={profile.paymentTermsDays} onChange={(e) => setProfile({ ...profile, paymentTermsDays: parseInt(e.target.value, 10) })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg bg-white">
+              {PAYMENT_TERMS.map(terms => (
+                <option key={terms.days} value={terms.days}>{terms.label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Used for new invoices; terms can be changed per invoice.</p>
+          </div>
+          <div>
+            <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 mt-6">
+              <input
+                type="checkbox"
+                checked={profile.invoiceReminders.enabled}
+                onChange={(e) => setProfile({ ...profile, invoiceReminders: { ...profile.invoiceReminders, enabled: e.target.checked } })}
+                className="form-checkbox h-4 w-4 text-indigo-600 rounded"
+              />
+              <span>Send automatic reminders for overdue invoices</span>
+            </label>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Remind at (days overdue):</label>
+            <input type="text" value={reminderDays} onChange={(e) => setReminderDays(e.target.value)} placeholder="3, 7, 14" className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Send Reminders By:</label>
+            <select
+              value={profile.invoiceReminders.channel}
+              onChange={(e) => setProfile({ ...profile, invoiceReminders: { ...profile.invoiceReminders, channel: e.target.value } })}
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-lg bg-white"
+            >
+              {Object.entries(REMINDER_CHANNELS).map(([channel, label]) => (
+                <option key={channel} value={channel}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">Reminders go out once a day. Email reminders need a customer email address on the invoice.</p>
+        <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 mt-4">
+          <input
+            type="checkbox"
+            checked={profile.onlinePayments.enabled}
+            onChange={(e) => setProfile({ ...profile, onlinePayments: { ...profile.onlinePayments, enabled: e.target.checked } })}
+            className="form-checkbox h-4 w-4 text-indigo-600 rounded"
+          />
+          <span>Add an online payment link to invoices when they are sent</span>
+        </label>
+        <p className="text-xs text-gray-500 mt-1">The payment gateway (PayFast, Yoco or Stripe) is configured on the server. Payments made online are recorded against the invoice automatically.</p>
+
+        <h3 className="text-xl font-bold mt-6 mb-4 text-gray-700 border-b pb-2">Online Booking Page</h3>
+        <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+          <input
+            type="checkbox"
+            checked={profile.bookingPage.enabled}
+            onChange={(e) => handleBookingPageChange({ enabled: e.target.checked })}
+            className="form-checkbox h-4 w-4 text-indigo-600 rounded"
+          />
+          <span>Let customers book repairs on a public booking page</span>
+        </label>
+        <div className="grid grid-cols-2 gap-4 mt-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Page Address:</label>
+            <div className="mt-1 flex items-center">
+              <span className="text-sm text-gray-500 mr-1">/book/</span>
+              <input type="text" value={profile.bookingPage.slug} onChange={(e) => handleBookingPageChange({ slug: e.target.value.toLowerCase() })} className="block w-full p-2 border border-gray-300 rounded-lg" />
+            </div>
+            {profile.bookingPage.enabled && shopProfile?.bookingPage?.enabled && shopProfile.bookingPage.slug === profile.bookingPage.slug && (
+              <p className="text-xs space-x-3">
+                <a href={`/book/${profile.bookingPage.slug}`} target="_blank" rel="noreferrer" className="text-indigo-600 hover:text-indigo-800">Open the booking page</a>
+                <a href={`/track/${profile.bookingPage.slug}`} target="_blank" rel="noreferrer" className="text-indigo-600 hover:text-indigo-800">Open the repair tracking page</a>
+              </p>
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Time Zone:</label>
+            <input type="text" value={profile.bookingPage.timeZone} onChange={(e) => handleBookingPageChange({ timeZone: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Slot Length (minutes):</label>
+            <input type="number" min="5" step="5" value={profile.bookingPage.slotMinutes} onChange={(e) => handleBookingPageChange({ slotMinutes: parseInt(e.target.value, 10) || 0 })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Bookings per Slot:</label>
+            <input type="number" min="1" value={profile.bookingPage.slotCapacity} onChange={(e) => handleBookingPageChange({ slotCapacity: parseInt(e.target.value, 10) || 0 })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Bookings per Day:</label>
+            <input type="number" min="1" value={profile.bookingPage.dailyCapacity} onChange={(e) => handleBookingPageChange({ dailyCapacity: parseInt(e.target.value, 10) || 0 })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Days Bookable Ahead:</label>
+            <input type="number" min="1" value={profile.bookingPage.daysAhead} onChange={(e) => handleBookingPageChange({ daysAhead: parseInt(e.target.value, 10) || 0 })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Minimum Notice (hours):</label>
+            <input type="number" min="0" value={profile.bookingPage.minNoticeHours} onChange={(e) => handleBookingPageChange({ minNoticeHours: parseInt(e.target.value, 10) || 0 })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+          </div>
+        </div>
+        <div className="space-y-2 mt-4">
+          <div className="grid grid-cols-4 gap-4 text-xs font-medium text-gray-500 uppercase">
+            <span>Day</span>
+            <span>Open</span>
+            <span>Opens</span>
+            <span>Closes</span>
+          </div>
+          {WEEKDAYS.map(({ key, label }) => {
+            const hours = profile.bookingPage.openingHours[key];
+            return (
+              <div key={key} className="grid grid-cols-4 gap-4 items-center">
+                <span className="text-sm font-medium text-gray-700">{label}</span>
+                <input
+                  type="checkbox"
+                  checked={!!hours}
+                  onChange={(e) => handleOpeningHoursChange(key, e.target.checked ? { open: '08:00', close: '17:00' } : null)}
+                  className="form-checkbox h-4 w-4 text-indigo-600 rounded"
+                />
+                <input type="time" value={hours?.open || ''} disabled={!hours} onChange={(e) => handleOpeningHoursChange(key, { ...hours, open: e.target.value })} className="p-2 border border-gray-300 rounded-lg disabled:bg-gray-100" />
+                <input type="time" value={hours?.close || ''} disabled={!hours} onChange={(e) => handleOpeningHoursChange(key, { ...hours, close: e.target.value })} className="p-2 border border-gray-300 rounded-lg disabled:bg-gray-100" />
+              </div>
+            );
+          })}
+        </div>
+        <p className="text-xs text-gray-500 mt-2">Bookings from the page arrive as New Requests on the repair board with the chosen appointment time. Customers are sent the New Request message below as their confirmation.</p>
+
+        <h3 className="text-xl font-bold mt-6 mb-4 text-gray-700 border-b pb-2">Slips & Labels</h3>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Book-in Slip Paper:</label>
+            <select value={profile.printing.slipFormat} onChange={(e) => handlePrintingChange({ slipFormat: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg bg-white">
+              {Object.entries(SLIP_FORMATS).map(([format, label]) => (
+                <option key={format} value={format}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Device Label Size:</label>
+            <select value={profile.printing.labelSize} onChange={(e) => handlePrintingChange({ labelSize: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg bg-white">
+              {Object.entries(LABEL_SIZES).map(([size, { label }]) => (
+                <option key={size} value={size}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">ESC/POS Thermal Printer:</label>
+            <select value={profile.printing.escPosOutput} onChange={(e) => handlePrintingChange({ escPosOutput: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg bg-white">
+              {Object.entries(ESC_POS_OUTPUTS).map(([output, label]) => (
+                <option key={output} value={output}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Characters per Line:</label>
+              <select value={profile.printing.receiptColumns} disabled={profile.printing.escPosOutput === 'off'} onChange={(e) => handlePrintingChange({ receiptColumns: Number(e.target.value) })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg bg-white disabled:bg-gray-100">
+                {RECEIPT_COLUMNS.map(columns => (
+                  <option key={columns} value={columns}>{columns}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Baud Rate:</label>
+              <select value={profile.printing.baudRate} disabled={profile.printing.escPosOutput !== 'serial'} onChange={(e) => handlePrintingChange({ baudRate: Number(e.target.value) })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg bg-white disabled:bg-gray-100">
+                {SERIAL_BAUD_RATES.map(rate => (
+                  <option key={rate} value={rate}>{rate}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">Slips and labels open as PDFs sized for the chosen paper, ready for the browser&apos;s print dialog. With an ESC/POS printer set up, they can also be sent as printer commands: straight to a USB or serial printer from Chrome or Edge, or as a file to copy to the printer. 80mm printers fit 48 characters per line, 58mm printers 32.</p>
+
+        <h3 className="text-xl font-bold mt-6 mb-4 text-gray-700 border-b pb-2">Customer Notifications</h3>
+        <p className="text-sm text-gray-500 mb-3">Customers get the message for a status when their job moves to it, and whenever staff press Notify Customer. Every message is logged on the job, and failed messages are retried automatically.</p>
+        <div className="flex space-x-6 mb-4">
+          {Object.entries(NOTIFICATION_CHANNELS).map(([channel, label]) => (
+            <label key={channel} className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                checked={!!profile.notifications.channels[channel]}
+                onChange={(e) => handleNotificationsChange({ channels: { ...profile.notifications.channels, [channel]: e.target.checked } })}
+                className="form-checkbox h-4 w-4 text-indigo-600 rounded"
+              />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+        <div className="mb-3">
+          <label className="block text-sm font-medium text-gray-700">Email Subject:</label>
+          <input type="text" value={profile.notifications.emailSubject} onChange={(e) => handleNotificationsChange({ emailSubject: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" />
+        </div>
+        <div className="space-y-3">
+          {REPAIR_STATUS_ORDER.map(status => (
+            <div key={status}>
+              <div className="flex justify-between items-center">
+                <label className="block text-sm font-medium text-gray-700">{status}:</label>
+                {profile.notifications.templates[status] !== DEFAULT_STATUS_TEMPLATES[status] && (
+                  <button
+                    onClick={() => handleNotificationsChange({ templates: { ...profile.notifications.templates, [status]: DEFAULT_STATUS_TEMPLATES[status] } })}
+                    className="text-xs text-indigo-600 hover:text-indigo-800 font-semibold"
+                  >
+                    Restore default
+                  </button>
+                )}
+              </div>
+              <textarea
+                value={profile.notifications.templates[status] || ''}
+                onChange={(e) => handleNotificationsChange({ templates: { ...profile.notifications.templates, [status]: e.target.value } })}
+                rows="2"
+                placeholder="Leave empty to send nothing for this status"
+                className="mt-1 block w-full p-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          Placeholders: {Object.entries(NOTIFICATION_PLACEHOLDERS).map(([name, label]) => `{${name}} ${label.toLowerCase()}`).join(', ')}.
+        </p>
+
+        <h3 className="text-xl font-bold mt-6 mb-4 text-gray-700 border-b pb-2">Document Numbering</h3>
+        <p className="text-sm text-gray-500 mb-3">Numbers are issued sequentially per document type when a document is saved. Changing a prefix does not renumber existing documents.</p>
+        <div className="space-y-2">
+          <div className="grid grid-cols-4 gap-4 text-xs font-medium text-gray-500 uppercase">
+            <span>Document</span>
+            <span>Prefix</span>
+            <span>Digits</span>
+            <span>Example</span>
+          </div>
+          {Object.entries(DOCUMENT_NUMBERING_DEFAULTS).map(([type, defaults]) => (
+            <div key={type} className="grid grid-cols-4 gap-4 items-center">
+              <span className="text-sm font-medium text-gray-700">{defaults.label}</span>
+              <input
+                type="text"
+                value={profile.numbering[type].prefix}
+                onChange={(e) => handleNumberingChange(type, 'prefix', e.target.value)}
+                className="p-2 border border-gray-300 rounded-lg"
+              />
+              <input
+                type="number"
+                min="1"
+                max="10"
+                value={profile.numbering[type].padding}
+                onChange={(e) => handleNumberingChange(type, 'padding', parseInt(e.target.value, 10) || 1)}
+                className="p-2 border border-gray-300 rounded-lg"
+              />
+              <span className="text-sm font-mono text-gray-600">{formatDocumentNumber(profile.numbering[type].prefix, profile.numbering[type].padding, 1)}</span>
+            </div>
+          ))}
+        </div>
+
+        <h3 className="text-xl font-bold mt-6 mb-4 text-gray-700 border-b pb-2">Accounting Export</h3>
+        <p className="text-sm text-gray-500 mb-3">Enter the account names or codes and tax codes exactly as they appear in each package&apos;s chart of accounts.</p>
+        <div className="space-y-2">
+          <div className="grid grid-cols-4 gap-4 text-xs font-medium text-gray-500 uppercase">
+            <span>Mapping</span>
+            {Object.values(EXPORT_FORMATS).map(({ label }) => (
+              <span key={label}>{label}</span>
+            ))}
+          </div>
+          {Object.entries(ACCOUNT_ROLES).map(([role, label]) => (
+            <div key={role} className="grid grid-cols-4 gap-4 items-center">
+              <span className="text-sm font-medium text-gray-700">{label}</span>
+              {Object.keys(EXPORT_FORMATS).map(format => (
+                <input
+                  key={format}
+                  type="text"
+                  value={profile.accountingExport[format][role]}
+                  onChange={(e) => handleAccountMappingChange(format, role, e.target.value)}
+                  className="p-2 border border-gray-300 rounded-lg"
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-2">QuickBooks Desktop applies its own sales tax items, so its tax codes can be left blank.</p>
+
         <button
           onClick={handleProfileSave}
           disabled={isSaving}
@@ -2107,7 +8114,7 @@ const SettingsManager = ({ db, userId, shopProfile, onProfileUpdate }) => {
 
 // --- MAIN APP ---
 
-const Dashboard = ({ db, auth, userId }) => {
+const Dashboard = ({ db, auth, storage, userId }) => {
   const [shopProfile, setShopProfile] = useState(null);
   const [loadingProfile, setLoadingProfile] = useState(true);
   const [activeModule, setActiveModule] = useState('bookings');
@@ -2202,17 +8209,19 @@ const Dashboard = ({ db, auth, userId }) => {
 
     switch (activeModule) {
       case 'invoices':
-        return <InvoiceManager db={db} userId={userId} shopProfile={shopProfile} />;
+        return <InvoiceManager db={db} auth={auth} userId={userId} shopProfile={shopProfile} />;
       case 'bookings':
-        return <BookingSystem db={db} userId={userId} shopProfile={shopProfile} />;
+        return <BookingSystem db={db} auth={auth} storage={storage} userId={userId} shopProfile={shopProfile} />;
       case 'quotations':
-        return <QuotationTemplates db={db} userId={userId} shopProfile={shopProfile} />;
+        return <QuotationTemplates db={db} auth={auth} userId={userId} shopProfile={shopProfile} />;
+      case 'accounting':
+        return <AccountingReports db={db} userId={userId} shopProfile={shopProfile} />;
       case 'settings':
-        return <SettingsManager db={db} userId={userId} shopProfile={shopProfile} onProfileUpdate={handleProfileUpdate} />;
+        return <SettingsManager db={db} auth={auth} userId={userId} shopProfile={shopProfile} onProfileUpdate={handleProfileUpdate} />;
       default:
         return <div className="p-8">Select a module from the sidebar.</div>;
     }
-  }, [activeModule, db, userId, shopProfile]);
+  }, [activeModule, db, auth, storage, userId, shopProfile]);
 
   if (loadingProfile) {
     return <div className="flex items-center justify-center min-h-screen text-xl">Loading Shop Profile...</div>;
@@ -2226,6 +8235,7 @@ const Dashboard = ({ db, auth, userId }) => {
     { id: 'bookings', label: 'Bookings & Queue' },
     { id: 'invoices', label: 'Invoicing' },
     { id: 'quotations', label: 'Quotations' },
+    { id: 'accounting', label: 'Accounting & VAT' },
     { id: 'settings', label: 'Settings' },
   ];
 
@@ -2267,7 +8277,7 @@ const Dashboard = ({ db, auth, userId }) => {
 
 const App = () => (
   <AuthLoader>
-    {({ db, auth, userId }) => <Dashboard db={db} auth={auth} userId={userId} />}
+    {({ db, auth, storage, userId }) => <Dashboard db={db} auth={auth} storage={storage} userId={userId} />}
   </AuthLoader>
 );
 
@@ -0,0 +1,2 @@
+// Job number lookups for one shop; the same page as /track, with the shop's address in `params`
+export { default } from '../page';
@@ -0,0 +1,130 @@
+'use client';
+
+/**
+ * Public repair tracking page. Customers arrive with ?t=<token> from a tracking link, or look up
+ * their job with its number and their phone number on their shop's page, /track/[shop]. Everything
+ * goes through /api/track, so the page needs no Firebase session.
+ */
+import React, { useEffect, useState } from 'react';
+
+const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'long', year: 'numeric' });
+
+const STEP_STYLES = {
+  done: 'bg-green-600 border-green-600 text-white',
+  current: 'bg-indigo-600 border-indigo-600 text-white ring-4 ring-indigo-200',
+  upcoming: 'bg-white border-gray-300 text-gray-400',
+};
+
+const TrackingResult = ({ view, onReset }) => (
+  <div className="bg-white p-6 rounded-xl shadow-lg border space-y-6">
+    <div>
+      <p className="text-sm text-gray-500">{view.shop.name}</p>
+      <h2 className="text-2xl font-bold text-indigo-800">Job #{view.jobNo}</h2>
+      <p className="text-gray-700">
+        {view.customerFirstName ? `Hi ${view.customerFirstName}, here is the latest on your ` : 'The latest on your '}
+        {view.deviceModel || 'device'}.
+      </p>
+    </div>
+
+    <div className="p-4 rounded-lg bg-indigo-50 border border-indigo-200">
+      <p className="text-lg font-bold text-indigo-900">{view.status}</p>
+      <p className="text-sm text-indigo-900">{view.message}</p>
+      {view.estimatedReadyDate && (
+        <p className="text-sm mt-2"><span className="font-semibold">Estimated ready:</span> {formatDate(view.estimatedReadyDate)}</p>
+      )}
+    </div>
+
+    <ol className="space-y-3">
+      {view.timeline.map((step, index) => (
+        <li key={step.label} className="flex items-center">
+          <span className={`w-8 h-8 flex items-center justify-center rounded-full border-2 text-sm font-bold ${STEP_STYLES[step.state]}`}>
+            {step.state === 'done' ? '✓' : index + 1}
+          </span>
+          <span className="ml-3">
+            <span className={`block ${step.state === 'upcoming' ? 'text-gray-400' : 'font-semibold text-gray-800'}`}>{step.label}</span>
+            {step.at && <span className="block text-xs text-gray-500">{formatDate(step.at)}</span>}
+          </span>
+        </li>
+      ))}
+    </ol>
+
+    <div className="text-xs text-gray-500 border-t pt-3 space-y-1">
+      {view.bookedInAt && <p>Booked in {formatDate(view.bookedInAt)}{view.updatedAt ? ` | Last updated ${formatDate(view.updatedAt)}` : ''}</p>}
+      {view.shop.contact && <p>Questions? Contact {view.shop.name || 'us'}: {view.shop.contact}</p>}
+    </div>
+
+    <button onClick={onReset} className="text-indigo-600 hover:text-indigo-800 font-semibold text-sm">Track another repair</button>
+  </div>
+);
+
+const TrackPage = ({ params }) => {
+  const shop = params?.shop;
+  const [form, setForm] = useState({ jobNo: '', phone: '' });
+  const [view, setView] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const runLookup = async (request) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await request;
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(result.error || 'Tracking is unavailable right now.');
+      setView(result);
+    } catch (e) {
+      setView(null);
+      setError(e.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Tracking links carry a signed token; read it once on load
+  useEffect(() => {
+    const token = new URLSearchParams(window.location.search).get('t');
+    if (token) runLookup(fetch(`/api/track?t=${encodeURIComponent(token)}`));
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runLookup(fetch('/api/track', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...form, shop }),
+    }));
+  };
+
+  return (
+    <div className="max-w-lg mx-auto p-6 pt-12">
+      <h1 className="text-3xl font-extrabold text-indigo-800 mb-6">Track Your Repair</h1>
+
+      {view ? (
+        <TrackingResult view={view} onReset={() => { setView(null); window.history.replaceState(null, '', shop ? `/track/${shop}` : '/track'); }} />
+      ) : !shop ? (
+        <div className="bg-white p-6 rounded-xl shadow-lg border space-y-3 text-gray-700">
+          {error && <div className="p-3 text-sm text-red-700 bg-red-100 rounded-lg">{error}</div>}
+          <p>Follow the tracking link we sent you, or scan the QR code on your book-in slip.</p>
+          <p className="text-sm text-gray-500">To look a repair up by its job number, use your repair shop&apos;s own tracking page.</p>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="bg-white p-6 rounded-xl shadow-lg border space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Job Number (on your book-in slip):</label>
+            <input type="text" value={form.jobNo} onChange={(e) => setForm({ ...form, jobNo: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" required />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Phone Number:</label>
+            <input type="tel" value={form.phone} onChange={(e) => setForm({ ...form, phone: e.target.value })} className="mt-1 block w-full p-2 border border-gray-300 rounded-lg" required />
+          </div>
+          {error && <div className="p-3 text-sm text-red-700 bg-red-100 rounded-lg">{error}</div>}
+          <button type="submit" disabled={isLoading} className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50">
+            {isLoading ? 'Looking up...' : 'Track Repair'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TrackPage;
@@ -0,0 +1,228 @@
+/**
+ * Exports invoices, credit notes and payments in the import formats of Sage Business Cloud
+ * Accounting (CSV), Xero (CSV) and QuickBooks Desktop (IIF). Each line is posted to the income
+ * account for its type (labour or parts) using the tenant's chart-of-accounts mapping.
+ */
+import { allocateCents, calculateDocumentTotals, fromCents, toCents } from './invoiceCalculator';
+import { formatCsvAmount, toCsv } from './csv';
+
+export const EXPORT_FORMATS = {
+  sage: { label: 'Sage Business Cloud Accounting (CSV)' },
+  xero: { label: 'Xero (CSV)' },
+  quickbooks: { label: 'QuickBooks Desktop (IIF)' },
+};
+
+export const ACCOUNT_ROLES = {
+  labour: 'Labour / Services Income',
+  parts: 'Parts Income',
+  vat: 'VAT Output Account',
+  receivables: 'Accounts Receivable',
+  bank: 'Bank / Receipts Account',
+  taxStandard: 'Tax Code: Standard-rated',
+  taxZero: 'Tax Code: Zero-rated',
+  taxExempt: 'Tax Code: Exempt',
+};
+
+// Starting points only; every value can be changed in Settings to match the tenant's own chart
+export const DEFAULT_ACCOUNT_MAPPINGS = {
+  sage: {
+    labour: 'Sales - Labour',
+    parts: 'Sales - Parts',
+    vat: 'VAT Control',
+    receivables: 'Trade Receivables',
+    bank: 'Bank',
+    taxStandard: 'Standard Rate',
+    taxZero: 'Zero Rate',
+    taxExempt: 'Exempt',
+  },
+  xero: {
+    labour: '200',
+    parts: '201',
+    vat: '820',
+    receivables: '610',
+    bank: '090',
+    taxStandard: 'Standard Rate Sales',
+    taxZero: 'Zero Rated Sales',
+    taxExempt: 'Exempt Sales',
+  },
+  quickbooks: {
+    labour: 'Sales - Labour',
+    parts: 'Sales - Parts',
+    vat: 'VAT Payable',
+    receivables: 'Accounts Receivable',
+    bank: 'Undeposited Funds',
+    taxStandard: '',
+    taxZero: '',
+    taxExempt: '',
+  },
+};
+
+const TAX_CODE_ROLES = { standard: 'taxStandard', zero: 'taxZero', exempt: 'taxExempt' };
+
+export const getAccountMapping = (shopProfile, format) => ({
+  ...DEFAULT_ACCOUNT_MAPPINGS[format],
+  ...(shopProfile?.accountingExport?.[format] || {}),
+});
+
+// Repair invoices label parts as "Part: ..."; every other line is treated as labour/services
+export const getIncomeType = (item) => (/^\s*parts?\b/i.test(item.description || '') ? 'parts' : 'labour');
+
+/**
+ * Splits a stored invoice or credit note into posting lines whose VAT-exclusive amounts and VAT add
+ * up exactly to the stored subtotal and tax. Each category's stored VAT is apportioned across its lines.
+ */
+export const getPostingLines = (document) => {
+  const calculation = calculateDocumentTotals(document);
+  const vatBreakdown = document.vatBreakdown || calculation.vatBreakdown;
+  const vatCents = calculation.lines.map(() => 0);
+
+  Object.keys(vatBreakdown).forEach(category => {
+    const indexes = calculation.lines.map((line, index) => (line.taxCategory === category ? index : -1)).filter(index => index >= 0);
+    const shares = allocateCents(toCents(vatBreakdown[category].vat), indexes.map(index => Math.max(calculation.lines[index].exclusiveCents, 0)));
+    indexes.forEach((lineIndex, position) => {
+      vatCents[lineIndex] = shares[position];
+    });
+  });
+
+  return (document.items || []).map((item, index) => ({
+    description: (item.qty || 1) !== 1 ? `${item.qty} x ${item.description}` : item.description,
+    incomeType: getIncomeType(item),
+    taxCategory: calculation.lines[index].taxCategory,
+    exclusive: fromCents(calculation.lines[index].exclusiveCents),
+    vat: fromCents(vatCents[index]),
+  })).filter(line => line.exclusive !== 0 || line.vat !== 0);
+};
+
+const formatDayMonthYear = (isoDate) => `${isoDate.substring(8, 10)}/${isoDate.substring(5, 7)}/${isoDate.substring(0, 4)}`;
+const formatMonthDayYear = (isoDate) => `${isoDate.substring(5, 7)}/${isoDate.substring(8, 10)}/${isoDate.substring(0, 4)}`;
+// Repair invoices put the device model in billTo, so the customer name is the reliable contact
+const getCustomerName = (document) => document.customerName || 'Cash Customer';
+
+const buildSageFiles = ({ invoices, creditNotes, payments }, accounts) => {
+  const documentRows = [['Document Type', 'Document Number', 'Document Date', 'Due Date', 'Customer', 'Reference', 'Account', 'Description', 'Quantity', 'Unit Price Excl', 'Tax Type', 'Tax Amount', 'Line Total Incl']];
+  const addDocument = (document, documentType, number, reference) => {
+    getPostingLines(document).forEach(line => {
+      documentRows.push([
+        documentType,
+        number,
+        formatDayMonthYear(document.date),
+        formatDayMonthYear(document.dueDate || document.date),
+        getCustomerName(document),
+        reference,
+        accounts[line.incomeType],
+        line.description,
+        1,
+        formatCsvAmount(line.exclusive),
+        accounts[TAX_CODE_ROLES[line.taxCategory]],
+        formatCsvAmount(line.vat),
+        formatCsvAmount(line.exclusive + line.vat),
+      ]);
+    });
+  };
+  invoices.forEach(invoice => addDocument(invoice, 'Tax Invoice', invoice.invoiceNo, invoice.relatedJobNo || ''));
+  creditNotes.forEach(creditNote => addDocument(creditNote, 'Credit Note', creditNote.creditNoteNo, creditNote.invoiceNo));
+
+  const receiptRows = [['Date', 'Customer', 'Reference', 'Description', 'Amount', 'Bank Account']];
+  payments.forEach(payment => {
+    receiptRows.push([
+      formatDayMonthYear(payment.date),
+      getCustomerName(payment),
+      payment.reference || payment.invoiceNo,
+      `${payment.type === 'Refund' ? 'Refund' : 'Receipt'} ${payment.method} - ${payment.invoiceNo}`,
+      formatCsvAmount(payment.amount),
+      accounts.bank,
+    ]);
+  });
+
+  return [
+    { filename: 'sage-customer-documents.csv', content: toCsv(documentRows), mimeType: 'text/csv' },
+    { filename: 'sage-customer-receipts.csv', content: toCsv(receiptRows), mimeType: 'text/csv' },
+  ];
+};
+
+const buildXeroFiles = ({ invoices, creditNotes, payments }, accounts) => {
+  const invoiceRows = [['*ContactName', 'EmailAddress', '*InvoiceNumber', 'Reference', '*InvoiceDate', '*DueDate', '*Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'TaxAmount', 'Currency']];
+  // Xero imports documents with a negative total from the sales invoice template as credit notes
+  const addDocument = (document, number, reference, sign) => {
+    getPostingLines(document).forEach(line => {
+      invoiceRows.push([
+        getCustomerName(document),
+        document.customerEmail || '',
+        number,
+        reference,
+        formatDayMonthYear(document.date),
+        formatDayMonthYear(document.dueDate || document.date),
+        line.description,
+        1,
+        formatCsvAmount(sign * line.exclusive),
+        accounts[line.incomeType],
+        accounts[TAX_CODE_ROLES[line.taxCategory]],
+        formatCsvAmount(sign * line.vat),
+        document.shopProfile?.currency || '',
+      ]);
+    });
+  };
+  invoices.forEach(invoice => addDocument(invoice, invoice.invoiceNo, invoice.relatedJobNo || '', 1));
+  creditNotes.forEach(creditNote => addDocument(creditNote, creditNote.creditNoteNo, creditNote.invoiceNo, -1));
+
+  // Xero has no payment import, so receipts go in as a bank statement to reconcile against the invoices
+  const statementRows = [['Date', 'Amount', 'Payee', 'Description', 'Reference']];
+  payments.forEach(payment => {
+    statementRows.push([
+      formatDayMonthYear(payment.date),
+      formatCsvAmount(payment.amount),
+      getCustomerName(payment),
+      `${payment.method} ${payment.type === 'Refund' ? 'refund' : 'payment'} for ${payment.invoiceNo}`,
+      payment.reference || payment.invoiceNo,
+    ]);
+  });
+
+  return [
+    { filename: 'xero-sales-invoices.csv', content: toCsv(invoiceRows), mimeType: 'text/csv' },
+    { filename: 'xero-bank-statement.csv', content: toCsv(statementRows), mimeType: 'text/csv' },
+  ];
+};
+
+const buildQuickBooksFiles = ({ invoices, creditNotes, payments }, accounts) => {
+  const lines = [
+    ['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+    ['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+    ['!ENDTRNS'],
+  ];
+  const clean = (text) => String(text || '').replace(/[\t\r\n]+/g, ' ');
+  const addTransaction = (type, date, name, number, memo, headerAccount, headerAmount, splits) => {
+    lines.push(['TRNS', '', type, formatMonthDayYear(date), headerAccount, clean(name), formatCsvAmount(headerAmount), number, clean(memo)]);
+    splits.forEach(split => {
+      lines.push(['SPL', '', type, formatMonthDayYear(date), split.account, clean(name), formatCsvAmount(split.amount), number, clean(split.memo)]);
+    });
+    lines.push(['ENDTRNS']);
+  };
+  // The transaction line and its splits must balance to zero, so income and VAT carry the opposite sign
+  const addDocument = (document, type, number, memo, sign) => {
+    const postingLines = getPostingLines(document);
+    const vatTotal = postingLines.reduce((sum, line) => sum + toCents(line.vat), 0);
+    const splits = postingLines.map(line => ({ account: accounts[line.incomeType], amount: -sign * line.exclusive, memo: line.description }));
+    if (vatTotal !== 0) splits.push({ account: accounts.vat, amount: -sign * fromCents(vatTotal), memo: 'VAT' });
+    addTransaction(type, document.date, getCustomerName(document), number, memo, accounts.receivables, sign * document.totalAmount, splits);
+  };
+
+  invoices.forEach(invoice => addDocument(invoice, 'INVOICE', invoice.invoiceNo, invoice.relatedJobNo ? `Repair job ${invoice.relatedJobNo}` : '', 1));
+  creditNotes.forEach(creditNote => addDocument(creditNote, 'CREDIT MEMO', creditNote.creditNoteNo, `${creditNote.invoiceNo}: ${creditNote.reason}`, -1));
+  payments.forEach(payment => {
+    const memo = `${payment.method} ${payment.reference || ''}`.trim();
+    addTransaction(payment.type === 'Refund' ? 'CHECK' : 'PAYMENT', payment.date, getCustomerName(payment), payment.invoiceNo, memo,
+      accounts.bank, payment.amount, [{ account: accounts.receivables, amount: -payment.amount, memo }]);
+  });
+
+  return [
+    { filename: 'quickbooks-export.iif', content: lines.map(line => line.join('\t')).join('\r\n'), mimeType: 'text/plain' },
+  ];
+};
+
+const FORMAT_BUILDERS = { sage: buildSageFiles, xero: buildXeroFiles, quickbooks: buildQuickBooksFiles };
+
+/**
+ * Builds the export files for one format. `documents` holds the invoices, creditNotes and payments
+ * to include; filtering by period and previous exports is up to the caller.
+ */
+export const buildAccountingExport = (format, documents, accounts) => FORMAT_BUILDERS[format](documents, accounts);
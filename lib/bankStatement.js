@@ -0,0 +1,196 @@
+/**
+ * Bank statement import for EFT reconciliation. Statements are read from OFX files or from the CSV
+ * exports of the main South African banks, and each credit is matched to an open invoice by the
+ * invoice number customers quote as their payment reference, and by amount.
+ */
+import { parseCsv } from './csv';
+import { PAYABLE_INVOICE_STATUSES, getInvoiceBalance, roundCurrency } from './invoicePayments';
+
+/**
+ * CSV layouts, recognised by their column headings (matched case-insensitively). Banks put account
+ * details above the heading row, so the first row containing all of a layout's headings is used.
+ * Either `amount` (signed) or `credit`/`debit` columns give the transaction value.
+ */
+export const BANK_CSV_LAYOUTS = [
+  { id: 'capitec', label: 'Capitec', columns: { date: 'Transaction Date', description: 'Description', credit: 'Money In', debit: 'Money Out' } },
+  { id: 'absa', label: 'Absa', columns: { date: 'Date', description: 'Transaction Description', amount: 'Amount' } },
+  { id: 'standardBank', label: 'Standard Bank', columns: { date: 'Date', description: 'Description', reference: 'Reference', amount: 'Amount' } },
+  { id: 'nedbank', label: 'Nedbank', columns: { date: 'Transaction Date', description: 'Description', amount: 'Amount' } },
+  { id: 'fnb', label: 'FNB', columns: { date: 'Date', description: 'Description', amount: 'Amount' } },
+  { id: 'generic', label: 'Generic (Date, Description, Credit, Debit)', columns: { date: 'Date', description: 'Description', credit: 'Credit', debit: 'Debit' } },
+];
+
+export const MATCH_TYPES = {
+  referenceAndAmount: 'Reference and amount',
+  reference: 'Reference only',
+  amount: 'Amount only',
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Reads the date formats banks export: 2026-10-01, 2026/10/01, 20261001 (also OFX date-times),
+ * 01/10/2026 (day first) and 01 Oct 2026. Returns an ISO date or null.
+ */
+export const parseStatementDate = (text) => {
+  const value = String(text || '').trim();
+  let match = value.match(/^(\d{4})[-/]?(\d{2})[-/]?(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+  match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+  if (match) return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+  match = value.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-](\d{4})/);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return `${match[3]}-${pad(MONTHS.indexOf(match[2].toLowerCase()) + 1)}-${pad(match[1])}`;
+  }
+  return null;
+};
+
+/**
+ * Reads "1,234.56", "1,234", "R 1 234.56", "-350.00", "350.00 Cr" and "350,00". Returns null when blank.
+ */
+export const parseStatementAmount = (text) => {
+  let value = String(text || '').trim();
+  if (!value) return null;
+  let sign = 1;
+  if (/\s*dr$/i.test(value)) sign = -1;
+  value = value.replace(/\s*(cr|dr)$/i, '').replace(/^r\s*/i, '').replace(/\s/g, '');
+  // A single comma followed by one or two digits is a decimal separator; otherwise commas group thousands
+  value = /^[^,.]*,\d{1,2}$/.test(value) ? value.replace(',', '.') : value.replace(/,/g, '');
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) ? roundCurrency(sign * amount) : null;
+};
+
+// Short stable hash so re-importing the same CSV statement produces the same transaction IDs
+const hashText = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  return hash.toString(36);
+};
+
+const toDocumentId = (text) => text.replace(/[^A-Za-z0-9_-]/g, '_');
+
+const getOfxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+export const parseOfx = (text) => {
+  const accountId = getOfxValue(text, 'ACCTID');
+  const blocks = text.split(/<STMTTRN>/i).slice(1);
+  return blocks.map(block => ({
+    id: toDocumentId(`ofx_${accountId}_${getOfxValue(block, 'FITID')}`),
+    date: parseStatementDate(getOfxValue(block, 'DTPOSTED')),
+    amount: parseStatementAmount(getOfxValue(block, 'TRNAMT')),
+    description: [getOfxValue(block, 'NAME'), getOfxValue(block, 'MEMO')].filter(Boolean).join(' '),
+    reference: getOfxValue(block, 'REFNUM') || getOfxValue(block, 'CHECKNUM'),
+  }));
+};
+
+const findCsvLayout = (rows) => {
+  for (let rowIndex = 0; rowIndex < Math.min(rows.length, 30); rowIndex++) {
+    const headings = rows[rowIndex].map(cell => cell.trim().toLowerCase());
+    const layout = BANK_CSV_LAYOUTS.find(candidate => (
+      Object.values(candidate.columns).every(heading => headings.includes(heading.toLowerCase()))
+    ));
+    if (layout) {
+      const columnIndexes = Object.entries(layout.columns).reduce((acc, [field, heading]) => {
+        acc[field] = headings.indexOf(heading.toLowerCase());
+        return acc;
+      }, {});
+      return { layout, headerRow: rowIndex, columnIndexes };
+    }
+  }
+  return null;
+};
+
+export const parseBankCsv = (text) => {
+  const rows = parseCsv(text);
+  const detected = findCsvLayout(rows);
+  if (!detected) {
+    throw new Error(`Unrecognised CSV layout. Expected the column headings of one of: ${BANK_CSV_LAYOUTS.map(layout => layout.label).join(', ')}.`);
+  }
+
+  const { layout, headerRow, columnIndexes } = detected;
+  const cell = (row, field) => (columnIndexes[field] === undefined ? '' : (row[columnIndexes[field]] || '').trim());
+  const occurrences = {};
+
+  const transactions = rows.slice(headerRow + 1).map(row => {
+    const amount = columnIndexes.amount !== undefined
+      ? parseStatementAmount(cell(row, 'amount'))
+      : roundCurrency((parseStatementAmount(cell(row, 'credit')) || 0) - Math.abs(parseStatementAmount(cell(row, 'debit')) || 0));
+    const transaction = {
+      date: parseStatementDate(cell(row, 'date')),
+      amount,
+      description: cell(row, 'description'),
+      reference: cell(row, 'reference'),
+    };
+    // Identical lines on the same day are distinct payments, so number repeats within the file
+    const key = `${layout.id}|${transaction.date}|${amount}|${transaction.description}|${transaction.reference}`;
+    occurrences[key] = (occurrences[key] || 0) + 1;
+    return { id: `csv_${hashText(key)}_${occurrences[key]}`, ...transaction };
+  });
+
+  return { format: layout.label, transactions };
+};
+
+/**
+ * Parses an OFX or bank CSV statement. Lines without a readable date or amount (totals, balance
+ * rows, footers) are dropped.
+ */
+export const parseBankStatement = (text) => {
+  const isOfx = /<OFX>/i.test(text) || /^\s*OFXHEADER/i.test(text);
+  const { format, transactions } = isOfx ? { format: 'OFX', transactions: parseOfx(text) } : parseBankCsv(text);
+  return {
+    format,
+    transactions: transactions.filter(transaction => transaction.date && transaction.amount !== null && transaction.amount !== 0),
+  };
+};
+
+export const getOpenInvoices = (invoices) => invoices.filter(invoice => (
+  PAYABLE_INVOICE_STATUSES.includes(invoice.status) && getInvoiceBalance(invoice) > 0
+));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Matches an invoice number as customers type it: "INV-0012" also matches "inv 12", "INV0012" and
+ * "#INV-012", but not "INV-00120". Numbers without a prefix must appear exactly.
+ */
+export const getInvoiceReferencePattern = (invoiceNo) => {
+  const match = String(invoiceNo || '').toUpperCase().match(/^(.*?)(\d+)$/);
+  const prefix = match ? match[1].replace(/[^A-Z0-9]/g, '') : '';
+  if (!match || !prefix) {
+    return new RegExp(`(^|[^A-Z0-9])${escapeRegExp(String(invoiceNo || '').toUpperCase())}(?![A-Z0-9])`);
+  }
+  return new RegExp(`(^|[^A-Z0-9])${escapeRegExp(prefix)}[^A-Z0-9]*0*${parseInt(match[2], 10)}(?!\\d)`);
+};
+
+/**
+ * Suggests the open invoice a bank credit pays. Only a single invoice whose number is in the
+ * reference and whose balance equals the amount is `automatic`; anything weaker is a suggestion
+ * for the review queue. Returns null when nothing fits.
+ */
+export const suggestInvoiceMatch = (transaction, openInvoices) => {
+  if (transaction.amount <= 0) return null;
+  const text = `${transaction.description} ${transaction.reference || ''}`.toUpperCase();
+  const amount = roundCurrency(transaction.amount);
+  const toSuggestion = (invoice, matchType) => ({
+    invoiceId: invoice.id,
+    invoiceNo: invoice.invoiceNo,
+    matchType,
+    automatic: matchType === 'referenceAndAmount',
+  });
+
+  const referenceMatches = openInvoices.filter(invoice => getInvoiceReferencePattern(invoice.invoiceNo).test(text));
+  const exactReferenceMatches = referenceMatches.filter(invoice => getInvoiceBalance(invoice) === amount);
+  if (exactReferenceMatches.length === 1) {
+    return toSuggestion(exactReferenceMatches[0], referenceMatches.length === 1 ? 'referenceAndAmount' : 'reference');
+  }
+  if (referenceMatches.length === 1) return toSuggestion(referenceMatches[0], 'reference');
+  if (referenceMatches.length > 1) return null;
+
+  const amountMatches = openInvoices.filter(invoice => getInvoiceBalance(invoice) === amount);
+  return amountMatches.length === 1 ? toSuggestion(amountMatches[0], 'amount') : null;
+};
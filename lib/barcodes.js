@@ -0,0 +1,46 @@
+/**
+ * Machine-readable codes for printed slips and labels, returned as plain geometry so PDFs and
+ * on-screen previews can draw them: QR codes for tracking links and Code 128 barcodes for job numbers.
+ */
+import QRCode from 'qrcode';
+
+/**
+ * The QR code for `text` as rows of booleans (true is a dark module), without the quiet zone.
+ */
+export const getQrModules = (text) => {
+  const { modules } = QRCode.create(String(text), { errorCorrectionLevel: 'M' });
+  return Array.from({ length: modules.size }, (_, row) => (
+    Array.from({ length: modules.size }, (__, column) => !!modules.get(row, column))
+  ));
+};
+
+// Bar and space widths of every Code 128 symbol, indexed by symbol value
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+// Code set B covers printable ASCII, which is all a job number contains
+export const isCode128Encodable = (text) => /^[\x20-\x7e]+$/.test(String(text || ''));
+
+/**
+ * The Code 128 (code set B) barcode for `text` as alternating bar and space widths in modules,
+ * starting with a bar. Throws when the text has characters the barcode cannot hold.
+ */
+export const encodeCode128 = (text) => {
+  if (!isCode128Encodable(text)) throw new Error(`"${text}" cannot be printed as a barcode.`);
+  const values = [CODE128_START_B, ...Array.from(String(text), char => char.charCodeAt(0) - 32)];
+  const checksum = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103;
+  return [...values, checksum, CODE128_STOP].flatMap(value => Array.from(CODE128_PATTERNS[value], Number));
+};
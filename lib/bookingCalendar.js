@@ -0,0 +1,172 @@
+/**
+ * Calendar views of repair bookings and the read-only iCalendar feed. A booking sits on its
+ * appointment date when it has one (online bookings and rescheduled jobs), otherwise on the
+ * customer's preferred date, otherwise on the day it was booked in.
+ */
+import { DEFAULT_BOOKING_PAGE_SETTINGS } from './bookingSlots';
+
+export const CALENDAR_VIEWS = { day: 'Day', week: 'Week', month: 'Month' };
+
+// Finished jobs stay on the calendar views but are left out of the feed
+export const CLOSED_BOOKING_STATUSES = ['Collected', 'Unable To Repair'];
+
+export const UNASSIGNED_LANE = 'Unassigned';
+
+// Length of a timed event in the feed when the shop has no booking page slot length
+const DEFAULT_EVENT_MINUTES = DEFAULT_BOOKING_PAGE_SETTINGS.slotMinutes;
+
+export const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().substring(0, 10);
+};
+
+export const getBookingCalendarDate = (booking) => (
+  booking.appointmentDate || booking.preferredDate || (booking.createdAt ? booking.createdAt.substring(0, 10) : null)
+);
+
+export const getBookingTechnician = (booking) => String(booking.repairDetails?.technician || '').trim() || UNASSIGNED_LANE;
+
+/**
+ * The dates a view shows around `anchorDate`. Weeks start on Monday; the month view is padded
+ * to whole weeks so it fills a grid.
+ */
+export const getCalendarDays = (view, anchorDate) => {
+  const weekStart = (isoDate) => addDays(isoDate, -((new Date(`${isoDate}T00:00:00Z`).getUTCDay() + 6) % 7));
+  if (view === 'day') return [anchorDate];
+  if (view === 'week') return Array.from({ length: 7 }, (_, index) => addDays(weekStart(anchorDate), index));
+
+  const first = `${anchorDate.substring(0, 7)}-01`;
+  const last = addDays(`${addDays(first, 31).substring(0, 7)}-01`, -1);
+  const days = [];
+  for (let date = weekStart(first); date <= last || days.length % 7; date = addDays(date, 1)) days.push(date);
+  return days;
+};
+
+// Moves the anchor by one day, week or month
+export const shiftCalendarAnchor = (view, anchorDate, direction) => {
+  if (view === 'day') return addDays(anchorDate, direction);
+  if (view === 'week') return addDays(anchorDate, 7 * direction);
+  const date = new Date(`${anchorDate.substring(0, 7)}-01T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + direction);
+  return date.toISOString().substring(0, 10);
+};
+
+const compareByTime = (a, b) => (a.appointmentTime || '99:99').localeCompare(b.appointmentTime || '99:99')
+  || String(a.invoiceNo || '').localeCompare(String(b.invoiceNo || ''));
+
+/**
+ * Groups bookings by calendar date, each day sorted by appointment time.
+ */
+export const groupBookingsByDate = (bookings) => {
+  const byDate = {};
+  bookings.forEach(booking => {
+    const date = getBookingCalendarDate(booking);
+    if (!date) return;
+    (byDate[date] = byDate[date] || []).push(booking);
+  });
+  Object.values(byDate).forEach(dayBookings => dayBookings.sort(compareByTime));
+  return byDate;
+};
+
+// One lane per technician with work in view, plus the unassigned lane first
+export const getTechnicianLanes = (bookings) => [
+  UNASSIGNED_LANE,
+  ...[...new Set(bookings.map(getBookingTechnician))].filter(lane => lane !== UNASSIGNED_LANE).sort(),
+];
+
+// --- iCalendar (RFC 5545) ---
+
+const escapeIcsText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const encoder = new TextEncoder();
+
+// Lines longer than 75 octets are folded onto continuation lines that start with a space
+const foldIcsLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const character of line) {
+    const limit = chunks.length ? 74 : 75;
+    if (encoder.encode(current + character).length > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += character;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const toIcsStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * The UTC instant of a wall-clock time in `timeZone`, found by correcting for the zone's offset.
+ */
+export const zonedTimeToUtc = (isoDate, time, timeZone) => {
+  const guess = new Date(`${isoDate}T${time}:00Z`);
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(guess).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+  const asZoned = new Date(`${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:00Z`);
+  return new Date(guess.getTime() - (asZoned.getTime() - guess.getTime()));
+};
+
+const buildIcsEvent = (booking, { uidDomain, timeZone, eventMinutes, now }) => {
+  const date = getBookingCalendarDate(booking);
+  const technician = getBookingTechnician(booking);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${booking.id}@${uidDomain}`,
+    `DTSTAMP:${toIcsStamp(now)}`,
+  ];
+  if (booking.appointmentTime) {
+    const start = zonedTimeToUtc(date, booking.appointmentTime, timeZone);
+    lines.push(`DTSTART:${toIcsStamp(start)}`, `DTEND:${toIcsStamp(new Date(start.getTime() + eventMinutes * 60000))}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${date.replace(/-/g, '')}`, `DTEND;VALUE=DATE:${addDays(date, 1).replace(/-/g, '')}`);
+  }
+  lines.push(
+    `SUMMARY:${escapeIcsText([`#${booking.invoiceNo}`, booking.deviceModel || 'Repair', booking.customerName && `- ${booking.customerName}`].filter(Boolean).join(' '))}`,
+    `DESCRIPTION:${escapeIcsText([
+      `Status: ${booking.status}`,
+      `Technician: ${technician}`,
+      booking.urgency ? `Urgency: ${booking.urgency}` : null,
+      booking.deviceIssue ? `Fault: ${booking.deviceIssue}` : null,
+      booking.customerPhone ? `Phone: ${booking.customerPhone}` : null,
+    ].filter(Boolean).join('\n'))}`,
+    `CATEGORIES:${escapeIcsText(booking.status)}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT',
+  );
+  return lines;
+};
+
+/**
+ * A read-only calendar of the shop's open bookings, for staff to subscribe to on their phones.
+ * Timed appointments are written in UTC; bookings without a time are all-day events.
+ */
+export const buildBookingsIcs = (bookings, shopProfile, { uidDomain = 'repairs', now = new Date() } = {}) => {
+  const timeZone = shopProfile?.bookingPage?.timeZone || DEFAULT_BOOKING_PAGE_SETTINGS.timeZone;
+  const eventMinutes = Number(shopProfile?.bookingPage?.slotMinutes) || DEFAULT_EVENT_MINUTES;
+  const events = bookings
+    .filter(booking => !CLOSED_BOOKING_STATUSES.includes(booking.status) && getBookingCalendarDate(booking))
+    .sort((a, b) => getBookingCalendarDate(a).localeCompare(getBookingCalendarDate(b)) || compareByTime(a, b))
+    .flatMap(booking => buildIcsEvent(booking, { uidDomain, timeZone, eventMinutes, now }));
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Digital Cafe//Repair Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(`${shopProfile?.companyName || 'Repair'} bookings`)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT15M',
+    ...events,
+    'END:VCALENDAR',
+  ].map(foldIcsLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,181 @@
+/**
+ * Repair job history. Every change to a job's status, repair details or appointment is stored as
+ * an event in the tenant's bookingEvents collection, written with the change itself and never
+ * edited afterwards. The events give the job's timeline and the shop's turnaround metrics.
+ */
+import { REPAIR_STATUS_ORDER } from './repairStatus';
+
+export const BOOKING_EVENT_TYPES = {
+  created: 'Booked in',
+  status: 'Status changed',
+  details: 'Details edited',
+  schedule: 'Rescheduled',
+};
+
+// Parts rows the form adds but nobody filled in are not a change
+const normalizeParts = (parts) => (Array.isArray(parts) ? parts : [])
+  .filter(part => part?.name || parseFloat(part?.cost))
+  .map(part => ({ name: part.name || '', cost: parseFloat(part.cost) || 0 }));
+
+// The fields a history event compares, as Firestore field paths
+export const BOOKING_HISTORY_FIELDS = [
+  { field: 'repairDetails.technician', label: 'Technician' },
+  { field: 'repairDetails.finalFault', label: 'Final fault' },
+  { field: 'repairDetails.diagnosticNotes', label: 'Diagnostic notes' },
+  { field: 'repairDetails.estimatedReadyDate', label: 'Estimated ready date' },
+  { field: 'repairDetails.unableToRepairReason', label: 'Reason unable to repair' },
+  { field: 'repairDetails.laborCost', label: 'Labour cost' },
+  { field: 'repairDetails.partsUsed', label: 'Parts used', normalize: normalizeParts },
+  { field: 'appointmentDate', label: 'Appointment date', schedule: true },
+  { field: 'appointmentTime', label: 'Appointment time', schedule: true },
+];
+
+// Statuses that end the turnaround clock
+export const TURNAROUND_MILESTONES = ['Ready for Collection', 'Collected'];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const normalizeValue = (definition, value) => {
+  const normalized = definition.normalize ? definition.normalize(value) : value;
+  if (normalized === undefined || normalized === '' || (Array.isArray(normalized) && normalized.length === 0)) return null;
+  return normalized;
+};
+
+/**
+ * Applies a Firestore update (which may use dotted field paths) to a copy of the booking.
+ */
+export const applyBookingUpdate = (booking, update) => Object.entries(update).reduce((result, [path, value]) => {
+  const keys = path.split('.');
+  const next = { ...result };
+  let target = next;
+  keys.slice(0, -1).forEach(key => {
+    target[key] = { ...(target[key] || {}) };
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+  return next;
+}, booking);
+
+/**
+ * The tracked fields that differ between two versions of a booking: [{ field, label, from, to }].
+ */
+export const getBookingChanges = (before, after) => BOOKING_HISTORY_FIELDS
+  .map(definition => ({
+    definition,
+    from: normalizeValue(definition, getPath(before, definition.field)),
+    to: normalizeValue(definition, getPath(after, definition.field)),
+  }))
+  .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to))
+  .map(({ definition, from, to }) => ({ field: definition.field, label: definition.label, from, to }));
+
+/**
+ * The history event for applying `update` to `booking`, or null when nothing tracked changes.
+ * `actor` is { uid, name } of whoever made the change.
+ */
+export const buildBookingEvent = (bookingId, booking, update, { actor, at, note = '' }) => {
+  const after = applyBookingUpdate(booking, update);
+  const changes = getBookingChanges(booking, after);
+  const statusChanged = after.status !== booking.status;
+  if (!statusChanged && changes.length === 0) return null;
+
+  const isSchedule = changes.every(change => BOOKING_HISTORY_FIELDS.find(definition => definition.field === change.field)?.schedule);
+  return {
+    bookingId,
+    jobNo: after.invoiceNo || '',
+    type: statusChanged ? 'status' : (isSchedule ? 'schedule' : 'details'),
+    fromStatus: booking.status || null,
+    toStatus: after.status || null,
+    changes,
+    actor,
+    at,
+    note: note.trim(),
+  };
+};
+
+export const buildBookingCreatedEvent = (bookingId, booking, { actor, at, note = '' }) => ({
+  bookingId,
+  jobNo: booking.invoiceNo || '',
+  type: 'created',
+  fromStatus: null,
+  toStatus: booking.status,
+  changes: [],
+  actor,
+  at,
+  note: note.trim(),
+});
+
+export const formatHistoryValue = (field, value) => {
+  if (value === null || value === undefined) return '(empty)';
+  if (field === 'repairDetails.partsUsed') return value.map(part => part.name || 'Unnamed part').join(', ');
+  return String(value);
+};
+
+export const formatDuration = (ms) => {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+};
+
+const byTime = (a, b) => a.at.localeCompare(b.at);
+
+/**
+ * How long one job spent in each status it entered: [{ status, from, to, ms }], oldest first.
+ * The current status has `to: null` and runs until `now`. Jobs booked in before history was kept
+ * start at their first recorded status change.
+ */
+export const getStatusPeriods = (events, now = new Date()) => {
+  const periods = [];
+  let current = null;
+  [...events].sort(byTime).forEach(event => {
+    if (event.type !== 'created' && event.fromStatus === event.toStatus) return;
+    if (current) periods.push({ ...current, to: event.at, ms: new Date(event.at) - new Date(current.from) });
+    current = { status: event.toStatus, from: event.at };
+  });
+  if (current) periods.push({ ...current, to: null, ms: now - new Date(current.from) });
+  return periods;
+};
+
+const summarize = (values) => ({
+  count: values.length,
+  averageMs: values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+  longestMs: values.length ? Math.max(...values) : null,
+});
+
+/**
+ * Turnaround metrics from the events of many jobs. Time in a status counts periods that have
+ * ended; turnaround runs from booking in to the first time the job reached each milestone, so
+ * only jobs booked in since history was kept are included.
+ */
+export const buildTurnaroundMetrics = (events, now = new Date()) => {
+  const byBooking = events.reduce((groups, event) => {
+    (groups[event.bookingId] = groups[event.bookingId] || []).push(event);
+    return groups;
+  }, {});
+
+  const statusTimes = {};
+  const milestoneTimes = Object.fromEntries(TURNAROUND_MILESTONES.map(status => [status, []]));
+  Object.values(byBooking).forEach(bookingEvents => {
+    getStatusPeriods(bookingEvents, now).filter(period => period.to).forEach(period => {
+      (statusTimes[period.status] = statusTimes[period.status] || []).push(period.ms);
+    });
+
+    const sorted = [...bookingEvents].sort(byTime);
+    const created = sorted.find(event => event.type === 'created');
+    if (!created) return;
+    TURNAROUND_MILESTONES.forEach(status => {
+      const reached = sorted.find(event => event.toStatus === status && event.at >= created.at);
+      if (reached) milestoneTimes[status].push(new Date(reached.at) - new Date(created.at));
+    });
+  });
+
+  return {
+    jobs: Object.keys(byBooking).length,
+    statuses: REPAIR_STATUS_ORDER
+      .filter(status => statusTimes[status])
+      .map(status => ({ status, ...summarize(statusTimes[status]) })),
+    turnaround: TURNAROUND_MILESTONES.map(status => ({ status, ...summarize(milestoneTimes[status]) })),
+  };
+};
@@ -0,0 +1,180 @@
+/**
+ * Appointment slots for the public online booking page. Slots are cut from the shop's opening
+ * hours; a slot is free while it has room left and the day has not reached its daily capacity.
+ * Dates are 'YYYY-MM-DD' and times 'HH:MM' in the shop's own time zone.
+ */
+
+export const WEEKDAYS = [
+  { key: 'sun', label: 'Sunday' },
+  { key: 'mon', label: 'Monday' },
+  { key: 'tue', label: 'Tuesday' },
+  { key: 'wed', label: 'Wednesday' },
+  { key: 'thu', label: 'Thursday' },
+  { key: 'fri', label: 'Friday' },
+  { key: 'sat', label: 'Saturday' },
+];
+
+// A day without opening hours (null) is closed
+export const DEFAULT_OPENING_HOURS = {
+  sun: null,
+  mon: { open: '08:00', close: '17:00' },
+  tue: { open: '08:00', close: '17:00' },
+  wed: { open: '08:00', close: '17:00' },
+  thu: { open: '08:00', close: '17:00' },
+  fri: { open: '08:00', close: '17:00' },
+  sat: { open: '09:00', close: '13:00' },
+};
+
+export const DEFAULT_BOOKING_PAGE_SETTINGS = {
+  enabled: false,
+  slug: '',
+  timeZone: 'Africa/Johannesburg',
+  slotMinutes: 60,
+  slotCapacity: 1,
+  dailyCapacity: 8,
+  daysAhead: 14,
+  minNoticeHours: 2,
+  openingHours: DEFAULT_OPENING_HOURS,
+};
+
+// Booking requests that are written off no longer hold their slot
+export const SLOT_RELEASING_STATUSES = ['Unable To Repair'];
+
+export const getBookingPageSettings = (shopProfile) => ({
+  ...DEFAULT_BOOKING_PAGE_SETTINGS,
+  ...(shopProfile?.bookingPage || {}),
+  openingHours: { ...DEFAULT_OPENING_HOURS, ...(shopProfile?.bookingPage?.openingHours || {}) },
+});
+
+// Lower-case letters, digits and single hyphens, 3 to 40 characters
+export const isValidSlug = (slug) => /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug) && slug.length >= 3 && slug.length <= 40;
+
+export const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .substring(0, 40)
+  .replace(/-+$/, '');
+
+const toMinutes = (time) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().substring(0, 10);
+};
+
+export const getWeekday = (isoDate) => WEEKDAYS[new Date(`${isoDate}T00:00:00Z`).getUTCDay()];
+
+/**
+ * The shop's local date and minutes past midnight at `now`.
+ */
+export const getShopClock = (now, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(now).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+/**
+ * Start times of the slots on a date. A slot must finish by closing time.
+ */
+export const getDaySlotTimes = (settings, isoDate) => {
+  const hours = settings.openingHours[getWeekday(isoDate).key];
+  const open = toMinutes(hours?.open);
+  const close = toMinutes(hours?.close);
+  const length = Number(settings.slotMinutes);
+  if (open === null || close === null || !(length > 0)) return [];
+  const times = [];
+  for (let start = open; start + length <= close; start += length) times.push(toTime(start));
+  return times;
+};
+
+/**
+ * Counts existing appointments per day and per slot, as { days: { date: n }, slots: { 'date time': n } }.
+ */
+export const countAppointments = (bookings) => bookings.reduce((counts, booking) => {
+  if (!booking.appointmentDate || SLOT_RELEASING_STATUSES.includes(booking.status)) return counts;
+  counts.days[booking.appointmentDate] = (counts.days[booking.appointmentDate] || 0) + 1;
+  const slotKey = `${booking.appointmentDate} ${booking.appointmentTime}`;
+  counts.slots[slotKey] = (counts.slots[slotKey] || 0) + 1;
+  return counts;
+}, { days: {}, slots: {} });
+
+export const getBookingWindow = (settings, now) => {
+  const today = getShopClock(now, settings.timeZone).date;
+  return { from: today, to: addDays(today, Math.max(Number(settings.daysAhead) || 0, 0)) };
+};
+
+/**
+ * The free slots from today through `daysAhead`, as [{ date, weekday, times: ['09:00', ...] }].
+ * Days that are closed or full are left out, as are slots inside the minimum notice period.
+ */
+export const getAvailableSlots = (settings, counts, now) => {
+  const clock = getShopClock(now, settings.timeZone);
+  const earliest = clock.minutes + (Number(settings.minNoticeHours) || 0) * 60;
+  const { to } = getBookingWindow(settings, now);
+  const days = [];
+
+  for (let date = clock.date; date <= to; date = addDays(date, 1)) {
+    if ((counts.days[date] || 0) >= settings.dailyCapacity) continue;
+    const dayOffset = Math.round((new Date(`${date}T00:00:00Z`) - new Date(`${clock.date}T00:00:00Z`)) / 86400000);
+    const times = getDaySlotTimes(settings, date).filter(time => (
+      toMinutes(time) + dayOffset * 1440 >= earliest && (counts.slots[`${date} ${time}`] || 0) < settings.slotCapacity
+    ));
+    if (times.length) days.push({ date, weekday: getWeekday(date).label, times });
+  }
+  return days;
+};
+
+export const isSlotAvailable = (settings, counts, now, date, time) => (
+  getAvailableSlots(settings, counts, now).some(day => day.date === date && day.times.includes(time))
+);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Control characters have no place in a booking and are refused rather than stored; tabs and line
+// breaks are allowed for the multi-line fields. Other text is kept as typed and escaped where shown.
+const hasControlCharacters = (text) => /\p{Cc}/u.test(text.replace(/[\t\n\r]/g, ''));
+
+const FIELD_LIMITS = {
+  customerName: 80,
+  customerPhone: 30,
+  customerEmail: 120,
+  deviceModel: 80,
+  deviceIssue: 1000,
+  comments: 1000,
+};
+
+/**
+ * Checks a booking request from the public page. Returns { errors: { field: message }, value }
+ * where `value` holds the trimmed fields.
+ */
+export const validateBookingRequest = (input) => {
+  const value = Object.keys(FIELD_LIMITS).reduce((acc, field) => {
+    acc[field] = String(input?.[field] ?? '').trim();
+    return acc;
+  }, { date: String(input?.date || ''), time: String(input?.time || '') });
+  const errors = {};
+
+  Object.entries(FIELD_LIMITS).forEach(([field, limit]) => {
+    if (value[field].length > limit) errors[field] = `Please keep this under ${limit} characters.`;
+    else if (hasControlCharacters(value[field])) errors[field] = 'Please remove any hidden or special characters.';
+  });
+  if (!errors.customerName && value.customerName.length < 2) errors.customerName = 'Please enter your name.';
+  const phoneDigits = value.customerPhone.replace(/\D/g, '');
+  if (phoneDigits.length < 9 || phoneDigits.length > 15 || !/^\+?[\d\s()-]+$/.test(value.customerPhone)) {
+    errors.customerPhone = 'Please enter a valid phone number.';
+  }
+  if (value.customerEmail && !EMAIL_PATTERN.test(value.customerEmail)) errors.customerEmail = 'Please enter a valid email address.';
+  if (!value.deviceModel) errors.deviceModel = 'Please tell us which device needs repairing.';
+  if (!value.deviceIssue) errors.deviceIssue = 'Please describe the problem.';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value.date) || !/^\d{2}:\d{2}$/.test(value.time)) errors.slot = 'Please choose an appointment time.';
+
+  return { errors, value };
+};
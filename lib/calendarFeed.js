@@ -0,0 +1,37 @@
+/**
+ * The read-only bookings calendar feed. Calendar apps cannot sign in, so the feed URL carries the
+ * tenant ID and a random key stored on the shop profile as calendarFeed.key; resetting the key
+ * from the dashboard cuts off every existing subscription.
+ */
+import crypto from 'crypto';
+import { getShopProfile, getTenantCollection } from './firebaseAdmin';
+import { CLOSED_BOOKING_STATUSES, buildBookingsIcs } from './bookingCalendar';
+import { REPAIR_STATUS_ORDER } from './repairStatus';
+
+const OPEN_STATUSES = REPAIR_STATUS_ORDER.filter(status => !CLOSED_BOOKING_STATUSES.includes(status));
+
+// Feed names look like <userId>.<key>.ics; the extension is optional
+export const parseFeedName = (feedName) => {
+  const [userId, key, ...rest] = String(feedName || '').replace(/\.ics$/, '').split('.');
+  return userId && key && !rest.length ? { userId, key } : null;
+};
+
+const keysMatch = (expected, actual) => {
+  const left = Buffer.from(String(expected || ''));
+  const right = Buffer.from(String(actual || ''));
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Returns the iCalendar text for a genuine feed name, or null.
+ */
+export const getCalendarFeed = async (db, feedName, uidDomain) => {
+  const parsed = parseFeedName(feedName);
+  if (!parsed) return null;
+  const shopProfile = await getShopProfile(db, parsed.userId);
+  if (!keysMatch(shopProfile?.calendarFeed?.key, parsed.key)) return null;
+
+  const snapshot = await getTenantCollection(db, parsed.userId, 'bookings').where('status', 'in', OPEN_STATUSES).get();
+  const bookings = snapshot.docs.map(bookingDoc => ({ id: bookingDoc.id, ...bookingDoc.data() }));
+  return buildBookingsIcs(bookings, shopProfile, { uidDomain });
+};
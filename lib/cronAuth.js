@@ -0,0 +1,19 @@
+/**
+ * Scheduled jobs in vercel.json are called by Vercel with CRON_SECRET as a bearer token.
+ */
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+
+/**
+ * Returns a 401 response when the request does not carry CRON_SECRET, or null when it does.
+ * Cron routes are switched off entirely while CRON_SECRET is unset.
+ */
+export const requireCronSecret = (request) => {
+  const cronSecret = process.env.CRON_SECRET;
+  const given = Buffer.from(request.headers.get('authorization') || '');
+  const expected = Buffer.from(`Bearer ${cronSecret}`);
+  if (!cronSecret || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+  return null;
+};
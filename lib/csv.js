@@ -0,0 +1,61 @@
+/**
+ * Minimal CSV writing for exports and reading for statement imports. When writing, fields
+ * containing commas, quotes or line breaks are quoted.
+ */
+
+// Spreadsheets run a cell that starts with one of these as a formula. Customer names and
+// descriptions get a leading ' so they open as text; plain numbers such as -120.00 are left alone.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+const escapeCsvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+
+// Amounts are written with two decimals and no currency symbol so spreadsheets treat them as numbers
+export const formatCsvAmount = (amount) => (Math.round((amount || 0) * 100) / 100).toFixed(2);
+
+/**
+ * Parses CSV text into rows of strings. Handles quoted fields with embedded commas, quotes and
+ * line breaks; blank lines are dropped.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
@@ -0,0 +1,147 @@
+/**
+ * Customer account statements built from invoices, payments (including refunds) and credit notes.
+ * There is no separate customer record, so documents are grouped by a customer key derived from
+ * the phone number (or the name when no phone was captured).
+ */
+import { fromCents, toCents } from './invoiceCalculator';
+
+// Drafts were never issued and superseded invoices were replaced by a new revision
+const UNISSUED_INVOICE_STATUSES = ['Draft', 'Superseded'];
+
+export const AGEING_BUCKETS = [
+  { key: 'current', label: 'Current' },
+  { key: 'days30', label: '30 Days' },
+  { key: 'days60', label: '60 Days' },
+  { key: 'days90', label: '90+ Days' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (fromDate, toDate) => Math.floor((Date.parse(toDate) - Date.parse(fromDate)) / DAY_MS);
+
+// '+27 82 123 4567', '082-123-4567' and '0821234567' are the same customer
+export const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.startsWith('27') && digits.length === 11 ? `0${digits.substring(2)}` : digits;
+};
+
+export const getCustomerKey = (document) => {
+  const phone = normalizePhone(document.customerPhone);
+  return phone ? `phone:${phone}` : `name:${String(document.customerName || '').trim().toLowerCase()}`;
+};
+
+export const isIssuedInvoice = (invoice) => !UNISSUED_INVOICE_STATUSES.includes(invoice.status);
+
+/**
+ * One entry per customer with issued invoices, using the most recent invoice's contact details.
+ */
+export const listStatementCustomers = (invoices) => {
+  const customers = new Map();
+  invoices
+    .filter(isIssuedInvoice)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(invoice => {
+      const key = getCustomerKey(invoice);
+      const existing = customers.get(key);
+      customers.set(key, {
+        key,
+        customerName: invoice.customerName,
+        customerPhone: invoice.customerPhone,
+        customerAddress: invoice.customerAddress,
+        billTo: invoice.billTo,
+        invoiceCount: (existing?.invoiceCount || 0) + 1,
+      });
+    });
+  return [...customers.values()].sort((a, b) => a.customerName.localeCompare(b.customerName));
+};
+
+/**
+ * Builds a statement for one customer between `from` and `to` (inclusive ISO dates).
+ * Invoices and refunds are debits; payments and credit notes are credits. Ageing is worked
+ * out per invoice as at `to`, by days past its due date (the invoice date when it has none), from
+ * what was still unpaid on that date.
+ */
+export const buildCustomerStatement = ({ customerKey, invoices, payments, creditNotes, from, to }) => {
+  const customerInvoices = invoices.filter(invoice => isIssuedInvoice(invoice) && getCustomerKey(invoice) === customerKey);
+  const invoiceIds = new Set(customerInvoices.map(invoice => invoice.id));
+  const customerPayments = payments.filter(payment => invoiceIds.has(payment.invoiceId));
+  const customerCreditNotes = creditNotes.filter(creditNote => invoiceIds.has(creditNote.invoiceId));
+
+  const entries = [
+    ...customerInvoices.map(invoice => ({
+      date: invoice.date,
+      order: 0,
+      type: 'Invoice',
+      reference: invoice.invoiceNo,
+      description: invoice.relatedJobNo ? `Repair job #${invoice.relatedJobNo}` : (invoice.items || []).map(item => item.description).filter(Boolean).join(', '),
+      amountCents: toCents(invoice.totalAmount),
+    })),
+    ...customerCreditNotes.map(creditNote => ({
+      date: creditNote.date,
+      order: 1,
+      type: 'Credit Note',
+      reference: creditNote.creditNoteNo,
+      description: `Against ${creditNote.invoiceNo}: ${creditNote.reason}`,
+      amountCents: -toCents(creditNote.totalAmount),
+    })),
+    ...customerPayments.map(payment => ({
+      date: payment.date,
+      order: 2,
+      type: payment.type === 'Refund' ? 'Refund' : 'Payment',
+      reference: payment.reference || payment.invoiceNo,
+      description: `${payment.method} - ${payment.invoiceNo}`,
+      // Payments are stored positive and refunds negative; both reduce or restore what is owed
+      amountCents: -toCents(payment.amount),
+    })),
+  ].sort((a, b) => a.date.localeCompare(b.date) || a.order - b.order);
+
+  const openingCents = entries
+    .filter(entry => entry.date < from)
+    .reduce((sum, entry) => sum + entry.amountCents, 0);
+
+  let runningCents = openingCents;
+  const transactions = entries
+    .filter(entry => entry.date >= from && entry.date <= to)
+    .map(({ date, type, reference, description, amountCents }) => {
+      runningCents += amountCents;
+      return {
+        date,
+        type,
+        reference,
+        description,
+        debit: amountCents > 0 ? fromCents(amountCents) : 0,
+        credit: amountCents < 0 ? fromCents(-amountCents) : 0,
+        balance: fromCents(runningCents),
+      };
+    });
+
+  const ageingCents = { current: 0, days30: 0, days60: 0, days90: 0 };
+  customerInvoices
+    .filter(invoice => invoice.date <= to)
+    .forEach(invoice => {
+      const settledCents = [
+        ...customerPayments.filter(payment => payment.invoiceId === invoice.id && payment.date <= to).map(payment => toCents(payment.amount)),
+        ...customerCreditNotes.filter(creditNote => creditNote.invoiceId === invoice.id && creditNote.date <= to).map(creditNote => toCents(creditNote.totalAmount)),
+      ].reduce((sum, cents) => sum + cents, 0);
+      const outstandingCents = toCents(invoice.totalAmount) - settledCents;
+      if (outstandingCents === 0) return;
+
+      const age = daysBetween(invoice.dueDate || invoice.date, to);
+      const bucket = age >= 90 ? 'days90' : age >= 60 ? 'days60' : age >= 30 ? 'days30' : 'current';
+      ageingCents[bucket] += outstandingCents;
+    });
+
+  return {
+    from,
+    to,
+    openingBalance: fromCents(openingCents),
+    transactions,
+    totalDebits: fromCents(transactions.reduce((sum, entry) => sum + toCents(entry.debit), 0)),
+    totalCredits: fromCents(transactions.reduce((sum, entry) => sum + toCents(entry.credit), 0)),
+    closingBalance: fromCents(runningCents),
+    ageing: Object.keys(ageingCents).reduce((acc, bucket) => {
+      acc[bucket] = fromCents(ageingCents[bucket]);
+      return acc;
+    }, {}),
+  };
+};
@@ -0,0 +1,61 @@
+/**
+ * The condition a device was in when the shop took it in, recorded at check-in so a later claim
+ * of damage can be checked against it. Stored on the booking as `intake` ({ checks, accessories,
+ * passcodeProvided }), with photos uploaded to Firebase Storage listed in `intakePhotos`.
+ */
+
+// Each check needs an answer before the device is checked in; the first option means no damage.
+// `rowLabel` is the shorter label printed on slips, where it must fit beside the answer.
+export const INTAKE_CHECKS = [
+  { key: 'screen', label: 'Screen', options: ['No damage', 'Scratched', 'Cracked', 'Display fault', 'Not powering on'] },
+  { key: 'backGlass', label: 'Back glass', options: ['No damage', 'Scratched', 'Cracked', 'Not applicable'] },
+  { key: 'buttons', label: 'Buttons', options: ['All working', 'Faulty', 'Missing', 'Not tested'] },
+  { key: 'camera', label: 'Camera', options: ['Working', 'Lens cracked', 'Faulty', 'Not tested'] },
+  { key: 'waterDamage', label: 'Water-damage indicator', rowLabel: 'Water damage', options: ['Not triggered', 'Triggered', 'Not checked'] },
+];
+
+export const INTAKE_ACCESSORIES = ['SIM card', 'Memory card', 'Case', 'Charger', 'Cable', 'Stylus', 'Box'];
+
+// Only whether a passcode was given is stored; the passcode itself is never written down
+export const INTAKE_PASSCODE_OPTIONS = {
+  provided: 'Provided',
+  notProvided: 'Not provided',
+  noPasscode: 'Device has no passcode',
+};
+
+export const INTAKE_PHOTO_LIMIT = 8;
+export const INTAKE_PHOTO_MAX_SIZE = 1600; // longest side in pixels, after scaling down on the device
+export const INTAKE_PHOTO_MAX_BYTES = 10 * 1024 * 1024; // as picked, before scaling
+
+export const EMPTY_INTAKE = {
+  checks: Object.fromEntries(INTAKE_CHECKS.map(({ key }) => [key, ''])),
+  accessories: [],
+  passcodeProvided: '',
+};
+
+/**
+ * The labels of the checklist questions that have no answer yet.
+ */
+export const getMissingIntakeChecks = (intake) => [
+  ...INTAKE_CHECKS.filter(({ key }) => !intake?.checks?.[key]).map(({ label }) => label),
+  ...(intake?.passcodeProvided ? [] : ['Passcode']),
+];
+
+/**
+ * The checklist as [label, value] rows for slips and the repair form. Jobs booked in before the
+ * checklist existed have no `intake` and give no rows.
+ */
+export const getIntakeRows = (intake) => {
+  if (!intake) return [];
+  return [
+    ...INTAKE_CHECKS.map(({ key, label, rowLabel }) => [`${rowLabel || label}:`, intake.checks?.[key]]),
+    ['Accessories Left:', intake.accessories?.length ? intake.accessories.join(', ') : 'None'],
+    ['Passcode:', INTAKE_PASSCODE_OPTIONS[intake.passcodeProvided]],
+  ].filter(([, value]) => value);
+};
+
+// Storage object names keep only safe characters and are prefixed to stay unique within the job
+export const getIntakePhotoName = (fileName, index, now = Date.now()) => {
+  const base = String(fileName || 'photo').replace(/\.[^.]*$/, '').replace(/[^a-zA-Z0-9_-]+/g, '-').slice(0, 40) || 'photo';
+  return `${now}-${index + 1}-${base}.jpg`;
+};
@@ -0,0 +1,64 @@
+/**
+ * Shop branding for customer-facing documents (invoices, credit notes, statements, quotations,
+ * BER reports and book-in slips). The same settings drive the on-screen previews and the PDFs, so
+ * a document looks the same on screen, on paper and in the customer's inbox.
+ */
+
+export const DOCUMENT_LAYOUTS = {
+  classic: { label: 'Classic', description: 'Logo and shop details on the left, document title on the right' },
+  banner: { label: 'Banner', description: 'Shop name and title on a band in the brand colour' },
+  centred: { label: 'Centred', description: 'Logo, shop details and title centred above the document' },
+};
+
+// Terms printed at the end of each kind of document
+export const DOCUMENT_TERMS = {
+  invoiceTerms: 'Invoices and credit notes',
+  quotationTerms: 'Quotations and BER reports',
+  bookInTerms: 'Book-in slips',
+};
+
+// The defaults reproduce the documents' original indigo styling
+export const DEFAULT_BRANDING = {
+  logoDataUrl: '',
+  primaryColor: '#3730a3',
+  accentColor: '#f3f4f6',
+  layout: 'classic',
+  footerText: '',
+  invoiceTerms: '',
+  quotationTerms: '',
+  bookInTerms: '',
+};
+
+// Logos are stored on the shop profile as data URLs, so they are scaled down before saving
+export const LOGO_MAX_WIDTH = 480;
+export const LOGO_MAX_HEIGHT = 240;
+export const LOGO_MAX_BYTES = 200 * 1024;
+
+export const isHexColor = (value) => /^#[0-9a-f]{6}$/i.test(value || '');
+
+export const getBranding = (shopProfile) => {
+  const branding = { ...DEFAULT_BRANDING, ...(shopProfile?.branding || {}) };
+  return {
+    ...branding,
+    primaryColor: isHexColor(branding.primaryColor) ? branding.primaryColor : DEFAULT_BRANDING.primaryColor,
+    accentColor: isHexColor(branding.accentColor) ? branding.accentColor : DEFAULT_BRANDING.accentColor,
+    layout: DOCUMENT_LAYOUTS[branding.layout] ? branding.layout : DEFAULT_BRANDING.layout,
+  };
+};
+
+export const hexToRgb = (hex) => [1, 3, 5].map(start => parseInt(hex.substring(start, start + 2), 16));
+
+// Black or white, whichever reads better on the given background (WCAG relative luminance)
+export const getContrastColor = (hex) => {
+  const [r, g, b] = hexToRgb(hex).map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.4 ? '#111827' : '#ffffff';
+};
+
+// Width and height that fit an image of the given size into a box without distorting it
+export const fitWithin = (width, height, maxWidth, maxHeight) => {
+  const scale = Math.min(maxWidth / width, maxHeight / height, 1);
+  return { width: width * scale, height: height * scale };
+};
@@ -0,0 +1,28 @@
+/**
+ * Document numbering settings, shared by the dashboard and server-side jobs that issue numbers.
+ * Numbers are allocated from the tenant's counters/{type} document and registered in
+ * documentNumbers/{number}, so both sides draw from the same sequence.
+ */
+
+// Default numbering per document type; prefix and padding can be overridden in Settings
+export const DOCUMENT_NUMBERING_DEFAULTS = {
+  invoice: { label: 'Tax Invoices', prefix: 'INV-', padding: 5 },
+  repairJob: { label: 'Repair Jobs (Walk-in)', prefix: 'JOB-', padding: 5 },
+  onlineRequest: { label: 'Online Requests', prefix: 'REQ-', padding: 5 },
+  quotation: { label: 'Quotations', prefix: 'QUO-', padding: 5 },
+  creditNote: { label: 'Credit Notes', prefix: 'CN-', padding: 5 },
+};
+
+// Numbers already taken (e.g. after a prefix change) are skipped at most this many times
+export const MAX_NUMBER_SKIPS = 25;
+
+export const getNumberingConfig = (shopProfile, type) => {
+  const defaults = DOCUMENT_NUMBERING_DEFAULTS[type];
+  const custom = shopProfile?.numbering?.[type] || {};
+  return {
+    prefix: custom.prefix ?? defaults.prefix,
+    padding: parseInt(custom.padding, 10) || defaults.padding,
+  };
+};
+
+export const formatDocumentNumber = (prefix, padding, sequence) => `${prefix}${String(sequence).padStart(padding, '0')}`;
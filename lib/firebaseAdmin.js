@@ -0,0 +1,87 @@
+/**
+ * Server-side Firestore access for API routes and scheduled jobs. The dashboard talks to
+ * Firestore directly from the browser; anything that runs without a signed-in user
+ * (cron jobs, webhooks, public pages) goes through the Admin SDK instead.
+ */
+import { cert, getApps, initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+import { MAX_NUMBER_SKIPS, formatDocumentNumber, getNumberingConfig } from './documentNumbers';
+
+// Must match the app ID the dashboard runs under (__app_id in the browser)
+export const APP_ID = process.env.APP_ID || 'default-app-id';
+
+const ensureAdminApp = () => {
+  if (getApps().length === 0) {
+    // FIREBASE_SERVICE_ACCOUNT holds the service account JSON. Without it the SDK falls back to
+    // application default credentials, or to FIRESTORE_EMULATOR_HOST when running locally.
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+    initializeApp(serviceAccount
+      ? { credential: cert(JSON.parse(serviceAccount)) }
+      : { projectId: process.env.FIREBASE_PROJECT_ID });
+  }
+};
+
+export const getAdminDb = () => {
+  ensureAdminApp();
+  return getFirestore();
+};
+
+/**
+ * Routes called from the dashboard send the signed-in user's Firebase ID token as a bearer token.
+ * Returns the user's ID (which is also their tenant ID), or null when the token is missing or invalid.
+ */
+export const getRequestUserId = async (request) => {
+  const match = (request.headers.get('authorization') || '').match(/^Bearer (.+)$/);
+  if (!match) return null;
+  ensureAdminApp();
+  try {
+    const decoded = await getAuth().verifyIdToken(match[1]);
+    return decoded.uid;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Mirrors getTenantPath in the dashboard: artifacts/{appId}/users/{userId}/{collectionName}
+export const getTenantCollection = (db, userId, collectionName) => (
+  db.collection(`artifacts/${APP_ID}/users/${userId}/${collectionName}`)
+);
+
+export const getShopProfile = async (db, userId) => {
+  const snapshot = await db.doc(`artifacts/${APP_ID}/users/${userId}/profile/data`).get();
+  return snapshot.exists ? snapshot.data() : null;
+};
+
+// Tenant documents usually have no fields of their own, so list references rather than query
+export const listTenantIds = async (db) => {
+  const tenantRefs = await db.collection(`artifacts/${APP_ID}/users`).listDocuments();
+  return tenantRefs.map(ref => ref.id);
+};
+
+/**
+ * Allocates the next document number inside an Admin SDK transaction, drawing from the same
+ * counters/{type} sequence and documentNumbers registry as the dashboard. It reads before it
+ * writes, so callers must do all of their own reads first.
+ */
+export const allocateDocumentNumber = async (transaction, db, userId, shopProfile, type) => {
+  const { prefix, padding } = getNumberingConfig(shopProfile, type);
+  const counterRef = getTenantCollection(db, userId, 'counters').doc(type);
+  const counterSnap = await transaction.get(counterRef);
+  let sequence = counterSnap.exists ? counterSnap.data().next : 1;
+
+  for (let attempt = 0; attempt < MAX_NUMBER_SKIPS; attempt++) {
+    const number = formatDocumentNumber(prefix, padding, sequence);
+    const registryRef = getTenantCollection(db, userId, 'documentNumbers').doc(number);
+    const registrySnap = await transaction.get(registryRef);
+
+    if (!registrySnap.exists) {
+      const now = new Date().toISOString();
+      transaction.set(counterRef, { next: sequence + 1, prefix, padding, updatedAt: now }, { merge: true });
+      transaction.set(registryRef, { type, sequence, allocatedAt: now });
+      return number;
+    }
+    sequence++;
+  }
+  throw new Error(`Could not allocate a unique ${type} number after ${MAX_NUMBER_SKIPS} attempts. Check the numbering settings.`);
+};
@@ -0,0 +1,153 @@
+/**
+ * Shared VAT and discount engine for invoices, repair invoices, quotations and credit notes.
+ * All arithmetic is done in integer cents; amounts are converted back to rands only for storage
+ * and display, so totals never drift through floating-point error.
+ */
+
+export const DEFAULT_VAT_RATE = 15; // South African standard VAT rate
+
+// Per-line tax categories. Zero-rated and exempt supplies both carry no VAT,
+// but are reported separately on the VAT201 return.
+export const TAX_CATEGORIES = {
+  standard: { label: 'Standard', code: 'S' },
+  zero: { label: 'Zero-rated', code: 'Z' },
+  exempt: { label: 'Exempt', code: 'E' },
+};
+
+export const toCents = (amount) => Math.round((parseFloat(amount) || 0) * 100);
+
+export const fromCents = (cents) => cents / 100;
+
+// Older documents have a single isVatExempt flag instead of per-line categories
+export const getLineTaxCategory = (item, document = {}) => {
+  if (item.taxCategory && TAX_CATEGORIES[item.taxCategory]) return item.taxCategory;
+  return document.isVatExempt ? 'exempt' : 'standard';
+};
+
+/**
+ * Splits totalCents across weights in proportion, handing leftover cents to the largest
+ * remainders so the parts always add up to exactly totalCents.
+ */
+export const allocateCents = (totalCents, weights) => {
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weightTotal <= 0 || totalCents === 0) return weights.map(() => 0);
+
+  const shares = weights.map(weight => (totalCents * weight) / weightTotal);
+  const allocated = shares.map(share => Math.floor(share));
+  let remainder = totalCents - allocated.reduce((sum, cents) => sum + cents, 0);
+
+  shares
+    .map((share, index) => ({ index, fraction: share - Math.floor(share) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        allocated[index] += 1;
+        remainder -= 1;
+      }
+    });
+  return allocated;
+};
+
+// VAT contained in a VAT-inclusive amount, e.g. 115.00 at 15% contains 15.00
+const vatFromInclusive = (inclusiveCents, rate) => Math.round((inclusiveCents * rate) / (100 + rate));
+
+/**
+ * Calculates a document from its line items.
+ *
+ * document.items: [{ id, description, qty, unitPrice, discountPercent, taxCategory }]
+ * document.pricesIncludeVat: unit prices were entered including VAT
+ * document.invoiceDiscount: { type: 'percent' | 'amount', value } applied after line discounts
+ * document.taxRate: the standard VAT rate in percent
+ *
+ * VAT is calculated once per tax category (not per line) and rounded to the cent. The invoice
+ * discount is apportioned across lines so each category's VAT reflects the discount.
+ * Returns rand amounts ready to store on the document plus a per-category breakdown.
+ */
+export const calculateDocumentTotals = (document) => {
+  const rate = document.taxRate ?? DEFAULT_VAT_RATE;
+  const pricesIncludeVat = !!document.pricesIncludeVat;
+  const items = document.items || [];
+
+  const lines = items.map(item => {
+    const grossCents = Math.round((parseFloat(item.qty) || 0) * toCents(item.unitPrice));
+    const lineDiscountCents = Math.round(grossCents * ((parseFloat(item.discountPercent) || 0) / 100));
+    return {
+      id: item.id,
+      taxCategory: getLineTaxCategory(item, document),
+      grossCents,
+      lineDiscountCents,
+      netCents: grossCents - lineDiscountCents,
+    };
+  });
+
+  const netTotalCents = lines.reduce((sum, line) => sum + line.netCents, 0);
+  const discount = document.invoiceDiscount || {};
+  let invoiceDiscountCents = discount.type === 'amount'
+    ? toCents(discount.value)
+    : Math.round(netTotalCents * ((parseFloat(discount.value) || 0) / 100));
+  invoiceDiscountCents = Math.min(Math.max(invoiceDiscountCents, 0), Math.max(netTotalCents, 0));
+
+  const discountShares = allocateCents(invoiceDiscountCents, lines.map(line => Math.max(line.netCents, 0)));
+  lines.forEach((line, index) => {
+    line.invoiceDiscountCents = discountShares[index];
+    line.finalCents = line.netCents - discountShares[index];
+  });
+
+  const breakdown = Object.keys(TAX_CATEGORIES).reduce((acc, category) => {
+    const categoryLines = lines.filter(line => line.taxCategory === category);
+    const amountCents = categoryLines.reduce((sum, line) => sum + line.finalCents, 0);
+    const categoryRate = category === 'standard' ? rate : 0;
+
+    let exclusiveCents;
+    let vatCents;
+    if (pricesIncludeVat) {
+      vatCents = vatFromInclusive(amountCents, categoryRate);
+      exclusiveCents = amountCents - vatCents;
+    } else {
+      exclusiveCents = amountCents;
+      vatCents = Math.round((exclusiveCents * categoryRate) / 100);
+    }
+    acc[category] = { rate: categoryRate, exclusiveCents, vatCents };
+    return acc;
+  }, {});
+
+  // Per-line VAT-exclusive value after all discounts, used when crediting individual lines
+  lines.forEach(line => {
+    const lineRate = line.taxCategory === 'standard' ? rate : 0;
+    line.exclusiveCents = pricesIncludeVat ? line.finalCents - vatFromInclusive(line.finalCents, lineRate) : line.finalCents;
+  });
+
+  const subtotalCents = Object.values(breakdown).reduce((sum, category) => sum + category.exclusiveCents, 0);
+  const taxCents = Object.values(breakdown).reduce((sum, category) => sum + category.vatCents, 0);
+  const discountCents = lines.reduce((sum, line) => sum + line.lineDiscountCents, 0) + invoiceDiscountCents;
+
+  return {
+    items: items.map((item, index) => ({
+      ...item,
+      taxCategory: lines[index].taxCategory,
+      total: fromCents(lines[index].netCents),
+    })),
+    lines,
+    subtotal: fromCents(subtotalCents),
+    discountTotal: fromCents(discountCents),
+    taxAmount: fromCents(taxCents),
+    totalAmount: fromCents(subtotalCents + taxCents),
+    vatBreakdown: Object.keys(breakdown).reduce((acc, category) => {
+      acc[category] = {
+        rate: breakdown[category].rate,
+        taxable: fromCents(breakdown[category].exclusiveCents),
+        vat: fromCents(breakdown[category].vatCents),
+      };
+      return acc;
+    }, {}),
+  };
+};
+
+/**
+ * The fields a stored document keeps from the calculation (everything except the working lines).
+ */
+export const getStoredTotals = (document) => {
+  const totals = calculateDocumentTotals(document);
+  delete totals.lines;
+  return totals;
+};
@@ -0,0 +1,20 @@
+/**
+ * Invoice balance and payment status rules shared by the dashboard and the server routes that
+ * record payments (gateway webhooks).
+ */
+
+// Payments can only be recorded against invoices in these statuses
+export const PAYABLE_INVOICE_STATUSES = ['Sent', 'Partially Paid'];
+
+export const roundCurrency = (amount) => Math.round((amount || 0) * 100) / 100;
+
+// Sent -> Partially Paid -> Paid, driven by how much has been received; credit notes reduce what is owed
+export const getInvoicePaymentStatus = (totalAmount, amountPaid, amountCredited = 0) => {
+  const amountOwed = roundCurrency(totalAmount - amountCredited);
+  if (amountOwed <= 0) return 'Credited';
+  if (roundCurrency(amountPaid) <= 0) return 'Sent';
+  if (roundCurrency(amountPaid) < amountOwed) return 'Partially Paid';
+  return 'Paid';
+};
+
+export const getInvoiceBalance = (invoice) => roundCurrency(invoice.totalAmount - (invoice.amountPaid || 0) - (invoice.amountCredited || 0));
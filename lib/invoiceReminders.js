@@ -0,0 +1,115 @@
+/**
+ * Scheduled overdue reminders. Run once a day by /api/cron/invoice-reminders: for every tenant
+ * with reminders enabled, each overdue invoice that has reached a new stage of the reminder
+ * sequence is sent one reminder by SMS and/or email, and every attempt is logged to the
+ * tenant's invoiceReminders collection.
+ */
+import { FieldValue } from 'firebase-admin/firestore';
+import { getShopProfile, getTenantCollection, listTenantIds } from './firebaseAdmin';
+import { getInvoiceBalance } from './invoicePayments';
+import { sendEmail, sendSms } from './messaging';
+import { OVERDUE_ELIGIBLE_STATUSES, getDaysOverdue, getDueReminderStage, getReminderSettings, toIsoDate } from './paymentTerms';
+
+export const buildReminderMessage = (invoice, shopProfile, today) => {
+  const shopName = shopProfile?.companyName || 'Your repair shop';
+  const amount = `${shopProfile?.currency || 'ZAR'} ${getInvoiceBalance(invoice).toFixed(2)}`;
+  const daysOverdue = getDaysOverdue(invoice, today);
+  const contact = shopProfile?.emailPhone ? ` Queries: ${shopProfile.emailPhone}.` : '';
+  // Only offer the payment link while it is still for the amount owed
+  const link = invoice.paymentLink;
+  const payOnline = link?.status === 'Open' && link.amount === getInvoiceBalance(invoice) ? ` Pay online: ${link.url}` : '';
+
+  return {
+    subject: `Payment reminder: invoice ${invoice.invoiceNo} is ${daysOverdue} days overdue`,
+    text: `${shopName}: invoice ${invoice.invoiceNo} was due on ${invoice.dueDate} and is ${daysOverdue} days overdue. `
+      + `Outstanding balance: ${amount}. Please pay using reference ${invoice.invoiceNo}.${payOnline}${contact}`,
+  };
+};
+
+const sendOnChannel = async (channel, invoice, message) => {
+  if (channel === 'sms') {
+    if (!invoice.customerPhone) throw new Error('No customer phone number on the invoice.');
+    await sendSms(invoice.customerPhone, message.text);
+    return invoice.customerPhone;
+  }
+  if (!invoice.customerEmail) throw new Error('No customer email address on the invoice.');
+  await sendEmail({ to: invoice.customerEmail, subject: message.subject, text: message.text });
+  return invoice.customerEmail;
+};
+
+/**
+ * Sends one reminder stage for an invoice and logs each channel attempt. The stage is only marked
+ * as sent when at least one channel succeeded, so a failed reminder is retried on the next run.
+ */
+export const sendInvoiceReminder = async (db, userId, invoice, shopProfile, stage, channelSetting, today) => {
+  const channels = channelSetting === 'both' ? ['sms', 'email'] : [channelSetting];
+  const message = buildReminderMessage(invoice, shopProfile, today);
+  const remindersRef = getTenantCollection(db, userId, 'invoiceReminders');
+  const results = [];
+
+  for (const channel of channels) {
+    const logEntry = {
+      invoiceId: invoice.id,
+      invoiceNo: invoice.invoiceNo,
+      customerName: invoice.customerName,
+      stage,
+      daysOverdue: getDaysOverdue(invoice, today),
+      balanceDue: getInvoiceBalance(invoice),
+      channel,
+      message: message.text,
+      sentAt: new Date().toISOString(),
+    };
+    try {
+      const recipient = await sendOnChannel(channel, invoice, message);
+      await remindersRef.add({ ...logEntry, to: recipient, status: 'Sent' });
+      results.push({ channel, status: 'Sent' });
+    } catch (e) {
+      await remindersRef.add({ ...logEntry, to: null, status: 'Failed', error: e.message });
+      results.push({ channel, status: 'Failed', error: e.message });
+    }
+  }
+
+  if (results.some(result => result.status === 'Sent')) {
+    await getTenantCollection(db, userId, 'invoices').doc(invoice.id).update({
+      remindersSent: FieldValue.arrayUnion(stage),
+      lastReminderAt: new Date().toISOString(),
+    });
+  }
+  return results;
+};
+
+/**
+ * Sends the day's due reminders for every tenant. A tenant whose reminders fail to load or send is
+ * listed in `summary.errors` and the run moves on, so one shop's bad data cannot stop the others.
+ */
+export const runInvoiceReminders = async (db, today = toIsoDate(new Date())) => {
+  const summary = { date: today, tenants: 0, invoicesChecked: 0, sent: 0, failed: 0, errors: [] };
+
+  for (const userId of await listTenantIds(db)) {
+    try {
+      const shopProfile = await getShopProfile(db, userId);
+      const settings = getReminderSettings(shopProfile);
+      if (!settings.enabled) continue;
+      summary.tenants += 1;
+
+      const snapshot = await getTenantCollection(db, userId, 'invoices')
+        .where('status', 'in', OVERDUE_ELIGIBLE_STATUSES)
+        .get();
+
+      for (const invoiceDoc of snapshot.docs) {
+        const invoice = { id: invoiceDoc.id, ...invoiceDoc.data() };
+        summary.invoicesChecked += 1;
+        const stage = getDueReminderStage(invoice, settings, today);
+        if (stage === null) continue;
+
+        const results = await sendInvoiceReminder(db, userId, invoice, shopProfile, stage, settings.channel, today);
+        summary.sent += results.filter(result => result.status === 'Sent').length;
+        summary.failed += results.filter(result => result.status === 'Failed').length;
+      }
+    } catch (e) {
+      console.error(`Invoice reminders failed for tenant ${userId}:`, e);
+      summary.errors.push({ userId, error: e.message });
+    }
+  }
+  return summary;
+};
@@ -0,0 +1,42 @@
+/**
+ * Outbound SMS and email for server-side jobs. Both channels are configured through
+ * environment variables and throw when they are not, so callers can log the failure.
+ */
+import nodemailer from 'nodemailer';
+
+/**
+ * Sends an SMS through an HTTP gateway that accepts { to, message, sender } as JSON
+ * (most South African bulk SMS providers offer such an endpoint).
+ */
+export const sendSms = async (to, message) => {
+  const gatewayUrl = process.env.SMS_GATEWAY_URL;
+  if (!gatewayUrl) throw new Error('SMS gateway is not configured (SMS_GATEWAY_URL).');
+
+  const response = await fetch(gatewayUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.SMS_GATEWAY_API_KEY ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}` } : {}),
+    },
+    body: JSON.stringify({ to, message, sender: process.env.SMS_SENDER_ID || undefined }),
+  });
+  if (!response.ok) {
+    throw new Error(`SMS gateway responded with ${response.status}: ${await response.text()}`);
+  }
+};
+
+let transporter = null;
+
+export const sendEmail = async ({ to, subject, text }) => {
+  if (!process.env.SMTP_HOST) throw new Error('Email is not configured (SMTP_HOST).');
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+    });
+  }
+  await transporter.sendMail({ from: process.env.SMTP_FROM, to, subject, text });
+};
@@ -0,0 +1,106 @@
+/**
+ * Delivery providers for customer notifications, one per channel. Every provider exposes
+ * send({ to, subject, text }) and returns { providerMessageId }; it throws when the message was
+ * not accepted, so the caller can log the failure and retry.
+ *
+ * NOTIFICATION_PROVIDER=fake sends every channel to the in-memory fake provider instead, for local
+ * development and tests.
+ */
+import { sendEmail, sendSms } from './messaging';
+
+const requireEnv = (name) => {
+  const value = process.env[name];
+  if (!value) throw new Error(`${name} is not configured.`);
+  return value;
+};
+
+/**
+ * Converts a local number such as 082 123 4567 to the international form the WhatsApp API expects
+ * (27821234567), using WHATSAPP_DEFAULT_COUNTRY_CODE for numbers without one.
+ */
+export const toInternationalNumber = (phone, countryCode = process.env.WHATSAPP_DEFAULT_COUNTRY_CODE || '27') => {
+  const trimmed = String(phone || '').trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (trimmed.startsWith('+')) return digits;
+  if (digits.startsWith('00')) return digits.substring(2);
+  return digits.startsWith('0') ? `${countryCode}${digits.substring(1)}` : digits;
+};
+
+const sms = {
+  label: 'SMS gateway',
+  send: async ({ to, text }) => {
+    await sendSms(to, text);
+    return { providerMessageId: null };
+  },
+};
+
+// --- WhatsApp Business Cloud API ---
+
+// Free-form text is only delivered inside the 24-hour customer service window. Set
+// WHATSAPP_TEMPLATE_NAME to send through an approved template with the message as its one parameter.
+const buildWhatsAppMessage = (to, text) => {
+  const templateName = process.env.WHATSAPP_TEMPLATE_NAME;
+  if (!templateName) return { messaging_product: 'whatsapp', to, type: 'text', text: { body: text } };
+  return {
+    messaging_product: 'whatsapp',
+    to,
+    type: 'template',
+    template: {
+      name: templateName,
+      language: { code: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en' },
+      components: [{ type: 'body', parameters: [{ type: 'text', text }] }],
+    },
+  };
+};
+
+const whatsapp = {
+  label: 'WhatsApp Business',
+  send: async ({ to, text }) => {
+    const phoneNumberId = requireEnv('WHATSAPP_PHONE_NUMBER_ID');
+    const version = process.env.WHATSAPP_API_VERSION || 'v19.0';
+    const response = await fetch(`https://graph.facebook.com/${version}/${phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${requireEnv('WHATSAPP_ACCESS_TOKEN')}` },
+      body: JSON.stringify(buildWhatsAppMessage(toInternationalNumber(to), text)),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`WhatsApp API responded with ${response.status}: ${result.error?.message || 'unknown error'}`);
+    }
+    return { providerMessageId: result.messages?.[0]?.id || null };
+  },
+};
+
+const email = {
+  label: 'SMTP email',
+  send: async ({ to, subject, text }) => {
+    await sendEmail({ to, subject, text });
+    return { providerMessageId: null };
+  },
+};
+
+// --- Fake provider for local development and tests ---
+
+const fakeOutbox = [];
+
+// Messages to a recipient containing "fail" are rejected, so failures and retries can be exercised
+const fake = {
+  label: 'Test provider',
+  send: async ({ channel, to, subject, text }) => {
+    if (String(to).includes('fail')) throw new Error(`Test provider rejected the message to ${to}.`);
+    const providerMessageId = `fake_${fakeOutbox.length + 1}`;
+    fakeOutbox.push({ providerMessageId, channel, to, subject, text });
+    return { providerMessageId };
+  },
+};
+
+export const getFakeOutbox = () => fakeOutbox;
+
+export const NOTIFICATION_PROVIDERS = { sms, whatsapp, email, fake };
+
+export const getNotificationProvider = (channel) => {
+  if (process.env.NOTIFICATION_PROVIDER === 'fake') return fake;
+  const provider = NOTIFICATION_PROVIDERS[channel];
+  if (!provider || provider === fake) throw new Error(`Unknown notification channel "${channel}".`);
+  return provider;
+};
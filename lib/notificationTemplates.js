@@ -0,0 +1,88 @@
+/**
+ * Customer status messages. Each repair status has a template with {placeholders}; shops edit
+ * the templates and choose the channels under Settings > Customer Notifications.
+ */
+
+export const NOTIFICATION_CHANNELS = { sms: 'SMS', whatsapp: 'WhatsApp', email: 'Email' };
+
+// Delivery log states: queued (waiting for its first or next attempt), sent, or failed for good
+export const DELIVERY_STATUSES = { queued: 'Queued', sent: 'Sent', failed: 'Failed' };
+
+// Attempts per message, and the wait before each retry
+export const MAX_DELIVERY_ATTEMPTS = 4;
+export const RETRY_DELAYS_MINUTES = [5, 30, 120];
+
+export const NOTIFICATION_PLACEHOLDERS = {
+  customerName: 'Customer name',
+  firstName: 'Customer first name',
+  jobNo: 'Job or request number',
+  status: 'Repair status',
+  deviceModel: 'Device',
+  appointment: 'Appointment date and time',
+  invoiceNo: 'Invoice number',
+  shopName: 'Shop name',
+  shopContact: 'Shop contact details',
+  trackingUrl: 'Tracking page link',
+};
+
+export const DEFAULT_STATUS_TEMPLATES = {
+  'New Request': 'Hi {firstName}, {shopName} has received your repair request {jobNo} for your {deviceModel}. Appointment: {appointment}. We will confirm it shortly.',
+  'Confirmed': 'Hi {firstName}, your {deviceModel} is booked in with {shopName} as job {jobNo}. Track it at {trackingUrl}',
+  'In Progress': 'Hi {firstName}, a technician is now working on your {deviceModel} (job {jobNo}). Track it at {trackingUrl}',
+  'Awaiting Parts': 'Hi {firstName}, we are waiting for parts for your {deviceModel} (job {jobNo}). We will let you know when they arrive.',
+  'Testing': 'Hi {firstName}, the repair on your {deviceModel} (job {jobNo}) is done and it is being tested.',
+  'Ready for Collection': 'Hi {firstName}, your {deviceModel} (job {jobNo}) is ready for collection at {shopName}. Please bring your book-in slip.',
+  'Collected': 'Hi {firstName}, thank you for choosing {shopName}. Your {deviceModel} (job {jobNo}) has been collected. Invoice: {invoiceNo}',
+  'Unable To Repair': 'Hi {firstName}, unfortunately we could not repair your {deviceModel} (job {jobNo}). Please contact {shopName} on {shopContact} to arrange collection.',
+};
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  channels: { sms: true, whatsapp: false, email: false },
+  emailSubject: '{shopName}: repair {jobNo} is {status}',
+  templates: DEFAULT_STATUS_TEMPLATES,
+};
+
+export const getNotificationSettings = (shopProfile) => ({
+  ...DEFAULT_NOTIFICATION_SETTINGS,
+  ...(shopProfile?.notifications || {}),
+  channels: { ...DEFAULT_NOTIFICATION_SETTINGS.channels, ...(shopProfile?.notifications?.channels || {}) },
+  templates: { ...DEFAULT_STATUS_TEMPLATES, ...(shopProfile?.notifications?.templates || {}) },
+});
+
+export const getEnabledChannels = (settings) => Object.keys(NOTIFICATION_CHANNELS).filter(channel => settings.channels[channel]);
+
+// Unknown placeholders are left in place so a typo shows up in the message rather than vanishing
+export const renderTemplate = (template, values) => String(template || '').replace(/\{(\w+)\}/g, (match, name) => (
+  name in values ? String(values[name] ?? '') : match
+));
+
+export const buildNotificationValues = (booking, shopProfile, status, { trackingUrl = '' } = {}) => ({
+  customerName: booking.customerName || '',
+  firstName: String(booking.customerName || '').trim().split(/\s+/)[0] || 'there',
+  jobNo: booking.invoiceNo || '',
+  status,
+  deviceModel: booking.deviceModel || 'device',
+  appointment: booking.appointmentDate ? `${booking.appointmentDate} ${booking.appointmentTime || ''}`.trim() : 'to be confirmed',
+  invoiceNo: booking.generatedInvoice?.invoiceNo || 'to follow',
+  shopName: shopProfile?.companyName || 'your repair shop',
+  shopContact: shopProfile?.emailPhone || 'the shop',
+  trackingUrl,
+});
+
+/**
+ * The message for a status as { subject, text }, or null when the shop has no template for it.
+ */
+export const buildStatusMessage = (booking, shopProfile, status, options) => {
+  const settings = getNotificationSettings(shopProfile);
+  const template = settings.templates[status];
+  if (!String(template || '').trim()) return null;
+  const values = buildNotificationValues(booking, shopProfile, status, options);
+  return { subject: renderTemplate(settings.emailSubject, values), text: renderTemplate(template, values) };
+};
+
+// When the next attempt is due after `attempts` failures, or null once they are used up
+export const getNextAttemptAt = (attempts, now) => {
+  if (attempts >= MAX_DELIVERY_ATTEMPTS) return null;
+  const delay = RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1] || 0;
+  return new Date(now.getTime() + delay * 60000).toISOString();
+};
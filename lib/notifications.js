@@ -0,0 +1,162 @@
+/**
+ * Customer status notifications. Every message is written to the tenant's notifications collection
+ * before it is sent, one entry per channel, and the entry records each attempt: 'queued' until it
+ * is delivered or its attempts run out, then 'sent' or 'failed'. Entries that fail are retried by
+ * /api/cron/notification-retries with increasing delays.
+ */
+import { getShopProfile, getTenantCollection, listTenantIds } from './firebaseAdmin';
+import { getNotificationProvider } from './notificationProviders';
+import { NOTIFICATION_CHANNELS, buildStatusMessage, getEnabledChannels, getNextAttemptAt, getNotificationSettings } from './notificationTemplates';
+import { getTrackingLookupPath } from './repairTracking';
+import { getTrackingUrl } from './trackingLinks';
+
+// While an attempt is running the entry is leased (`leasedUntil`), so neither the retry job nor a
+// manual retry can send it a second time
+const DELIVERY_LEASE_MS = 2 * 60 * 1000;
+
+export const getNotificationsCollection = (db, userId) => getTenantCollection(db, userId, 'notifications');
+
+const getRecipient = (channel, booking) => (channel === 'email' ? booking.customerEmail : booking.customerPhone) || '';
+
+// Signed links need TRACKING_LINK_SECRET; without it customers get the shop's lookup page instead
+const getBookingTrackingUrl = (baseUrl, userId, bookingId, shopProfile) => {
+  try {
+    return getTrackingUrl(baseUrl, userId, bookingId);
+  } catch (e) {
+    return `${baseUrl}${getTrackingLookupPath(shopProfile)}`;
+  }
+};
+
+/**
+ * Takes the lease on a queued entry that is due, or with `manual` on any entry not yet sent, which
+ * starts a failed entry's attempts afresh. Returns the entry's data, or null when it is not due,
+ * already sent, or another attempt holds the lease.
+ */
+const claimNotification = (db, ref, now, { manual = false } = {}) => db.runTransaction(async (transaction) => {
+  const snapshot = await transaction.get(ref);
+  if (!snapshot.exists) return null;
+  const entry = snapshot.data();
+  if (entry.leasedUntil && entry.leasedUntil > now.toISOString()) return null;
+  if (manual ? entry.status === 'sent' : (entry.status !== 'queued' || entry.nextAttemptAt > now.toISOString())) return null;
+  const leasedUntil = new Date(now.getTime() + DELIVERY_LEASE_MS).toISOString();
+  const restart = manual && entry.status === 'failed' ? { attempts: 0 } : {};
+  transaction.update(ref, { status: 'queued', leasedUntil, nextAttemptAt: leasedUntil, ...restart });
+  return { ...entry, ...restart };
+});
+
+/**
+ * Makes one delivery attempt for a due entry (any unsent entry with `manual`) and records the
+ * outcome. Returns the updated entry, or null when the entry could not be claimed.
+ */
+export const deliverNotification = async (db, ref, now = new Date(), { manual = false } = {}) => {
+  const entry = await claimNotification(db, ref, now, { manual });
+  if (!entry) return null;
+
+  const attempts = (entry.attempts || 0) + 1;
+  let changes;
+  try {
+    const { providerMessageId } = await getNotificationProvider(entry.channel).send(entry);
+    changes = { status: 'sent', attempts, sentAt: new Date().toISOString(), providerMessageId, lastError: null, nextAttemptAt: null };
+  } catch (e) {
+    const nextAttemptAt = getNextAttemptAt(attempts, now);
+    changes = { status: nextAttemptAt ? 'queued' : 'failed', attempts, lastError: e.message, nextAttemptAt };
+  }
+  changes.leasedUntil = null;
+  changes.updatedAt = new Date().toISOString();
+  await ref.update(changes);
+  return { id: ref.id, ...entry, ...changes };
+};
+
+/**
+ * Logs and sends the message for `status` about a booking on each of the shop's channels.
+ * Returns one result per channel: { id, channel, to, status, lastError }.
+ */
+export const notifyBookingStatus = async (db, userId, bookingId, status, { baseUrl, now = new Date() }) => {
+  const bookingRef = getTenantCollection(db, userId, 'bookings').doc(bookingId);
+  const bookingSnap = await bookingRef.get();
+  if (!bookingSnap.exists) throw new Error('Repair job not found.');
+  const booking = bookingSnap.data();
+  const shopProfile = await getShopProfile(db, userId);
+
+  const channels = getEnabledChannels(getNotificationSettings(shopProfile));
+  const message = buildStatusMessage(booking, shopProfile, status, { trackingUrl: getBookingTrackingUrl(baseUrl, userId, bookingId, shopProfile) });
+  if (!channels.length || !message) return [];
+
+  const results = [];
+  for (const channel of channels) {
+    const to = getRecipient(channel, booking);
+    const entryRef = getNotificationsCollection(db, userId).doc();
+    const entry = {
+      bookingId,
+      jobNo: booking.invoiceNo || '',
+      event: status,
+      channel,
+      to,
+      subject: message.subject,
+      text: message.text,
+      status: 'queued',
+      attempts: 0,
+      createdAt: now.toISOString(),
+      nextAttemptAt: now.toISOString(),
+    };
+    if (!to) {
+      // Nothing to retry: the job has no contact details for this channel
+      Object.assign(entry, { status: 'failed', lastError: `No customer ${channel === 'email' ? 'email address' : 'phone number'} on the job.`, nextAttemptAt: null });
+    }
+    await entryRef.set(entry);
+    const delivered = to ? await deliverNotification(db, entryRef, now) : null;
+    const result = delivered || { id: entryRef.id, ...entry };
+    results.push({ id: result.id, channel, to, status: result.status, lastError: result.lastError || null });
+  }
+
+  await bookingRef.update({
+    lastNotified: {
+      status,
+      at: now.toISOString(),
+      channels: results.filter(result => result.status === 'sent').map(result => result.channel),
+    },
+  });
+  return results;
+};
+
+/**
+ * Sends a failed or queued entry again straight away, with a fresh set of attempts once it has failed.
+ * The entry is claimed in a transaction, so a retry while it is being sent does not send it twice.
+ */
+export const retryNotification = async (db, userId, notificationId, now = new Date()) => {
+  const ref = getNotificationsCollection(db, userId).doc(notificationId);
+  const snapshot = await ref.get();
+  if (!snapshot.exists) throw new Error('Notification not found.');
+  const entry = snapshot.data();
+  if (entry.status === 'sent') throw new Error('This message has already been sent.');
+  if (!entry.to) throw new Error(`The job has no ${NOTIFICATION_CHANNELS[entry.channel]} contact details to send to.`);
+
+  const delivered = await deliverNotification(db, ref, now, { manual: true });
+  if (!delivered) throw new Error('This message is being sent already. Check its status again in a minute.');
+  return { id: delivered.id, channel: delivered.channel, to: delivered.to, status: delivered.status, lastError: delivered.lastError || null };
+};
+
+/**
+ * Retries every queued entry that is due, across all tenants. Returns a summary of the run.
+ */
+export const runNotificationRetries = async (db, now = new Date()) => {
+  const summary = { tenants: 0, attempted: 0, sent: 0, failed: 0 };
+  for (const userId of await listTenantIds(db)) {
+    summary.tenants++;
+    // Filtered on the due time here rather than in the query, so no composite index is needed
+    const queued = await getNotificationsCollection(db, userId).where('status', '==', 'queued').get();
+    const due = queued.docs.filter(entryDoc => entryDoc.data().nextAttemptAt <= now.toISOString());
+    for (const entryDoc of due) {
+      try {
+        const result = await deliverNotification(db, entryDoc.ref, now);
+        if (!result) continue;
+        summary.attempted++;
+        if (result.status === 'sent') summary.sent++;
+        if (result.status === 'failed') summary.failed++;
+      } catch (e) {
+        console.error(`Notification retry failed for tenant ${userId}:`, e);
+      }
+    }
+  }
+  return summary;
+};
@@ -0,0 +1,244 @@
+/**
+ * Hosted payment page adapters. Every gateway exposes the same two operations:
+ *
+ * - createPaymentLink({ linkId, amount, currency, description, customerEmail, urls }) returns
+ *   { url, gatewayReference } for a page where the customer can pay `amount`.
+ * - parseWebhook(rawBody, headers) verifies the gateway's signature and returns
+ *   { paid, linkId | gatewayReference, gatewayPaymentId, amount }; it throws
+ *   WebhookVerificationError when the notification cannot be trusted.
+ *
+ * The active gateway is chosen with PAYMENT_GATEWAY. The fake gateway signs its notifications
+ * with FAKE_GATEWAY_SECRET and is served by /api/fake-gateway for local testing.
+ */
+import crypto from 'crypto';
+
+export class WebhookVerificationError extends Error {}
+
+const requireEnv = (name) => {
+  const value = process.env[name];
+  if (!value) throw new Error(`${name} is not configured.`);
+  return value;
+};
+
+const toCents = (amount) => Math.round(amount * 100);
+
+const timingSafeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hmacSha256 = (key, payload, encoding) => crypto.createHmac('sha256', key).update(payload).digest(encoding);
+
+// --- PayFast: signed redirect to the hosted page, ITN (form post) notifications ---
+
+// PayFast signs values URL-encoded the way PHP's urlencode does it (spaces as '+')
+const payfastEncode = (value) => encodeURIComponent(String(value).trim()).replace(/%20/g, '+');
+
+// Payment requests leave out empty fields, but ITN signatures cover every posted field, empty or not
+const payfastSignature = (entries, passphrase) => {
+  const query = entries
+    .map(([key, value]) => `${key}=${payfastEncode(value)}`)
+    .join('&');
+  const signed = passphrase ? `${query}&passphrase=${payfastEncode(passphrase)}` : query;
+  return crypto.createHash('md5').update(signed).digest('hex');
+};
+
+const getPayfastHost = () => (process.env.PAYFAST_SANDBOX === 'true' ? 'https://sandbox.payfast.co.za' : 'https://www.payfast.co.za');
+
+const payfast = {
+  label: 'PayFast',
+  createPaymentLink: async ({ linkId, amount, description, customerEmail, urls }) => {
+    // Field order matters: PayFast verifies the signature over the fields in its documented order
+    const entries = [
+      ['merchant_id', requireEnv('PAYFAST_MERCHANT_ID')],
+      ['merchant_key', requireEnv('PAYFAST_MERCHANT_KEY')],
+      ['return_url', urls.returnUrl],
+      ['cancel_url', urls.cancelUrl],
+      ['notify_url', urls.notifyUrl],
+      ['email_address', customerEmail],
+      ['m_payment_id', linkId],
+      ['amount', amount.toFixed(2)],
+      ['item_name', description.substring(0, 100)],
+    ].filter(([, value]) => value);
+    const signature = payfastSignature(entries, process.env.PAYFAST_PASSPHRASE);
+    const query = [...entries, ['signature', signature]].map(([key, value]) => `${key}=${payfastEncode(value)}`).join('&');
+    return { url: `${getPayfastHost()}/eng/process?${query}`, gatewayReference: linkId };
+  },
+  parseWebhook: async (rawBody) => {
+    const entries = [...new URLSearchParams(rawBody).entries()];
+    const fields = Object.fromEntries(entries);
+    const expected = payfastSignature(entries.filter(([key]) => key !== 'signature'), process.env.PAYFAST_PASSPHRASE);
+    if (!fields.signature || !timingSafeEqual(fields.signature, expected)) {
+      throw new WebhookVerificationError('Invalid PayFast signature.');
+    }
+    if (fields.merchant_id !== requireEnv('PAYFAST_MERCHANT_ID')) {
+      throw new WebhookVerificationError('PayFast notification is for a different merchant.');
+    }
+
+    // PayFast's server confirms the notification is genuine and unaltered
+    const validation = await fetch(`${getPayfastHost()}/eng/query/validate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: rawBody,
+    });
+    if ((await validation.text()).trim() !== 'VALID') {
+      throw new WebhookVerificationError('PayFast did not validate the notification.');
+    }
+
+    return {
+      paid: fields.payment_status === 'COMPLETE',
+      linkId: fields.m_payment_id,
+      gatewayPaymentId: fields.pf_payment_id,
+      amount: parseFloat(fields.amount_gross),
+    };
+  },
+};
+
+// --- Yoco: Checkout API, webhooks signed per the Standard Webhooks scheme ---
+
+const YOCO_SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const yoco = {
+  label: 'Yoco',
+  createPaymentLink: async ({ linkId, amount, currency, urls }) => {
+    const response = await fetch('https://payments.yoco.com/api/checkouts', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${requireEnv('YOCO_SECRET_KEY')}`,
+        'Idempotency-Key': linkId,
+      },
+      body: JSON.stringify({
+        amount: toCents(amount),
+        currency,
+        successUrl: urls.returnUrl,
+        cancelUrl: urls.cancelUrl,
+        failureUrl: urls.cancelUrl,
+        metadata: { linkId },
+      }),
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(`Yoco checkout failed: ${result.description || response.status}`);
+    return { url: result.redirectUrl, gatewayReference: result.id };
+  },
+  parseWebhook: async (rawBody, headers) => {
+    const id = headers.get('webhook-id');
+    const timestamp = headers.get('webhook-timestamp');
+    const signatures = (headers.get('webhook-signature') || '').split(' ').map(entry => entry.split(',')[1]);
+    const secret = Buffer.from(requireEnv('YOCO_WEBHOOK_SECRET').replace(/^whsec_/, ''), 'base64');
+    const expected = hmacSha256(secret, `${id}.${timestamp}.${rawBody}`, 'base64');
+
+    if (!id || !signatures.some(signature => signature && timingSafeEqual(signature, expected))) {
+      throw new WebhookVerificationError('Invalid Yoco signature.');
+    }
+    if (Math.abs(Date.now() / 1000 - parseInt(timestamp, 10)) > YOCO_SIGNATURE_TOLERANCE_SECONDS) {
+      throw new WebhookVerificationError('Yoco notification is too old.');
+    }
+
+    const event = JSON.parse(rawBody);
+    return {
+      paid: event.type === 'payment.succeeded',
+      linkId: event.payload?.metadata?.linkId,
+      gatewayReference: event.payload?.metadata?.checkoutId,
+      gatewayPaymentId: event.payload?.id,
+      amount: (event.payload?.amount || 0) / 100,
+    };
+  },
+};
+
+// --- Stripe: single-use Payment Links (they do not expire like Checkout Sessions) ---
+
+const STRIPE_SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const stripeRequest = async (path, params) => {
+  const response = await fetch(`https://api.stripe.com/v1/${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Authorization: `Bearer ${requireEnv('STRIPE_SECRET_KEY')}`,
+    },
+    body: new URLSearchParams(params).toString(),
+  });
+  const result = await response.json();
+  if (!response.ok) throw new Error(`Stripe request failed: ${result.error?.message || response.status}`);
+  return result;
+};
+
+const stripe = {
+  label: 'Stripe',
+  createPaymentLink: async ({ linkId, amount, currency, description, urls }) => {
+    const price = await stripeRequest('prices', {
+      currency: currency.toLowerCase(),
+      unit_amount: toCents(amount),
+      'product_data[name]': description,
+    });
+    const link = await stripeRequest('payment_links', {
+      'line_items[0][price]': price.id,
+      'line_items[0][quantity]': 1,
+      'metadata[linkId]': linkId,
+      'restrictions[completed_sessions][limit]': 1,
+      'after_completion[type]': 'redirect',
+      'after_completion[redirect][url]': urls.returnUrl,
+    });
+    return { url: link.url, gatewayReference: link.id };
+  },
+  parseWebhook: async (rawBody, headers) => {
+    // While a webhook secret is being rolled, Stripe sends one v1 signature per active secret
+    const parts = (headers.get('stripe-signature') || '').split(',').map(part => part.trim().split('='));
+    const timestamp = parts.find(([key]) => key === 't')?.[1];
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    const expected = hmacSha256(requireEnv('STRIPE_WEBHOOK_SECRET'), `${timestamp}.${rawBody}`, 'hex');
+    if (!timestamp || !signatures.some(signature => timingSafeEqual(signature, expected))) {
+      throw new WebhookVerificationError('Invalid Stripe signature.');
+    }
+    if (Math.abs(Date.now() / 1000 - parseInt(timestamp, 10)) > STRIPE_SIGNATURE_TOLERANCE_SECONDS) {
+      throw new WebhookVerificationError('Stripe notification is too old.');
+    }
+
+    const event = JSON.parse(rawBody);
+    const session = event.data?.object || {};
+    return {
+      paid: event.type === 'checkout.session.completed' && session.payment_status === 'paid',
+      gatewayReference: session.payment_link,
+      gatewayPaymentId: session.payment_intent || session.id,
+      amount: (session.amount_total || 0) / 100,
+    };
+  },
+};
+
+// --- Fake gateway for local development and tests ---
+
+export const signFakeGatewayPayload = (rawBody) => hmacSha256(requireEnv('FAKE_GATEWAY_SECRET'), rawBody, 'hex');
+
+const fake = {
+  label: 'Test Gateway',
+  createPaymentLink: async ({ linkId, amount, currency, description, urls }) => {
+    const query = new URLSearchParams({ linkId, amount: amount.toFixed(2), currency, description, returnUrl: urls.returnUrl });
+    return { url: `${urls.baseUrl}/api/fake-gateway?${query}`, gatewayReference: `fake_${linkId}` };
+  },
+  parseWebhook: async (rawBody, headers) => {
+    const signature = headers.get('x-fake-signature');
+    if (!signature || !timingSafeEqual(signature, signFakeGatewayPayload(rawBody))) {
+      throw new WebhookVerificationError('Invalid test gateway signature.');
+    }
+    const event = JSON.parse(rawBody);
+    return {
+      paid: event.status === 'paid',
+      linkId: event.linkId,
+      gatewayPaymentId: event.paymentId,
+      amount: event.amount,
+    };
+  },
+};
+
+export const PAYMENT_GATEWAYS = { payfast, yoco, stripe, fake };
+
+export const getPaymentGateway = (name) => {
+  const gateway = Object.hasOwn(PAYMENT_GATEWAYS, name) ? PAYMENT_GATEWAYS[name] : null;
+  if (!gateway) throw new Error(`Unknown payment gateway "${name}".`);
+  return gateway;
+};
+
+// The gateway new payment links are created with; unset means online payments are switched off
+export const getActiveGatewayName = () => process.env.PAYMENT_GATEWAY || null;
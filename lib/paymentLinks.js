@@ -0,0 +1,159 @@
+/**
+ * Payment links for sent invoices. Each link is stored in the app-wide paymentLinks collection
+ * (webhooks arrive without a tenant, so the link is how a notification finds its invoice) and
+ * summarised on the invoice itself as `paymentLink`. A verified gateway notification records the
+ * payment against the invoice exactly once.
+ */
+import { APP_ID, getShopProfile, getTenantCollection } from './firebaseAdmin';
+import { PAYABLE_INVOICE_STATUSES, getInvoiceBalance, getInvoicePaymentStatus, roundCurrency } from './invoicePayments';
+import { getActiveGatewayName, getPaymentGateway } from './paymentGateways';
+
+export const getPaymentLinksCollection = (db) => db.collection(`artifacts/${APP_ID}/paymentLinks`);
+
+/**
+ * Creates a hosted payment link for the invoice's outstanding balance and stores it on the
+ * invoice. `baseUrl` is the public URL of this app, used for the gateway's return and notify URLs.
+ */
+export const createInvoicePaymentLink = async (db, userId, invoiceId, baseUrl) => {
+  const gatewayName = getActiveGatewayName();
+  if (!gatewayName) throw new Error('Online payments are not configured (PAYMENT_GATEWAY is not set).');
+  const gateway = getPaymentGateway(gatewayName);
+
+  const invoiceRef = getTenantCollection(db, userId, 'invoices').doc(invoiceId);
+  const snapshot = await invoiceRef.get();
+  if (!snapshot.exists) throw new Error('Invoice not found.');
+  const invoice = snapshot.data();
+  if (!PAYABLE_INVOICE_STATUSES.includes(invoice.status)) {
+    throw new Error(`A payment link cannot be created for a ${invoice.status} invoice.`);
+  }
+  const amount = getInvoiceBalance(invoice);
+  if (amount <= 0) throw new Error('The invoice has no outstanding balance.');
+
+  const shopProfile = await getShopProfile(db, userId);
+  const currency = invoice.shopProfile?.currency || shopProfile?.currency || 'ZAR';
+  const linkRef = getPaymentLinksCollection(db).doc();
+  const now = new Date().toISOString();
+
+  const { url, gatewayReference } = await gateway.createPaymentLink({
+    linkId: linkRef.id,
+    amount,
+    currency,
+    description: `${shopProfile?.companyName || 'Invoice'} ${invoice.invoiceNo}`.trim(),
+    customerEmail: invoice.customerEmail,
+    urls: {
+      baseUrl,
+      returnUrl: `${baseUrl}/?payment=success&invoice=${encodeURIComponent(invoice.invoiceNo)}`,
+      cancelUrl: `${baseUrl}/?payment=cancelled&invoice=${encodeURIComponent(invoice.invoiceNo)}`,
+      notifyUrl: `${baseUrl}/api/webhooks/payments/${gatewayName}`,
+    },
+  });
+
+  const paymentLink = { linkId: linkRef.id, gateway: gatewayName, url, amount, currency, status: 'Open', createdAt: now };
+  await linkRef.set({ ...paymentLink, userId, invoiceId, invoiceNo: invoice.invoiceNo, gatewayReference });
+  await invoiceRef.update({ paymentLink, updatedAt: now });
+  return paymentLink;
+};
+
+const findPaymentLink = async (db, gatewayName, { linkId, gatewayReference }) => {
+  if (linkId) return getPaymentLinksCollection(db).doc(linkId);
+  if (!gatewayReference) return null;
+  const matches = await getPaymentLinksCollection(db)
+    .where('gateway', '==', gatewayName)
+    .where('gatewayReference', '==', gatewayReference)
+    .limit(1)
+    .get();
+  return matches.empty ? null : matches.docs[0].ref;
+};
+
+/**
+ * Records a verified gateway notification. Repeated notifications for the same link are ignored,
+ * and a payment that no longer fits the invoice (already settled, or more than the balance) is
+ * left on the link for staff to resolve instead of being posted.
+ * Returns { result: 'recorded' | 'duplicate' | 'ignored' | 'needs-review', ... }.
+ */
+export const recordGatewayPayment = async (db, gatewayName, event) => {
+  if (!event.paid) return { result: 'ignored' };
+
+  const linkRef = await findPaymentLink(db, gatewayName, event);
+  if (!linkRef) throw new Error('No payment link matches this notification.');
+  const gatewayLabel = getPaymentGateway(gatewayName).label;
+
+  return db.runTransaction(async (transaction) => {
+    const linkSnapshot = await transaction.get(linkRef);
+    if (!linkSnapshot.exists) throw new Error('No payment link matches this notification.');
+    const link = linkSnapshot.data();
+    if (link.status !== 'Open') return { result: 'duplicate', linkId: linkRef.id };
+
+    const invoiceRef = getTenantCollection(db, link.userId, 'invoices').doc(link.invoiceId);
+    const invoiceSnapshot = await transaction.get(invoiceRef);
+    const now = new Date().toISOString();
+    const amount = roundCurrency(event.amount);
+
+    // The invoice only shows its latest link; an older link that gets paid is still recorded
+    const isCurrentLink = invoiceSnapshot.exists && invoiceSnapshot.data().paymentLink?.linkId === linkRef.id;
+
+    const flagForReview = (problem) => {
+      const reviewLink = { status: 'Needs Review', problem, gatewayPaymentId: event.gatewayPaymentId, paidAmount: amount, paidAt: now };
+      transaction.update(linkRef, reviewLink);
+      if (invoiceSnapshot.exists) {
+        transaction.update(invoiceRef, { paymentLink: { ...invoiceSnapshot.data().paymentLink, ...reviewLink, linkId: linkRef.id, url: link.url }, updatedAt: now });
+      }
+      return { result: 'needs-review', linkId: linkRef.id, problem };
+    };
+
+    if (!invoiceSnapshot.exists) return flagForReview('The invoice no longer exists.');
+    const current = invoiceSnapshot.data();
+    if (!PAYABLE_INVOICE_STATUSES.includes(current.status)) {
+      return flagForReview(`Payment received for a ${current.status} invoice.`);
+    }
+    const balanceBefore = getInvoiceBalance(current);
+    if (amount <= 0 || amount > balanceBefore) {
+      return flagForReview(`Payment of ${amount.toFixed(2)} does not fit the outstanding balance of ${balanceBefore.toFixed(2)}.`);
+    }
+
+    const amountPaid = roundCurrency((current.amountPaid || 0) + amount);
+    const balanceDue = roundCurrency(balanceBefore - amount);
+    const status = getInvoicePaymentStatus(current.totalAmount, amountPaid, current.amountCredited || 0);
+    const revision = (current.revision || 1) + 1;
+    const recordedBy = { uid: `gateway:${gatewayName}`, name: gatewayLabel };
+    const paymentRef = getTenantCollection(db, link.userId, 'payments').doc();
+    const paidLink = { status: 'Paid', gatewayPaymentId: event.gatewayPaymentId, paidAmount: amount, paidAt: now };
+
+    transaction.set(paymentRef, {
+      type: 'Payment',
+      invoiceId: link.invoiceId,
+      invoiceNo: current.invoiceNo,
+      customerName: current.customerName,
+      customerPhone: current.customerPhone,
+      amount,
+      tenders: [{ method: 'Online', amount }],
+      method: 'Online',
+      reference: `${gatewayLabel} ${event.gatewayPaymentId}`,
+      note: 'Paid via payment link',
+      date: now.substring(0, 10),
+      paymentLinkId: linkRef.id,
+      recordedBy,
+      recordedAt: now,
+    });
+    transaction.update(invoiceRef, {
+      amountPaid,
+      balanceDue,
+      status,
+      revision,
+      ...(isCurrentLink ? { paymentLink: { ...current.paymentLink, ...paidLink } } : {}),
+      updatedAt: now,
+    });
+    transaction.set(invoiceRef.collection('revisions').doc(), {
+      revision,
+      action: 'Payment Recorded',
+      changedBy: recordedBy,
+      changedAt: now,
+      note: `Online ${amount.toFixed(2)} (Ref: ${gatewayLabel} ${event.gatewayPaymentId})`,
+      changes: current.status !== status ? [{ field: 'status', from: current.status, to: status }] : [],
+      snapshot: { ...current, amountPaid, balanceDue, status, revision, updatedAt: now },
+    });
+    transaction.update(linkRef, { ...paidLink, paymentId: paymentRef.id });
+
+    return { result: 'recorded', linkId: linkRef.id, paymentId: paymentRef.id, status };
+  });
+};
@@ -0,0 +1,80 @@
+/**
+ * Payment terms, due dates and the overdue reminder sequence. Shared by the dashboard and the
+ * scheduled reminder job, so both agree on when an invoice is overdue and which reminder is next.
+ * Dates are ISO 'YYYY-MM-DD' strings and are compared as calendar days.
+ */
+
+export const PAYMENT_TERMS = [
+  { days: 0, label: 'Due on receipt' },
+  { days: 7, label: '7 days' },
+  { days: 14, label: '14 days' },
+  { days: 30, label: '30 days' },
+  { days: 60, label: '60 days' },
+];
+
+export const DEFAULT_PAYMENT_TERMS_DAYS = 0;
+
+export const REMINDER_CHANNELS = {
+  sms: 'SMS',
+  email: 'Email',
+  both: 'SMS and Email',
+};
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  daysOverdue: [3, 7, 14],
+  channel: 'sms',
+};
+
+// Only invoices that still have money owing can become overdue
+export const OVERDUE_ELIGIBLE_STATUSES = ['Sent', 'Partially Paid'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (isoDate) => Date.parse(`${isoDate.substring(0, 10)}T00:00:00Z`);
+
+export const toIsoDate = (date) => date.toISOString().substring(0, 10);
+
+export const getPaymentTermsLabel = (days) => (
+  PAYMENT_TERMS.find(terms => terms.days === days)?.label || `${days} days`
+);
+
+export const calculateDueDate = (invoiceDate, termsDays) => (
+  toIsoDate(new Date(parseDay(invoiceDate) + (parseInt(termsDays, 10) || 0) * DAY_MS))
+);
+
+/**
+ * Whole days past the due date on `today` (0 when not yet due). Invoices without a due date,
+ * or that are paid, drafts, superseded or fully credited, are never overdue.
+ */
+export const getDaysOverdue = (invoice, today) => {
+  if (!invoice.dueDate || !OVERDUE_ELIGIBLE_STATUSES.includes(invoice.status)) return 0;
+  return Math.max(0, Math.floor((parseDay(today) - parseDay(invoice.dueDate)) / DAY_MS));
+};
+
+// Overdue is derived rather than stored, so paying an invoice clears it immediately
+export const getInvoiceDisplayStatus = (invoice, today) => (
+  getDaysOverdue(invoice, today) > 0 ? 'Overdue' : invoice.status
+);
+
+/**
+ * The reminder stage (days overdue) that should be sent now, or null. Only the latest stage
+ * reached is sent, so an invoice that is discovered late does not receive several reminders at once.
+ */
+export const getDueReminderStage = (invoice, reminderSettings, today) => {
+  const daysOverdue = getDaysOverdue(invoice, today);
+  if (daysOverdue <= 0) return null;
+
+  const sent = invoice.remindersSent || [];
+  const reached = [...(reminderSettings.daysOverdue || [])]
+    .map(Number)
+    .filter(stage => stage > 0 && stage <= daysOverdue)
+    .sort((a, b) => b - a);
+  if (reached.length === 0 || sent.some(stage => stage >= reached[0])) return null;
+  return reached[0];
+};
+
+export const getReminderSettings = (shopProfile) => ({
+  ...DEFAULT_REMINDER_SETTINGS,
+  ...(shopProfile?.invoiceReminders || {}),
+});
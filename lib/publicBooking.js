@@ -0,0 +1,149 @@
+/**
+ * Server side of the public online booking page (/book/[shop]). Each shop that turns the page on
+ * claims a slug in the app-wide bookingPages collection, which maps it to the shop's tenant. Requests
+ * become 'New Request' bookings, the same as the ones staff capture with the online booking form.
+ */
+import { APP_ID, allocateDocumentNumber, getShopProfile, getTenantCollection } from './firebaseAdmin';
+import { buildBookingCreatedEvent } from './bookingHistory';
+import { countAppointments, getAvailableSlots, getBookingPageSettings, getBookingWindow, isSlotAvailable, isValidSlug } from './bookingSlots';
+import { notifyBookingStatus } from './notifications';
+import { lastNineDigits } from './repairTracking';
+import { getTrackingUrl } from './trackingLinks';
+
+// Problems the customer can fix, so their message is safe to show on the page
+export class BookingRequestError extends Error {}
+
+export const getBookingPagesCollection = (db) => db.collection(`artifacts/${APP_ID}/bookingPages`);
+
+/**
+ * Points `slug` at the tenant and releases any slug it held before. Fails when another shop has it.
+ */
+export const claimBookingPageSlug = async (db, userId, slug) => {
+  if (!isValidSlug(slug)) {
+    throw new BookingRequestError('The page address may only use lower-case letters, numbers and hyphens (3 to 40 characters).');
+  }
+  const pages = getBookingPagesCollection(db);
+  const slugRef = pages.doc(slug);
+
+  await db.runTransaction(async (transaction) => {
+    const slugSnap = await transaction.get(slugRef);
+    if (slugSnap.exists && slugSnap.data().userId !== userId) {
+      throw new BookingRequestError(`The page address "${slug}" is already taken. Please choose another.`);
+    }
+    const previous = await transaction.get(pages.where('userId', '==', userId));
+    previous.docs.filter(page => page.id !== slug).forEach(page => transaction.delete(page.ref));
+    transaction.set(slugRef, { userId, updatedAt: new Date().toISOString() });
+  });
+  return slug;
+};
+
+/**
+ * Returns { userId, shopProfile, settings } for the shop whose page address is `slug`, or null.
+ * The address also scopes job number lookups on /track/[shop], even with the booking page off.
+ */
+export const resolveShopAddress = async (db, slug) => {
+  if (!isValidSlug(String(slug || ''))) return null;
+  const slugSnap = await getBookingPagesCollection(db).doc(slug).get();
+  if (!slugSnap.exists) return null;
+  const { userId } = slugSnap.data();
+  const shopProfile = await getShopProfile(db, userId);
+  const settings = getBookingPageSettings(shopProfile);
+  return settings.slug === slug ? { userId, shopProfile, settings } : null;
+};
+
+/**
+ * Returns { userId, shopProfile, settings } for an enabled booking page, or null.
+ */
+export const resolveBookingPage = async (db, slug) => {
+  const page = await resolveShopAddress(db, slug);
+  return page?.settings.enabled ? page : null;
+};
+
+// What the page shows about the shop; nothing else from the profile leaves the server
+export const getPublicShopInfo = (shopProfile) => ({
+  name: shopProfile?.companyName || '',
+  address: shopProfile?.address || '',
+  contact: shopProfile?.emailPhone || '',
+});
+
+const getAppointmentsQuery = (db, userId, from, to) => getTenantCollection(db, userId, 'bookings')
+  .where('appointmentDate', '>=', from)
+  .where('appointmentDate', '<=', to);
+
+export const getBookingPageAvailability = async (db, page, now) => {
+  const { from, to } = getBookingWindow(page.settings, now);
+  const snapshot = await getAppointmentsQuery(db, page.userId, from, to).get();
+  return getAvailableSlots(page.settings, countAppointments(snapshot.docs.map(doc => doc.data())), now);
+};
+
+/**
+ * Books a validated request into its slot. The slot and daily capacity are checked again inside
+ * the transaction, so two customers cannot take the last place at the same time. Sends the
+ * New Request notification as the confirmation and returns what the page shows the customer.
+ */
+export const createPublicBooking = async (db, page, request, now, baseUrl) => {
+  const { userId, shopProfile, settings } = page;
+  const bookingRef = getTenantCollection(db, userId, 'bookings').doc();
+
+  const booking = await db.runTransaction(async (transaction) => {
+    const sameDay = await transaction.get(getAppointmentsQuery(db, userId, request.date, request.date));
+    const bookings = sameDay.docs.map(doc => doc.data());
+    if (!isSlotAvailable(settings, countAppointments(bookings), now, request.date, request.time)) {
+      throw new BookingRequestError('Sorry, that time has just been taken. Please choose another slot.');
+    }
+    const phone = lastNineDigits(request.customerPhone);
+    if (bookings.some(existing => existing.status === 'New Request' && lastNineDigits(existing.customerPhone) === phone)) {
+      throw new BookingRequestError('You already have a booking request for this day. We will be in touch to confirm it.');
+    }
+
+    const requestNo = await allocateDocumentNumber(transaction, db, userId, shopProfile, 'onlineRequest');
+    const data = {
+      invoiceNo: requestNo,
+      customerName: request.customerName,
+      customerPhone: request.customerPhone,
+      customerEmail: request.customerEmail,
+      deviceModel: request.deviceModel,
+      deviceIssue: request.deviceIssue,
+      imei: '',
+      preferredDate: request.date,
+      appointmentDate: request.date,
+      appointmentTime: request.time,
+      urgency: 'Standard',
+      comments: request.comments,
+      consultant: 'Online booking page',
+      amount: 0,
+      createdAt: now.toISOString(),
+      status: 'New Request',
+      bookingType: 'Online',
+      source: 'Booking page',
+      repairDetails: {},
+    };
+    transaction.set(bookingRef, data);
+    transaction.set(getTenantCollection(db, userId, 'bookingEvents').doc(), buildBookingCreatedEvent(bookingRef.id, data, {
+      actor: { uid: null, name: `${request.customerName} (booking page)` },
+      at: data.createdAt,
+    }));
+    return data;
+  });
+
+  let trackingUrl = null;
+  try {
+    trackingUrl = getTrackingUrl(baseUrl, userId, bookingRef.id);
+  } catch (e) {
+    // Tracking links are optional; without a secret the confirmation page simply leaves the link out
+  }
+  try {
+    await notifyBookingStatus(db, userId, bookingRef.id, booking.status, { baseUrl, now });
+  } catch (e) {
+    // The booking stands; the delivery log shows whether the confirmation went out
+    console.error('Booking confirmation not sent:', e);
+  }
+
+  return {
+    requestNo: booking.invoiceNo,
+    date: booking.appointmentDate,
+    time: booking.appointmentTime,
+    deviceModel: booking.deviceModel,
+    trackingUrl,
+  };
+};
@@ -0,0 +1,79 @@
+/**
+ * Accepted insurance quotations. Accepting a quotation books the device in as a repair job, and
+ * finishing that job invoices the quoted lines with the customer's deductible split out from the
+ * portion the insurer pays. The quotation, booking and invoice carry each other's IDs and numbers.
+ */
+import { roundCurrency } from './invoicePayments';
+
+export const QUOTATION_STATUSES = {
+  draft: 'Quote Draft',
+  ber: 'BER Report',
+  accepted: 'Accepted',
+  invoiced: 'Invoiced',
+};
+
+export const QUOTATION_ACCEPTED_BY = ['Insurer', 'Customer'];
+
+// BER reports recommend a replacement, so only repair quotations can be booked in
+export const canAcceptQuotation = (quote) => !quote.isBER && !quote.bookingId && quote.status === QUOTATION_STATUSES.draft;
+
+// Quotations saved before lines were stored are a single standard-rated repair line
+export const getQuotationItems = (quote) => (quote.items?.length ? quote.items : [{
+  id: 'repair',
+  description: `Repair: ${quote.deviceModel}`,
+  qty: 1,
+  unitPrice: quote.repairCostEstimate || 0,
+  discountPercent: 0,
+  taxCategory: 'standard',
+}]);
+
+// The claim details copied onto the booking and invoice; totalCustomerCost is the quoted deductible
+const getInsuranceClaim = (quote) => ({
+  deductible: roundCurrency(quote.totalCustomerCost),
+  acceptedBy: quote.acceptance?.acceptedBy || '',
+  reference: quote.acceptance?.reference || '',
+});
+
+export const buildBookingFromQuotation = (quote, jobNo, now) => ({
+  invoiceNo: jobNo,
+  consultant: quote.acceptance?.recordedBy?.name || '',
+  customerName: quote.customerName,
+  customerPhone: quote.customerPhone,
+  customerEmail: quote.customerEmail || '',
+  deviceModel: quote.deviceModel,
+  deviceIssue: quote.faultDescription,
+  imei: quote.imei || '',
+  amount: 0,
+  depositMethod: 'Cash',
+  comments: `Quotation #${quote.quoteNo} accepted by ${(quote.acceptance?.acceptedBy || '').toLowerCase()}`
+    + `${quote.acceptance?.reference ? ` (ref ${quote.acceptance.reference})` : ''}.`,
+  createdAt: now,
+  status: 'Confirmed',
+  bookingType: 'Insurance Quote',
+  repairDetails: {},
+  quotationId: quote.id,
+  quoteNo: quote.quoteNo,
+  insuranceClaim: getInsuranceClaim(quote),
+});
+
+/**
+ * The line items, VAT rate and links an invoice for an accepted quotation takes from the quotation.
+ */
+export const getQuotationInvoiceFields = (quote) => ({
+  items: getQuotationItems(quote),
+  taxRate: quote.taxRate,
+  quotationId: quote.id,
+  quoteNo: quote.quoteNo,
+  insuranceClaim: getInsuranceClaim(quote),
+});
+
+/**
+ * How an invoice's total is shared: the customer pays the deductible (never more than the total)
+ * and the insurer pays the rest. Worked out from the current total so edits to a draft stay in step.
+ */
+export const getDeductibleSplit = (invoice) => {
+  if (!invoice?.insuranceClaim) return null;
+  const total = roundCurrency(invoice.totalAmount);
+  const customerAmount = roundCurrency(Math.min(Math.max(invoice.insuranceClaim.deductible || 0, 0), total));
+  return { customerAmount, insurerAmount: roundCurrency(total - customerAmount) };
+};
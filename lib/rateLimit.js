@@ -0,0 +1,33 @@
+/**
+ * Fixed-window request limits for the public routes. Counts are kept in memory per server
+ * instance, which is enough to slow down guessing and form spam without extra infrastructure.
+ */
+const windows = new Map();
+
+/**
+ * The visitor's address as seen by the platform's proxy. The leftmost X-Forwarded-For entry is
+ * whatever the client sent, so only the address the proxy appended (the rightmost) is trusted.
+ */
+export const getClientIp = (request) => (
+  request.ip
+  || request.headers.get('x-real-ip')
+  || (request.headers.get('x-forwarded-for') || '').split(',').pop().trim()
+  || 'unknown'
+);
+
+/**
+ * Counts a request against `key` and returns true while it is within `limit` requests per `windowMs`.
+ */
+export const checkRateLimit = (key, limit, windowMs, now = Date.now()) => {
+  const current = windows.get(key);
+  if (!current || now >= current.resetAt) {
+    // Drop expired windows now and then so the map does not grow without bound
+    if (windows.size > 10000) {
+      windows.forEach((value, storedKey) => { if (now >= value.resetAt) windows.delete(storedKey); });
+    }
+    windows.set(key, { count: 1, resetAt: now + windowMs });
+    return true;
+  }
+  current.count += 1;
+  return current.count <= limit;
+};
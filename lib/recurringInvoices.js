@@ -0,0 +1,218 @@
+/**
+ * Scheduled recurring invoices. Run once a day by /api/cron/recurring-invoices: every active
+ * schedule in a tenant's recurringInvoices collection that has a run due creates an ordinary
+ * invoice from its template, numbered from the tenant's invoice sequence. "Send" schedules issue
+ * the invoice and notify the customer; "draft" schedules leave it for staff to review. Each run is
+ * logged to the schedule's runs subcollection.
+ */
+import { FieldValue } from 'firebase-admin/firestore';
+import { allocateDocumentNumber, getShopProfile, getTenantCollection, listTenantIds } from './firebaseAdmin';
+import { getStoredTotals } from './invoiceCalculator';
+import { sendEmail, sendSms } from './messaging';
+import { getActiveGatewayName } from './paymentGateways';
+import { createInvoicePaymentLink } from './paymentLinks';
+import { calculateDueDate, toIsoDate } from './paymentTerms';
+import { getDueRuns, getNextRunDate, getScheduleTemplate } from './recurringSchedule';
+
+// Runs are keyed by index so a retried run updates its log entry instead of adding another
+const getRunRef = (scheduleRef, index) => scheduleRef.collection('runs').doc(String(index).padStart(4, '0'));
+
+export const buildRecurringInvoice = (schedule, shopProfile, invoiceNo, runDate) => {
+  const invoice = {
+    ...getScheduleTemplate(schedule),
+    invoiceNo,
+    date: runDate,
+    dueDate: calculateDueDate(runDate, schedule.paymentTermsDays || 0),
+    status: schedule.mode === 'send' ? 'Sent' : 'Draft',
+    recurringScheduleId: schedule.id,
+    shopProfile: {
+      companyName: shopProfile?.companyName || '',
+      address: shopProfile?.address || '',
+      currency: shopProfile?.currency || 'ZAR',
+      registrationNo: shopProfile?.registrationNo || '',
+      vatNo: shopProfile?.vatNo || '',
+      emailPhone: shopProfile?.emailPhone || '',
+    },
+  };
+  return { ...invoice, ...getStoredTotals(invoice) };
+};
+
+export const buildRecurringInvoiceMessage = (invoice, shopProfile, paymentLink) => {
+  const shopName = shopProfile?.companyName || 'Your repair shop';
+  const amount = `${invoice.shopProfile.currency} ${invoice.totalAmount.toFixed(2)}`;
+  const contact = shopProfile?.emailPhone ? ` Queries: ${shopProfile.emailPhone}.` : '';
+  const payOnline = paymentLink ? ` Pay online: ${paymentLink.url}` : '';
+  return {
+    subject: `Invoice ${invoice.invoiceNo} from ${shopName}`,
+    text: `${shopName}: invoice ${invoice.invoiceNo} dated ${invoice.date} for ${amount} is due on ${invoice.dueDate}. `
+      + `Please pay using reference ${invoice.invoiceNo}.${payOnline}${contact}`,
+  };
+};
+
+/**
+ * Creates the invoice for one run in a transaction that also advances the schedule, so a run is
+ * never invoiced twice even if the job overlaps itself. Returns null when another run got there first.
+ */
+const createRunInvoice = async (db, userId, scheduleRef, shopProfile, run) => {
+  const invoicesRef = getTenantCollection(db, userId, 'invoices');
+
+  return db.runTransaction(async (transaction) => {
+    const scheduleSnap = await transaction.get(scheduleRef);
+    if (!scheduleSnap.exists) return null;
+    const schedule = { id: scheduleSnap.id, ...scheduleSnap.data() };
+    if (schedule.status !== 'Active' || (schedule.nextRunIndex || 0) !== run.index) return null;
+
+    const invoiceNo = await allocateDocumentNumber(transaction, db, userId, shopProfile, 'invoice');
+    const now = new Date().toISOString();
+    const invoiceRef = invoicesRef.doc();
+    const changedBy = { uid: `recurring:${schedule.id}`, name: `Recurring: ${schedule.name}` };
+    const storedInvoice = {
+      amountPaid: 0,
+      ...buildRecurringInvoice(schedule, shopProfile, invoiceNo, run.date),
+      revision: 1,
+      createdAt: now,
+      updatedAt: now,
+    };
+    storedInvoice.balanceDue = storedInvoice.totalAmount;
+
+    const nextRunDate = getNextRunDate({ ...schedule, nextRunIndex: run.index + 1 });
+    transaction.set(invoiceRef, storedInvoice);
+    transaction.set(invoiceRef.collection('revisions').doc(), {
+      revision: 1,
+      action: 'Created',
+      changedBy,
+      changedAt: now,
+      note: `Created by recurring schedule "${schedule.name}" for ${run.date}`,
+      changes: [],
+      snapshot: storedInvoice,
+    });
+    transaction.set(getRunRef(scheduleRef, run.index), {
+      index: run.index,
+      runDate: run.date,
+      status: 'Created',
+      invoiceId: invoiceRef.id,
+      invoiceNo,
+      invoiceStatus: storedInvoice.status,
+      totalAmount: storedInvoice.totalAmount,
+      error: null,
+      createdAt: now,
+    }, { merge: true });
+    transaction.update(scheduleRef, {
+      nextRunIndex: run.index + 1,
+      nextRunDate,
+      status: nextRunDate ? 'Active' : 'Ended',
+      runCount: FieldValue.increment(1),
+      lastRunDate: run.date,
+      lastInvoiceId: invoiceRef.id,
+      lastInvoiceNo: invoiceNo,
+      updatedAt: now,
+    });
+
+    return { id: invoiceRef.id, ...storedInvoice };
+  });
+};
+
+/**
+ * Issues a sent invoice to the customer: adds a payment link when online payments are on, then
+ * emails the invoice (or texts it when there is no email address). Failures are returned rather
+ * than thrown; the invoice itself has already been created.
+ */
+const deliverRecurringInvoice = async (db, userId, invoice, shopProfile) => {
+  let paymentLink = null;
+  const delivery = {};
+  if (shopProfile?.onlinePayments?.enabled && getActiveGatewayName() && process.env.APP_BASE_URL) {
+    try {
+      paymentLink = await createInvoicePaymentLink(db, userId, invoice.id, process.env.APP_BASE_URL);
+      delivery.paymentLinkUrl = paymentLink.url;
+    } catch (e) {
+      delivery.paymentLinkError = e.message;
+    }
+  }
+
+  const message = buildRecurringInvoiceMessage(invoice, shopProfile, paymentLink);
+  try {
+    if (invoice.customerEmail) {
+      await sendEmail({ to: invoice.customerEmail, subject: message.subject, text: message.text });
+      Object.assign(delivery, { channel: 'email', to: invoice.customerEmail });
+    } else if (invoice.customerPhone) {
+      await sendSms(invoice.customerPhone, message.text);
+      Object.assign(delivery, { channel: 'sms', to: invoice.customerPhone });
+    } else {
+      throw new Error('No customer email address or phone number on the schedule.');
+    }
+    delivery.status = 'Sent';
+  } catch (e) {
+    Object.assign(delivery, { status: 'Failed', error: e.message });
+  }
+  return { ...delivery, sentAt: new Date().toISOString() };
+};
+
+/**
+ * Processes one schedule's due runs, oldest first. A run that fails is logged and retried on the
+ * next day's run; later runs wait for it so invoices are always created in date order.
+ */
+export const runRecurringSchedule = async (db, userId, scheduleDoc, shopProfile, today) => {
+  const results = [];
+  const schedule = { id: scheduleDoc.id, ...scheduleDoc.data() };
+
+  for (const run of getDueRuns(schedule, today)) {
+    const runRef = getRunRef(scheduleDoc.ref, run.index);
+    try {
+      const invoice = await createRunInvoice(db, userId, scheduleDoc.ref, shopProfile, run);
+      if (!invoice) break;
+      const result = { runDate: run.date, status: 'Created', invoiceNo: invoice.invoiceNo };
+      if (invoice.status === 'Sent') {
+        result.delivery = await deliverRecurringInvoice(db, userId, invoice, shopProfile);
+        await runRef.update({ delivery: result.delivery });
+      }
+      results.push(result);
+    } catch (e) {
+      await runRef.set({
+        index: run.index,
+        runDate: run.date,
+        status: 'Failed',
+        error: e.message,
+        attempts: FieldValue.increment(1),
+        lastAttemptAt: new Date().toISOString(),
+      }, { merge: true });
+      results.push({ runDate: run.date, status: 'Failed', error: e.message });
+      break;
+    }
+  }
+  return results;
+};
+
+/**
+ * Runs every tenant's due schedules. A tenant whose schedules fail to load is listed in
+ * `summary.errors` and the run moves on to the next shop.
+ */
+export const runRecurringInvoices = async (db, today = toIsoDate(new Date())) => {
+  const summary = { date: today, tenants: 0, schedulesChecked: 0, created: 0, failed: 0, deliveryFailed: 0, errors: [] };
+
+  for (const userId of await listTenantIds(db)) {
+    try {
+      const snapshot = await getTenantCollection(db, userId, 'recurringInvoices')
+        .where('status', '==', 'Active')
+        .get();
+      const dueSchedules = snapshot.docs.filter(scheduleDoc => {
+        const { nextRunDate } = scheduleDoc.data();
+        return nextRunDate && nextRunDate <= today;
+      });
+      summary.schedulesChecked += snapshot.size;
+      if (dueSchedules.length === 0) continue;
+      summary.tenants += 1;
+
+      const shopProfile = await getShopProfile(db, userId);
+      for (const scheduleDoc of dueSchedules) {
+        const results = await runRecurringSchedule(db, userId, scheduleDoc, shopProfile, today);
+        summary.created += results.filter(result => result.status === 'Created').length;
+        summary.failed += results.filter(result => result.status === 'Failed').length;
+        summary.deliveryFailed += results.filter(result => result.delivery?.status === 'Failed').length;
+      }
+    } catch (e) {
+      console.error(`Recurring invoices failed for tenant ${userId}:`, e);
+      summary.errors.push({ userId, error: e.message });
+    }
+  }
+  return summary;
+};
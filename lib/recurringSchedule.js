@@ -0,0 +1,72 @@
+/**
+ * Run dates for recurring invoice schedules. Run n is worked out from the start date rather than
+ * from the previous run, so a schedule starting on the 31st runs on the last day of shorter months
+ * and returns to the 31st afterwards.
+ */
+import { toIsoDate } from './paymentTerms';
+
+export const RECURRING_FREQUENCIES = {
+  weekly: { label: 'Weekly', days: 7 },
+  monthly: { label: 'Monthly', months: 1 },
+  quarterly: { label: 'Quarterly', months: 3 },
+  annually: { label: 'Annually', months: 12 },
+};
+
+export const RECURRING_MODES = {
+  send: 'Create and send to the customer',
+  draft: 'Create as a draft for review',
+};
+
+// A schedule that was paused or missed by the job never backfills more than this many invoices at once
+export const MAX_CATCH_UP_RUNS = 3;
+
+export const getRunDate = (startDate, frequency, index) => {
+  const { days, months } = RECURRING_FREQUENCIES[frequency];
+  const [year, month, day] = startDate.split('-').map(Number);
+  if (days) return toIsoDate(new Date(Date.UTC(year, month - 1, day + days * index)));
+
+  const monthIndex = month - 1 + months * index;
+  const lastDayOfMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return toIsoDate(new Date(Date.UTC(year, monthIndex, Math.min(day, lastDayOfMonth))));
+};
+
+const isWithinSchedule = (schedule, date) => !schedule.endDate || date <= schedule.endDate;
+
+export const getNextRunDate = (schedule) => {
+  const date = getRunDate(schedule.startDate, schedule.frequency, schedule.nextRunIndex || 0);
+  return isWithinSchedule(schedule, date) ? date : null;
+};
+
+/**
+ * The runs that are due on `today`, oldest first, as { index, date }.
+ */
+export const getDueRuns = (schedule, today) => {
+  const runs = [];
+  for (let index = schedule.nextRunIndex || 0; runs.length < MAX_CATCH_UP_RUNS; index++) {
+    const date = getRunDate(schedule.startDate, schedule.frequency, index);
+    if (date > today || !isWithinSchedule(schedule, date)) break;
+    runs.push({ index, date });
+  }
+  return runs;
+};
+
+/**
+ * The first run index on or after `fromDate`, used when a paused schedule is resumed so the
+ * runs missed while it was paused are skipped rather than backfilled.
+ */
+export const getRunIndexFrom = (schedule, fromDate) => {
+  let index = schedule.nextRunIndex || 0;
+  while (getRunDate(schedule.startDate, schedule.frequency, index) < fromDate) index++;
+  return index;
+};
+
+// The invoice fields a schedule keeps as its template and copies onto every invoice it creates
+export const RECURRING_TEMPLATE_FIELDS = [
+  'customerName', 'customerAddress', 'customerPhone', 'customerEmail', 'billTo', 'items', 'taxRate',
+  'pricesIncludeVat', 'invoiceDiscount', 'isVatExempt', 'paymentTermsDays', 'bankingDetails', 'preparedBy',
+];
+
+export const getScheduleTemplate = (schedule) => RECURRING_TEMPLATE_FIELDS.reduce((template, field) => {
+  if (schedule[field] !== undefined) template[field] = schedule[field];
+  return template;
+}, {});
@@ -0,0 +1,64 @@
+/**
+ * The repair job workflow. A job moves along REPAIR_STATUS_TRANSITIONS only, so it cannot jump from
+ * a new request straight to collected; some moves also need details filled in on the job first.
+ */
+
+export const REPAIR_STATUS_ORDER = ['New Request', 'Confirmed', 'In Progress', 'Awaiting Parts', 'Testing', 'Ready for Collection', 'Collected', 'Unable To Repair'];
+
+// Where a job can go from each status. Every open job can be written off as Unable To Repair.
+export const REPAIR_STATUS_TRANSITIONS = {
+  'New Request': ['Confirmed', 'Unable To Repair'],
+  'Confirmed': ['In Progress', 'Awaiting Parts', 'Unable To Repair'],
+  'In Progress': ['Awaiting Parts', 'Testing', 'Unable To Repair'],
+  'Awaiting Parts': ['In Progress', 'Unable To Repair'],
+  'Testing': ['In Progress', 'Ready for Collection', 'Unable To Repair'],
+  'Ready for Collection': ['Testing', 'Collected'],
+  'Unable To Repair': ['Collected'],
+  'Collected': [],
+};
+
+// The usual next step from each status, used by the board's bulk "advance" action
+export const REPAIR_STATUS_NEXT = {
+  'New Request': 'Confirmed',
+  'Confirmed': 'In Progress',
+  'In Progress': 'Testing',
+  'Awaiting Parts': 'In Progress',
+  'Testing': 'Ready for Collection',
+  'Ready for Collection': 'Collected',
+  'Unable To Repair': 'Collected',
+};
+
+/**
+ * Guards on moving into a status: the repairDetails fields that must be filled in first.
+ */
+export const REPAIR_STATUS_REQUIREMENTS = {
+  'Testing': [
+    { field: 'technician', label: 'Technician Assigned' },
+    { field: 'finalFault', label: 'Final Fault Confirmed' },
+  ],
+  'Unable To Repair': [
+    { field: 'unableToRepairReason', label: 'Reason the device cannot be repaired' },
+  ],
+};
+
+export const getAllowedTransitions = (status) => REPAIR_STATUS_TRANSITIONS[status] || [];
+
+export const canTransition = (fromStatus, toStatus) => getAllowedTransitions(fromStatus).includes(toStatus);
+
+export const getMissingRequirements = (booking, toStatus) => (REPAIR_STATUS_REQUIREMENTS[toStatus] || [])
+  .filter(requirement => !String(booking.repairDetails?.[requirement.field] || '').trim());
+
+/**
+ * Why a job cannot move to `toStatus`, or null when it can.
+ */
+export const getTransitionError = (booking, toStatus) => {
+  if (booking.status === toStatus) return null;
+  if (!canTransition(booking.status, toStatus)) {
+    const allowed = getAllowedTransitions(booking.status);
+    return `A job in ${booking.status} cannot move to ${toStatus}.`
+      + (allowed.length ? ` It can move to: ${allowed.join(', ')}.` : '');
+  }
+  const missing = getMissingRequirements(booking, toStatus);
+  if (missing.length) return `Before moving to ${toStatus}, fill in: ${missing.map(requirement => requirement.label).join(', ')}.`;
+  return null;
+};
@@ -0,0 +1,110 @@
+/**
+ * What customers see on the public /track page. The view is built from a whitelist of booking
+ * fields, so nothing else about the job or the shop (IMEI, notes, costs, other jobs) leaves the server.
+ */
+
+// Customer-facing steps; each covers one or more workshop statuses
+export const TRACKING_STEPS = [
+  { label: 'Booked In', statuses: ['New Request', 'Confirmed'] },
+  { label: 'Being Repaired', statuses: ['In Progress', 'Awaiting Parts'] },
+  { label: 'Quality Check', statuses: ['Testing'] },
+  { label: 'Ready for Collection', statuses: ['Ready for Collection'] },
+  { label: 'Collected', statuses: ['Collected'] },
+];
+
+// What the customer is told about each status
+export const TRACKING_STATUS_MESSAGES = {
+  'New Request': 'We have received your booking request and will confirm it shortly.',
+  'Confirmed': 'Your device is booked in and waiting for a technician.',
+  'In Progress': 'A technician is working on your device.',
+  'Awaiting Parts': 'We are waiting for parts to arrive for your repair.',
+  'Testing': 'The repair is done and your device is being tested.',
+  'Ready for Collection': 'Your device is ready. Please bring your book-in slip when you collect it.',
+  'Collected': 'Your device has been collected. Thank you!',
+  'Unable To Repair': 'Unfortunately we could not repair your device. Please contact us to arrange collection.',
+};
+
+// Used for the estimated ready date when staff have not set one on the job
+export const DEFAULT_TURNAROUND_DAYS = 3;
+
+const OPEN_STATUSES = ['New Request', 'Confirmed', 'In Progress', 'Awaiting Parts', 'Testing'];
+
+/**
+ * Compares phone numbers on their last nine digits, so 082 123 4567 matches +27 82 123 4567.
+ */
+export const lastNineDigits = (phone) => String(phone || '').replace(/\D/g, '').slice(-9);
+
+export const phonesMatch = (a, b) => {
+  const left = lastNineDigits(a);
+  return left.length === 9 && left === lastNineDigits(b);
+};
+
+// Without a signed link customers look their job up on the shop's page, found by its booking page address
+export const getTrackingLookupPath = (shopProfile) => (
+  shopProfile?.bookingPage?.enabled && shopProfile.bookingPage.slug ? `/track/${shopProfile.bookingPage.slug}` : '/track'
+);
+
+export const getEstimatedReadyDate = (booking) => {
+  if (!OPEN_STATUSES.includes(booking.status)) return null;
+  if (booking.repairDetails?.estimatedReadyDate) return booking.repairDetails.estimatedReadyDate;
+  if (!booking.createdAt) return null;
+  const date = new Date(booking.createdAt);
+  date.setUTCDate(date.getUTCDate() + DEFAULT_TURNAROUND_DAYS);
+  return date.toISOString().substring(0, 10);
+};
+
+/**
+ * The steps with their state ('done', 'current' or 'upcoming') and when the job reached them
+ * (`at`), from the job's history events. Earlier steps appear only when the history records the
+ * job passing through them, so jobs booked in before history was kept show just the booking and
+ * where they are now. A job that cannot be repaired skips the remaining steps.
+ */
+export const buildTrackingTimeline = (booking, events = []) => {
+  const sorted = [...events].sort((a, b) => a.at.localeCompare(b.at));
+  // When the job first came into a step from outside it, or last did for the step it is in now
+  const reachedAt = (statuses, latest = false) => {
+    const entered = sorted.filter(event => statuses.includes(event.toStatus) && (event.type === 'created' || !statuses.includes(event.fromStatus)));
+    return (latest ? entered[entered.length - 1] : entered[0])?.at || null;
+  };
+
+  const isUnableToRepair = booking.status === 'Unable To Repair';
+  const currentStep = isUnableToRepair
+    ? TRACKING_STEPS.length
+    : Math.max(TRACKING_STEPS.findIndex(step => step.statuses.includes(booking.status)), 0);
+  const steps = [];
+  TRACKING_STEPS.forEach((step, index) => {
+    if (index === 0) {
+      steps.push({ label: step.label, state: currentStep === 0 ? 'current' : 'done', at: booking.createdAt || reachedAt(step.statuses) });
+    } else if (index < currentStep) {
+      const at = reachedAt(step.statuses);
+      if (at) steps.push({ label: step.label, state: 'done', at });
+    } else if (index === currentStep) {
+      steps.push({ label: step.label, state: 'current', at: reachedAt(step.statuses, true) });
+    } else if (!isUnableToRepair) {
+      steps.push({ label: step.label, state: 'upcoming', at: null });
+    }
+  });
+  if (isUnableToRepair) steps.push({ label: 'Unable To Repair', state: 'current', at: reachedAt(['Unable To Repair'], true) });
+  return steps;
+};
+
+/**
+ * The public view of a booking, with its timeline built from the job's history `events`.
+ * Only the customer's first name is shown.
+ */
+export const buildTrackingView = (booking, shopProfile, events = []) => ({
+  jobNo: booking.invoiceNo,
+  customerFirstName: String(booking.customerName || '').trim().split(/\s+/)[0] || '',
+  deviceModel: booking.deviceModel || '',
+  status: booking.status,
+  message: TRACKING_STATUS_MESSAGES[booking.status] || '',
+  timeline: buildTrackingTimeline(booking, events),
+  estimatedReadyDate: getEstimatedReadyDate(booking),
+  bookedInAt: booking.createdAt || null,
+  updatedAt: booking.updatedAt || booking.createdAt || null,
+  shop: {
+    name: shopProfile?.companyName || '',
+    contact: shopProfile?.emailPhone || '',
+    address: shopProfile?.address || '',
+  },
+});
@@ -0,0 +1,50 @@
+/**
+ * Turns what a barcode scanner reads into a repair job. The QR code on a book-in slip is the job's
+ * tracking link, whose token carries the booking ID; the device label's barcode is the job number.
+ * IMEIs scanned off the device box match too. USB scanners type the code and press Enter, so the
+ * same lookup serves typed codes.
+ */
+
+// Scanners and people differ on case and stray spaces; job numbers and IMEIs have neither
+const normalizeCode = (code) => String(code || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Returns { bookingId } for a tracking link or token, otherwise { code } with the scanned text.
+ */
+export const parseScannedCode = (raw) => {
+  const text = String(raw || '').trim();
+  let token = null;
+  try {
+    token = new URL(text).searchParams.get('t');
+  } catch (e) {
+    // Not a link: a job number, IMEI or bare tracking token
+    if (/^[^.\s]+\.[^.\s]+\.[^.\s]+$/.test(text)) token = text;
+  }
+  const [, bookingId] = String(token || '').split('.');
+  return bookingId ? { bookingId } : { code: text };
+};
+
+/**
+ * The job a scan refers to among the tenant's bookings, or null. Tracking links for another shop's
+ * jobs find nothing, because their booking is not in the list.
+ */
+export const findScannedBooking = (bookings, raw) => {
+  const { bookingId } = parseScannedCode(raw);
+  const byId = bookingId && bookings.find(booking => booking.id === bookingId);
+  if (byId) return byId;
+  // A job number can itself have two dots, so a token that finds nothing is tried as a code
+  const code = normalizeCode(raw);
+  if (!code) return null;
+  return bookings.find(booking => normalizeCode(booking.invoiceNo) === code)
+    || bookings.find(booking => booking.imei && normalizeCode(booking.imei) === code)
+    || null;
+};
+
+/**
+ * Jobs whose `field` contains the search text, for the admin search panel.
+ */
+export const searchBookings = (bookings, field, value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return [];
+  return bookings.filter(booking => String(booking[field] || '').toLowerCase().includes(text));
+};
@@ -0,0 +1,200 @@
+/**
+ * Book-in slips and device labels for thermal printers. The shop picks the paper the browser prints
+ * on (A5 or an 80mm receipt roll) and its label size; with ESC/POS output turned on, the same slip and
+ * label are also built as raw printer commands, with the printer drawing the QR code and barcode.
+ */
+import { getIntakeRows } from './deviceIntake';
+
+export const SLIP_FORMATS = {
+  a5: 'A5 page',
+  receipt80: '80mm receipt roll',
+};
+
+export const LABEL_SIZES = {
+  '62x29': { width: 62, height: 29, label: '62 x 29 mm' },
+  '57x32': { width: 57, height: 32, label: '57 x 32 mm' },
+  '50x25': { width: 50, height: 25, label: '50 x 25 mm' },
+  '40x30': { width: 40, height: 30, label: '40 x 30 mm' },
+};
+
+export const ESC_POS_OUTPUTS = {
+  off: 'Off (browser printing only)',
+  serial: 'Send to a USB or serial printer',
+  download: 'Download a print file',
+};
+
+export const SERIAL_BAUD_RATES = [9600, 19200, 38400, 57600, 115200];
+
+// 48 characters is font A on a 80mm roll; 58mm printers take 32
+export const RECEIPT_COLUMNS = [48, 42, 32];
+
+export const DEFAULT_PRINT_SETTINGS = {
+  slipFormat: 'a5',
+  labelSize: '62x29',
+  escPosOutput: 'off',
+  baudRate: 9600,
+  receiptColumns: 48,
+};
+
+export const getPrintSettings = (shopProfile) => ({ ...DEFAULT_PRINT_SETTINGS, ...(shopProfile?.printing || {}) });
+
+/**
+ * The [label, value] rows every book-in slip shows, whatever it is printed on, including the intake
+ * checklist. `formatMoney` formats an amount in the shop's currency.
+ */
+export const getBookInSlipRows = (booking, formatMoney) => [
+  ['Customer:', booking.customerName],
+  ['Phone:', booking.customerPhone],
+  ['Email:', booking.customerEmail],
+  ['Device:', booking.deviceModel],
+  ['IMEI:', booking.imei],
+  ['Issue:', booking.deviceIssue],
+  ...getIntakeRows(booking.intake),
+  ['Condition:', booking.comments],
+  ['Photos:', booking.intakePhotos?.length ? `${booking.intakePhotos.length} taken at book-in` : null],
+  ['Deposit Paid:', booking.amount > 0 ? `${formatMoney(booking.amount)} (${booking.depositMethod})` : null],
+].filter(([, value]) => value);
+
+/**
+ * Word-wraps text to lines of at most `columns` characters, breaking words that are longer.
+ */
+export const wrapText = (text, columns) => String(text ?? '').split('\n').flatMap(paragraph => {
+  const lines = [];
+  let line = '';
+  paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > columns) {
+      if (line) lines.push(line);
+      lines.push(word.slice(0, columns));
+      word = word.slice(columns);
+      line = '';
+    }
+    if (!word) return;
+    if (line && line.length + 1 + word.length > columns) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  return line || lines.length === 0 ? [...lines, line] : lines;
+});
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+// Printers start in code page 437; characters outside printable ASCII are printed as '?'
+const toAscii = (text) => Array.from(String(text ?? ''), char => {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 && code < 0x7f ? code : 0x3f;
+});
+
+/**
+ * A small ESC/POS command writer. Methods chain; bytes() returns the commands as a Uint8Array.
+ */
+export const createEscPosWriter = (columns = DEFAULT_PRINT_SETTINGS.receiptColumns) => {
+  const commands = [ESC, 0x40];
+  let isLarge = false;
+
+  const writer = {
+    align: (alignment) => {
+      commands.push(ESC, 0x61, ALIGNMENTS[alignment]);
+      return writer;
+    },
+    bold: (on = true) => {
+      commands.push(ESC, 0x45, on ? 1 : 0);
+      return writer;
+    },
+    // Double width and height, which halves the characters per line
+    large: (on = true) => {
+      isLarge = on;
+      commands.push(GS, 0x21, on ? 0x11 : 0x00);
+      return writer;
+    },
+    text: (text = '') => {
+      wrapText(text, isLarge ? Math.floor(columns / 2) : columns).forEach(line => commands.push(...toAscii(line), LF));
+      return writer;
+    },
+    // "Label value" with the value wrapped under itself
+    row: (label, value) => {
+      const indent = label.length + 1;
+      wrapText(value, columns - indent).forEach((line, index) => {
+        commands.push(...toAscii(`${index === 0 ? label : ''.padEnd(label.length)} ${line}`), LF);
+      });
+      return writer;
+    },
+    rule: () => {
+      commands.push(...toAscii('-'.repeat(columns)), LF);
+      return writer;
+    },
+    feed: (lines = 1) => {
+      commands.push(ESC, 0x64, lines);
+      return writer;
+    },
+    qr: (data, moduleSize = 6) => {
+      const bytes = toAscii(data);
+      const length = bytes.length + 3;
+      commands.push(
+        GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0, // model 2
+        GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, moduleSize,
+        GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31, // error correction M
+        GS, 0x28, 0x6b, length % 256, Math.floor(length / 256), 0x31, 0x50, 0x30, ...bytes,
+        GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30,
+        LF,
+      );
+      return writer;
+    },
+    // Code 128 in code set B, with the text printed under the bars
+    barcode: (data, height = 80) => {
+      const bytes = [0x7b, 0x42, ...toAscii(String(data).replace(/\{/g, '{{'))];
+      commands.push(GS, 0x68, height, GS, 0x77, 2, GS, 0x48, 2, GS, 0x6b, 73, bytes.length, ...bytes, LF);
+      return writer;
+    },
+    cut: () => {
+      commands.push(GS, 0x56, 0x42, 3);
+      return writer;
+    },
+    bytes: () => Uint8Array.from(commands),
+  };
+  return writer;
+};
+
+const writeShopHeader = (writer, shopProfile) => {
+  writer.align('center').bold().large().text(shopProfile?.companyName || 'Company Name').large(false).bold(false);
+  if (shopProfile?.address) writer.text(shopProfile.address);
+  if (shopProfile?.emailPhone) writer.text(shopProfile.emailPhone);
+};
+
+/**
+ * The customer's book-in slip as ESC/POS commands: shop details, job number, the device and its
+ * condition, a QR code of the tracking link, the shop's book-in terms and a signature line.
+ */
+export const buildBookInSlipEscPos = (booking, shopProfile, { trackingUrl, terms, formatMoney, columns }) => {
+  const writer = createEscPosWriter(columns);
+  writeShopHeader(writer, shopProfile);
+  writer.rule().bold().text('BOOK-IN SLIP').bold(false)
+    .large().text(booking.invoiceNo).large(false)
+    .text(new Date(booking.createdAt || Date.now()).toLocaleString());
+  if (booking.consultant) writer.text(`Consultant: ${booking.consultant}`);
+  writer.rule().align('left');
+  getBookInSlipRows(booking, formatMoney).forEach(([label, value]) => writer.row(label, value));
+  writer.rule();
+  if (trackingUrl) writer.align('center').text('Scan to track your repair').qr(trackingUrl).align('left');
+  if (terms?.trim()) writer.bold().text('Terms & Conditions').bold(false).text(terms.trim());
+  return writer.feed(2).text('Customer signature:').feed(2).rule().feed(3).cut().bytes();
+};
+
+/**
+ * A device label as ESC/POS commands: the job number large and as a barcode, with the customer and device.
+ */
+export const buildDeviceLabelEscPos = (booking, { columns }) => createEscPosWriter(columns)
+  .align('center')
+  .bold().large().text(booking.invoiceNo).large(false).bold(false)
+  .text(booking.customerName)
+  .text(booking.deviceModel)
+  .text(new Date(booking.createdAt || Date.now()).toLocaleDateString())
+  .barcode(booking.invoiceNo)
+  .feed(3)
+  .cut()
+  .bytes();
@@ -0,0 +1,58 @@
+/**
+ * Lookups for the public repair-tracking page. A customer finds their job either with its job number
+ * and their phone number, or with a signed tracking link from an SMS. Links are signed with
+ * TRACKING_LINK_SECRET, so they cannot be altered to point at another job.
+ */
+import crypto from 'crypto';
+import { getShopProfile, getTenantCollection } from './firebaseAdmin';
+import { buildTrackingView, phonesMatch } from './repairTracking';
+
+const getSecret = () => {
+  const secret = process.env.TRACKING_LINK_SECRET;
+  if (!secret) throw new Error('TRACKING_LINK_SECRET is not configured.');
+  return secret;
+};
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+
+// Tenant and booking IDs are Firestore IDs, which never contain a '.'
+export const createTrackingToken = (userId, bookingId) => `${userId}.${bookingId}.${sign(`${userId}.${bookingId}`)}`;
+
+/**
+ * Returns { userId, bookingId } for a genuine token, or null.
+ */
+export const verifyTrackingToken = (token) => {
+  const [userId, bookingId, signature, ...rest] = String(token || '').split('.');
+  if (!userId || !bookingId || !signature || rest.length) return null;
+  const expected = Buffer.from(sign(`${userId}.${bookingId}`));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? { userId, bookingId } : null;
+};
+
+export const getTrackingUrl = (baseUrl, userId, bookingId) => `${baseUrl}/track?t=${createTrackingToken(userId, bookingId)}`;
+
+// The timeline comes from the job's history events; only their statuses and times reach the view
+const toTrackingView = async (db, userId, bookingId, booking) => {
+  const [shopProfile, events] = await Promise.all([
+    getShopProfile(db, userId),
+    getTenantCollection(db, userId, 'bookingEvents').where('bookingId', '==', bookingId).get(),
+  ]);
+  return buildTrackingView(booking, shopProfile, events.docs.map(eventDoc => eventDoc.data()));
+};
+
+export const getTrackingViewByToken = async (db, token) => {
+  const verified = verifyTrackingToken(token);
+  if (!verified) return null;
+  const snapshot = await getTenantCollection(db, verified.userId, 'bookings').doc(verified.bookingId).get();
+  return snapshot.exists ? toTrackingView(db, verified.userId, verified.bookingId, snapshot.data()) : null;
+};
+
+/**
+ * Finds a job by its number in one shop and returns it only when the phone number matches. Job
+ * numbers restart in every shop, so the lookup never looks beyond the shop the customer chose.
+ */
+export const getTrackingViewByJobNo = async (db, userId, jobNo, phone) => {
+  const snapshot = await getTenantCollection(db, userId, 'bookings').where('invoiceNo', '==', String(jobNo).trim()).get();
+  const match = snapshot.docs.find(bookingDoc => phonesMatch(phone, bookingDoc.data().customerPhone));
+  return match ? toTrackingView(db, userId, match.id, match.data()) : null;
+};
@@ -0,0 +1,169 @@
+/**
+ * VAT201 return figures for a two-month tax period, worked out on the invoice basis from the VAT
+ * breakdown stored on issued invoices and credit notes. Purchases are not captured in the app, so
+ * the only input tax adjustment is the VAT on credit notes issued in the period.
+ */
+import { calculateDocumentTotals, fromCents, toCents } from './invoiceCalculator';
+import { isIssuedInvoice } from './customerStatement';
+import { formatCsvAmount, toCsv } from './csv';
+import { toIsoDate } from './paymentTerms';
+
+// Category A vendors' periods end in odd months (Jan, Mar, ...) and Category B in even months (Feb, Apr, ...)
+export const VAT_CATEGORIES = {
+  A: { label: 'Category A (periods end Jan, Mar, May, Jul, Sep, Nov)', endMonthRemainder: 0 },
+  B: { label: 'Category B (periods end Feb, Apr, Jun, Aug, Oct, Dec)', endMonthRemainder: 1 },
+};
+
+export const DEFAULT_VAT_CATEGORY = 'B';
+
+export const VAT201_FIELDS = [
+  { field: '1', key: 'standardSupplies', label: 'Supplies of goods and services at the standard rate (incl. VAT)' },
+  { field: '2', key: 'zeroSupplies', label: 'Zero-rated supplies' },
+  { field: '3', key: 'exemptSupplies', label: 'Exempt and non-supplies' },
+  { field: '4', key: 'outputTax', label: 'Output tax on standard-rated supplies' },
+  { field: '13', key: 'totalOutputTax', label: 'Total A: Total output tax' },
+  { field: '18', key: 'creditNoteAdjustments', label: 'Other: VAT on credit notes issued' },
+  { field: '19', key: 'totalInputTax', label: 'Total B: Total input tax and adjustments' },
+  { field: '20', key: 'vatPayable', label: 'VAT payable / (refundable)' },
+];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * The `count` most recent two-month periods for a VAT category, newest first. The first entry is
+ * the period `today` falls in.
+ */
+export const getVatPeriods = (category = DEFAULT_VAT_CATEGORY, count = 12, today = new Date()) => {
+  const { endMonthRemainder } = VAT_CATEGORIES[category] || VAT_CATEGORIES[DEFAULT_VAT_CATEGORY];
+  const monthIndex = today.getFullYear() * 12 + today.getMonth();
+  const currentEnd = monthIndex % 2 === endMonthRemainder ? monthIndex : monthIndex + 1;
+
+  return Array.from({ length: count }, (_, index) => {
+    const end = currentEnd - index * 2;
+    const start = end - 1;
+    const startYear = Math.floor(start / 12);
+    const endYear = Math.floor(end / 12);
+    return {
+      from: toIsoDate(new Date(Date.UTC(startYear, start % 12, 1))),
+      to: toIsoDate(new Date(Date.UTC(endYear, (end % 12) + 1, 0))),
+      label: startYear === endYear
+        ? `${MONTH_NAMES[start % 12]} - ${MONTH_NAMES[end % 12]} ${endYear}`
+        : `${MONTH_NAMES[start % 12]} ${startYear} - ${MONTH_NAMES[end % 12]} ${endYear}`,
+    };
+  });
+};
+
+// Invoices issued before per-category VAT was stored are recalculated from their lines
+const getVatBreakdown = (document) => document.vatBreakdown || calculateDocumentTotals(document).vatBreakdown;
+
+const toContribution = (document, type, number) => {
+  const breakdown = getVatBreakdown(document);
+  const standard = breakdown.standard || { taxable: 0, vat: 0 };
+  return {
+    id: document.id,
+    type,
+    number,
+    date: document.date,
+    customerName: document.customerName || '',
+    standardCents: toCents(standard.taxable) + toCents(standard.vat),
+    zeroCents: toCents(breakdown.zero?.taxable),
+    exemptCents: toCents(breakdown.exempt?.taxable),
+    vatCents: Object.values(breakdown).reduce((sum, category) => sum + toCents(category.vat), 0),
+  };
+};
+
+const sumCents = (rows, key) => rows.reduce((sum, row) => sum + row[key], 0);
+
+const toAmounts = ({ standardCents, zeroCents, exemptCents, vatCents, ...row }) => ({
+  ...row,
+  standard: fromCents(standardCents),
+  zero: fromCents(zeroCents),
+  exempt: fromCents(exemptCents),
+  vat: fromCents(vatCents),
+});
+
+/**
+ * Builds the VAT201 figures for `from` to `to` (inclusive ISO dates) along with the invoices and
+ * credit notes behind them, so every field can be traced back to its documents.
+ */
+export const buildVatReport = ({ invoices, creditNotes, from, to }) => {
+  const inPeriod = (document) => document.date >= from && document.date <= to;
+  const byDate = (a, b) => a.date.localeCompare(b.date);
+
+  const invoiceRows = invoices
+    .filter(invoice => isIssuedInvoice(invoice) && inPeriod(invoice))
+    .sort(byDate)
+    .map(invoice => toContribution(invoice, 'Invoice', invoice.invoiceNo));
+  const creditNoteRows = creditNotes
+    .filter(inPeriod)
+    .sort(byDate)
+    .map(creditNote => ({ ...toContribution(creditNote, 'Credit Note', creditNote.creditNoteNo), invoiceNo: creditNote.invoiceNo }));
+
+  const outputTaxCents = sumCents(invoiceRows, 'vatCents');
+  const creditNoteVatCents = sumCents(creditNoteRows, 'vatCents');
+
+  return {
+    from,
+    to,
+    fields: {
+      standardSupplies: fromCents(sumCents(invoiceRows, 'standardCents')),
+      zeroSupplies: fromCents(sumCents(invoiceRows, 'zeroCents')),
+      exemptSupplies: fromCents(sumCents(invoiceRows, 'exemptCents')),
+      outputTax: fromCents(outputTaxCents),
+      totalOutputTax: fromCents(outputTaxCents),
+      creditNoteAdjustments: fromCents(creditNoteVatCents),
+      totalInputTax: fromCents(creditNoteVatCents),
+      vatPayable: fromCents(outputTaxCents - creditNoteVatCents),
+    },
+    creditNoteSupplies: {
+      standard: fromCents(sumCents(creditNoteRows, 'standardCents')),
+      zero: fromCents(sumCents(creditNoteRows, 'zeroCents')),
+      exempt: fromCents(sumCents(creditNoteRows, 'exemptCents')),
+    },
+    invoices: invoiceRows.map(toAmounts),
+    creditNotes: creditNoteRows.map(toAmounts),
+  };
+};
+
+// Which documents make up each field, for drilling down from the return
+export const getFieldDocuments = (report, fieldKey) => {
+  switch (fieldKey) {
+    case 'standardSupplies':
+    case 'outputTax':
+    case 'totalOutputTax':
+      return report.invoices.filter(row => row.standard !== 0);
+    case 'zeroSupplies':
+      return report.invoices.filter(row => row.zero !== 0);
+    case 'exemptSupplies':
+      return report.invoices.filter(row => row.exempt !== 0);
+    case 'creditNoteAdjustments':
+    case 'totalInputTax':
+      return report.creditNotes;
+    default:
+      return [...report.invoices, ...report.creditNotes];
+  }
+};
+
+export const buildVatReportCsv = (report, shopProfile) => {
+  const rows = [
+    ['VAT201 Report', shopProfile?.companyName || ''],
+    ['VAT No', shopProfile?.vatNo || ''],
+    ['Period', report.from, report.to],
+    [],
+    ['Field', 'Description', 'Amount'],
+    ...VAT201_FIELDS.map(({ field, key, label }) => [field, label, formatCsvAmount(report.fields[key])]),
+    [],
+    ['Type', 'Number', 'Date', 'Customer', 'Standard Rate (incl. VAT)', 'Zero Rate', 'Exempt', 'VAT'],
+    ...[...report.invoices, ...report.creditNotes].map(row => [
+      row.type,
+      row.number,
+      row.date,
+      row.customerName,
+      formatCsvAmount(row.standard),
+      formatCsvAmount(row.zero),
+      formatCsvAmount(row.exempt),
+      formatCsvAmount(row.vat),
+    ]),
+  ];
+  return toCsv(rows);
+};